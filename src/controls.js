@@ -26,20 +26,20 @@ goog.require('turing.util');
 
 /**
  * The left offset of the play button.
- * @type {string}
+ * @type {number}
  * @const
  * @private
  */
-turing.PLAY_BUTTON_LEFT_ = '55px';
+turing.PLAY_BUTTON_LEFT_ = 55;
 
 
 /**
  * The top offset of the play button.
- * @type {string}
+ * @type {number}
  * @const
  * @private
  */
-turing.PLAY_BUTTON_TOP_ = '127px';
+turing.PLAY_BUTTON_TOP_ = 127;
 
 
 /**
@@ -60,91 +60,272 @@ turing.CONTROL_ZINDEX_ = 499;
 turing.PLAY_PUSH_DELAY_ = 20;
 
 
+/**
+ * Transport buttons shown in a column left of the play button.
+ * @enum {string}
+ */
+turing.TransportButton = {
+  PAUSE: 'pause',
+  STEP: 'step',
+  STOP: 'stop',
+  FAST_FORWARD: 'fastForward'
+};
+
+
+/**
+ * Transport buttons from top to bottom.
+ * @type {Array.<turing.TransportButton>}
+ * @const
+ * @private
+ */
+turing.TRANSPORT_BUTTON_ORDER_ = [
+  turing.TransportButton.PAUSE,
+  turing.TransportButton.STEP,
+  turing.TransportButton.STOP,
+  turing.TransportButton.FAST_FORWARD
+];
+
 
 /**
- * Controls for program execution.
+ * The left offset of the transport buttons.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.TRANSPORT_BUTTON_LEFT_ = 12;
+
+
+/**
+ * The top offset of the topmost transport button.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.TRANSPORT_BUTTON_TOP_ = 40;
+
+
+/**
+ * Vertical distance between the tops of adjacent transport buttons.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.TRANSPORT_BUTTON_SPACING_ = 44;
+
+
+/**
+ * The left offset of the button which offers to show the solution, right of
+ * the end of the bottom track.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.SOLUTION_BUTTON_LEFT_ = 448;
+
+
+/**
+ * The top offset of the button which offers to show the solution.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.SOLUTION_BUTTON_TOP_ = 172;
+
+
+/**
+ * Label for the button which offers to show the solution.
+ * @type {string}
+ * @const
+ * @private
+ */
+turing.SOLUTION_LABEL_ = '?';
+
+
+/**
+ * Labels drawn on top of the transport buttons, which reuse the blank op
+ * button sprites. The pause button shows RESUME_LABEL_ while paused.
+ * @type {Object.<turing.TransportButton, string>}
+ * @const
+ * @private
+ */
+turing.TRANSPORT_LABELS_ = {
+  'pause': '\u275a\u275a',
+  'step': '\u25b6\u275a',
+  'stop': '\u25a0',
+  'fastForward': '\u25b6\u25b6'
+};
+
+
+/**
+ * Label for the pause button while the program is paused.
+ * @type {string}
+ * @const
+ * @private
+ */
+turing.RESUME_LABEL_ = '\u25b6';
+
+
+
+/**
+ * A push button with sprites for its popped out, flat and pushed in states.
+ * It only responds to presses while popped out.
+ * @param {string} outSprite Sprite shown while the button can be pushed.
+ * @param {string} flatSprite Sprite shown while it is held down, or disabled.
+ * @param {string} inSprite Sprite shown while it is stuck in.
+ * @param {number} left The left offset of the button.
+ * @param {number} top The top offset of the button.
+ * @param {string=} opt_label Text to draw on top of the button.
  * @constructor
  */
-turing.Controls = function() {
+turing.ControlButton = function(outSprite, flatSprite, inSprite, left, top,
+    opt_label) {
   /**
-   * A button to start running the program.
+   * Sprite shown while the button can be pushed.
+   * @type {string}
+   * @private
+   */
+  this.outSprite_ = outSprite;
+
+  /**
+   * Sprite shown while the button is held down or disabled.
+   * @type {string}
+   * @private
+   */
+  this.flatSprite_ = flatSprite;
+
+  /**
+   * Sprite shown while the button is stuck in.
+   * @type {string}
+   * @private
+   */
+  this.inSprite_ = inSprite;
+
+  /**
+   * The left offset of the button.
+   * @type {number}
+   * @private
+   */
+  this.left_ = left;
+
+  /**
+   * The top offset of the button.
+   * @type {number}
+   * @private
+   */
+  this.top_ = top;
+
+  /**
+   * Text drawn on top of the button, or '' for none.
+   * @type {string}
+   * @private
+   */
+  this.label_ = opt_label || '';
+
+  /**
+   * The button.
    * @type {Element}
    * @private
    */
-  this.play_;
+  this.div_;
 
   /**
-   * True iff the play button is currently actively being pushed down by the
-   * user (as opposed to just passively being stuck in its "in" state.)
+   * A div holding the label text, or null if there is no label.
+   * @type {Element}
+   * @private
+   */
+  this.labelDiv_ = null;
+
+  /**
+   * True iff the button is currently actively being pushed down by the user
+   * (as opposed to just passively being stuck in its "in" state.)
    * @type {boolean}
    * @private
    */
-  this.playIsBeingPushedNow_ = false;
+  this.isBeingPushedNow_ = false;
 
   /**
-   * The mouse down event listener for the play button.
+   * The mouse down event listener for the button.
    * @type {?function(Event)}
    * @private
    */
-  this.playMouseDownListener_ = null;
+  this.mouseDownListener_ = null;
 
   /**
-   * The mouse up event listener for the play button.
+   * The mouse up event listener for the button.
    * @type {?function(Event)}
    * @private
    */
-  this.playMouseUpListener_ = null;
+  this.mouseUpListener_ = null;
 
   /**
-   * The mouse out event listener for the play button.
+   * The mouse out event listener for the button.
    * @type {?function(Event)}
    * @private
    */
-  this.playMouseOutListener_ = null;
+  this.mouseOutListener_ = null;
 
   /**
-   * Function to call when play is clicked.
+   * Function to call when the button is clicked.
    * @type {?function()}
    * @private
    */
-  this.playCallback_ = null;
+  this.callback_ = null;
 };
 
 
 /**
  * Creates dom elements and event listeners.
  */
-turing.Controls.prototype.create = function() {
-  this.play_ = turing.sprites.getDiv('play-flat');
-  this.play_.style.left = turing.PLAY_BUTTON_LEFT_;
-  this.play_.style.top = turing.PLAY_BUTTON_TOP_;
-  this.play_.style.zIndex = turing.CONTROL_ZINDEX_;
-  this.play_.style.cursor = 'pointer';
-  this.playMouseDownListener_ = goog.bind(this.onMouseDownPlay_, this);
-  turing.util.listen(this.play_, 'mousedown', this.playMouseDownListener_);
-  turing.util.listen(this.play_, 'touchstart', this.playMouseDownListener_);
-  this.playMouseUpListener_ = goog.bind(this.onMouseUpPlay_, this);
-  turing.util.listen(this.play_, 'mouseup', this.playMouseUpListener_);
-  this.playMouseOutListener_ = goog.bind(this.onMouseOutPlay_, this);
-  turing.util.listen(this.play_, 'mouseout', this.playMouseOutListener_);
-  turing.util.listen(this.play_, 'touchmove', this.playMouseOutListener_);
+turing.ControlButton.prototype.create = function() {
+  this.div_ = turing.sprites.getDiv(this.flatSprite_);
+  this.div_.style.left = this.left_ + 'px';
+  this.div_.style.top = this.top_ + 'px';
+  this.div_.style.zIndex = turing.CONTROL_ZINDEX_;
+  this.div_.style.cursor = 'pointer';
+  if (this.label_) {
+    var size = turing.sprites.getSize(this.flatSprite_);
+    this.labelDiv_ = turing.sprites.getEmptyDiv();
+    this.labelDiv_.style.width = size.width + 'px';
+    // The button face is the round part above the button's shadow.
+    this.labelDiv_.style.lineHeight = size.width + 'px';
+    this.labelDiv_.style.textAlign = 'center';
+    this.labelDiv_.style.font = 'bold 11px arial,sans-serif';
+    this.labelDiv_.style.color = '#555';
+    // Let events through to the button so moving over the label doesn't
+    // count as leaving the button.
+    this.labelDiv_.style.pointerEvents = 'none';
+    this.setLabel(this.label_);
+    this.div_.appendChild(this.labelDiv_);
+  }
+  this.mouseDownListener_ = goog.bind(this.onMouseDown_, this);
+  turing.util.listen(this.div_, 'mousedown', this.mouseDownListener_);
+  turing.util.listen(this.div_, 'touchstart', this.mouseDownListener_);
+  this.mouseUpListener_ = goog.bind(this.onMouseUp_, this);
+  turing.util.listen(this.div_, 'mouseup', this.mouseUpListener_);
+  this.mouseOutListener_ = goog.bind(this.onMouseOut_, this);
+  turing.util.listen(this.div_, 'mouseout', this.mouseOutListener_);
+  turing.util.listen(this.div_, 'touchmove', this.mouseOutListener_);
 };
 
 
 /**
  * Cleans up dom/event listeners.
  */
-turing.Controls.prototype.destroy = function() {
-  turing.util.unlisten(this.play_, 'mousedown', this.playMouseDownListener_);
-  turing.util.unlisten(this.play_, 'touchstart', this.playMouseDownListener_);
-  turing.util.unlisten(this.play_, 'mouseup', this.playMouseUpListener_);
-  turing.util.unlisten(this.play_, 'mouseout', this.playMouseOutListener_);
-  turing.util.unlisten(this.play_, 'touchmove', this.playMouseOutListener_);
-  this.playMouseDownListener_ = null;
-  this.playMouseUpListener_ = null;
-  this.playMouseOutListener_ = null;
-  turing.util.removeNode(this.play_);
-  this.play_ = null;
+turing.ControlButton.prototype.destroy = function() {
+  turing.util.unlisten(this.div_, 'mousedown', this.mouseDownListener_);
+  turing.util.unlisten(this.div_, 'touchstart', this.mouseDownListener_);
+  turing.util.unlisten(this.div_, 'mouseup', this.mouseUpListener_);
+  turing.util.unlisten(this.div_, 'mouseout', this.mouseOutListener_);
+  turing.util.unlisten(this.div_, 'touchmove', this.mouseOutListener_);
+  this.mouseDownListener_ = null;
+  this.mouseUpListener_ = null;
+  this.mouseOutListener_ = null;
+  this.callback_ = null;
+  this.isBeingPushedNow_ = false;
+  turing.util.removeNode(this.labelDiv_);
+  this.labelDiv_ = null;
+  turing.util.removeNode(this.div_);
+  this.div_ = null;
 };
 
 
@@ -152,74 +333,242 @@ turing.Controls.prototype.destroy = function() {
  * Attaches to dom.
  * @param {Element} elem Parent element.
  */
-turing.Controls.prototype.attachTo = function(elem) {
-  elem.appendChild(this.play_);
+turing.ControlButton.prototype.attachTo = function(elem) {
+  elem.appendChild(this.div_);
 };
 
 
 /**
- * Pops the play button out so it is clickable.
- * @param {?function()} onClick Called when the play button is clicked.
+ * Shows or hides the button.
+ * @param {boolean} visible True iff the button should be shown.
  */
-turing.Controls.prototype.popOutPlayButton = function(onClick) {
-  this.playCallback_ = onClick;
-  this.play_.style.background = turing.sprites.getBackground('play-out');
-  this.play_.style.cursor = 'pointer';
+turing.ControlButton.prototype.setVisible = function(visible) {
+  this.div_.style.display = visible ? 'block' : 'none';
 };
 
 
 /**
- * Pushes the play button in, so that it won't be pushable again until it pops
- * back out.
+ * Changes the text drawn on top of the button.
+ * @param {string} label The new text.
  */
-turing.Controls.prototype.pushInPlayButton = function() {
-  this.playCallback_ = null;
-  this.play_.style.background = turing.sprites.getBackground('play-in');
-  this.play_.style.cursor = 'default';
+turing.ControlButton.prototype.setLabel = function(label) {
+  this.label_ = label;
+  if (this.labelDiv_) {
+    this.labelDiv_.innerHTML = '';
+    this.labelDiv_.appendChild(document.createTextNode(label));
+  }
+};
+
+
+/**
+ * @return {boolean} True iff the button is popped out and can be pushed.
+ */
+turing.ControlButton.prototype.isEnabled = function() {
+  return !!this.callback_;
+};
+
+
+/**
+ * @param {function()} callback A click callback.
+ * @return {boolean} True iff the button is popped out and calls callback when
+ *     clicked.
+ */
+turing.ControlButton.prototype.hasCallback = function(callback) {
+  return this.callback_ == callback;
+};
+
+
+/**
+ * Pops the button out so it is clickable.
+ * @param {?function()} onClick Called when the button is clicked.
+ */
+turing.ControlButton.prototype.popOut = function(onClick) {
+  this.callback_ = onClick;
+  this.div_.style.background = turing.sprites.getBackground(this.outSprite_);
+  this.div_.style.cursor = 'pointer';
+  if (this.labelDiv_) {
+    turing.util.setOpacity(this.labelDiv_, '');
+  }
+};
+
+
+/**
+ * Pushes the button in, so that it won't be pushable again until it pops back
+ * out.
+ */
+turing.ControlButton.prototype.pushIn = function() {
+  this.callback_ = null;
+  this.div_.style.background = turing.sprites.getBackground(this.inSprite_);
+  this.div_.style.cursor = 'default';
+  if (this.labelDiv_) {
+    turing.util.setOpacity(this.labelDiv_, '');
+  }
 };
 
 
 /**
- * Event handler dispatched on mousedown over the play button.
+ * Renders the button flat and stops it responding to clicks.
+ */
+turing.ControlButton.prototype.dim = function() {
+  this.callback_ = null;
+  this.div_.style.background = turing.sprites.getBackground(this.flatSprite_);
+  this.div_.style.cursor = 'default';
+  if (this.labelDiv_) {
+    turing.util.setOpacity(this.labelDiv_, 0.4);
+  }
+};
+
+
+/**
+ * Event handler dispatched on mousedown over the button.
  * @param {Event} event mousedown event.
  * @private
  */
-turing.Controls.prototype.onMouseDownPlay_ = function(event) {
-  if (!this.playCallback_ || this.playIsBeingPushedNow_) {
-    // The program is running or mousedown happened twice somehow.
+turing.ControlButton.prototype.onMouseDown_ = function(event) {
+  if (!this.callback_ || this.isBeingPushedNow_) {
+    // The button is disabled or mousedown happened twice somehow.
     return;
   }
-  turing.anim.animateFromSprites(this.play_,
-      ['play-out', 'play-flat'], turing.PLAY_PUSH_DELAY_);
-  this.playIsBeingPushedNow_ = true;
+  turing.anim.animateFromSprites(this.div_,
+      [this.outSprite_, this.flatSprite_], turing.PLAY_PUSH_DELAY_);
+  this.isBeingPushedNow_ = true;
 };
 
 
 /**
- * Event handler dispatched on mouseup over the play button.
+ * Event handler dispatched on mouseup over the button.
  * @param {Event} event mouseup event.
  * @private
  */
-turing.Controls.prototype.onMouseUpPlay_ = function(event) {
-  if (this.playIsBeingPushedNow_ && this.playCallback_) {
-    this.playCallback_.call();
+turing.ControlButton.prototype.onMouseUp_ = function(event) {
+  var callback = this.callback_;
+  var wasBeingPushed = this.isBeingPushedNow_;
+  this.isBeingPushedNow_ = false;
+  if (wasBeingPushed && callback) {
+    callback.call();
   }
-  this.playIsBeingPushedNow_ = false;
 };
 
 
 /**
- * Event handler dispatched on mouseout over the play button.
+ * Event handler dispatched on mouseout over the button.
  * @param {Event} event mouseout event.
  * @private
  */
-turing.Controls.prototype.onMouseOutPlay_ = function(event) {
-  if (this.playIsBeingPushedNow_) {
-    // Assume the user wanted to cancel pushing down the play button so moved
-    // off of it.
-    this.playIsBeingPushedNow_ = false;
-    this.popOutPlayButton(this.playCallback_);
+turing.ControlButton.prototype.onMouseOut_ = function(event) {
+  if (this.isBeingPushedNow_) {
+    // Assume the user wanted to cancel pushing down the button so moved off of
+    // it.
+    this.isBeingPushedNow_ = false;
+    this.popOut(this.callback_);
+  }
+};
+
+
+
+/**
+ * Controls for program execution.
+ * @constructor
+ */
+turing.Controls = function() {
+  /**
+   * A button to start running the program.
+   * @type {turing.ControlButton}
+   * @private
+   */
+  this.play_ = new turing.ControlButton('play-out', 'play-flat', 'play-in',
+      turing.PLAY_BUTTON_LEFT_, turing.PLAY_BUTTON_TOP_);
+
+  /**
+   * Buttons to pause, single-step, stop and fast-forward a running program.
+   * @type {Object.<turing.TransportButton, turing.ControlButton>}
+   * @private
+   */
+  this.transport_ = {};
+  for (var i = 0; i < turing.TRANSPORT_BUTTON_ORDER_.length; i++) {
+    var name = turing.TRANSPORT_BUTTON_ORDER_[i];
+    this.transport_[name] = new turing.ControlButton(
+        'o-blank-i-out', 'o-blank-i', 'o-blank-i-in',
+        turing.TRANSPORT_BUTTON_LEFT_,
+        turing.TRANSPORT_BUTTON_TOP_ + i * turing.TRANSPORT_BUTTON_SPACING_,
+        turing.TRANSPORT_LABELS_[name]);
+  }
+
+  /**
+   * A button which offers to show the solution, as a last hint for players
+   * who keep failing. Hidden unless offered.
+   * @type {turing.ControlButton}
+   * @private
+   */
+  this.solution_ = new turing.ControlButton(
+      'o-blank-i-out', 'o-blank-i', 'o-blank-i-in',
+      turing.SOLUTION_BUTTON_LEFT_, turing.SOLUTION_BUTTON_TOP_,
+      turing.SOLUTION_LABEL_);
+};
+
+
+/**
+ * Creates dom elements and event listeners.
+ */
+turing.Controls.prototype.create = function() {
+  this.play_.create();
+  for (var name in this.transport_) {
+    this.transport_[name].create();
+    this.transport_[name].dim();
   }
+  this.solution_.create();
+  this.hideSolutionButton();
+};
+
+
+/**
+ * Cleans up dom/event listeners.
+ */
+turing.Controls.prototype.destroy = function() {
+  this.play_.destroy();
+  for (var name in this.transport_) {
+    this.transport_[name].destroy();
+  }
+  this.solution_.destroy();
+};
+
+
+/**
+ * Attaches to dom.
+ * @param {Element} elem Parent element.
+ */
+turing.Controls.prototype.attachTo = function(elem) {
+  this.play_.attachTo(elem);
+  for (var name in this.transport_) {
+    this.transport_[name].attachTo(elem);
+  }
+  this.solution_.attachTo(elem);
+};
+
+
+/**
+ * Pops the play button out so it is clickable.
+ * @param {?function()} onClick Called when the play button is clicked.
+ */
+turing.Controls.prototype.popOutPlayButton = function(onClick) {
+  this.play_.popOut(onClick);
+};
+
+
+/**
+ * @return {boolean} True iff the play button is popped out and clickable.
+ */
+turing.Controls.prototype.isPlayButtonEnabled = function() {
+  return this.play_.isEnabled();
+};
+
+
+/**
+ * Pushes the play button in, so that it won't be pushable again until it pops
+ * back out.
+ */
+turing.Controls.prototype.pushInPlayButton = function() {
+  this.play_.pushIn();
 };
 
 
@@ -228,6 +577,84 @@ turing.Controls.prototype.onMouseOutPlay_ = function(event) {
  * the doodle initially loads).
  */
 turing.Controls.prototype.dimPlayButton = function() {
-  this.play_.style.background = turing.sprites.getBackground('play-flat');
-  this.play_.style.cursor = 'default';
+  this.play_.dim();
+};
+
+
+/**
+ * Makes a transport button clickable. Transport buttons pop back out after
+ * each click unless onClick disables or pushes them in.
+ * @param {turing.TransportButton} name The button.
+ * @param {function()} onClick Called when the button is clicked.
+ */
+turing.Controls.prototype.enableTransportButton = function(name, onClick) {
+  var button = this.transport_[name];
+  var callback = function() {
+    onClick();
+    if (button.hasCallback(callback)) {
+      // onClick didn't change the button's state, so pop back out for the
+      // next click.
+      button.popOut(callback);
+    }
+  };
+  button.popOut(callback);
+};
+
+
+/**
+ * Pushes a transport button in, e.g. to show that fast-forward is on.
+ * @param {turing.TransportButton} name The button.
+ */
+turing.Controls.prototype.pushInTransportButton = function(name) {
+  this.transport_[name].pushIn();
+};
+
+
+/**
+ * Makes a transport button flat and unclickable.
+ * @param {turing.TransportButton} name The button.
+ */
+turing.Controls.prototype.dimTransportButton = function(name) {
+  this.transport_[name].dim();
+};
+
+
+/**
+ * Makes all transport buttons flat and unclickable.
+ */
+turing.Controls.prototype.dimTransportButtons = function() {
+  for (var name in this.transport_) {
+    this.transport_[name].dim();
+  }
+};
+
+
+/**
+ * Switches the pause button between showing pause and resume.
+ * @param {boolean} paused True iff the program is paused, so the button
+ *     should offer to resume it.
+ */
+turing.Controls.prototype.setPauseButtonPaused = function(paused) {
+  this.transport_[turing.TransportButton.PAUSE].setLabel(paused ?
+      turing.RESUME_LABEL_ : turing.TRANSPORT_LABELS_[
+          turing.TransportButton.PAUSE]);
+};
+
+
+/**
+ * Shows the button which offers to show the solution.
+ * @param {function()} onClick Called when the button is clicked.
+ */
+turing.Controls.prototype.offerSolution = function(onClick) {
+  this.solution_.setVisible(true);
+  this.solution_.popOut(onClick);
+};
+
+
+/**
+ * Hides the button which offers to show the solution.
+ */
+turing.Controls.prototype.hideSolutionButton = function() {
+  this.solution_.dim();
+  this.solution_.setVisible(false);
 };
@@ -29,6 +29,30 @@ goog.provide('turing.GameState');
 turing.CUR_PROGRAM_KEY_ = 'doodle-turing-p';
 
 
+/**
+ * The localStorage key for the hints used in the current game.
+ * @type {string}
+ * @const
+ * @private
+ */
+turing.HINTS_KEY_ = 'doodle-turing-h';
+
+
+/**
+ * Hints the game gives a player who keeps failing a program, from the least
+ * to the most help.
+ * @enum {string}
+ */
+turing.Hint = {
+  // The ops which are wrong pulse.
+  WRONG_OPS: 'wrongOps',
+  // One wrong op is set to its correct value.
+  REVEAL_OP: 'revealOp',
+  // The solution is run for the player.
+  SOLUTION: 'solution'
+};
+
+
 /**
  * Minimum valid value for curProgram_.
  * @type {number}
@@ -39,7 +63,7 @@ turing.MIN_VALID_PROGRAM_ = 1;
 
 
 /**
- * Maximum valid value for curProgram_.
+ * Maximum valid value for curProgram_ with the built-in programs.
  * @type {number}
  * @const
  * @private
@@ -59,6 +83,21 @@ turing.GameState = function() {
    * @private
    */
   this.curProgram_ = turing.MIN_VALID_PROGRAM_;
+
+  /**
+   * Maximum valid value for curProgram_, which depends on the programs loaded.
+   * @type {number}
+   * @private
+   */
+  this.maxValidProgram_ = turing.MAX_VALID_PROGRAM_;
+
+  /**
+   * The hints used at each program in the current game, by program index, so
+   * that scoring can account for them.
+   * @type {Object.<number, Array.<turing.Hint>>}
+   * @private
+   */
+  this.hints_ = {};
 };
 
 
@@ -80,12 +119,75 @@ turing.GameState.prototype.setCurProgram = function(curProgram) {
 };
 
 
+/**
+ * Sets the maximum valid value for the current program, e.g. after a level
+ * pack has been loaded. If the current program is past it, starts from the
+ * first program.
+ * @param {number} maxValidProgram The index of the last program.
+ */
+turing.GameState.prototype.setMaxValidProgram = function(maxValidProgram) {
+  this.maxValidProgram_ = maxValidProgram;
+  if (this.curProgram_ > maxValidProgram) {
+    this.curProgram_ = turing.MIN_VALID_PROGRAM_;
+  }
+};
+
+
+/**
+ * Records that a hint was given at a program. Each hint is only recorded once
+ * per program.
+ * @param {number} program The index of the program.
+ * @param {turing.Hint} hint The hint.
+ */
+turing.GameState.prototype.recordHint = function(program, hint) {
+  var hints = this.hints_[program] = this.hints_[program] || [];
+  if (hints.indexOf(hint) == -1) {
+    hints.push(hint);
+    this.save();
+  }
+};
+
+
+/**
+ * @param {number} program The index of a program.
+ * @return {Array.<turing.Hint>} The hints given at the program in the current
+ *     game, in the order they were given.
+ */
+turing.GameState.prototype.getHints = function(program) {
+  return (this.hints_[program] || []).slice(0);
+};
+
+
+/**
+ * @return {number} How many hints were given in the current game, over all
+ *     programs.
+ */
+turing.GameState.prototype.getNumHints = function() {
+  var numHints = 0;
+  for (var program in this.hints_) {
+    numHints += this.hints_[program].length;
+  }
+  return numHints;
+};
+
+
+/**
+ * Forgets the hints given, e.g. when a new game starts.
+ */
+turing.GameState.prototype.clearHints = function() {
+  this.hints_ = {};
+  this.save();
+};
+
+
 /**
  * Saves state using localStorage.
  */
 turing.GameState.prototype.save = function() {
   if (window.localStorage && window.localStorage.setItem) {
     window.localStorage.setItem(turing.CUR_PROGRAM_KEY_, this.curProgram_);
+    window.localStorage.setItem(turing.HINTS_KEY_,
+        JSON.stringify(this.hints_));
   }
 };
 
@@ -98,9 +200,23 @@ turing.GameState.prototype.restore = function() {
     this.curProgram_ = parseInt(
         window.localStorage[turing.CUR_PROGRAM_KEY_], 10) || 0;  // NaN -> 0.
     if (this.curProgram_ < turing.MIN_VALID_PROGRAM_ ||
-        this.curProgram_ > turing.MAX_VALID_PROGRAM_) {
+        this.curProgram_ > this.maxValidProgram_) {
       // If curProgram_ is corrupted, start from the first program.
       this.curProgram_ = turing.MIN_VALID_PROGRAM_;
     }
   }
+  if (window.localStorage && window.localStorage[turing.HINTS_KEY_]) {
+    var hints = null;
+    try {
+      hints = JSON.parse(window.localStorage[turing.HINTS_KEY_]);
+    } catch (e) {
+      // If the hints are corrupted, forget them.
+    }
+    this.hints_ = {};
+    for (var program in hints) {
+      if (Array.isArray(hints[program])) {
+        this.hints_[program] = hints[program];
+      }
+    }
+  }
 };
@@ -0,0 +1,360 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Makes up puzzles. A random program is run on a random tape to
+ * find out what it does, which becomes the level's goal, and then some of the
+ * ops it ran are changed for the player to put right. Levels the verifier
+ * doesn't pass, or which the solver finds more than one solution to, are
+ * thrown away and another is tried. The same seed and difficulty always make
+ * the same level, so levels can be shared by their seed:
+ *
+ *   var turing = require('./tools/headless.js');
+ *   var level = turing.generator.generate(42,
+ *       turing.generator.Difficulty.MEDIUM);
+ *   level.tracks;  // The ops in turing.assemble_'s notation.
+ *   level.program;  // A turing.ProgramDef, like turing.PROGRAMS entries.
+ */
+
+goog.provide('turing.generator');
+
+goog.require('turing.Machine');
+goog.require('turing.Random');
+goog.require('turing.level');
+goog.require('turing.levelpack');
+goog.require('turing.notation');
+goog.require('turing.solver');
+
+
+/**
+ * How hard a level is.
+ * @enum {string}
+ */
+turing.generator.Difficulty = {
+  // A single track of moves and prints, with one op to correct.
+  EASY: 'easy',
+  // Branches and loops over both tracks, with two ops to correct.
+  MEDIUM: 'medium',
+  // Longer runs over both tracks, with three ops to correct.
+  HARD: 'hard'
+};
+
+
+/**
+ * What a difficulty makes.
+ * - numTracks: How many tracks the program may use.
+ * - minOps, maxOps: How many op positions the first track uses.
+ * - minSteps: The fewest steps the solution may take.
+ * - numCorrections: How many ops the player must correct.
+ * - trackOps: The ops to draw from for each track. Branches only go down
+ *   from the first track and up from the second, since others would jump off
+ *   the program.
+ * @typedef {{numTracks: number, minOps: number, maxOps: number,
+ *            minSteps: number, numCorrections: number,
+ *            trackOps: Array.<Array.<string>>}}
+ * @private
+ */
+turing.generator.Tier_;
+
+
+/**
+ * Each difficulty's tier.
+ * @type {Object.<turing.generator.Difficulty, turing.generator.Tier_>}
+ * @const
+ * @private
+ */
+turing.generator.TIERS_ = {
+  'easy': {
+    numTracks: 1,
+    minOps: 4,
+    maxOps: 6,
+    minSteps: 4,
+    numCorrections: 1,
+    trackOps: [['L', 'R', '0', '1']]
+  },
+  'medium': {
+    numTracks: 2,
+    minOps: 4,
+    maxOps: 7,
+    minSteps: 8,
+    numCorrections: 2,
+    trackOps: [['L', 'R', '0', '1', 'D0', 'D1', 'D_', 'B2', 'B3'],
+               ['', 'L', 'R', '0', '1', 'U0', 'U1', 'U_', 'B2']]
+  },
+  'hard': {
+    numTracks: 2,
+    minOps: 5,
+    maxOps: 8,
+    minSteps: 15,
+    numCorrections: 3,
+    trackOps: [['L', 'R', '0', '1', 'D0', 'D1', 'D_', 'B2', 'B3', 'B4'],
+               ['', 'L', 'R', '0', '1', 'U0', 'U1', 'U_', 'B2', 'B3']]
+  }
+};
+
+
+/**
+ * The grid levels are played on, as in the game's normal mode, and their
+ * symbols.
+ * @type {turing.notation.Limits}
+ * @const
+ * @private
+ */
+turing.generator.LIMITS_ = {
+  numTracks: turing.levelpack.GAME_LIMITS.numTracks,
+  numOpsPerTrack: turing.levelpack.GAME_LIMITS.numOpsPerTrack,
+  alphabet: turing.levelpack.GAME_LIMITS.defaultAlphabet,
+  numTapes: 1
+};
+
+
+/**
+ * How long tapes and goals are, to fill the number plate.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.generator.TAPE_LENGTH_ = 5;
+
+
+/**
+ * The most steps a generated program may run: no more than the game lets a
+ * level's program run, so that generated levels don't need a stepLimit.
+ * Giving up early on programs which never halt also makes trying them quick.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.generator.MAX_STEPS_ = turing.GAME_PROGRAM_STEP_LIMIT;
+
+
+/**
+ * How many programs to try before giving up. Hard levels can take over ten
+ * thousand.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.generator.MAX_ATTEMPTS_ = 100000;
+
+
+/**
+ * A made up level.
+ * - program: The level, like a turing.PROGRAMS entry. It has no
+ *   logoLetterIndex, which depends on where it is played.
+ * - tracks: Its ops in turing.assemble_'s notation, for level packs.
+ * - seed, difficulty: What it was made from.
+ * @typedef {{program: turing.ProgramDef, tracks: Array.<string>,
+ *            seed: number, difficulty: turing.generator.Difficulty}}
+ */
+turing.generator.Level;
+
+
+/**
+ * Makes up a level.
+ * @param {number} seed Any integer.
+ * @param {turing.generator.Difficulty} difficulty How hard the level is.
+ * @return {turing.generator.Level} The level.
+ */
+turing.generator.generate = function(seed, difficulty) {
+  var tier = turing.generator.TIERS_[difficulty];
+  if (!tier) {
+    throw new Error('Unknown difficulty ' + JSON.stringify(difficulty));
+  }
+  var random = new turing.Random(seed);
+  for (var i = 0; i < turing.generator.MAX_ATTEMPTS_; i++) {
+    var made = turing.generator.tryGenerate_(random, tier);
+    if (made) {
+      return {
+        program: made.program,
+        tracks: made.tracks,
+        seed: seed,
+        difficulty: difficulty
+      };
+    }
+  }
+  throw new Error('No ' + difficulty + ' level found for seed ' + seed);
+};
+
+
+/**
+ * Draws a program and tape, and makes a level of them if they're any good.
+ * @param {turing.Random} random Draws the program and tape.
+ * @param {turing.generator.Tier_} tier What to make.
+ * @return {?{program: turing.ProgramDef, tracks: Array.<string>}} The level
+ *     and its ops in turing.assemble_'s notation, or null if they're no good.
+ * @private
+ */
+turing.generator.tryGenerate_ = function(random, tier) {
+  var numOps = random.nextInt(tier.minOps, tier.maxOps);
+  var trackOps = [];
+  for (var i = 0; i < tier.numTracks; i++) {
+    var ops = [];
+    for (var j = 0; j < numOps; j++) {
+      var choices = tier.trackOps[i];
+      var op = choices[random.nextInt(0, choices.length - 1)];
+      // Loops can't branch back past the start of the track.
+      ops.push(/^B/.test(op) && parseInt(op.charAt(1), 10) > j ? '' : op);
+    }
+    trackOps.push(ops);
+  }
+  var tape = random.nextString('01_', turing.generator.TAPE_LENGTH_,
+      turing.generator.TAPE_LENGTH_);
+  var run = turing.generator.run_(trackOps, tape);
+  if (!run || run.steps < tier.minSteps || run.goal == tape ||
+      run.goal.length != turing.generator.TAPE_LENGTH_ ||
+      run.goal.indexOf('_') != -1) {
+    return null;
+  }
+  // Ops which never run would only be clutter.
+  var ran = [];
+  for (var i = 0; i < trackOps.length; i++) {
+    for (var j = 0; j < trackOps[i].length; j++) {
+      if (run.ran[i + ',' + j]) {
+        ran.push({track: i, pos: j});
+      } else {
+        trackOps[i][j] = '';
+      }
+    }
+  }
+  var incorrectOps = turing.generator.corrupt_(random, trackOps, ran,
+      tier.numCorrections);
+  if (!incorrectOps) {
+    return null;
+  }
+  var tracks = turing.generator.formatTracks_(trackOps, incorrectOps);
+  var parsed = turing.notation.parse(tracks, turing.generator.LIMITS_);
+  if (parsed.errors.length) {
+    return null;
+  }
+  var program = {tape: tape, goal: run.goal, ops: parsed.ops, highlight: 'y'};
+  // The starting ops mustn't already solve the level, and only the intended
+  // corrections may.
+  if (!turing.level.verify(program,
+      turing.generator.LIMITS_.numOpsPerTrack).ok) {
+    return null;
+  }
+  var result = turing.solver.solve(turing.solver.createRequest(program,
+      turing.generator.LIMITS_.numOpsPerTrack,
+      turing.generator.LIMITS_.alphabet));
+  if (result.solutions.length != 1) {
+    return null;
+  }
+  return {program: program, tracks: tracks};
+};
+
+
+/**
+ * Runs a program.
+ * @param {Array.<Array.<string>>} trackOps The program's ops.
+ * @param {string} tape The tape to run it on.
+ * @return {?{goal: string, steps: number, ran: Object.<string, boolean>}} What
+ *     the program left on the tape, how many steps it took, and the ops it ran
+ *     as 'track,pos' keys, or null if it didn't halt within
+ *     turing.generator.MAX_STEPS_.
+ * @private
+ */
+turing.generator.run_ = function(trackOps, tape) {
+  var machine = new turing.Machine(trackOps,
+      turing.generator.LIMITS_.numOpsPerTrack);
+  machine.setTapeString(tape);
+  var ran = {};
+  var steps = 0;
+  while (!machine.isHalted()) {
+    if (steps == turing.generator.MAX_STEPS_) {
+      return null;
+    }
+    var record = machine.step();
+    ran[record.track + ',' + record.trackPos] = true;
+    steps++;
+  }
+  // Like the game's goals, the goal starts at the tape's first symbol, so
+  // programs which write before the start of the tape are no good.
+  if (machine.getTapeStart() != 0) {
+    return null;
+  }
+  return {goal: machine.getTapeString(), steps: steps, ran: ran};
+};
+
+
+/**
+ * Changes some of the ops a program ran into others from their cycles.
+ * @param {turing.Random} random Draws which ops to change, and to what.
+ * @param {Array.<Array.<string>>} trackOps The program's ops.
+ * @param {Array.<{track: number, pos: number}>} ran The ops it ran.
+ * @param {number} numCorrections How many ops to change.
+ * @return {Array.<Array.<string>>} The changed ops, or null if the program
+ *     didn't run enough ops which can be changed.
+ * @private
+ */
+turing.generator.corrupt_ = function(random, trackOps, ran, numCorrections) {
+  var candidates = [];
+  for (var i = 0; i < ran.length; i++) {
+    var op = trackOps[ran[i].track][ran[i].pos];
+    if (op && turing.notation.getCycleGroup(op,
+        turing.generator.LIMITS_.alphabet)) {
+      candidates.push(ran[i]);
+    }
+  }
+  if (candidates.length < numCorrections) {
+    return null;
+  }
+  var incorrectOps = [];
+  for (var i = 0; i < trackOps.length; i++) {
+    incorrectOps.push(trackOps[i].slice(0));
+  }
+  for (var i = 0; i < numCorrections; i++) {
+    var chosen = candidates.splice(
+        random.nextInt(0, candidates.length - 1), 1)[0];
+    var correct = trackOps[chosen.track][chosen.pos];
+    var group = turing.notation.getCycleGroup(correct,
+        turing.generator.LIMITS_.alphabet);
+    // Any op in the cycle but the correct one.
+    var index = group.indexOf(correct);
+    incorrectOps[chosen.track][chosen.pos] =
+        group[(index + random.nextInt(1, group.length - 1)) % group.length];
+  }
+  return incorrectOps;
+};
+
+
+/**
+ * Writes a level's ops in turing.assemble_'s notation.
+ * @param {Array.<Array.<string>>} correctOps The ops which solve the level.
+ * @param {Array.<Array.<string>>} incorrectOps The ops the player starts
+ *     with.
+ * @return {Array.<string>} A string for each track, with no trailing no-ops.
+ * @private
+ */
+turing.generator.formatTracks_ = function(correctOps, incorrectOps) {
+  var tracks = [];
+  for (var i = 0; i < correctOps.length; i++) {
+    var tokens = [];
+    for (var j = 0; j < correctOps[i].length; j++) {
+      var correct = correctOps[i][j];
+      var incorrect = incorrectOps[i][j];
+      tokens.push(correct == incorrect ? correct || '.' :
+          incorrect + '(' + correct + ')');
+    }
+    while (tokens.length && tokens[tokens.length - 1] == '.') {
+      tokens.pop();
+    }
+    tracks.push(tokens.join(' '));
+  }
+  // The last track may have been left empty by removing ops which never ran.
+  while (tracks.length > 1 && !tracks[tracks.length - 1]) {
+    tracks.pop();
+  }
+  return tracks;
+};
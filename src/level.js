@@ -0,0 +1,354 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview What it takes to solve a level, and a verifier which checks
+ * without a browser that each level's solution solves it and its starting
+ * program doesn't:
+ *
+ *   var turing = require('./tools/headless.js');
+ *   var report = turing.level.verify(program, 8);
+ *   turing.level.formatReport(report, 'level 1');
+ *   // 'level 1: ok, correct ops solve it in 7 steps, incorrect ops fail case
+ *   // 1 (wrongTape) after 9 steps'
+ */
+
+goog.provide('turing.level');
+
+goog.require('turing.Machine');
+goog.require('turing.property');
+goog.require('turing.trace');
+
+
+/**
+ * The maximum number of steps a game program can run, unless its level sets
+ * its own stepLimit. This should be just high enough so that all halting
+ * programs can run fully, but low enough so that users don't get bored waiting
+ * for a program which wanders off along the tape. Programs which loop forever
+ * are usually stopped sooner, as soon as the simulator spots the loop.
+ * @type {number}
+ * @const
+ */
+turing.GAME_PROGRAM_STEP_LIMIT = 40;
+
+
+/**
+ * Why the user failed a level.
+ * @enum {string}
+ */
+turing.FailReason = {
+  // The program halted, but the tape didn't match the goal.
+  WRONG_TAPE: 'wrongTape',
+  // The program halted, but didn't accept or reject the tape as it should.
+  WRONG_VERDICT: 'wrongVerdict',
+  // The tape matched the goal, but the head finished in the wrong place.
+  WRONG_HEAD_POS: 'wrongHeadPos',
+  // The program would never halt.
+  LOOPS_FOREVER: 'loopsForever',
+  // The program ran for more steps than its level allows.
+  TOO_MANY_STEPS: 'tooManySteps'
+};
+
+
+/**
+ * How a program's goal is lined up against the tape it checks.
+ * @enum {string}
+ */
+turing.CompareMode = {
+  // The goal starts at the first symbol on the tape, so blanks before it are
+  // ignored.
+  TRIM: 'trim',
+  // The goal starts where the tape's initial string did, and must have a
+  // blank ('_') wherever the tape is blank.
+  EXACT: 'exact'
+};
+
+
+/**
+ * Where a program's head must finish, besides a number of squares from the
+ * start of the goal.
+ * @enum {string}
+ */
+turing.HeadGoal = {
+  // On the goal's first symbol.
+  FIRST: 'first',
+  // On the goal's last symbol.
+  LAST: 'last'
+};
+
+
+/**
+ * @param {turing.ProgramDef} program A program.
+ * @return {Array.<turing.LevelCase>} The program's cases, in the order they
+ *     are checked.
+ */
+turing.level.getCases = function(program) {
+  if (program.property) {
+    return turing.property.generateCases(program.property);
+  }
+  return [program].concat(program.cases || []);
+};
+
+
+/**
+ * @param {turing.HeadGoal|number} head Where a program's head must finish.
+ * @param {string} goal The program's goal.
+ * @return {number} How many squares from the start of the goal the head must
+ *     finish. A goal with no symbols has no first or last one, so the head
+ *     must finish where the goal starts.
+ */
+turing.level.getHeadGoalOffset = function(head, goal) {
+  if (head != turing.HeadGoal.FIRST && head != turing.HeadGoal.LAST) {
+    return /** @type {number} */(head);
+  }
+  var first = -1;
+  var last = -1;
+  for (var i = 0; i < goal.length; i++) {
+    if (!turing.isBlank(goal.charAt(i))) {
+      first = first == -1 ? i : first;
+      last = i;
+    }
+  }
+  return Math.max(0, head == turing.HeadGoal.FIRST ? first : last);
+};
+
+
+/**
+ * How one version of a level's ops did.
+ * - solves: True iff every case passed.
+ * - steps: The number of steps run on each case tried. Cases after the first
+ *   one to fail aren't tried.
+ * - failedCase: The case which failed, counting from 0, or -1 if none did.
+ * - reason: Why that case failed, or null if none did.
+ * @typedef {{solves: boolean, steps: Array.<number>, failedCase: number,
+ *            reason: ?turing.FailReason}}
+ */
+turing.level.OpsReport;
+
+
+/**
+ * How a level's ops did. The level is ok iff its correct ops solve it and its
+ * incorrect ops, which the player starts with, don't. Levels with nothing to
+ * correct, like the Konami code level, are meant to start out solved, so only
+ * their correct ops are checked.
+ * @typedef {{ok: boolean, hasCorrections: boolean,
+ *            correct: turing.level.OpsReport,
+ *            incorrect: turing.level.OpsReport}}
+ */
+turing.level.Report;
+
+
+/**
+ * Checks an output tape the way turing.checkNextSquare_ does: the goal must
+ * match square by square from the origin, with blanks matching blanks however
+ * they are written, until both run out.
+ * @param {turing.Machine} machine A halted machine.
+ * @param {number} tape The tape to check.
+ * @param {number} origin The position the goal starts at.
+ * @param {string} goal The goal.
+ * @return {boolean} True iff the tape matches the goal.
+ * @private
+ */
+turing.level.matchesGoal_ = function(machine, tape, origin, goal) {
+  var str = machine.getTapeString(tape);
+  var end = str ? machine.getTapeStart(tape) + str.length : origin;
+  for (var i = 0; i < Math.max(goal.length, end - origin); i++) {
+    var symbol = machine.getSymbol(origin + i, tape);
+    var goalSymbol = goal.charAt(i);
+    if (symbol != goalSymbol &&
+        !(turing.isBlank(symbol) && turing.isBlank(goalSymbol))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * @param {Array.<Array.<string>>} trackOps A program's ops.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ * @param {turing.LevelCase} levelCase A case.
+ * @return {turing.Machine} A machine to run the program on the case's tapes.
+ * @private
+ */
+turing.level.createMachine_ = function(trackOps, numOpsPerTrack, levelCase) {
+  var extraTapes = levelCase.extraTapes || [];
+  var machine = new turing.Machine(trackOps, numOpsPerTrack,
+      1 + extraTapes.length);
+  machine.setTapeString(levelCase.tape);
+  for (var i = 0; i < extraTapes.length; i++) {
+    machine.setTapeString(extraTapes[i], i + 1);
+  }
+  return machine;
+};
+
+
+/**
+ * Runs a program on one case, as the game does.
+ * @param {Array.<Array.<string>>} trackOps The program's ops.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ * @param {turing.ProgramDef} program The level.
+ * @param {turing.LevelCase} levelCase The case.
+ * @return {{steps: number, reason: ?turing.FailReason}} How many steps the
+ *     program ran, and why the case failed, or null if it passed.
+ * @private
+ */
+turing.level.runCase_ = function(trackOps, numOpsPerTrack, program,
+    levelCase) {
+  var machine = turing.level.createMachine_(trackOps, numOpsPerTrack,
+      levelCase);
+  // Like turing.Simulator, allow the step limit and one more, and check for
+  // loops before each step.
+  var stepLimit = program.stepLimit || turing.GAME_PROGRAM_STEP_LIMIT;
+  var loopDetector = new turing.LoopDetector();
+  var steps = 0;
+  while (!machine.isHalted()) {
+    if (steps > stepLimit) {
+      return {steps: steps, reason: turing.FailReason.TOO_MANY_STEPS};
+    }
+    if (loopDetector.check(machine)) {
+      return {steps: steps, reason: turing.FailReason.LOOPS_FOREVER};
+    }
+    machine.step();
+    steps++;
+  }
+  if (levelCase.verdict) {
+    return {steps: steps, reason: machine.getVerdict() == levelCase.verdict ?
+        null : turing.FailReason.WRONG_VERDICT};
+  }
+  var tape = program.outputTape || 0;
+  var origin = program.compare == turing.CompareMode.EXACT ? 0 :
+      machine.getTapeStart(tape);
+  if (!turing.level.matchesGoal_(machine, tape, origin, levelCase.goal)) {
+    return {steps: steps, reason: turing.FailReason.WRONG_TAPE};
+  }
+  if (program.head != null && machine.getHeadPos(tape) - origin !=
+      turing.level.getHeadGoalOffset(program.head, levelCase.goal)) {
+    return {steps: steps, reason: turing.FailReason.WRONG_HEAD_POS};
+  }
+  return {steps: steps, reason: null};
+};
+
+
+/**
+ * Traces a program's run on one case, as the game would run it, e.g. to
+ * compare the player's run with the level's solution (see
+ * turing.trace.findDivergence).
+ * @param {Array.<Array.<string>>} trackOps The program's ops.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ * @param {turing.ProgramDef} program The level.
+ * @param {turing.LevelCase} levelCase The case.
+ * @return {turing.Trace} The trace.
+ */
+turing.level.traceCase = function(trackOps, numOpsPerTrack, program,
+    levelCase) {
+  return turing.trace.record(
+      turing.level.createMachine_(trackOps, numOpsPerTrack, levelCase),
+      program.stepLimit || turing.GAME_PROGRAM_STEP_LIMIT);
+};
+
+
+/**
+ * Runs a program on each of a level's cases in turn, until one fails.
+ * @param {Array.<Array.<string>>} trackOps The program's ops.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ * @param {turing.ProgramDef} program The level.
+ * @param {Array.<turing.LevelCase>} cases The level's cases.
+ * @return {turing.level.OpsReport} How the program did.
+ */
+turing.level.verifyOps = function(trackOps, numOpsPerTrack, program,
+    cases) {
+  var report = {solves: true, steps: [], failedCase: -1, reason: null};
+  for (var i = 0; i < cases.length; i++) {
+    var result = turing.level.runCase_(trackOps, numOpsPerTrack, program,
+        cases[i]);
+    report.steps.push(result.steps);
+    if (result.reason) {
+      report.solves = false;
+      report.failedCase = i;
+      report.reason = result.reason;
+      break;
+    }
+  }
+  return report;
+};
+
+
+/**
+ * @param {Object.<string, Array.<Array.<string>>>} ops A level's correct and
+ *     incorrect ops.
+ * @return {boolean} True iff any op must be changed to solve the level.
+ * @private
+ */
+turing.level.hasCorrections_ = function(ops) {
+  for (var i = 0; i < ops.correct.length; i++) {
+    for (var j = 0; j < ops.correct[i].length; j++) {
+      // /^\*/ matches the clickable marker.
+      if (ops.correct[i][j] != ops.incorrect[i][j].replace(/^\*/, '')) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Checks that a level's correct ops solve it and its incorrect ops don't.
+ * @param {turing.ProgramDef} program The level.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ * @return {turing.level.Report} How each version of the ops did.
+ */
+turing.level.verify = function(program, numOpsPerTrack) {
+  var cases = turing.level.getCases(program);
+  var correct = turing.level.verifyOps(program.ops.correct, numOpsPerTrack,
+      program, cases);
+  var incorrect = turing.level.verifyOps(program.ops.incorrect,
+      numOpsPerTrack, program, cases);
+  var hasCorrections = turing.level.hasCorrections_(program.ops);
+  return {
+    ok: correct.solves && !(hasCorrections && incorrect.solves),
+    hasCorrections: hasCorrections,
+    correct: correct,
+    incorrect: incorrect
+  };
+};
+
+
+/**
+ * @param {turing.level.OpsReport} report How a version of a level's ops did.
+ * @return {string} What happened, e.g. 'solve it in 7+9 steps'.
+ * @private
+ */
+turing.level.formatOpsReport_ = function(report) {
+  var steps = report.steps.join('+') +
+      (report.steps.join('+') == '1' ? ' step' : ' steps');
+  return report.solves ? 'solve it in ' + steps :
+      'fail case ' + (report.failedCase + 1) + ' (' + report.reason +
+      ') after ' + steps;
+};
+
+
+/**
+ * @param {turing.level.Report} report How a level's ops did.
+ * @param {string} name What to call the level.
+ * @return {string} The report as a line of text.
+ */
+turing.level.formatReport = function(report, name) {
+  return name + ': ' + (report.ok ? 'ok' : 'BROKEN') + ', correct ops ' +
+      turing.level.formatOpsReport_(report.correct) +
+      (report.hasCorrections ? ', incorrect ops ' +
+      turing.level.formatOpsReport_(report.incorrect) :
+      ', nothing to correct');
+};
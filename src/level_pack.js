@@ -0,0 +1,517 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Level packs: sets of levels written as JSON, which replace the
+ * built-in programs. A pack looks like:
+ *
+ *   {
+ *     "version": 1,
+ *     "demo": {"tape": "", "goal": "", "ops": ["D0 D_ 0 L B4", ". 1 R U_ B2"]},
+ *     "levels": [
+ *       {"tape": "00010", "goal": "01011", "ops": ["L 0(1) R R R 0(1)"],
+ *        "tutorial": true, "logoLetterIndex": 0, "highlight": "b"},
+ *       ...
+ *     ],
+ *     "bonus": ["1 . D1", "R U _", "U . B2"]
+ *   }
+ *
+ * ops give each track in turing.assemble_'s notation (see src/notation.js),
+ * and mistakes in them are reported by line and column. Levels may also have
+ * any of the optional turing.ProgramDef fields which can be written as JSON.
+ * Each game works through levels lighting logo letters 0 up to the last, so
+ * the levels must run through the letters in order, one game after another.
+ * demo and bonus are optional.
+ */
+
+goog.provide('turing.levelpack');
+
+goog.require('turing.Machine');
+goog.require('turing.level');
+goog.require('turing.notation');
+
+
+/**
+ * The version of the level pack format read by this code.
+ * @type {number}
+ * @const
+ */
+turing.levelpack.VERSION = 1;
+
+
+/**
+ * What levels in a pack must fit into.
+ * - numTracks: The most tracks a program may have.
+ * - numOpsPerTrack: The most ops a track may have.
+ * - numBonusTracks, numBonusOpsPerTrack: The same, for the bonus program.
+ * - numLetters: How many letters the logo has.
+ * - defaultAlphabet: The symbols besides blank of levels without an alphabet.
+ * @typedef {{numTracks: number, numOpsPerTrack: number,
+ *            numBonusTracks: number, numBonusOpsPerTrack: number,
+ *            numLetters: number, defaultAlphabet: Array.<string>}}
+ */
+turing.levelpack.Limits;
+
+
+/**
+ * What the game's levels must fit into: the program board in each mode, and
+ * the letters of the logo (turing.LOGO_LETTERS). Level packs are checked
+ * against these both in the game and by the tools.
+ * @type {turing.levelpack.Limits}
+ * @const
+ */
+turing.levelpack.GAME_LIMITS = {
+  numTracks: 2,
+  numOpsPerTrack: 8,
+  numBonusTracks: 3,
+  numBonusOpsPerTrack: 13,
+  numLetters: 6,
+  defaultAlphabet: ['0', '1']
+};
+
+
+/**
+ * Checks each field a level may have, by name. Each returns an error message
+ * for a bad value, or '' if the value is fine.
+ * @type {Object.<string,
+ *     function(*, Object, turing.levelpack.Limits): string>}
+ * @const
+ * @private
+ */
+turing.levelpack.FIELD_CHECKS_ = {
+  'tape': function(value, level, limits) {
+    return turing.levelpack.checkTape_(value, level, limits);
+  },
+  'goal': function(value, level, limits) {
+    return turing.levelpack.checkTape_(value, level, limits);
+  },
+  'ops': function(value) {
+    // The ops themselves are checked by turing.notation.parse.
+    return turing.levelpack.isArrayOf_(value, 'string') && value.length ? '' :
+        'must be a non-empty array of track strings';
+  },
+  'tutorial': function(value) {
+    return typeof value == 'boolean' ? '' : 'must be true or false';
+  },
+  'stepLimit': function(value) {
+    return turing.levelpack.isCount_(value) && value > 0 ? '' :
+        'must be a positive whole number';
+  },
+  'highlight': function(value) {
+    // The op highlight colors which turing.setOpHighlightColor accepts.
+    return /^[bryg]$/.test(String(value)) ? '' :
+        'must be one of "b", "r", "y" or "g"';
+  },
+  'logoLetterIndex': function(value, level, limits) {
+    return turing.levelpack.isCount_(value) && value < limits.numLetters ?
+        '' : 'must be a whole number below ' + limits.numLetters;
+  },
+  'alphabet': function(value) {
+    if (!turing.levelpack.isArrayOf_(value, 'string') || !value.length) {
+      return 'must be a non-empty array of symbols';
+    }
+    for (var i = 0; i < value.length; i++) {
+      if (!turing.isValidSymbol(value[i])) {
+        return JSON.stringify(value[i]) + ' is not a valid symbol';
+      }
+    }
+    return '';
+  },
+  'extraTapes': function(value, level, limits) {
+    if (!turing.levelpack.isArrayOf_(value, 'string')) {
+      return 'must be an array of strings';
+    }
+    for (var i = 0; i < value.length; i++) {
+      var error = turing.levelpack.checkTape_(value[i], level, limits);
+      if (error) {
+        return 'tape ' + (i + 1) + ' ' + error;
+      }
+    }
+    return '';
+  },
+  'outputTape': function(value, level) {
+    return turing.levelpack.isCount_(value) &&
+        value <= (level['extraTapes'] || []).length ? '' :
+        'must be the number of one of the level\'s tapes';
+  },
+  'verdict': function(value, level) {
+    if (!turing.levelpack.isEnumValue_(value, turing.Verdict)) {
+      return 'must be ' + turing.levelpack.formatEnumValues_(turing.Verdict);
+    }
+    // The tape isn't checked, so a goal could never be met.
+    return level['goal'] ? 'needs an empty goal' : '';
+  },
+  'cases': function(value, level, limits) {
+    if (!turing.levelpack.isArray_(value)) {
+      return 'must be an array of cases';
+    }
+    for (var i = 0; i < value.length; i++) {
+      var levelCase = value[i];
+      if (!levelCase || typeof levelCase != 'object') {
+        return 'case ' + i + ' must be an object';
+      }
+      for (var name in levelCase) {
+        if (!/^(tape|goal|extraTapes|verdict)$/.test(name)) {
+          return 'case ' + i + ' has unknown field ' + JSON.stringify(name);
+        }
+      }
+      var error = turing.levelpack.checkTape_(levelCase['tape'], level,
+          limits) || turing.levelpack.checkTape_(levelCase['goal'], level,
+          limits);
+      if (error) {
+        return 'case ' + i + ' tape or goal ' + error;
+      }
+      // A case's extra tapes use the level's alphabet, but its verdict goes
+      // with its own goal.
+      if ('extraTapes' in levelCase) {
+        error = turing.levelpack.FIELD_CHECKS_['extraTapes'](
+            levelCase['extraTapes'], level, limits);
+        if (error) {
+          return 'case ' + i + ' extraTapes ' + error;
+        }
+      }
+      if ('verdict' in levelCase) {
+        error = turing.levelpack.FIELD_CHECKS_['verdict'](
+            levelCase['verdict'], levelCase, limits);
+        if (error) {
+          return 'case ' + i + ' verdict ' + error;
+        }
+      }
+    }
+    return '';
+  },
+  'compare': function(value) {
+    return turing.levelpack.isEnumValue_(value, turing.CompareMode) ? '' :
+        'must be ' + turing.levelpack.formatEnumValues_(turing.CompareMode);
+  },
+  'head': function(value, level) {
+    if (turing.levelpack.isCount_(value)) {
+      return '';
+    }
+    if (!turing.levelpack.isEnumValue_(value, turing.HeadGoal)) {
+      return 'must be ' + turing.levelpack.formatEnumValues_(turing.HeadGoal) +
+          ', or a whole number';
+    }
+    // A goal of only blanks has no first or last symbol to finish on.
+    var goals = [level['goal']];
+    var cases = turing.levelpack.isArray_(level['cases']) ? level['cases'] : [];
+    for (var i = 0; i < cases.length; i++) {
+      goals.push(cases[i] && cases[i]['goal']);
+    }
+    for (i = 0; i < goals.length; i++) {
+      if (typeof goals[i] == 'string' &&
+          !turing.levelpack.hasSymbol_(goals[i])) {
+        return 'needs a symbol to finish on in ' +
+            (i ? 'case ' + (i - 1) + '\'s goal' : 'the goal');
+      }
+    }
+    return '';
+  }
+};
+
+
+/**
+ * @param {string} tape A tape or goal.
+ * @return {boolean} True iff it has a symbol other than blank.
+ * @private
+ */
+turing.levelpack.hasSymbol_ = function(tape) {
+  for (var i = 0; i < tape.length; i++) {
+    if (!turing.isBlank(tape.charAt(i))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * @param {*} value Anything.
+ * @return {boolean} True iff value is an array, even one made in another
+ *     window or context, where instanceof Array doesn't work.
+ * @private
+ */
+turing.levelpack.isArray_ = function(value) {
+  return Object.prototype.toString.call(value) == '[object Array]';
+};
+
+
+/**
+ * @param {*} value Anything.
+ * @param {string} type A typeof result.
+ * @return {boolean} True iff value is an array of that type.
+ * @private
+ */
+turing.levelpack.isArrayOf_ = function(value, type) {
+  if (!turing.levelpack.isArray_(value)) {
+    return false;
+  }
+  for (var i = 0; i < value.length; i++) {
+    if (typeof value[i] != type) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * @param {*} value Anything.
+ * @param {Object.<string, string>} enumObj A string enum, e.g.
+ *     turing.CompareMode.
+ * @return {boolean} True iff value is one of the enum's values.
+ * @private
+ */
+turing.levelpack.isEnumValue_ = function(value, enumObj) {
+  for (var key in enumObj) {
+    if (enumObj[key] === value) {
+      return true;
+    }
+  }
+  return false;
+};
+
+
+/**
+ * @param {Object.<string, string>} enumObj A string enum.
+ * @return {string} The enum's values, quoted, for error messages, e.g.
+ *     '"trim" or "exact"'.
+ * @private
+ */
+turing.levelpack.formatEnumValues_ = function(enumObj) {
+  var values = [];
+  for (var key in enumObj) {
+    values.push(JSON.stringify(enumObj[key]));
+  }
+  return values.slice(0, -1).join(', ') + ' or ' + values[values.length - 1];
+};
+
+
+/**
+ * @param {*} value Anything.
+ * @return {boolean} True iff value is a whole number, 0 or more.
+ * @private
+ */
+turing.levelpack.isCount_ = function(value) {
+  return typeof value == 'number' && value >= 0 && value % 1 == 0;
+};
+
+
+/**
+ * @param {*} value A tape or goal.
+ * @param {Object} level The level it belongs to.
+ * @param {turing.levelpack.Limits} limits What the level must fit into.
+ * @return {string} An error message, or '' if it is a string of the level's
+ *     symbols and blanks.
+ * @private
+ */
+turing.levelpack.checkTape_ = function(value, level, limits) {
+  if (typeof value != 'string') {
+    return 'must be a string';
+  }
+  var alphabet = level['alphabet'] || limits.defaultAlphabet;
+  for (var i = 0; i < value.length; i++) {
+    var symbol = value.charAt(i);
+    if (!turing.isBlank(symbol) && alphabet.indexOf(symbol) == -1) {
+      return 'has ' + JSON.stringify(symbol) + ', which is not in the ' +
+          'level\'s alphabet';
+    }
+  }
+  return '';
+};
+
+
+/**
+ * Checks one level of a pack.
+ * @param {*} level The level.
+ * @param {string} path Where the level is in the pack, for error messages.
+ * @param {boolean} isDemo True iff the level is the demo, which doesn't light
+ *     a logo letter.
+ * @param {turing.levelpack.Limits} limits What the level must fit into.
+ * @param {Array.<string>} errors Where to add error messages.
+ * @private
+ */
+turing.levelpack.checkLevel_ = function(level, path, isDemo, limits, errors) {
+  if (!level || typeof level != 'object' || turing.levelpack.isArray_(level)) {
+    errors.push(path + ': must be an object');
+    return;
+  }
+  var required = isDemo ? ['tape', 'goal', 'ops'] :
+      ['tape', 'goal', 'ops', 'logoLetterIndex'];
+  for (var i = 0; i < required.length; i++) {
+    if (!(required[i] in level)) {
+      errors.push(path + ': is missing ' + required[i]);
+    }
+  }
+  var fieldErrors = {};
+  for (var name in level) {
+    var check = turing.levelpack.FIELD_CHECKS_[name];
+    var error = check ? check(level[name], level, limits) : 'is not a field ' +
+        'levels can have';
+    if (error) {
+      errors.push(path + '.' + name + ': ' + error);
+      fieldErrors[name] = true;
+    }
+  }
+  if ('ops' in level && !fieldErrors['ops'] && !fieldErrors['alphabet'] &&
+      !fieldErrors['extraTapes']) {
+    var opErrors = turing.notation.parse(level['ops'],
+        turing.levelpack.getNotationLimits(level, limits)).errors;
+    for (var i = 0; i < opErrors.length; i++) {
+      errors.push(path + '.ops: ' +
+          turing.notation.formatError(opErrors[i]));
+    }
+  }
+};
+
+
+/**
+ * Gets what a level's program must fit into.
+ * @param {Object} level The level.
+ * @param {turing.levelpack.Limits} limits What the pack must fit into.
+ * @return {turing.notation.Limits} What the level's ops must fit into.
+ */
+turing.levelpack.getNotationLimits = function(level, limits) {
+  return {
+    numTracks: limits.numTracks,
+    numOpsPerTrack: limits.numOpsPerTrack,
+    alphabet: level['alphabet'] || limits.defaultAlphabet,
+    numTapes: 1 + (level['extraTapes'] || []).length
+  };
+};
+
+
+/**
+ * Gets what a pack's bonus program must fit into.
+ * @param {turing.levelpack.Limits} limits What the pack must fit into.
+ * @return {turing.notation.Limits} What the bonus program's ops must fit into.
+ */
+turing.levelpack.getBonusNotationLimits = function(limits) {
+  return {
+    numTracks: limits.numBonusTracks,
+    numOpsPerTrack: limits.numBonusOpsPerTrack,
+    alphabet: limits.defaultAlphabet,
+    numTapes: 1
+  };
+};
+
+
+/**
+ * Converts a level from a level pack into a program.
+ * @param {Object} level The level, from a pack which turing.levelpack.validate
+ *     accepts.
+ * @param {turing.levelpack.Limits} limits What the pack must fit into.
+ * @return {turing.ProgramDef} The program.
+ */
+turing.levelpack.toProgram = function(level, limits) {
+  var program = {
+    tape: level['tape'],
+    goal: level['goal'],
+    ops: turing.notation.parse(level['ops'],
+        turing.levelpack.getNotationLimits(level, limits)).ops,
+    tutorial: !!level['tutorial'],
+    logoLetterIndex: level['logoLetterIndex'],
+    // The bonus bunny needs a color, so fall back to yellow like
+    // turing.setOpHighlightColor.
+    highlight: level['highlight'] || 'y'
+  };
+  if (level['stepLimit']) {
+    program.stepLimit = level['stepLimit'];
+  }
+  if (level['alphabet']) {
+    program.alphabet = level['alphabet'];
+  }
+  if (level['extraTapes']) {
+    program.extraTapes = level['extraTapes'];
+    program.outputTape = level['outputTape'] || 0;
+  }
+  if (level['verdict']) {
+    program.verdict = level['verdict'];
+  }
+  if (level['cases']) {
+    program.cases = level['cases'];
+  }
+  if (level['compare']) {
+    program.compare = level['compare'];
+  }
+  if (level['head'] != null) {
+    program.head = level['head'];
+  }
+  return program;
+};
+
+
+/**
+ * Checks a level pack.
+ * @param {*} pack The pack, parsed from JSON.
+ * @param {turing.levelpack.Limits} limits What its levels must fit into.
+ * @return {Array.<string>} A message for each problem with the pack, saying
+ *     where it is, e.g. 'levels[3].goal: must be a string'. Empty iff the pack
+ *     can be loaded.
+ */
+turing.levelpack.validate = function(pack, limits) {
+  var errors = [];
+  if (!pack || typeof pack != 'object' || turing.levelpack.isArray_(pack)) {
+    return ['pack: must be an object'];
+  }
+  if (pack['version'] !== turing.levelpack.VERSION) {
+    errors.push('version: must be ' + turing.levelpack.VERSION);
+  }
+  for (var name in pack) {
+    if (!/^(version|name|demo|levels|bonus)$/.test(name)) {
+      errors.push(name + ': is not a field packs can have');
+    }
+  }
+  if ('demo' in pack) {
+    turing.levelpack.checkLevel_(pack['demo'], 'demo', true, limits, errors);
+  }
+  if ('bonus' in pack) {
+    if (!turing.levelpack.isArrayOf_(pack['bonus'], 'string') ||
+        !pack['bonus'].length) {
+      errors.push('bonus: must be a non-empty array of track strings');
+    } else {
+      var bonusErrors = turing.notation.parse(pack['bonus'],
+          turing.levelpack.getBonusNotationLimits(limits)).errors;
+      for (var i = 0; i < bonusErrors.length; i++) {
+        errors.push('bonus: ' + turing.notation.formatError(bonusErrors[i]));
+      }
+    }
+  }
+  var levels = pack['levels'];
+  if (!turing.levelpack.isArray_(levels) || !levels.length) {
+    errors.push('levels: must be a non-empty array');
+    return errors;
+  }
+  for (var i = 0; i < levels.length; i++) {
+    turing.levelpack.checkLevel_(levels[i], 'levels[' + i + ']', false, limits,
+        errors);
+  }
+  if (errors.length) {
+    return errors;
+  }
+  // Each game starts on the first letter and ends on the last.
+  for (var i = 0; i < levels.length; i++) {
+    var expected = i == 0 ? 0 :
+        (levels[i - 1]['logoLetterIndex'] + 1) % limits.numLetters;
+    if (levels[i]['logoLetterIndex'] != expected) {
+      errors.push('levels[' + i + '].logoLetterIndex: must be ' + expected +
+          ', so that each game lights the letters in order');
+    }
+  }
+  if (levels[levels.length - 1]['logoLetterIndex'] != limits.numLetters - 1) {
+    errors.push('levels: the last game must end by lighting letter ' +
+        (limits.numLetters - 1));
+  }
+  return errors;
+};
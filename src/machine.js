@@ -0,0 +1,823 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A headless Turing machine: program tracks, a program counter,
+ * and one or more sparse tapes each with a read/write head, with no DOM or
+ * animation. The Simulator
+ * steps one of these and renders each step with Program and Tape; it can also
+ * be loaded outside the browser (see tools/headless.js) to evaluate programs.
+ * Also a detector for machines which will never halt.
+ */
+
+goog.provide('turing.LoopDetector');
+goog.provide('turing.Machine');
+
+
+/**
+ * What happened during a single machine step.
+ * - op: The operation executed, without any '*' clickable marker.
+ * - track, trackPos: The program counter when the op was executed.
+ * - nextTrack, nextTrackPos: The program counter after the op. Only
+ *   meaningful if halted is false.
+ * - halted: True iff the op moved the program counter off the program, or
+ *   was a halt op.
+ * - tape: The tape the op addressed.
+ * - headPos: The position of that tape's head when the op was executed.
+ * - read: The symbol under that head when the op was executed.
+ * - written: The symbol printed by the op, or null if it did not print.
+ * - overwritten: The tape contents replaced by written exactly as they were
+ *   stored ('' for a never written square), or null if the op did not print.
+ * - move: How many squares the head moved: negative if left, positive if
+ *   right, else 0.
+ * @typedef {{op: string, track: number, trackPos: number, nextTrack: number,
+ *            nextTrackPos: number, halted: boolean, tape: number,
+ *            headPos: number, read: string, written: ?string,
+ *            overwritten: ?string, move: number}}
+ */
+turing.MachineStep;
+
+
+/**
+ * Characters which are operations in their own right, or parts of operations,
+ * and so can't be tape symbols: printing them would be ambiguous.
+ * @type {string}
+ * @const
+ */
+turing.RESERVED_SYMBOLS = 'LRDUBFHSX*:';
+
+
+/**
+ * What a flip op prints over each symbol it inverts. Other symbols are left
+ * alone.
+ * @type {Object.<string, string>}
+ * @const
+ */
+turing.FLIPPED_SYMBOLS = {'0': '1', '1': '0'};
+
+
+/**
+ * @param {string} symbol A character.
+ * @return {boolean} True iff symbol may be used as a tape symbol.
+ */
+turing.isValidSymbol = function(symbol) {
+  return symbol.length == 1 && turing.RESERVED_SYMBOLS.indexOf(symbol) == -1;
+};
+
+
+/**
+ * @param {?string|undefined} symbol A tape square's contents.
+ * @return {boolean} True iff the square is blank, however that is written.
+ */
+turing.isBlank = function(symbol) {
+  return !symbol || symbol == '_' || symbol == ' ';
+};
+
+
+/**
+ * What a program decided about its tape, on levels which ask whether the tape
+ * belongs to a language.
+ * @enum {string}
+ */
+turing.Verdict = {
+  ACCEPT: 'accept',
+  REJECT: 'reject'
+};
+
+
+/**
+ * @param {string} op An operation, without any '*' clickable marker.
+ * @return {?turing.Verdict} The verdict op halts with, or null if it isn't an
+ *     accept or reject op.
+ */
+turing.getOpVerdict = function(op) {
+  op = turing.splitTapeOp(op).op;
+  return op == 'HA' ? turing.Verdict.ACCEPT :
+      op == 'HR' ? turing.Verdict.REJECT : null;
+};
+
+
+/**
+ * @param {string} op An operation, without any '*' clickable marker.
+ * @return {boolean} True iff op prints a symbol.
+ */
+turing.isPrintOp = function(op) {
+  return turing.isValidSymbol(turing.splitTapeOp(op).op);
+};
+
+
+/**
+ * Splits an operation into the tape it addresses and what it does there. Ops
+ * on machines with more than one tape may start with a tape number and a
+ * colon, e.g. '1:R' moves the head of tape 1 right; ops without one address
+ * tape 0.
+ * @param {string} op An operation, without any '*' clickable marker.
+ * @return {{tape: number, op: string}} The tape, and the op without its tape
+ *     number.
+ */
+turing.splitTapeOp = function(op) {
+  // /^[0-9]:/ matches a single digit tape number followed by a colon.
+  if (/^[0-9]:/.test(op)) {
+    return {tape: parseInt(op.charAt(0), 10), op: op.substr(2)};
+  }
+  return {tape: 0, op: op};
+};
+
+
+
+/**
+ * A Turing machine made of tracks of operations and one or more tapes.
+ * @param {Array.<Array.<string>>} trackOps The operations for each program
+ *     track, in the notation used by turing.Program. Ops may carry a '*'
+ *     clickable marker, which is ignored.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ *     Positions past the end of a track's ops are no-ops.
+ * @param {number=} opt_numTapes The number of tapes. Defaults to 1.
+ * @constructor
+ */
+turing.Machine = function(trackOps, numOpsPerTrack, opt_numTapes) {
+  /**
+   * The operations on each track.
+   * @type {Array.<Array.<string>>}
+   * @private
+   */
+  this.tracks_ = [];
+  for (var i = 0; i < trackOps.length; i++) {
+    this.tracks_[i] = (trackOps[i] || []).slice(0);
+  }
+
+  /**
+   * The number of op positions on each track.
+   * @type {number}
+   * @private
+   */
+  this.numOpsPerTrack_ = numOpsPerTrack;
+
+  /**
+   * The track of the next operation to execute.
+   * @type {number}
+   * @private
+   */
+  this.track_ = 0;
+
+  /**
+   * The position on its track of the next operation to execute.
+   * @type {number}
+   * @private
+   */
+  this.trackPos_ = 0;
+
+  /**
+   * True iff the program counter has left the program.
+   * @type {boolean}
+   * @private
+   */
+  this.halted_ = false;
+
+  /**
+   * The symbols on each tape, by position. Missing positions are blank.
+   * @type {Array.<Object.<number, string>>}
+   * @private
+   */
+  this.tapes_ = [];
+
+  /**
+   * The position of each tape's read/write head.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.headPositions_ = [];
+
+  for (var i = 0; i < (opt_numTapes || 1); i++) {
+    this.tapes_[i] = {};
+    this.headPositions_[i] = 0;
+  }
+
+  this.rewind();
+};
+
+
+/**
+ * Replaces a tape's contents and head position.
+ * @param {Object.<number, string>} contents Symbols by tape position. Copied.
+ * @param {number} headPos The position of the read/write head.
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ */
+turing.Machine.prototype.setTape = function(contents, headPos, opt_tape) {
+  var tape = {};
+  for (var i in contents) {
+    tape[i] = contents[i];
+  }
+  this.tapes_[opt_tape || 0] = tape;
+  this.headPositions_[opt_tape || 0] = headPos;
+};
+
+
+/**
+ * Writes a string on an otherwise blank tape starting at position 0, and puts
+ * the head over its middle square, the same place turing.Tape starts a run.
+ * @param {string} str The initial tape contents.
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ */
+turing.Machine.prototype.setTapeString = function(str, opt_tape) {
+  var contents = {};
+  for (var i = 0; i < str.length; i++) {
+    contents[i] = str.charAt(i);
+  }
+  this.setTape(contents, Math.floor(str.length / 2), opt_tape);
+};
+
+
+/**
+ * Writes a symbol on a tape without running an op, e.g. to set up the tape.
+ * @param {number} pos A tape position.
+ * @param {string} symbol The symbol, or '' to blank the square.
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ */
+turing.Machine.prototype.setSymbol = function(pos, symbol, opt_tape) {
+  this.tapes_[opt_tape || 0][pos] = symbol;
+};
+
+
+/**
+ * Moves a tape's read/write head without running an op.
+ * @param {number} pos The new head position.
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ */
+turing.Machine.prototype.setHeadPos = function(pos, opt_tape) {
+  this.headPositions_[opt_tape || 0] = pos;
+};
+
+
+/**
+ * Moves the program counter back to the first op of the first track.
+ */
+turing.Machine.prototype.rewind = function() {
+  this.track_ = 0;
+  this.trackPos_ = 0;
+  this.halted_ = !this.isValidPos(0, 0);
+};
+
+
+/**
+ * Moves the program counter to any op on the program.
+ * @param {number} track The track number.
+ * @param {number} pos The position on that track.
+ */
+turing.Machine.prototype.setPos = function(track, pos) {
+  this.track_ = track;
+  this.trackPos_ = pos;
+  this.halted_ = !this.isValidPos(track, pos);
+};
+
+
+/**
+ * @param {number} track A track number.
+ * @param {number} pos A position on that track.
+ * @return {boolean} True iff the program counter may be at this position.
+ */
+turing.Machine.prototype.isValidPos = function(track, pos) {
+  return track >= 0 && track < this.tracks_.length &&
+      pos >= 0 && pos < this.numOpsPerTrack_;
+};
+
+
+/**
+ * @return {boolean} True iff the program counter has left the program.
+ */
+turing.Machine.prototype.isHalted = function() {
+  return this.halted_;
+};
+
+
+/**
+ * @return {?turing.Verdict} The verdict of the accept or reject op the
+ *     machine halted on, or null if it hasn't halted or halted some other way.
+ */
+turing.Machine.prototype.getVerdict = function() {
+  // A halting op leaves the program counter on itself.
+  return this.halted_ ?
+      turing.getOpVerdict(this.getOp(this.track_, this.trackPos_)) : null;
+};
+
+
+/**
+ * @return {number} The track of the next operation to execute.
+ */
+turing.Machine.prototype.getTrack = function() {
+  return this.track_;
+};
+
+
+/**
+ * @return {number} The track position of the next operation to execute.
+ */
+turing.Machine.prototype.getTrackPos = function() {
+  return this.trackPos_;
+};
+
+
+/**
+ * @return {number} The number of program tracks.
+ */
+turing.Machine.prototype.getNumTracks = function() {
+  return this.tracks_.length;
+};
+
+
+/**
+ * @return {number} The number of op positions on each track.
+ */
+turing.Machine.prototype.getNumOpsPerTrack = function() {
+  return this.numOpsPerTrack_;
+};
+
+
+/**
+ * Gets an operation, without any '*' clickable marker.
+ * @param {number} track The track number.
+ * @param {number} pos The position on that track.
+ * @return {string} The operation, or '' for a no-op.
+ */
+turing.Machine.prototype.getOp = function(track, pos) {
+  var op = (this.tracks_[track] && this.tracks_[track][pos]) || '';
+  if (op.charAt(0) == '*') {
+    op = op.substr(1);
+  }
+  return op;
+};
+
+
+/**
+ * @return {number} The number of tapes.
+ */
+turing.Machine.prototype.getNumTapes = function() {
+  return this.tapes_.length;
+};
+
+
+/**
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ * @return {number} The position of the tape's read/write head.
+ */
+turing.Machine.prototype.getHeadPos = function(opt_tape) {
+  return this.headPositions_[opt_tape || 0];
+};
+
+
+/**
+ * @param {number} pos A tape position.
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ * @return {string} The symbol at that position, or '_' if blank.
+ */
+turing.Machine.prototype.getSymbol = function(pos, opt_tape) {
+  return this.tapes_[opt_tape || 0][pos] || '_';
+};
+
+
+/**
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ * @return {string} The symbol under the tape's read/write head, or '_' if
+ *     blank.
+ */
+turing.Machine.prototype.getCurSymbol = function(opt_tape) {
+  return this.getSymbol(this.getHeadPos(opt_tape), opt_tape);
+};
+
+
+/**
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ * @return {Object.<number, string>} A copy of the tape contents.
+ */
+turing.Machine.prototype.getTapeContents = function(opt_tape) {
+  var tape = this.tapes_[opt_tape || 0];
+  var contents = {};
+  for (var i in tape) {
+    contents[i] = tape[i];
+  }
+  return contents;
+};
+
+
+/**
+ * Finds the span of a tape between its first and last non-blank symbols.
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ * @return {?{first: number, last: number}} The positions of the first and last
+ *     non-blank symbols, or null if the tape is blank.
+ * @private
+ */
+turing.Machine.prototype.getTapeBounds_ = function(opt_tape) {
+  var tape = this.tapes_[opt_tape || 0];
+  var bounds = null;
+  for (var i in tape) {
+    var pos = parseInt(i, 10);
+    if (!turing.isBlank(tape[pos])) {
+      if (!bounds) {
+        bounds = {first: pos, last: pos};
+      }
+      bounds.first = Math.min(bounds.first, pos);
+      bounds.last = Math.max(bounds.last, pos);
+    }
+  }
+  return bounds;
+};
+
+
+/**
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ * @return {number} The position of the first non-blank symbol on the tape, or
+ *     the head position if the tape is blank.
+ */
+turing.Machine.prototype.getTapeStart = function(opt_tape) {
+  var bounds = this.getTapeBounds_(opt_tape);
+  return bounds ? bounds.first : this.getHeadPos(opt_tape);
+};
+
+
+/**
+ * Reads a tape from its first to its last non-blank symbol.
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ * @return {string} The tape contents, with '_' for inner blanks, or '' if the
+ *     tape is blank.
+ */
+turing.Machine.prototype.getTapeString = function(opt_tape) {
+  var bounds = this.getTapeBounds_(opt_tape);
+  if (!bounds) {
+    return '';
+  }
+  var str = '';
+  for (var pos = bounds.first; pos <= bounds.last; pos++) {
+    str += this.getSymbol(pos, opt_tape);
+  }
+  return str;
+};
+
+
+/**
+ * Executes the operation at the program counter.
+ *
+ * Ops are:
+ * - Any tape symbol, e.g. '0', '1', '_': Print that symbol ('_' erases).
+ * - 'L', 'R': Move the head one square left or right.
+ * - 'X': Flip the bit under the head, printing 1 over 0 and 0 over 1. Other
+ *   symbols are left alone.
+ * - 'SL', 'SR': Move the head left or right until it is over a blank, in a
+ *   single step. Does nothing if it already is.
+ * - 'Bn': Jump n positions back on the current track.
+ * - 'Fn': Jump n positions forward on the current track.
+ * - 'Dx', 'Ux': Jump down or up one track if the symbol under the head is x.
+ *   'D' and 'U' by themselves jump unconditionally.
+ * - 'H': Halt.
+ * - 'HA', 'HR': Halt, accepting or rejecting the tape (see getVerdict).
+ * - '': Do nothing.
+ * Printing, moving, flipping, seeking and conditional branches act on tape 0
+ * unless prefixed with another tape's number (see turing.splitTapeOp). Ops on
+ * a tape the machine doesn't have do nothing. Every op that does not jump
+ * steps forward one position. The machine halts at a halt op, or when the
+ * program counter moves to a position not on the program.
+ * @return {?turing.MachineStep} What happened, or null if already halted.
+ */
+turing.Machine.prototype.step = function() {
+  if (this.halted_) {
+    return null;
+  }
+  var op = this.getOp(this.track_, this.trackPos_);
+  var split = turing.splitTapeOp(op);
+  if (split.tape >= this.tapes_.length) {
+    split = {tape: 0, op: ''};
+  }
+  var tapeOp = split.op;
+  var tape = this.tapes_[split.tape];
+  var headPos = this.headPositions_[split.tape];
+  var read = tape[headPos] || '_';
+  var record = {
+    op: op,
+    track: this.track_,
+    trackPos: this.trackPos_,
+    nextTrack: this.track_,
+    nextTrackPos: this.trackPos_ + 1,
+    halted: false,
+    tape: split.tape,
+    headPos: headPos,
+    read: read,
+    written: null,
+    overwritten: null,
+    move: 0
+  };
+  var halt = false;
+  if (turing.isPrintOp(tapeOp) ||
+      (tapeOp == 'X' && turing.FLIPPED_SYMBOLS[read])) {
+    var symbol = tapeOp == 'X' ? turing.FLIPPED_SYMBOLS[read] : tapeOp;
+    record.overwritten = tape[headPos] || '';
+    tape[headPos] = symbol;
+    record.written = symbol;
+  } else if (tapeOp == 'L') {
+    this.headPositions_[split.tape]--;
+    record.move = -1;
+  } else if (tapeOp == 'R') {
+    this.headPositions_[split.tape]++;
+    record.move = 1;
+  } else if (tapeOp == 'SL' || tapeOp == 'SR') {
+    // The head stops at the edge of the written symbols, so this always ends.
+    var direction = tapeOp == 'SL' ? -1 : 1;
+    while (!turing.isBlank(tape[headPos + record.move])) {
+      record.move += direction;
+    }
+    this.headPositions_[split.tape] += record.move;
+  } else if (/^B[2-9]$/.test(tapeOp)) {
+    // Regexp matches a B followed by a digit from 2 to 9, which are allowable
+    // branch offsets. Normal game programs only use B2-4, but our bonus program
+    // needs longer branch offsets.
+    record.nextTrackPos = this.trackPos_ - parseInt(tapeOp.charAt(1), 10);
+  } else if (/^F[2-9]$/.test(tapeOp)) {
+    // Forward jumps have the same range as loop branches. F1 would be a no-op.
+    record.nextTrackPos = this.trackPos_ + parseInt(tapeOp.charAt(1), 10);
+  } else if (/^H[AR]?$/.test(tapeOp)) {
+    // Matches a halt, accept or reject op.
+    halt = true;
+    record.nextTrackPos = this.trackPos_;
+  } else if (/^[DU]/.test(tapeOp)) {
+    if (tapeOp.length == 1 || read == tapeOp.charAt(1)) {
+      record.nextTrack = this.track_ + (tapeOp.charAt(0) == 'D' ? 1 : -1);
+      record.nextTrackPos = this.trackPos_;
+    }
+  }
+  if (!halt && this.isValidPos(record.nextTrack, record.nextTrackPos)) {
+    this.track_ = record.nextTrack;
+    this.trackPos_ = record.nextTrackPos;
+  } else {
+    // The program counter stays put, but the program is over.
+    this.halted_ = true;
+    record.halted = true;
+  }
+  return record;
+};
+
+
+/**
+ * Undoes a step, putting the program counter, head and the square it printed
+ * on back the way they were before it. Steps must be undone in the reverse of
+ * the order they were run.
+ * @param {turing.MachineStep} record The step to undo, as returned by step().
+ */
+turing.Machine.prototype.unstep = function(record) {
+  var tape = record.tape || 0;
+  this.track_ = record.track;
+  this.trackPos_ = record.trackPos;
+  this.headPositions_[tape] = record.headPos;
+  if (record.written != null) {
+    this.tapes_[tape][record.headPos] = record.overwritten;
+  }
+  this.halted_ = false;
+};
+
+
+/**
+ * Steps the machine until it halts.
+ * @param {number} limit The maximum number of steps to run, or 0 for no limit.
+ * @return {number} The number of steps run.
+ */
+turing.Machine.prototype.run = function(limit) {
+  var steps = 0;
+  while (!this.isHalted() && (!limit || steps < limit)) {
+    this.step();
+    steps++;
+  }
+  return steps;
+};
+
+
+
+/**
+ * Spots machines which will never halt by remembering the configurations
+ * (program counter, head positions and tapes) they pass through.
+ *
+ * A machine which reaches the same configuration twice is in a loop. So is a
+ * machine which reaches the same program counter and tapes twice where each
+ * head which has moved is out in the blank tape past its tape's written
+ * symbols, further out the second time, and stayed out there in between: those
+ * heads only ever read blanks, so the machine will keep doing the same thing
+ * further and further out.
+ *
+ * Machines which write as they go further out, e.g. 'R 1 B2', change their
+ * tape every time round. Such a machine is still in a loop if it reaches the
+ * same program counter twice with one head out past its tape's written
+ * symbols, further out the second time, and the same symbols behind that head
+ * both times, shifted along with it, as far back as the head went in between.
+ * Its other tapes must be the same both times.
+ * @constructor
+ */
+turing.LoopDetector = function() {
+  /**
+   * The configurations seen so far.
+   * @type {Object.<string, boolean>}
+   * @private
+   */
+  this.seen_ = {};
+
+  /**
+   * The last head positions seen for each program counter and tapes, with
+   * heads out past the written symbols counted by which side they are on, and
+   * when they were seen.
+   * @type {Object.<string, {headPositions: Array.<number>, time: number}>}
+   * @private
+   */
+  this.outerConfigs_ = {};
+
+  /**
+   * For each tape, the last time its head was among the written symbols.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.lastInsideTimes_ = [];
+
+  /**
+   * The last head position, tape and time seen for each program counter,
+   * tape with its head out past the written symbols, side it is on, and
+   * contents of the other tapes.
+   * @type {Object.<string,
+   *     {headPos: number, tape: string, start: number, time: number}>}
+   * @private
+   */
+  this.shiftedConfigs_ = {};
+
+  /**
+   * For each tape, the head position at each time.
+   * @type {Array.<Array.<number>>}
+   * @private
+   */
+  this.headHistories_ = [];
+
+  /**
+   * How many configurations have been checked, used to tell time.
+   * @type {number}
+   * @private
+   */
+  this.numChecks_ = 0;
+};
+
+
+/**
+ * Forgets every configuration seen, e.g. after the machine has been stepped
+ * back into an earlier configuration.
+ */
+turing.LoopDetector.prototype.reset = function() {
+  this.seen_ = {};
+  this.outerConfigs_ = {};
+  this.lastInsideTimes_ = [];
+  this.shiftedConfigs_ = {};
+  this.headHistories_ = [];
+  this.numChecks_ = 0;
+};
+
+
+/**
+ * Records the configuration of a machine. Must be called before every step.
+ * @param {turing.Machine} machine The machine, about to take a step.
+ * @return {boolean} True iff the machine will never halt.
+ */
+turing.LoopDetector.prototype.check = function(machine) {
+  if (machine.isHalted()) {
+    return false;
+  }
+  var now = this.numChecks_++;
+  var pc = machine.getTrack() + ',' + machine.getTrackPos();
+  var key = pc;
+  var outerKey = pc;
+  var headPositions = [];
+  // Which side of its written symbols each head is on: -1 for left, 1 for
+  // right, 0 if the tape is blank, when either way is out, or null if the head
+  // is among the symbols.
+  var sides = [];
+  var tapes = [];
+  var starts = [];
+  var tapeKeys = [];
+  for (var i = 0; i < machine.getNumTapes(); i++) {
+    var headPos = machine.getHeadPos(i);
+    var tape = machine.getTapeString(i);
+    var start = machine.getTapeStart(i);
+    var tapeKey = tape ? start + ':' + tape : '';
+    var side = 0;
+    if (tape) {
+      side = headPos < start ? -1 : headPos >= start + tape.length ? 1 : null;
+    }
+    key += '|' + headPos + '|' + tapeKey;
+    if (side == null) {
+      // Anything the head does from here may depend on what it reads.
+      this.lastInsideTimes_[i] = now;
+      outerKey += '|=' + headPos + '|' + tapeKey;
+    } else {
+      outerKey += '|' + side + '|' + tapeKey;
+    }
+    headPositions[i] = headPos;
+    sides[i] = side;
+    tapes[i] = tape;
+    starts[i] = start;
+    tapeKeys[i] = '|' + headPos + '|' + tapeKey;
+    (this.headHistories_[i] = this.headHistories_[i] || []).push(headPos);
+  }
+  if (this.seen_[key]) {
+    return true;
+  }
+  this.seen_[key] = true;
+  if (this.checkShifted_(pc, headPositions, sides, tapes, starts, tapeKeys,
+      now)) {
+    return true;
+  }
+
+  var last = this.outerConfigs_[outerKey];
+  this.outerConfigs_[outerKey] = {headPositions: headPositions, time: now};
+  if (!last) {
+    return false;
+  }
+  // Only heads out past their symbols can differ, since the keys match.
+  for (var i = 0; i < headPositions.length; i++) {
+    var moved = headPositions[i] - last.headPositions[i];
+    if (moved && (this.lastInsideTimes_[i] > last.time ||
+        (sides[i] != 0 && moved * sides[i] < 0))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Checks whether a machine is in a loop which writes as it goes further out
+ * along one tape, comparing its configuration with the last one with the
+ * same program counter, the same head out past the same side of its tape,
+ * and the same other tapes.
+ * @param {string} pc The program counter, as a key.
+ * @param {Array.<number>} headPositions The head position on each tape.
+ * @param {Array.<?number>} sides Which side of its written symbols each head
+ *     is on, as in check.
+ * @param {Array.<string>} tapes Each tape from its first to its last written
+ *     symbol.
+ * @param {Array.<number>} starts The position of each tape's first symbol.
+ * @param {Array.<string>} tapeKeys Each tape's head and contents, as a key.
+ * @param {number} now The time of the check.
+ * @return {boolean} True iff the machine will never halt.
+ * @private
+ */
+turing.LoopDetector.prototype.checkShifted_ = function(pc, headPositions,
+    sides, tapes, starts, tapeKeys, now) {
+  var loops = false;
+  for (var i = 0; i < sides.length; i++) {
+    if (!sides[i]) {
+      // Heads among the symbols may do anything, and heads on blank tapes
+      // have nothing to shift.
+      continue;
+    }
+    var key = pc + '|' + i + '|' + sides[i];
+    for (var j = 0; j < tapeKeys.length; j++) {
+      key += j == i ? '|' : tapeKeys[j];
+    }
+    var last = this.shiftedConfigs_[key];
+    this.shiftedConfigs_[key] = {headPos: headPositions[i], tape: tapes[i],
+        start: starts[i], time: now};
+    var shift = last ? headPositions[i] - last.headPos : 0;
+    if (shift * sides[i] <= 0) {
+      continue;
+    }
+    // Everything from last.headPos outwards was blank then, and is blank from
+    // headPositions[i] outwards now. In between, the machine only read that
+    // and the squares as far back as its head went.
+    var history = this.headHistories_[i];
+    var back = last.headPos;
+    for (var t = last.time; t <= now; t++) {
+      back = sides[i] > 0 ? Math.min(back, history[t]) :
+          Math.max(back, history[t]);
+    }
+    var same = true;
+    for (var pos = back; pos != last.headPos && same; pos += sides[i]) {
+      same = turing.LoopDetector.getSymbol_(last.tape, last.start, pos) ==
+          turing.LoopDetector.getSymbol_(tapes[i], starts[i], pos + shift);
+    }
+    loops = loops || same;
+  }
+  return loops;
+};
+
+
+/**
+ * @param {string} tape A tape from its first to its last written symbol.
+ * @param {number} start The position of the tape's first symbol.
+ * @param {number} pos A tape position.
+ * @return {string} The symbol at that position, or '_' if blank.
+ * @private
+ */
+turing.LoopDetector.getSymbol_ = function(tape, start, pos) {
+  return pos >= start && pos < start + tape.length ?
+      tape.charAt(pos - start) : '_';
+};
@@ -0,0 +1,354 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Reads programs written in the notation of turing.assemble_,
+ * one string per track, and reports mistakes in them by line (track) and
+ * column, e.g. 'line 2, column 7: unknown op "B1"'. Also says which ops
+ * clicking cycles an op through, since a puzzle can only be solved if each
+ * op's correction is in its cycle.
+ */
+
+goog.provide('turing.notation');
+
+goog.require('turing.Machine');
+
+
+/**
+ * What a program must fit into.
+ * - numTracks: The most tracks it may have.
+ * - numOpsPerTrack: The most ops a track may have.
+ * - alphabet: The symbols besides blank which ops may print and branch on. If
+ *   not given, ops may print and branch on any symbol.
+ * - numTapes: How many tapes ops may address. If not given, ops may address
+ *   any tape.
+ * @typedef {{numTracks: number, numOpsPerTrack: number,
+ *            alphabet: (Array.<string>|undefined),
+ *            numTapes: (number|undefined)}}
+ */
+turing.notation.Limits;
+
+
+/**
+ * A mistake in a program. line is the track, counting from 1, and column the
+ * character in that track's string where the mistake is, counting from 1.
+ * @typedef {{line: number, column: number, message: string}}
+ */
+turing.notation.ParseError;
+
+
+/**
+ * Loop branch operations.
+ * @type {Array.<string>}
+ * @private
+ * @const
+ */
+turing.LOOP_BRANCH_OPS_ = ['B2', 'B3', 'B4'];
+
+
+/**
+ * Tape movement operations.
+ * @type {Array.<string>}
+ * @private
+ * @const
+ */
+turing.MOVE_OPS_ = ['L', 'R'];
+
+
+/**
+ * Forward jump operations, by every distance turing.Machine can jump.
+ * @type {Array.<string>}
+ * @private
+ * @const
+ */
+turing.FORWARD_JUMP_OPS_ = ['F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9'];
+
+
+/**
+ * Halting operations: plain, and with a verdict for levels which ask whether
+ * the tape belongs to a language.
+ * @type {Array.<string>}
+ * @private
+ * @const
+ */
+turing.HALT_OPS_ = ['H', 'HA', 'HR'];
+
+
+/**
+ * Seek operations.
+ * @type {Array.<string>}
+ * @private
+ * @const
+ */
+turing.SEEK_OPS_ = ['SL', 'SR'];
+
+
+/**
+ * Operations which change the square under the head whatever it holds.
+ * @type {Array.<string>}
+ * @private
+ * @const
+ */
+turing.FLIP_OPS_ = ['X', '_'];
+
+
+/**
+ * Gets the conditional branch operations for an alphabet.
+ * @param {string} direction 'D' for branches from a higher track to a lower
+ *     one, or 'U' for branches from a lower track to a higher one.
+ * @param {Array.<string>} alphabet The symbols besides blank.
+ * @return {Array.<string>} A branch for each symbol and blank, in the order
+ *     they cycle.
+ * @private
+ */
+turing.notation.getCondBranchOps_ = function(direction, alphabet) {
+  var ops = [];
+  for (var i = 0; i < alphabet.length; i++) {
+    ops.push(direction + alphabet[i]);
+  }
+  ops.push(direction + '_');
+  return ops;
+};
+
+
+/**
+ * Gets every cycle of ops which clicking an op goes through.
+ * @param {Array.<string>} alphabet The symbols besides blank.
+ * @return {Array.<Array.<string>>} The cycles, each in order.
+ */
+turing.notation.getCycleGroups = function(alphabet) {
+  // Printing ops cycle through the symbols in the alphabet.
+  return [
+    turing.notation.getCondBranchOps_('U', alphabet),
+    turing.notation.getCondBranchOps_('D', alphabet),
+    turing.LOOP_BRANCH_OPS_,
+    alphabet,
+    turing.MOVE_OPS_,
+    turing.FORWARD_JUMP_OPS_,
+    turing.HALT_OPS_,
+    turing.SEEK_OPS_,
+    turing.FLIP_OPS_
+  ];
+};
+
+
+/**
+ * Gets the ops which clicking an op cycles through.
+ * @param {string} op An operation, without any '*' clickable marker or tape
+ *     number.
+ * @param {Array.<string>} alphabet The symbols besides blank.
+ * @return {Array.<string>} The op's cycle, in order, or null if clicking
+ *     doesn't change it.
+ */
+turing.notation.getCycleGroup = function(op, alphabet) {
+  // Groups are tried in order, so '_' erases through the flip ops rather than
+  // with printing.
+  var groups = turing.notation.getCycleGroups(alphabet);
+  for (var i = 0; i < groups.length; i++) {
+    if (groups[i].indexOf(op) != -1) {
+      return groups[i];
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Checks that an op exists and can run where it is.
+ * @param {string} op An operation, without any '*' clickable marker.
+ * @param {number} pos The op's position on its track.
+ * @param {turing.notation.Limits} limits What the program must fit into.
+ * @return {string} An error message, or '' if the op is fine.
+ */
+turing.notation.checkOp = function(op, pos, limits) {
+  if (!op) {
+    return '';
+  }
+  var split = turing.splitTapeOp(op);
+  var tapeOp = split.op;
+  var symbol = '';
+  var addressesTape = true;
+  if (/^[DU].$/.test(tapeOp)) {
+    // A conditional branch, on the symbol after the D or U.
+    symbol = tapeOp.charAt(1);
+  } else if (turing.isValidSymbol(tapeOp) || tapeOp == '_') {
+    symbol = tapeOp;
+  } else if (!/^(L|R|X|SL|SR)$/.test(tapeOp)) {
+    addressesTape = false;
+    if (!/^([DU]|[BF][2-9]|H[AR]?)$/.test(tapeOp)) {
+      return 'unknown op ' + JSON.stringify(op);
+    }
+  }
+  if (split.op != op) {
+    if (!addressesTape) {
+      return JSON.stringify(tapeOp) + ' doesn\'t use a tape, so can\'t ' +
+          'address tape ' + split.tape;
+    }
+    if (limits.numTapes != null && split.tape >= limits.numTapes) {
+      return JSON.stringify(op) + ' addresses tape ' + split.tape + ', but ' +
+          'there ' + (limits.numTapes == 1 ? 'is only 1 tape' :
+          'are only ' + limits.numTapes + ' tapes');
+    }
+  }
+  if (symbol && symbol != '_' && limits.alphabet &&
+      limits.alphabet.indexOf(symbol) == -1) {
+    return JSON.stringify(op) + ' uses ' + JSON.stringify(symbol) +
+        ', which is not in the alphabet';
+  }
+  if (/^B[2-9]$/.test(tapeOp) && parseInt(tapeOp.charAt(1), 10) > pos) {
+    return JSON.stringify(op) + ' at op ' + (pos + 1) + ' loops back past ' +
+        'the start of the track';
+  }
+  return '';
+};
+
+
+/**
+ * Checks that clicking an op can change it into its correction.
+ * @param {string} incorrect The op the puzzle starts with, without its '*'.
+ * @param {string} correct The op which solves the puzzle.
+ * @param {Array.<string>} alphabet The symbols besides blank.
+ * @return {string} An error message, or '' if the correction can be reached.
+ * @private
+ */
+turing.notation.checkCorrection_ = function(incorrect, correct, alphabet) {
+  if (incorrect == correct) {
+    return '';
+  }
+  var splitIncorrect = turing.splitTapeOp(incorrect);
+  var splitCorrect = turing.splitTapeOp(correct);
+  var group = turing.notation.getCycleGroup(splitIncorrect.op, alphabet);
+  if (!group) {
+    return 'clicking ' + JSON.stringify(incorrect) + ' doesn\'t change it, ' +
+        'so it can never become ' + JSON.stringify(correct);
+  }
+  // Ops keep addressing the same tape as they cycle.
+  if (splitIncorrect.tape != splitCorrect.tape ||
+      group.indexOf(splitCorrect.op) == -1) {
+    return 'clicking ' + JSON.stringify(incorrect) + ' cycles through ' +
+        group.join(' ') + ', so it can never become ' +
+        JSON.stringify(correct);
+  }
+  return '';
+};
+
+
+/**
+ * Reads a program.
+ * @param {Array.<string>} tracks One string for each program track, in the
+ *     notation of turing.assemble_.
+ * @param {turing.notation.Limits} limits What the program must fit into.
+ * @return {{ops: Object.<string, Array.<Array.<string>>>,
+ *           errors: Array.<turing.notation.ParseError>}} The correct and
+ *     incorrect op arrays for each track, as turing.assemble_ returns, and
+ *     the program's mistakes, in order. The ops are only usable if there are
+ *     no errors.
+ */
+turing.notation.parse = function(tracks, limits) {
+  var ops = {correct: [], incorrect: []};
+  var errors = [];
+  var addError = function(line, column, message) {
+    errors.push({line: line, column: column, message: message});
+  };
+  if (tracks.length > limits.numTracks) {
+    addError(limits.numTracks + 1, 1, 'the program has ' + tracks.length +
+        ' tracks, but there is only room for ' + limits.numTracks);
+  }
+  for (var i = 0; i < tracks.length; i++) {
+    var line = i + 1;
+    // / +/ matches one or more spaces.
+    var tokens = tracks[i].split(/ +/);
+    var spaces = tracks[i].match(/ +/g) || [];
+    var correctOps = [];
+    var incorrectOps = [];
+    var column = 1;
+    for (var j = 0; j < tokens.length; j++) {
+      var token = tokens[j];
+      if (j == limits.numOpsPerTrack) {
+        addError(line, column, 'the track has ' + tokens.length + ' ops, ' +
+            'but there is only room for ' + limits.numOpsPerTrack);
+      }
+      var correct = token;
+      var incorrect = token;
+      var clickable = false;
+      var correctColumn = column;
+      var incorrectColumn = column;
+      var open = token.indexOf('(');
+      if (token == '.') {
+        // No-ops are represented internally with the empty string.
+        correct = incorrect = '';
+      } else if (open != -1) {
+        // An op initially set to a wrong value for the game, followed by its
+        // correction in parentheses.
+        incorrect = token.substr(0, open);
+        correct = token.substring(open + 1, token.length - 1);
+        clickable = true;
+        correctColumn = column + open + 1;
+        if (!/^[^()]+\([^()]+\)$/.test(token)) {
+          addError(line, column, JSON.stringify(token) + ' should be an op ' +
+              'followed by its correction in parentheses, e.g. "L(R)"');
+          correct = incorrect = '';
+        } else if (incorrect.charAt(0) == '*') {
+          addError(line, column, JSON.stringify(token) + ' doesn\'t need a ' +
+              '*, since ops with corrections are always clickable');
+          correct = incorrect = '';
+        }
+      } else if (token.charAt(0) == '*') {
+        // Clickable, but not part of the solution, so not clickable when
+        // playing through the solved program on game over.
+        correct = incorrect = token.substr(1);
+        clickable = true;
+        incorrectColumn = column + 1;
+      }
+      var incorrectError = turing.notation.checkOp(incorrect, j, limits);
+      var correctError = correct == incorrect ? '' :
+          turing.notation.checkOp(correct, j, limits);
+      if (incorrectError) {
+        addError(line, incorrectColumn, incorrectError);
+      }
+      if (correctError) {
+        addError(line, correctColumn, correctError);
+      }
+      // Without an alphabet, there's no telling what printing ops cycle
+      // through.
+      if (clickable && !incorrectError && !correctError && limits.alphabet) {
+        var correctionError = turing.notation.checkCorrection_(
+            incorrect, correct, limits.alphabet);
+        if (correctionError) {
+          addError(line, column, correctionError);
+        }
+      }
+      correctOps.push(correct);
+      incorrectOps.push((clickable && incorrect ? '*' : '') + incorrect);
+      column += token.length + (j < spaces.length ? spaces[j].length : 0);
+    }
+    ops.correct.push(correctOps);
+    ops.incorrect.push(incorrectOps);
+  }
+  errors.sort(function(a, b) {
+    return a.line - b.line || a.column - b.column;
+  });
+  return {ops: ops, errors: errors};
+};
+
+
+/**
+ * @param {turing.notation.ParseError} error A mistake in a program.
+ * @return {string} The mistake, with where it is, e.g.
+ *     'line 1, column 7: unknown op "B1"'.
+ */
+turing.notation.formatError = function(error) {
+  return 'line ' + error.line + ', column ' + error.column + ': ' +
+      error.message;
+};
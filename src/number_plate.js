@@ -0,0 +1,211 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Draws targets which have no number plate sprites of their own
+ * a digit at a time, on top of a blank number plate.
+ */
+
+goog.provide('turing.NumberPlateRenderer');
+
+goog.require('turing.Machine');
+goog.require('turing.anim');
+goog.require('turing.sprites');
+goog.require('turing.sprites.numberplate');
+goog.require('turing.util');
+
+
+/**
+ * How lit each digit is over the course of highlighting it, like the frames
+ * Target.highlightAt animates through for targets with sprites.
+ * @type {Array.<number>}
+ * @const
+ * @private
+ */
+turing.NUMBER_PLATE_HIGHLIGHT_LIGHTS_ = [0, 1, 2, 2, 2, 2, 1, 0];
+
+
+/**
+ * Glow around symbols which have no glyph sprites, by how lit they are.
+ * @type {Array.<string>}
+ * @const
+ * @private
+ */
+turing.NUMBER_PLATE_TEXT_GLOWS_ = ['', '0 0 4px #f7d66b', '0 0 8px #fbbf24'];
+
+
+
+/**
+ * Draws a target on a number plate.
+ * @constructor
+ */
+turing.NumberPlateRenderer = function() {
+  /**
+   * The window in the number plate which digits scroll through.
+   * @type {Element}
+   * @private
+   */
+  this.window_ = null;
+
+  /**
+   * Holds the digits and scrolls them through the window.
+   * @type {Element}
+   * @private
+   */
+  this.row_ = null;
+
+  /**
+   * A div for each digit.
+   * @type {Array.<Element>}
+   * @private
+   */
+  this.digitDivs_ = [];
+
+  /**
+   * The target being drawn.
+   * @type {string}
+   * @private
+   */
+  this.target_ = '';
+};
+
+
+/**
+ * Creates dom nodes.
+ */
+turing.NumberPlateRenderer.prototype.create = function() {
+  var rect = turing.sprites.numberplate.getWindowRect();
+  this.window_ = turing.sprites.getEmptyDiv();
+  this.window_.style.left = rect.left + 'px';
+  this.window_.style.top = rect.top + 'px';
+  this.window_.style.width = rect.width + 'px';
+  this.window_.style.height = rect.height + 'px';
+  this.window_.style.overflow = 'hidden';
+  this.window_.style.pointerEvents = 'none';
+  this.row_ = turing.sprites.getEmptyDiv();
+  this.row_.style.width = rect.width + 'px';
+  this.row_.style.height = rect.height + 'px';
+  this.row_.style.top = '0px';
+  this.window_.appendChild(this.row_);
+};
+
+
+/**
+ * Attaches dom nodes.
+ * @param {Element} plate The number plate to draw on.
+ */
+turing.NumberPlateRenderer.prototype.attachTo = function(plate) {
+  plate.appendChild(this.window_);
+};
+
+
+/**
+ * Cleans up dom nodes.
+ */
+turing.NumberPlateRenderer.prototype.destroy = function() {
+  turing.util.removeNode(this.window_);
+  this.window_ = null;
+  this.row_ = null;
+  this.digitDivs_.splice(0);
+  this.target_ = '';
+};
+
+
+/**
+ * Draws a target, unlit and in place.
+ * @param {string} target The target, or the empty string to draw nothing.
+ */
+turing.NumberPlateRenderer.prototype.setTarget = function(target) {
+  this.target_ = target;
+  this.row_.innerHTML = '';
+  this.row_.style.top = '0px';
+  this.digitDivs_.splice(0);
+  var windowRect = turing.sprites.numberplate.getWindowRect();
+  for (var i = 0; i < target.length; i++) {
+    var rect = turing.sprites.numberplate.getDigitRect(i);
+    var digitDiv = turing.sprites.getEmptyDiv();
+    digitDiv.style.left = rect.left - windowRect.left + 'px';
+    digitDiv.style.top = rect.top - windowRect.top + 'px';
+    digitDiv.style.width = rect.width + 'px';
+    digitDiv.style.height = rect.height + 'px';
+    digitDiv.style.lineHeight = rect.height + 'px';
+    digitDiv.style.textAlign = 'center';
+    digitDiv.style.font = '22px georgia,serif';
+    digitDiv.style.color = '#2b2118';
+    this.digitDivs_.push(digitDiv);
+    this.row_.appendChild(digitDiv);
+    this.lightDigit_(i, 0);
+  }
+};
+
+
+/**
+ * Draws one digit of the target.
+ * @param {number} index The digit.
+ * @param {number} light 0 for unlit, 1 for partly lit or 2 for fully lit.
+ * @private
+ */
+turing.NumberPlateRenderer.prototype.lightDigit_ = function(index, light) {
+  var digitDiv = this.digitDivs_[index];
+  if (!digitDiv) {
+    return;
+  }
+  var symbol = this.target_.charAt(index);
+  var glyph = turing.sprites.numberplate.getGlyph(symbol, index, light);
+  digitDiv.innerHTML = '';
+  digitDiv.style.background = glyph || '';
+  if (!glyph && !turing.isBlank(symbol)) {
+    // Symbols from other alphabets are written out instead.
+    digitDiv.appendChild(document.createTextNode(symbol));
+    digitDiv.style.textShadow = turing.NUMBER_PLATE_TEXT_GLOWS_[light];
+  }
+};
+
+
+/**
+ * Scrolls the target into or out of the window: in from the top, and out
+ * through the bottom.
+ * @param {boolean} scrollIn Whether to scroll in, or out if false.
+ * @param {number} duration The amount of time to animate for.
+ */
+turing.NumberPlateRenderer.prototype.scroll = function(scrollIn, duration) {
+  var height = turing.sprites.numberplate.getWindowRect().height;
+  this.row_.style.top = (scrollIn ? -height : 0) + 'px';
+  var top = (scrollIn ? 0 : height) + 'px';
+  if (!duration) {
+    this.row_.style.top = top;
+  } else {
+    turing.anim.animate(this.row_, {'top': top}, duration);
+  }
+};
+
+
+/**
+ * Lights up a digit and lets it fade again.
+ * @param {number} index The digit, or the length of the target to light all
+ *     of them.
+ * @param {number} duration The amount of time to highlight for.
+ */
+turing.NumberPlateRenderer.prototype.highlightAt = function(index, duration) {
+  var lights = turing.NUMBER_PLATE_HIGHLIGHT_LIGHTS_;
+  for (var i = 0; i < lights.length; i++) {
+    turing.anim.delay(goog.bind(function(light) {
+      for (var j = 0; j < this.digitDivs_.length; j++) {
+        if (j == index || index == this.target_.length) {
+          this.lightDigit_(j, light);
+        }
+      }
+    }, this, lights[i]), duration * i / lights.length);
+  }
+};
@@ -80,3 +80,129 @@ turing.sprites.numberplate.getScrollingTarget = function(target, scrollIn) {
   }
   return backgrounds;
 };
+
+
+/**
+ * The left edges of the digits on a number plate, then the right edge of the
+ * last digit. Glow from lighting a digit is cut off at its edges.
+ * @type {Array.<number>}
+ * @const
+ * @private
+ */
+turing.sprites.numberplate.DIGIT_EDGES_ = [20, 37, 54, 70, 87, 104];
+
+
+/**
+ * The top of the digits on a number plate, including their glow.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.sprites.numberplate.DIGIT_TOP_ = 12;
+
+
+/**
+ * The height of the digits on a number plate, including their glow.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.sprites.numberplate.DIGIT_HEIGHT_ = 27;
+
+
+/**
+ * The top of the window in the number plate which digits scroll through.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.sprites.numberplate.WINDOW_TOP_ = 9;
+
+
+/**
+ * The height of the window in the number plate which digits scroll through.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.sprites.numberplate.WINDOW_HEIGHT_ = 32;
+
+
+/**
+ * For each symbol with a glyph, and each digit of the number plate, a target
+ * with that symbol drawn at or near that digit, and which of its digits it is.
+ * Glyphs are cut from these targets' sprites, so that they match the plate's
+ * shading where they are drawn.
+ * @type {Object.<string, Array.<Array>>}
+ * @const
+ * @private
+ */
+turing.sprites.numberplate.GLYPH_SOURCES_ = {
+  '0': [['01011', 0], ['00011', 1], ['01011', 2], ['01001', 3], ['10000', 4]],
+  // No target has a 1 in the middle, so borrow the one to its right.
+  '1': [['10000', 0], ['01011', 1], ['01011', 3], ['01011', 3], ['01011', 4]]
+};
+
+
+/**
+ * @param {string} target A target.
+ * @return {boolean} True iff there are sprites for the whole target.
+ */
+turing.sprites.numberplate.hasSprites = function(target) {
+  return turing.sprites.exists('light-' + target + '-0');
+};
+
+
+/**
+ * @return {{left: number, top: number, width: number, height: number}} The
+ *     window in the number plate which digits scroll through.
+ */
+turing.sprites.numberplate.getWindowRect = function() {
+  var edges = turing.sprites.numberplate.DIGIT_EDGES_;
+  return {
+    left: edges[0],
+    top: turing.sprites.numberplate.WINDOW_TOP_,
+    width: edges[edges.length - 1] - edges[0],
+    height: turing.sprites.numberplate.WINDOW_HEIGHT_
+  };
+};
+
+
+/**
+ * @param {number} digit A digit of the number plate.
+ * @return {{left: number, top: number, width: number, height: number}} Where
+ *     the digit is drawn on the number plate.
+ */
+turing.sprites.numberplate.getDigitRect = function(digit) {
+  var edges = turing.sprites.numberplate.DIGIT_EDGES_;
+  return {
+    left: edges[digit],
+    top: turing.sprites.numberplate.DIGIT_TOP_,
+    width: edges[digit + 1] - edges[digit],
+    height: turing.sprites.numberplate.DIGIT_HEIGHT_
+  };
+};
+
+
+/**
+ * Gets the background for one digit of a number plate, for targets without
+ * sprites of their own.
+ * @param {string} symbol The symbol to draw.
+ * @param {number} digit Which digit of the number plate it is drawn at.
+ * @param {number} light 0 for unlit, 1 for partly lit or 2 for fully lit.
+ * @return {?string} The CSS background string, or null if there is no glyph
+ *     for the symbol.
+ */
+turing.sprites.numberplate.getGlyph = function(symbol, digit, light) {
+  var sources = turing.sprites.numberplate.GLYPH_SOURCES_[symbol];
+  if (!sources) {
+    return null;
+  }
+  var source = sources[digit];
+  var sourceRect = turing.sprites.numberplate.getDigitRect(source[1]);
+  // Columns of a target's sprites light up each digit in turn, as in
+  // getLitTargetForDigit.
+  return turing.sprites.getBackground(
+      'light-' + source[0] + '-' + (light ? source[1] * 2 + light : 0),
+      sourceRect.left, sourceRect.top);
+};
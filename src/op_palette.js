@@ -0,0 +1,257 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A palette of every operation, for editing programs freely.
+ * An operation is chosen by clicking it or starting to drag it, and is then
+ * placed wherever the program is being edited (see turing.setEditing).
+ */
+
+goog.provide('turing.OpPalette');
+
+goog.require('turing.Program');
+goog.require('turing.notation');
+goog.require('turing.sprites');
+goog.require('turing.util');
+
+
+/**
+ * Left offset of the palette, in line with the program tracks.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.OP_PALETTE_LEFT_ = 74;
+
+
+/**
+ * Top offset of the palette, just below the logo so that the tape and program
+ * stay in view.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.OP_PALETTE_TOP_ = 233;
+
+
+/**
+ * How many operations the palette shows in each row.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.OP_PALETTE_OPS_PER_ROW_ = 10;
+
+
+/**
+ * Highlight color of the chosen operation.
+ * @type {string}
+ * @const
+ * @private
+ */
+turing.OP_PALETTE_HIGHLIGHT_COLOR_ = 'y';
+
+
+
+/**
+ * A panel showing every operation, one of which may be chosen.
+ * @constructor
+ */
+turing.OpPalette = function() {
+  /**
+   * The panel, or null if it isn't created.
+   * @type {Element}
+   * @private
+   */
+  this.panel_ = null;
+
+  /**
+   * The operations shown, in the order they are shown.
+   * @type {Array.<turing.Op>}
+   * @private
+   */
+  this.ops_ = [];
+
+  /**
+   * A div for each operation shown.
+   * @type {Array.<Element>}
+   * @private
+   */
+  this.opDivs_ = [];
+
+  /**
+   * Click handlers for operation divs.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.opClickHandlers_ = [];
+
+  /**
+   * Dragstart handlers for operation divs.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.opDragStartHandlers_ = [];
+
+  /**
+   * The index of the chosen operation, or -1 if none is chosen.
+   * @type {number}
+   * @private
+   */
+  this.chosen_ = -1;
+};
+
+
+/**
+ * Creates the panel, with no operation chosen.
+ * @param {Array.<string>} alphabet The symbols besides blank which print and
+ *     conditional branch operations use.
+ */
+turing.OpPalette.prototype.create = function(alphabet) {
+  // Every operation clicking can reach, a cycle at a time, then those which
+  // are only drawn, such as the bonus program's.
+  this.ops_ = Array.prototype.concat.apply([''],
+      turing.notation.getCycleGroups(alphabet));
+  for (var op in turing.OP_SPRITES) {
+    // /^RB/ matches the sprites used to draw loop branches on the lower track,
+    // which are the same operations as B2-B4.
+    if (!/^RB/.test(op) && this.ops_.indexOf(op) == -1) {
+      this.ops_.push(op);
+    }
+  }
+  var opSize = turing.sprites.getSize('o-blank-s');
+  this.panel_ = turing.sprites.getEmptyDiv();
+  var style = this.panel_.style;
+  style.left = turing.OP_PALETTE_LEFT_ + 'px';
+  style.top = turing.OP_PALETTE_TOP_ + 'px';
+  style.width = turing.OP_PALETTE_OPS_PER_ROW_ * opSize.width + 'px';
+  style.height = Math.ceil(this.ops_.length /
+      turing.OP_PALETTE_OPS_PER_ROW_) * opSize.height + 'px';
+  for (var i = 0; i < this.ops_.length; i++) {
+    var div = turing.sprites.getDiv(
+        turing.getOpSpriteBaseName(this.ops_[i]) + '-s');
+    div.style.left = (i % turing.OP_PALETTE_OPS_PER_ROW_) * opSize.width + 'px';
+    div.style.top = Math.floor(i / turing.OP_PALETTE_OPS_PER_ROW_) *
+        opSize.height + 'px';
+    div.style.cursor = 'pointer';
+    // Name the operation as it is written in programs.
+    div.title = this.ops_[i] || 'blank';
+    div.draggable = true;
+    // Operations without a sprite of their own are labeled, as on the tracks.
+    var labelDiv = turing.createOpLabelDiv();
+    labelDiv.style.width = opSize.width + 'px';
+    labelDiv.style.lineHeight = opSize.width + 'px';
+    labelDiv.appendChild(document.createTextNode(
+        turing.getOpLabel(this.ops_[i])));
+    div.appendChild(labelDiv);
+    this.opClickHandlers_[i] = goog.bind(this.choose, this, i);
+    turing.util.listen(div, 'click', this.opClickHandlers_[i]);
+    this.opDragStartHandlers_[i] = goog.bind(this.onOpDragStart_, this, i);
+    turing.util.listen(div, 'dragstart', this.opDragStartHandlers_[i]);
+    this.opDivs_.push(div);
+    this.panel_.appendChild(div);
+  }
+  this.chosen_ = -1;
+};
+
+
+/**
+ * Attaches the panel.
+ * @param {Element} elem Where to attach.
+ */
+turing.OpPalette.prototype.attachTo = function(elem) {
+  elem.appendChild(this.panel_);
+};
+
+
+/**
+ * Removes the panel, if it is created.
+ */
+turing.OpPalette.prototype.destroy = function() {
+  for (var i = 0; i < this.opDivs_.length; i++) {
+    turing.util.unlisten(this.opDivs_[i], 'click', this.opClickHandlers_[i]);
+    turing.util.unlisten(this.opDivs_[i], 'dragstart',
+        this.opDragStartHandlers_[i]);
+    turing.util.removeNode(this.opDivs_[i]);
+  }
+  this.opDivs_.splice(0);
+  this.opClickHandlers_.splice(0);
+  this.opDragStartHandlers_.splice(0);
+  turing.util.removeNode(this.panel_);
+  this.panel_ = null;
+  this.chosen_ = -1;
+};
+
+
+/**
+ * @return {boolean} True iff the panel is created.
+ */
+turing.OpPalette.prototype.isCreated = function() {
+  return !!this.panel_;
+};
+
+
+/**
+ * Chooses an operation, or unchooses it if it is already chosen.
+ * @param {number} i The index of the operation in the palette.
+ */
+turing.OpPalette.prototype.choose = function(i) {
+  var old = this.chosen_;
+  this.chosen_ = i == old ? -1 : i;
+  this.redrawOp_(old);
+  this.redrawOp_(this.chosen_);
+};
+
+
+/**
+ * @return {?turing.Op} The chosen operation, or null if none is chosen.
+ */
+turing.OpPalette.prototype.getChosenOp = function() {
+  return this.chosen_ == -1 ? null : this.ops_[this.chosen_];
+};
+
+
+/**
+ * Chooses an operation when it starts being dragged, so that it is placed
+ * wherever it is dropped.
+ * @param {number} i The index of the operation in the palette.
+ * @param {Event} event dragstart event.
+ * @private
+ */
+turing.OpPalette.prototype.onOpDragStart_ = function(i, event) {
+  if (event.dataTransfer) {
+    // Some browsers only drag elements which carry some data.
+    event.dataTransfer.setData('text', this.ops_[i] || 'blank');
+  }
+  if (this.chosen_ != i) {
+    this.choose(i);
+  }
+};
+
+
+/**
+ * Draws an operation lit iff it is chosen.
+ * @param {number} i The index of the operation in the palette, or -1 for
+ *     none.
+ * @private
+ */
+turing.OpPalette.prototype.redrawOp_ = function(i) {
+  if (i == -1) {
+    return;
+  }
+  var spriteName = turing.getOpSpriteBaseName(this.ops_[i]) + '-s' +
+      (i == this.chosen_ ? '-lit-' + turing.OP_PALETTE_HIGHLIGHT_COLOR_ : '');
+  this.opDivs_[i].style.background =
+      turing.sprites.getBackground(spriteName);
+};
@@ -19,7 +19,10 @@
 
 goog.provide('turing.Program');
 
+goog.require('turing.Machine');
 goog.require('turing.anim');
+goog.require('turing.levelpack');
+goog.require('turing.notation');
 goog.require('turing.sprites');
 goog.require('turing.util');
 
@@ -30,8 +33,8 @@ goog.require('turing.util');
  * @const
  */
 turing.NUM_PROGRAM_TRACKS = {
-  normalMode: 2,
-  bonusMode: 3
+  normalMode: turing.levelpack.GAME_LIMITS.numTracks,
+  bonusMode: turing.levelpack.GAME_LIMITS.numBonusTracks
 };
 
 
@@ -41,8 +44,8 @@ turing.NUM_PROGRAM_TRACKS = {
  * @const
  */
 turing.NUM_OPS_PER_TRACK = {
-  normalMode: 8,
-  bonusMode: 13
+  normalMode: turing.levelpack.GAME_LIMITS.numOpsPerTrack,
+  bonusMode: turing.levelpack.GAME_LIMITS.numBonusOpsPerTrack
 };
 
 
@@ -97,6 +100,56 @@ turing.OP_PUSH_IN_DELAY = 20;
 turing.OP_POP_OUT_DELAY = 20;
 
 
+/**
+ * How many times an op lights up when it pulses.
+ * @type {number}
+ * @const
+ */
+turing.OP_NUM_PULSES = 3;
+
+
+/**
+ * Time in ms an op stays lit, and then dim, in each pulse.
+ * @type {number}
+ * @const
+ */
+turing.OP_PULSE_DELAY = 250;
+
+
+/**
+ * How long in ms an op must be touched to toggle a breakpoint on it.
+ * @type {number}
+ * @const
+ */
+turing.OP_LONG_PRESS_DELAY = 600;
+
+
+/**
+ * Size in px of the marker shown on ops which are breakpoints.
+ * @type {number}
+ * @const
+ */
+turing.BREAKPOINT_MARKER_SIZE = 8;
+
+
+/**
+ * Size in px of the marker showing which tape an op addresses, on ops for
+ * tapes other than tape 0.
+ * @type {number}
+ * @const
+ */
+turing.TAPE_MARKER_SIZE = 11;
+
+
+/**
+ * The symbols programs can print and branch on, besides blank, unless a level
+ * says otherwise.
+ * @type {Array.<string>}
+ * @const
+ */
+turing.DEFAULT_ALPHABET = turing.levelpack.GAME_LIMITS.defaultAlphabet;
+
+
 /**
  * Pixels of padding left of the first circle on the track. This is subtracted
  * from total track width so that circles are centered in the non-padding area.
@@ -191,6 +244,52 @@ turing.setOpHighlightColor = function(color) {
 };
 
 
+/**
+ * Why an op is lit, other than because it is running.
+ * @enum {string}
+ */
+turing.OpMark = {
+  // The simulator paused at a breakpoint on the op.
+  BREAKPOINT: 'breakpoint',
+  // The simulator found the program would loop forever from the op.
+  LOOP: 'loop',
+  // The player's run first went differently from the level's solution at the
+  // op.
+  DIVERGENCE: 'divergence'
+};
+
+
+/**
+ * Colors to light marked ops, in the order turing.getOpMarkColor_ hands them
+ * out.
+ * @type {Array.<string>}
+ * @const
+ * @private
+ */
+turing.OP_MARK_COLORS_ = ['r', 'y', 'g', 'b'];
+
+
+/**
+ * Gets the color to light a marked op. Each mark gets its own color, and none
+ * gets the op highlight color, so a breakpoint is red, or yellow if red is
+ * already the op highlight color.
+ * @param {turing.OpMark} mark Why the op is lit.
+ * @return {string} One of 'b', 'r', 'y', 'g'.
+ * @private
+ */
+turing.getOpMarkColor_ = function(mark) {
+  var colors = [];
+  for (var i = 0; i < turing.OP_MARK_COLORS_.length; i++) {
+    if (turing.OP_MARK_COLORS_[i] != turing.opHighlightColor_) {
+      colors.push(turing.OP_MARK_COLORS_[i]);
+    }
+  }
+  var marks = [turing.OpMark.BREAKPOINT, turing.OpMark.LOOP,
+      turing.OpMark.DIVERGENCE];
+  return colors[marks.indexOf(mark)];
+};
+
+
 /**
  * @return {boolean} True iff program display is in bonus mode.
  */
@@ -239,6 +338,132 @@ turing.OP_SPRITES = {
 };
 
 
+/**
+ * Sprites to draw ops which don't have their own, by the kind of op, with the
+ * op's symbol written on top.
+ * @type {Object.<string, string>}
+ * @const
+ * @private
+ */
+turing.LABELED_OP_SPRITES_ = {
+  'print': 'o-blank',
+  'D': 'o-blank-down',
+  'U': 'o-blank-up',
+  'F': 'o-blank',
+  'H': 'o-blank',
+  'S': 'o-blank',
+  'X': 'o-blank'
+};
+
+
+/**
+ * What to write on top of ops which don't have their own sprite and aren't
+ * prints, conditional branches or forward jumps.
+ * @type {Object.<string, string>}
+ * @const
+ * @private
+ */
+turing.OP_LABELS_ = {
+  'H': 'HALT',
+  'HA': '\u2713',
+  'HR': '\u2717',
+  'X': '0\u21c61',
+  'SL': '\u21e4',
+  'SR': '\u21e5'
+};
+
+
+/**
+ * Width in px of the line drawn for a jump too long to have a sprite of its
+ * own.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.JUMP_LINE_WIDTH_ = 2;
+
+
+/**
+ * Color of the line drawn for a jump too long to have a sprite of its own,
+ * matching the track sprites.
+ * @type {string}
+ * @const
+ * @private
+ */
+turing.JUMP_LINE_COLOR_ = '#d9cfc3';
+
+
+/**
+ * Gets the base name of the sprite for the given operation, as drawn on a
+ * track whose loops point up.
+ * @param {string} spec An operation spec like D_.
+ * @return {string} The name of the sprite with no suffixes.
+ */
+turing.getOpSpriteBaseName = function(spec) {
+  var clickable = !!spec && spec.charAt(0) == '*';
+  if (clickable) {
+    spec = spec.substr(1);
+  }
+  // Ops on other tapes look the same, apart from their tape marker.
+  spec = turing.splitTapeOp(spec || '').op;
+  var label = turing.getOpLabel((clickable ? '*' : '') + spec);
+  if (label) {
+    return turing.LABELED_OP_SPRITES_[turing.isPrintOp(spec) ? 'print' :
+        spec.charAt(0)];
+  }
+  return turing.OP_SPRITES[spec || ''];
+};
+
+
+/**
+ * Gets the symbol to write on top of an operation without its own sprite, or
+ * a clickable operation with only a static sprite.
+ * @param {string} spec An operation spec like DX.
+ * @return {string} The symbol, or '' if the operation has its own sprite.
+ */
+turing.getOpLabel = function(spec) {
+  var clickable = !!spec && spec.charAt(0) == '*';
+  if (clickable) {
+    spec = spec.substr(1);
+  }
+  spec = turing.splitTapeOp(spec || '').op;
+  // Ops which are only used in bonus mode, such as erasing, have no clickable
+  // sprites.
+  if (!spec || turing.OP_SPRITES[spec] &&
+      (!clickable || turing.sprites.exists(turing.OP_SPRITES[spec] + '-i'))) {
+    return '';
+  }
+  if (turing.isPrintOp(spec)) {
+    return spec;
+  } else if (/^F[2-9]$/.test(spec)) {
+    // /^F[2-9]$/ matches a forward jump, labeled with its distance.
+    return '\u00bb' + spec.charAt(1);
+  } else if (turing.OP_LABELS_[spec]) {
+    return turing.OP_LABELS_[spec];
+  }
+  // /^[DU].$/ matches a conditional branch on some symbol.
+  return /^[DU].$/.test(spec) ? spec.charAt(1) : '';
+};
+
+
+/**
+ * Creates a div to write an operation's label in (see turing.getOpLabel),
+ * which goes on top of the operation's div.
+ * @return {Element} The div.
+ */
+turing.createOpLabelDiv = function() {
+  var labelDiv = turing.sprites.getEmptyDiv();
+  var labelStyle = labelDiv.style;
+  labelStyle.left = '0';
+  labelStyle.top = '0';
+  labelStyle.textAlign = 'center';
+  labelStyle.font = 'bold 11px arial,sans-serif';
+  labelStyle.color = '#555';
+  labelStyle.pointerEvents = 'none';
+  return labelDiv;
+};
+
+
 
 /**
  * A track is a row of program operations arranged from left to right in control
@@ -297,6 +522,20 @@ turing.Track = function(verticalPosition, loopTracksDown) {
    */
   this.loopBranchIndex_ = null;
 
+  /**
+   * A div showing the path of the first forward jump on this track.
+   * @type {Element}
+   * @private
+   */
+  this.forwardJumpDiv_;
+
+  /**
+   * Index of the operation which is a forward jump, or null if none.
+   * @type {?number}
+   * @private
+   */
+  this.forwardJumpIndex_ = null;
+
   /**
    * Mousedown handlers for operation circles.
    * @type {Array.<Function>}
@@ -325,6 +564,43 @@ turing.Track = function(verticalPosition, loopTracksDown) {
    */
   this.opMouseOutHandlers_ = [];
 
+  /**
+   * Touchend handlers for operation circles.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.opTouchEndHandlers_ = [];
+
+  /**
+   * Contextmenu (right-click) handlers for operation circles.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.opContextMenuHandlers_ = [];
+
+  /**
+   * Divs holding the symbol drawn on operations without a sprite of their
+   * own, e.g. printing a symbol outside the binary alphabet.
+   * @type {Array.<Element>}
+   * @private
+   */
+  this.opLabelDivs_ = [];
+
+  /**
+   * Divs showing the tape number on operations which address a tape other
+   * than tape 0.
+   * @type {Array.<Element>}
+   * @private
+   */
+  this.opTapeDivs_ = [];
+
+  /**
+   * The symbols which print and conditional branch operations cycle through.
+   * @type {Array.<string>}
+   * @private
+   */
+  this.alphabet_ = turing.DEFAULT_ALPHABET;
+
   /**
    * Whether each operation is pushed in.
    * @type {Array.<boolean>}
@@ -332,6 +608,43 @@ turing.Track = function(verticalPosition, loopTracksDown) {
    */
   this.opPushedIn_ = [];
 
+  /**
+   * Whether each clickable operation is lit by a pulse.
+   * @type {Array.<boolean>}
+   * @private
+   */
+  this.opPulseLit_ = [];
+
+  /**
+   * Whether the simulator should pause before running each operation.
+   * @type {Array.<boolean>}
+   * @private
+   */
+  this.breakpoints_ = [];
+
+  /**
+   * Markers shown on operations which are breakpoints.
+   * @type {Array.<Element>}
+   * @private
+   */
+  this.breakpointDivs_ = [];
+
+  /**
+   * The id of the timeout which toggles a breakpoint on a long press, or null
+   * if no op is being touched.
+   * @type {?number}
+   * @private
+   */
+  this.longPressTimerId_ = null;
+
+  /**
+   * True iff the current touch was a long press which toggled a breakpoint,
+   * so it should not also cycle the op.
+   * @type {boolean}
+   * @private
+   */
+  this.longPressed_ = false;
+
   /**
    * Iff true, operations on this track are currently hidden.
    * @type {boolean}
@@ -345,6 +658,35 @@ turing.Track = function(verticalPosition, loopTracksDown) {
    * @private
    */
   this.interactive_ = false;
+
+  /**
+   * Called with an operation's index when it is clicked or something is
+   * dropped on it while the track is being edited, or null if it isn't.
+   * @type {?function(number)}
+   * @private
+   */
+  this.editHandler_ = null;
+
+  /**
+   * Click handlers for operation circles, for editing.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.opClickHandlers_ = [];
+
+  /**
+   * Dragover handlers for operation circles, for editing.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.opDragOverHandlers_ = [];
+
+  /**
+   * Drop handlers for operation circles, for editing.
+   * @type {Array.<Function>}
+   * @private
+   */
+  this.opDropHandlers_ = [];
 };
 
 
@@ -373,6 +715,9 @@ turing.Track.prototype.create = function() {
     this.loopBranchDiv_ = turing.sprites.getDiv('track-l4');
     this.loopBranchDiv_.style.display = 'none';
     this.loopBranchDiv_.style.top = this.verticalPosition_ + 'px';
+    this.forwardJumpDiv_ = turing.sprites.getDiv('track-l4');
+    this.forwardJumpDiv_.style.display = 'none';
+    this.forwardJumpDiv_.style.top = this.verticalPosition_ + 'px';
   }
   this.container_.style.zIndex = 399;  // Beneath buttons.
   this.container_.style.top =
@@ -392,27 +737,246 @@ turing.Track.prototype.createOp_ = function(i) {
   var pos = this.getOpPosition('o-blank-s', i);
   this.opDivs_[i].style.left = pos.left + 'px';
   this.opDivs_[i].style.top = pos.top + 'px';
+  // Ops can be made breakpoints, including in bonus mode, by right-clicking
+  // them or touching them for a while.
+  this.opContextMenuHandlers_[i] = goog.bind(this.onOpContextMenu_, this, i);
+  turing.util.listen(this.opDivs_[i], 'contextmenu',
+      this.opContextMenuHandlers_[i]);
+  this.opTouchHandlers_[i] = goog.bind(this.onOpTouchStart_, this, i);
+  turing.util.listen(this.opDivs_[i], 'touchstart', this.opTouchHandlers_[i]);
+  this.opTouchEndHandlers_[i] = goog.bind(this.onOpTouchEnd_, this, i);
+  turing.util.listen(this.opDivs_[i], 'touchend',
+      this.opTouchEndHandlers_[i]);
   if (!turing.inBonusMode_) {
     this.opMouseDownHandlers_[i] = goog.bind(this.pushInOp, this, i);
-    this.opTouchHandlers_[i] = goog.bind(function() {
-      this.opPushedIn_[i] = true;
-      this.popOutOp(i, true);
-    }, this);
     this.opMouseUpHandlers_[i] = goog.bind(this.popOutOp, this, i, true);
     this.opMouseOutHandlers_[i] = goog.bind(this.popOutOp, this, i, false);
     turing.util.listen(this.opDivs_[i], 'mousedown',
         this.opMouseDownHandlers_[i]);
-    turing.util.listen(this.opDivs_[i], 'touchstart',
-        this.opTouchHandlers_[i]);
     turing.util.listen(this.opDivs_[i], 'mouseup', this.opMouseUpHandlers_[i]);
     turing.util.listen(this.opDivs_[i], 'mouseout',
         this.opMouseOutHandlers_[i]);
+    // Clicks and drops only do anything while the track is being edited.
+    this.opClickHandlers_[i] = goog.bind(this.onOpClick_, this, i);
+    turing.util.listen(this.opDivs_[i], 'click', this.opClickHandlers_[i]);
+    this.opDragOverHandlers_[i] = goog.bind(this.onOpDragOver_, this, i);
+    turing.util.listen(this.opDivs_[i], 'dragover',
+        this.opDragOverHandlers_[i]);
+    this.opDropHandlers_[i] = goog.bind(this.onOpDrop_, this, i);
+    turing.util.listen(this.opDivs_[i], 'drop', this.opDropHandlers_[i]);
   }
+  this.breakpointDivs_[i] = turing.sprites.getEmptyDiv();
+  var markerStyle = this.breakpointDivs_[i].style;
+  markerStyle.width = turing.BREAKPOINT_MARKER_SIZE + 'px';
+  markerStyle.height = turing.BREAKPOINT_MARKER_SIZE + 'px';
+  markerStyle.top = '2px';
+  markerStyle.right = '2px';
+  // There's no sprite for this, so draw a red dot.
+  markerStyle.background = '#d93025';
+  markerStyle.borderRadius = turing.BREAKPOINT_MARKER_SIZE / 2 + 'px';
+  markerStyle.pointerEvents = 'none';
+  markerStyle.display = 'none';
+  this.opDivs_[i].appendChild(this.breakpointDivs_[i]);
+  this.opLabelDivs_[i] = turing.createOpLabelDiv();
+  this.opDivs_[i].appendChild(this.opLabelDivs_[i]);
+  this.opTapeDivs_[i] = turing.sprites.getEmptyDiv();
+  var tapeStyle = this.opTapeDivs_[i].style;
+  tapeStyle.width = turing.TAPE_MARKER_SIZE + 'px';
+  tapeStyle.height = turing.TAPE_MARKER_SIZE + 'px';
+  tapeStyle.top = '2px';
+  tapeStyle.left = '2px';
+  tapeStyle.background = '#555';
+  tapeStyle.borderRadius = turing.TAPE_MARKER_SIZE / 2 + 'px';
+  tapeStyle.textAlign = 'center';
+  tapeStyle.lineHeight = turing.TAPE_MARKER_SIZE + 'px';
+  tapeStyle.font = 'bold 9px arial,sans-serif';
+  tapeStyle.color = '#fff';
+  tapeStyle.pointerEvents = 'none';
+  tapeStyle.display = 'none';
+  this.opDivs_[i].appendChild(this.opTapeDivs_[i]);
   this.opPushedIn_[i] = false;
+  this.breakpoints_[i] = false;
   this.container_.appendChild(this.opDivs_[i]);
 };
 
 
+/**
+ * Toggles a breakpoint when an op is right-clicked. Some touch browsers also
+ * send a contextmenu event for a long press, which must only toggle once.
+ * @param {number} i Index of the relevant op.
+ * @param {Event} event contextmenu event.
+ * @private
+ */
+turing.Track.prototype.onOpContextMenu_ = function(i, event) {
+  if (event.preventDefault) {
+    event.preventDefault();
+  }
+  event.returnValue = false;
+  if (this.longPressed_) {
+    // The long press timer already toggled it.
+    return;
+  }
+  if (this.longPressTimerId_ != null) {
+    // The menu came before the long press timer fired, so this is the long
+    // press. Don't cycle the op when the touch ends either.
+    this.cancelLongPress_();
+    this.longPressed_ = true;
+  }
+  if (this.canToggleBreakpoints_()) {
+    this.toggleBreakpoint(i);
+  }
+};
+
+
+/**
+ * Starts timing a touch on an op, to toggle a breakpoint on a long press.
+ * @param {number} i Index of the relevant op.
+ * @param {Event} event touchstart event.
+ * @private
+ */
+turing.Track.prototype.onOpTouchStart_ = function(i, event) {
+  this.cancelLongPress_();
+  this.longPressed_ = false;
+  this.longPressTimerId_ = window.setTimeout(goog.bind(function() {
+    this.longPressTimerId_ = null;
+    this.longPressed_ = true;
+    if (this.canToggleBreakpoints_()) {
+      this.toggleBreakpoint(i);
+    }
+  }, this), turing.OP_LONG_PRESS_DELAY);
+};
+
+
+/**
+ * Finishes a touch on an op. A short touch cycles the op like a click, unless
+ * the track is being edited, when the click it makes edits the op.
+ * @param {number} i Index of the relevant op.
+ * @param {Event} event touchend event.
+ * @private
+ */
+turing.Track.prototype.onOpTouchEnd_ = function(i, event) {
+  this.cancelLongPress_();
+  if (!this.longPressed_ && !turing.inBonusMode_ && !this.editHandler_) {
+    this.opPushedIn_[i] = true;
+    this.popOutOp(i, true);
+  }
+  this.longPressed_ = false;
+};
+
+
+/**
+ * Edits an op when it is clicked while the track is being edited.
+ * @param {number} i Index of the relevant op.
+ * @param {Event} event click event.
+ * @private
+ */
+turing.Track.prototype.onOpClick_ = function(i, event) {
+  if (this.editHandler_) {
+    this.editHandler_(i);
+  }
+};
+
+
+/**
+ * Lets ops be dropped on an op while the track is being edited.
+ * @param {number} i Index of the relevant op.
+ * @param {Event} event dragover event.
+ * @private
+ */
+turing.Track.prototype.onOpDragOver_ = function(i, event) {
+  if (this.editHandler_ && event.preventDefault) {
+    // Elements only accept drops if dragover is cancelled.
+    event.preventDefault();
+  }
+};
+
+
+/**
+ * Edits an op when something is dropped on it while the track is being
+ * edited.
+ * @param {number} i Index of the relevant op.
+ * @param {Event} event drop event.
+ * @private
+ */
+turing.Track.prototype.onOpDrop_ = function(i, event) {
+  if (!this.editHandler_) {
+    return;
+  }
+  if (event.preventDefault) {
+    // Stop the browser opening the dropped text as a link.
+    event.preventDefault();
+  }
+  this.editHandler_(i);
+};
+
+
+/**
+ * Cancels any pending long press.
+ * @private
+ */
+turing.Track.prototype.cancelLongPress_ = function() {
+  if (this.longPressTimerId_ != null) {
+    window.clearTimeout(this.longPressTimerId_);
+    this.longPressTimerId_ = null;
+  }
+};
+
+
+/**
+ * Breakpoints can be set while the user can edit the program, and at any time
+ * on the bonus program, which is never editable. They can't be set on hidden
+ * tracks, e.g. while the demo runs.
+ * @return {boolean} True iff the user may toggle breakpoints on this track.
+ * @private
+ */
+turing.Track.prototype.canToggleBreakpoints_ = function() {
+  return !this.hidden_ && (this.interactive_ || turing.inBonusMode_);
+};
+
+
+/**
+ * Toggles whether the simulator pauses before running an op.
+ * @param {number} i Index of the relevant op.
+ */
+turing.Track.prototype.toggleBreakpoint = function(i) {
+  this.breakpoints_[i] = !this.breakpoints_[i];
+  this.redrawBreakpoint_(i);
+};
+
+
+/**
+ * @param {number} i Index of an op.
+ * @return {boolean} True iff the simulator should pause before running it.
+ */
+turing.Track.prototype.isBreakpoint = function(i) {
+  return !!this.breakpoints_[i];
+};
+
+
+/**
+ * Removes all breakpoints from the track.
+ */
+turing.Track.prototype.clearBreakpoints = function() {
+  for (var i = 0; i < this.breakpoints_.length; i++) {
+    this.breakpoints_[i] = false;
+    this.redrawBreakpoint_(i);
+  }
+};
+
+
+/**
+ * Shows or hides the breakpoint marker on an op.
+ * @param {number} i Index of the relevant op.
+ * @private
+ */
+turing.Track.prototype.redrawBreakpoint_ = function(i) {
+  if (this.breakpointDivs_[i]) {
+    this.breakpointDivs_[i].style.display =
+        this.breakpoints_[i] && !this.hidden_ ? 'block' : 'none';
+  }
+};
+
+
 /**
  * Computes the offset of an operation inside the track's container div.
  * @param {string} spriteName The sprite used for this operation.
@@ -465,6 +1029,19 @@ turing.Track.prototype.setInteractive = function(interactive) {
 };
 
 
+/**
+ * Starts or stops editing the track. While it is being edited, clicking an
+ * operation or dropping something on it calls the handler instead of cycling
+ * it.
+ * @param {?function(number)} handler Called with the index of the operation
+ *     to edit, or null to stop editing.
+ */
+turing.Track.prototype.setEditHandler = function(handler) {
+  this.editHandler_ = handler;
+  this.redrawProgram();
+};
+
+
 /**
  * Gets the ith operation div in control flow order on a track.
  * @param {number} i Index into operations.
@@ -491,55 +1068,15 @@ turing.Track.prototype.getOp = function(i) {
  * @param {turing.Op} value Desired value.
  */
 turing.Track.prototype.setOp = function(i, value) {
+  // Any positions skipped over on a shorter track are blank.
+  while (this.ops.length < i) {
+    this.ops.push('');
+  }
   this.ops[i] = value;
+  this.findJumps_();
 };
 
 
-/**
- * Conditional branch operations from a higher track to a lower one.
- * @type {Array.<turing.Op>}
- * @private
- * @const
- */
-turing.COND_BRANCH_DOWN_OPS_ = ['D0', 'D1', 'D_'];
-
-
-/**
- * Conditional branch operations from a lower track to a higher one.
- * @type {Array.<turing.Op>}
- * @private
- * @const
- */
-turing.COND_BRANCH_UP_OPS_ = ['U0', 'U1', 'U_'];
-
-
-/**
- * Loop branch operations.
- * @type {Array.<turing.Op>}
- * @private
- * @const
- */
-turing.LOOP_BRANCH_OPS_ = ['B2', 'B3', 'B4'];
-
-
-/**
- * Printing operations.
- * @type {Array.<turing.Op>}
- * @private
- * @const
- */
-turing.PRINT_OPS_ = ['0', '1'];
-
-
-/**
- * Tape movement operations.
- * @type {Array.<turing.Op>}
- * @private
- * @const
- */
-turing.MOVE_OPS_ = ['L', 'R'];
-
-
 /**
  * Cycle to next valid op in this op's group.
  * @param {number} i Index of relevant op.
@@ -554,12 +1091,31 @@ turing.Track.prototype.cycleOp = function(i) {
     return;
   }
   op = op.substr(1);
-  this.setOp(i, '*' + (
-      turing.util.getNextValue(turing.COND_BRANCH_UP_OPS_, op) ||
-      turing.util.getNextValue(turing.COND_BRANCH_DOWN_OPS_, op) ||
-      turing.util.getNextValue(turing.LOOP_BRANCH_OPS_, op) ||
-      turing.util.getNextValue(turing.PRINT_OPS_, op) ||
-      turing.util.getNextValue(turing.MOVE_OPS_, op) || op));
+  // Ops keep addressing the same tape as they cycle.
+  var split = turing.splitTapeOp(op);
+  var prefix = op.substr(0, op.length - split.op.length);
+  op = split.op;
+  var group = turing.notation.getCycleGroup(op, this.alphabet_);
+  this.setOp(i, '*' + prefix +
+      (group ? turing.util.getNextValue(group, op) : op));
+};
+
+
+/**
+ * Lights a clickable op up and down a few times while the track is
+ * interactive, e.g. to hint that it needs changing.
+ * @param {number} i Index of the relevant op.
+ */
+turing.Track.prototype.pulseOp = function(i) {
+  for (var j = 0; j < 2 * turing.OP_NUM_PULSES; j++) {
+    turing.anim.delay(goog.bind(function(lit) {
+      this.opPulseLit_[i] = lit;
+      // Once the program runs, the op is lit by the simulator instead.
+      if (this.interactive_ && this.opDivs_[i]) {
+        this.redrawOp(i, false);
+      }
+    }, this, j % 2 == 0), j * turing.OP_PULSE_DELAY);
+  }
 };
 
 
@@ -570,8 +1126,8 @@ turing.Track.prototype.cycleOp = function(i) {
  */
 turing.Track.prototype.pushInOp = function(i, event) {
   var spec = this.getOp(i);
-  if (!this.interactive_ || !spec || spec.charAt(0) != '*' ||
-      this.opPushedIn_[i]) {
+  if (!this.interactive_ || this.editHandler_ || !spec ||
+      spec.charAt(0) != '*' || this.opPushedIn_[i]) {
     // The button might still be pushed in if the pop-out animation from a
     // previous click is still playing.
     return;
@@ -618,17 +1174,24 @@ turing.Track.prototype.popOutOp = function(i, shouldChange, event) {
  * @private
  */
 turing.Track.prototype.getOpSpriteBaseName_ = function(spec) {
-  if (spec && spec.charAt(0) == '*') {
-    spec = spec.substr(1);
-  }
-
-  if (this.loopTracksDown_ &&
-      (spec == 'B2' || spec == 'B3' || spec == 'B4')) {
+  var clickable = !!spec && spec.charAt(0) == '*';
+  var op = turing.splitTapeOp((clickable ? spec.substr(1) : spec) || '').op;
+  if (this.loopTracksDown_ && (op == 'B2' || op == 'B3' || op == 'B4')) {
     // Appending R reverses the direction of the loop so that it looks like it's
     // pointing down to the lower track loop.
-    spec = 'R' + spec;
+    return turing.getOpSpriteBaseName((clickable ? '*' : '') + 'R' + op);
   }
-  return turing.OP_SPRITES[spec || ''];
+  return turing.getOpSpriteBaseName(spec);
+};
+
+
+/**
+ * Sets the symbols which print and conditional branch operations on this track
+ * cycle through.
+ * @param {Array.<string>} alphabet The symbols besides blank.
+ */
+turing.Track.prototype.setAlphabet = function(alphabet) {
+  this.alphabet_ = alphabet.slice(0);
 };
 
 
@@ -640,13 +1203,29 @@ turing.Track.prototype.getOpSpriteBaseName_ = function(spec) {
  */
 turing.Track.prototype.setOps = function(ops) {
   this.ops = ops.slice(0);  // Copy ops.
+  this.findJumps_();
+};
+
+
+/**
+ * Finds the first loop branch and forward jump on the track, whose paths are
+ * drawn.
+ * @private
+ */
+turing.Track.prototype.findJumps_ = function() {
   this.loopBranchIndex_ = null;
+  this.forwardJumpIndex_ = null;
   for (var i = 0; i < this.ops.length; i++) {
-    if (this.ops[i] && this.ops[i].match(/B/)) {
+    if (this.loopBranchIndex_ == null && this.ops[i] &&
+        this.ops[i].match(/B/)) {
       // /B/ matches operation codes containing B. Loop branches are the only
       // such operations so this is a loop branch.
       this.loopBranchIndex_ = i;
-      break;
+    }
+    if (this.forwardJumpIndex_ == null && this.ops[i] &&
+        this.ops[i].match(/F/)) {
+      // Likewise, /F/ matches forward jumps.
+      this.forwardJumpIndex_ = i;
     }
   }
 };
@@ -671,6 +1250,9 @@ turing.Track.prototype.redrawProgram = function() {
     // (If there is a loop branch, it'll be shown from redrawOp below.)
     this.loopBranchDiv_.style.display = 'none';
   }
+  if (!turing.inBonusMode_ && this.forwardJumpIndex_ == null) {
+    this.forwardJumpDiv_.style.display = 'none';
+  }
   for (var i = 0; i < turing.numOpsPerTrack_; i++) {
     this.redrawOp(i, false);
   }
@@ -681,8 +1263,12 @@ turing.Track.prototype.redrawProgram = function() {
  * Updates the sprite for an operation.
  * @param {number} i The index of the operation on the track.
  * @param {boolean} lit Whether the operation is currently active.
+ * @param {turing.OpMark=} opt_mark Why the operation is lit, if not because
+ *     it is running. Marked operations are drawn in a different color from the
+ *     normal highlight.
  */
-turing.Track.prototype.redrawOp = function(i, lit) {
+turing.Track.prototype.redrawOp = function(i, lit, opt_mark) {
+  this.redrawBreakpoint_(i);
   if (this.hidden_) {
     return;
   }
@@ -694,10 +1280,23 @@ turing.Track.prototype.redrawOp = function(i, lit) {
     if (this.interactive_) {
       if (this.opPushedIn_[i]) {
         suffix = '-i-in';
+      } else if (this.opPulseLit_[i]) {
+        // Lit, but still raised, since it can be clicked.
+        suffix = '-i-out-lit';
       } else {
         suffix = '-i-out';
       }
       opDiv.style.cursor = 'pointer';
+    } else if (lit && opt_mark == turing.OpMark.BREAKPOINT) {
+      // Lit, but raised, unlike the flat lit state used while running.
+      suffix = '-i-out-lit';
+      opDiv.style.cursor = 'default';
+    } else if (lit && opt_mark) {
+      // Clickable sprites only light in one color, so draw the static sprite
+      // in the mark's color.
+      spec = spec.substr(1);
+      suffix = '-s-lit-' + turing.getOpMarkColor_(opt_mark);
+      opDiv.style.cursor = 'default';
     } else {
       // The operation is clickable, but not right now. It should be flat.
       suffix = lit ? '-i-lit' : '-i';
@@ -705,9 +1304,14 @@ turing.Track.prototype.redrawOp = function(i, lit) {
     }
   } else {
     // The operation is never clickable.
-    suffix = lit ? '-s-lit-' + turing.opHighlightColor_ : '-s';
+    suffix = lit ? '-s-lit-' + (opt_mark ?
+        turing.getOpMarkColor_(opt_mark) : turing.opHighlightColor_) : '-s';
     opDiv.style.cursor = 'default';
   }
+  if (this.editHandler_) {
+    // Any operation can be changed while editing.
+    opDiv.style.cursor = 'pointer';
+  }
   var spriteName = this.getOpSpriteBaseName_(spec);
   var size = turing.sprites.getSize(spriteName + suffix);
   opDiv.style.background = turing.sprites.getBackground(
@@ -719,44 +1323,86 @@ turing.Track.prototype.redrawOp = function(i, lit) {
   opDiv.style.top = pos.top + 'px';
   opDiv.style.width = size.width + 'px';
   opDiv.style.height = size.height + 'px';
+  var labelDiv = this.opLabelDivs_[i];
+  labelDiv.innerHTML = '';
+  labelDiv.appendChild(document.createTextNode(turing.getOpLabel(spec)));
+  labelDiv.style.width = size.width + 'px';
+  // Center on the round face of the button, above any shadow.
+  labelDiv.style.lineHeight = size.width + 'px';
+  var tape = turing.splitTapeOp(
+      spec.charAt(0) == '*' ? spec.substr(1) : spec).tape;
+  var tapeDiv = this.opTapeDivs_[i];
+  tapeDiv.innerHTML = '';
+  tapeDiv.appendChild(document.createTextNode(String(tape)));
+  tapeDiv.style.display = tape ? 'block' : 'none';
   if (i == this.loopBranchIndex_) {
-    this.redrawLoopBranchTrack_(spriteName + suffix);
+    this.redrawJumpTrack_(this.loopBranchDiv_, i, spriteName + suffix);
+  }
+  if (i == this.forwardJumpIndex_) {
+    this.redrawJumpTrack_(this.forwardJumpDiv_, i, spriteName + suffix);
   }
 };
 
 
 /**
- * Redraws the segment showing the path for a loop branch on this track.
- * @param {string} opSpriteName The sprite name for the loop branch operation
- *     where the segment begins.
+ * Redraws the segment showing the path for a loop branch or forward jump on
+ * this track. Jumps too long to have a sprite get a line drawn in its place.
+ * @param {Element} div The div showing the segment.
+ * @param {number} i The index of the operation where the segment begins.
+ * @param {string} opSpriteName The sprite name for the operation.
  * @private
  */
-turing.Track.prototype.redrawLoopBranchTrack_ = function(opSpriteName) {
-  if (this.loopBranchIndex_ == null || turing.inBonusMode_) {
+turing.Track.prototype.redrawJumpTrack_ = function(div, i, opSpriteName) {
+  if (turing.inBonusMode_) {
     return;
   }
-  var spec = this.getOp(this.loopBranchIndex_);
+  var spec = this.getOp(i);
   // /(\d)$/ extracts the last single digit in the operation code, which for
-  // branches is the number of states to branch back (i.e. the distance).
-  var branchDist = spec.match(/(\d)$/);
+  // branches and jumps is the number of states to jump (i.e. the distance).
+  var branchDist = parseInt(spec.match(/(\d)$/)[1], 10);
+  var forward = /F/.test(spec);
   var opSize = turing.sprites.getSize(opSpriteName);
-  var pos = this.getOpPosition(opSpriteName, this.loopBranchIndex_);
-  var loopBranchSprite = 'track-' + (this.loopTracksDown_ ? 'l' : 'u') +
-      branchDist[1];
-  var loopBranchSize = turing.sprites.getSize(loopBranchSprite);
-  this.loopBranchDiv_.style.background = turing.sprites.getBackground(
-      loopBranchSprite);
-  this.loopBranchDiv_.style.left = Math.floor(turing.TRACK_LEFT + pos.left -
-      loopBranchSize.width + opSize.width / 2 + 4) + 'px';
+  var pos = this.getOpPosition(opSpriteName, i);
+  var trackSprite = 'track-' + (this.loopTracksDown_ ? 'l' : 'u') +
+      branchDist;
+  var trackSize;
+  // How much of the size is taken up by a border drawn around the div.
+  var borderWidth = 0;
+  var borderHeight = 0;
+  if (turing.sprites.exists(trackSprite)) {
+    trackSize = turing.sprites.getSize(trackSprite);
+    div.style.background = turing.sprites.getBackground(trackSprite);
+    div.style.border = 'none';
+    div.style.borderRadius = '';
+  } else {
+    // Span the same distance between op centers as the sprites do.
+    var otherPos = this.getOpPosition(opSpriteName,
+        forward ? i + branchDist : i - branchDist);
+    var lineWidth = turing.JUMP_LINE_WIDTH_;
+    var border = lineWidth + 'px solid ' + turing.JUMP_LINE_COLOR_;
+    trackSize = {width: Math.abs(otherPos.left - pos.left) + 8,
+                 height: turing.sprites.getSize('track-l2').height};
+    div.style.background = 'none';
+    div.style.border = border;
+    div.style[this.loopTracksDown_ ? 'borderTop' : 'borderBottom'] = 'none';
+    div.style.borderRadius = this.loopTracksDown_ ? '0 0 8px 8px' :
+        '8px 8px 0 0';
+    borderWidth = 2 * lineWidth;
+    borderHeight = lineWidth;
+  }
+  // Loop branches end at their op, and forward jumps start at theirs.
+  var opCenter = turing.TRACK_LEFT + pos.left + opSize.width / 2;
+  div.style.left = Math.floor(forward ? opCenter - 4 :
+      opCenter - trackSize.width + 4) + 'px';
 
   var middleOfButtons = this.verticalPosition_;
   // For the top loop, its bottom should be aligned with the middle of the
   // buttons.
-  var yOffs = this.loopTracksDown_ ? -3 : (-loopBranchSize.height + 2);
-  this.loopBranchDiv_.style.top = Math.floor(middleOfButtons + yOffs) + 'px';
-  this.loopBranchDiv_.style.width = loopBranchSize.width + 'px';
-  this.loopBranchDiv_.style.height = loopBranchSize.height + 'px';
-  this.loopBranchDiv_.style.display = 'block';
+  var yOffs = this.loopTracksDown_ ? -3 : (-trackSize.height + 2);
+  div.style.top = Math.floor(middleOfButtons + yOffs) + 'px';
+  div.style.width = trackSize.width - borderWidth + 'px';
+  div.style.height = trackSize.height - borderHeight + 'px';
+  div.style.display = 'block';
 };
 
 
@@ -789,7 +1435,27 @@ turing.Track.prototype.destroyEventHandlers_ = function(opt_saveTouch) {
                            this.opTouchHandlers_[i]);
     }
     this.opTouchHandlers_.splice(0);
+    for (var i = 0; i < this.opTouchEndHandlers_.length; i++) {
+      turing.util.unlisten(this.opDivs_[i], 'touchend',
+                           this.opTouchEndHandlers_[i]);
+    }
+    this.opTouchEndHandlers_.splice(0);
+    this.cancelLongPress_();
+    // Touches click too, so touch devices keep these for editing.
+    for (var i = 0; i < this.opClickHandlers_.length; i++) {
+      turing.util.unlisten(this.opDivs_[i], 'click',
+                           this.opClickHandlers_[i]);
+    }
+    this.opClickHandlers_.splice(0);
+  }
+
+  // Touch devices open a context menu on long presses, which would toggle
+  // breakpoints twice, so only mice get to right-click.
+  for (var i = 0; i < this.opContextMenuHandlers_.length; i++) {
+    turing.util.unlisten(this.opDivs_[i], 'contextmenu',
+        this.opContextMenuHandlers_[i]);
   }
+  this.opContextMenuHandlers_.splice(0);
 
   for (var i = 0; i < this.opMouseUpHandlers_.length; i++) {
     turing.util.unlisten(this.opDivs_[i], 'mouseup',
@@ -802,6 +1468,17 @@ turing.Track.prototype.destroyEventHandlers_ = function(opt_saveTouch) {
         this.opMouseOutHandlers_[i]);
   }
   this.opMouseOutHandlers_.splice(0);
+
+  for (var i = 0; i < this.opDragOverHandlers_.length; i++) {
+    turing.util.unlisten(this.opDivs_[i], 'dragover',
+        this.opDragOverHandlers_[i]);
+  }
+  this.opDragOverHandlers_.splice(0);
+
+  for (var i = 0; i < this.opDropHandlers_.length; i++) {
+    turing.util.unlisten(this.opDivs_[i], 'drop', this.opDropHandlers_[i]);
+  }
+  this.opDropHandlers_.splice(0);
 };
 
 
@@ -811,13 +1488,23 @@ turing.Track.prototype.destroyEventHandlers_ = function(opt_saveTouch) {
 turing.Track.prototype.destroy = function() {
   this.destroyEventHandlers_();
   for (var i = 0; i < this.opDivs_.length; i++) {
+    turing.util.removeNode(this.breakpointDivs_[i]);
+    turing.util.removeNode(this.opLabelDivs_[i]);
+    turing.util.removeNode(this.opTapeDivs_[i]);
     turing.util.removeNode(this.opDivs_[i]);
   }
+  this.breakpointDivs_.splice(0);
+  this.opLabelDivs_.splice(0);
+  this.opTapeDivs_.splice(0);
+  this.breakpoints_.splice(0);
+  this.opPulseLit_.splice(0);
   this.opDivs_.splice(0);
   turing.util.removeNode(this.container_);
   this.container_ = null;
   turing.util.removeNode(this.loopBranchDiv_);
   this.loopBranchDiv_ = null;
+  turing.util.removeNode(this.forwardJumpDiv_);
+  this.forwardJumpDiv_ = null;
 };
 
 
@@ -830,6 +1517,7 @@ turing.Track.prototype.attachTo = function(elem) {
   if (this.loopBranchDiv_) {
     // Not shown in bonus mode.
     elem.appendChild(this.loopBranchDiv_);
+    elem.appendChild(this.forwardJumpDiv_);
   }
 };
 
@@ -888,27 +1576,6 @@ turing.Program = function() {
    */
   this.curTrackPos_ = 0;
 
-  /**
-   * The next operation's track number.
-   * @type {number}
-   * @private
-   */
-  this.nextTrack_ = 0;
-
-  /**
-   * The next operation's position on its track.
-   * @type {number}
-   * @private
-   */
-  this.nextTrackPos_ = 0;
-
-  /**
-   * True iff the program should end on the next operation.
-   * @type {boolean}
-   * @private
-   */
-  this.nextPosIsEnd_ = true;
-
   /**
    * Are the program's operations hidden?
    * @type {boolean}
@@ -1039,19 +1706,31 @@ turing.Program.prototype.redrawDescenders_ = function() {
 turing.Program.prototype.change = function(trackOps, opt_hidden) {
   this.curTrack_ = 0;
   this.curTrackPos_ = 0;
-  this.nextTrack_ = 0;
-  this.nextTrackPos_ = 0;
-  this.nextPosIsEnd_ = false;
   this.hidden_ = opt_hidden || false;
   this.numActiveTracks_ = trackOps.length;
   for (var i = 0; i < turing.numTracks_; i++) {
     this.tracks_[i].setOps(trackOps[i] || []);
     this.tracks_[i].setHidden(opt_hidden || false);
+    // Breakpoints belong to a particular program. They survive reset() so that
+    // they stay put between attempts at the same one.
+    this.tracks_[i].clearBreakpoints();
   }
   this.reset();
 };
 
 
+/**
+ * Sets the symbols which the program's print and conditional branch
+ * operations cycle through.
+ * @param {Array.<string>} alphabet The symbols besides blank.
+ */
+turing.Program.prototype.setAlphabet = function(alphabet) {
+  for (var i = 0; i < turing.numTracks_; i++) {
+    this.tracks_[i].setAlphabet(alphabet);
+  }
+};
+
+
 /**
  * Sets whether program tracks are currently accepting clicks.
  * @param {boolean} interactive True iff tracks should accept clicks.
@@ -1083,44 +1762,169 @@ turing.Program.prototype.getCurTrackPos = function() {
 
 
 /**
- * @return {boolean} True iff next position is past end of program.
+ * @return {number} The number of tracks in the current program.
  */
-turing.Program.prototype.isNextPosEnd = function() {
-  return this.nextPosIsEnd_;
+turing.Program.prototype.getNumActiveTracks = function() {
+  return this.numActiveTracks_;
 };
 
 
 /**
- * Sets the track and position for the next operation to be run. Stays put if
- * the new position is not a valid program position.
- * @param {number} track The new track.
- * @param {number} pos The new position.
+ * Gets the operations on each track of the current program, e.g. to load into
+ * a turing.Machine.
+ * @return {Array.<Array.<turing.Op>>} A copy of each active track's ops.
  */
-turing.Program.prototype.setNextPos = function(track, pos) {
-  if (track >= 0 && track < this.numActiveTracks_ &&
-      pos >= 0 && pos < turing.numOpsPerTrack_) {
-    this.nextTrack_ = track;
-    this.nextTrackPos_ = pos;
-    this.nextPosIsEnd_ = false;
-  } else {
-    this.nextPosIsEnd_ = true;
+turing.Program.prototype.getTrackOps = function() {
+  var trackOps = [];
+  for (var i = 0; i < this.numActiveTracks_; i++) {
+    trackOps.push(this.tracks_[i].ops.slice(0));
+  }
+  return trackOps;
+};
+
+
+/**
+ * Changes one operation of the current program, e.g. to reveal its correct
+ * value, and redraws the program. Changing an operation on a track the program
+ * doesn't use adds the track to the program.
+ * @param {number} track The track of the operation.
+ * @param {number} pos The position of the operation on its track.
+ * @param {turing.Op} op The new operation.
+ */
+turing.Program.prototype.setOp = function(track, pos, op) {
+  this.tracks_[track].setOp(pos, op);
+  this.numActiveTracks_ = Math.max(this.numActiveTracks_, track + 1);
+  this.reset();
+};
+
+
+/**
+ * Starts or stops editing the program (see turing.Track.setEditHandler).
+ * @param {?function(number, number)} handler Called with the track and
+ *     position of each operation to edit, or null to stop editing.
+ */
+turing.Program.prototype.setEditHandler = function(handler) {
+  for (var i = 0; i < turing.numTracks_; i++) {
+    this.tracks_[i].setEditHandler(handler && goog.partial(handler, i));
+  }
+};
+
+
+/**
+ * Pulses operations while the program is interactive, e.g. to hint that they
+ * need changing.
+ * @param {Array.<{track: number, pos: number}>} positions The operations.
+ */
+turing.Program.prototype.pulseOps = function(positions) {
+  for (var i = 0; i < positions.length; i++) {
+    this.tracks_[positions[i].track].pulseOp(positions[i].pos);
   }
 };
 
 
 /**
- * Sets the current position to the next position and redraws highlights.
+ * Dims the current operation and highlights the operation at a new position,
+ * which becomes current.
+ * @param {number} track The track of the operation to highlight.
+ * @param {number} pos The position of the operation on its track.
  */
-turing.Program.prototype.goToNextPos = function() {
+turing.Program.prototype.goToPos = function(track, pos) {
   this.dimCurOp();
-  if (!this.nextPosIsEnd_) {
-    this.curTrack_ = this.nextTrack_;
-    this.curTrackPos_ = this.nextTrackPos_;
-    this.lightCurOp_();
+  this.curTrack_ = track;
+  this.curTrackPos_ = pos;
+  this.lightCurOp_();
+};
+
+
+/**
+ * @param {number} track A track number.
+ * @param {number} pos A position on that track.
+ * @return {boolean} True iff the simulator should pause before running the
+ *     operation at this position.
+ */
+turing.Program.prototype.isBreakpoint = function(track, pos) {
+  return !!this.tracks_[track] && this.tracks_[track].isBreakpoint(pos);
+};
+
+
+/**
+ * Gets where the breakpoints are, e.g. to put them back after change() has
+ * shown another program.
+ * @return {Array.<Array.<number>>} The positions of the breakpoints on each
+ *     track.
+ */
+turing.Program.prototype.getBreakpoints = function() {
+  var breakpoints = [];
+  for (var i = 0; i < turing.numTracks_; i++) {
+    breakpoints[i] = [];
+    for (var j = 0; j < turing.numOpsPerTrack_; j++) {
+      if (this.tracks_[i].isBreakpoint(j)) {
+        breakpoints[i].push(j);
+      }
+    }
+  }
+  return breakpoints;
+};
+
+
+/**
+ * Replaces the breakpoints.
+ * @param {Array.<Array.<number>>} breakpoints The positions of the breakpoints
+ *     on each track, as returned by getBreakpoints.
+ */
+turing.Program.prototype.setBreakpoints = function(breakpoints) {
+  for (var i = 0; i < turing.numTracks_; i++) {
+    this.tracks_[i].clearBreakpoints();
+    var positions = breakpoints[i] || [];
+    for (var j = 0; j < positions.length; j++) {
+      this.tracks_[i].toggleBreakpoint(positions[j]);
+    }
   }
 };
 
 
+/**
+ * Dims the current operation and lights the operation at a breakpoint the
+ * simulator has paused at, which becomes current.
+ * @param {number} track The track of the breakpoint.
+ * @param {number} pos The position of the breakpoint on its track.
+ */
+turing.Program.prototype.showBreakpointHit = function(track, pos) {
+  this.dimCurOp();
+  this.curTrack_ = track;
+  this.curTrackPos_ = pos;
+  this.tracks_[track].redrawOp(pos, true, turing.OpMark.BREAKPOINT);
+};
+
+
+/**
+ * Dims the current operation and lights the operation where the simulator
+ * found the program would loop forever, which becomes current.
+ * @param {number} track The track of the operation.
+ * @param {number} pos The position of the operation on its track.
+ */
+turing.Program.prototype.showLoop = function(track, pos) {
+  this.dimCurOp();
+  this.curTrack_ = track;
+  this.curTrackPos_ = pos;
+  this.tracks_[track].redrawOp(pos, true, turing.OpMark.LOOP);
+};
+
+
+/**
+ * Dims the current operation and lights the operation where the player's run
+ * first went differently from the level's solution, which becomes current.
+ * @param {number} track The track of the operation.
+ * @param {number} pos The position of the operation on its track.
+ */
+turing.Program.prototype.showDivergence = function(track, pos) {
+  this.dimCurOp();
+  this.curTrack_ = track;
+  this.curTrackPos_ = pos;
+  this.tracks_[track].redrawOp(pos, true, turing.OpMark.DIVERGENCE);
+};
+
+
 /**
  * Dims the current active program operation.
  */
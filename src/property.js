@@ -0,0 +1,145 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Property levels, whose cases are drawn at random from an
+ * input generator and whose goals are computed by a reference function, e.g.
+ * "increment a binary number" checked against a handful of random numbers.
+ */
+
+goog.provide('turing.Random');
+goog.provide('turing.property');
+
+
+/**
+ * The modulus of the random number generator, the Mersenne prime 2^31 - 1.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.RANDOM_MODULUS_ = 2147483647;
+
+
+/**
+ * The multiplier of the random number generator. Small enough that products
+ * with the state stay exact in a double.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.RANDOM_MULTIPLIER_ = 16807;
+
+
+/**
+ * How many cases a property level checks if it doesn't say.
+ * @type {number}
+ * @const
+ */
+turing.property.DEFAULT_NUM_CASES = 5;
+
+
+/**
+ * A level whose cases are generated. Goes in a turing.ProgramDef's property
+ * field in place of its tape, goal and cases.
+ * - numCases: How many inputs to draw. Defaults to
+ *   turing.property.DEFAULT_NUM_CASES.
+ * - seed: Seeds the inputs, so that every attempt at the level gets the same
+ *   ones. Defaults to 1.
+ * - generateTape: Draws an input tape.
+ * - reference: Returns the goal for an input tape.
+ * @typedef {{generateTape: function(turing.Random): string,
+ *            reference: function(string): string}}
+ */
+turing.PropertyDef;
+
+
+
+/**
+ * A seeded pseudo-random number generator (Park and Miller's minimal
+ * standard), so that the same seed always draws the same numbers.
+ * @param {number} seed Any integer.
+ * @constructor
+ * @throws {Error} If the seed isn't a finite number.
+ */
+turing.Random = function(seed) {
+  if (typeof seed != 'number' || !isFinite(seed)) {
+    throw new Error('Bad random seed ' + seed);
+  }
+  var period = turing.RANDOM_MODULUS_ - 1;
+  /**
+   * The last number drawn, in [1, turing.RANDOM_MODULUS_ - 1]. A state of 0
+   * would only ever draw 0.
+   * @type {number}
+   * @private
+   */
+  this.state_ = (Math.floor(seed) % period + period) % period || period;
+  // The first number drawn from a small seed is always close to 0.
+  this.next();
+};
+
+
+/**
+ * @return {number} The next number, in [0, 1).
+ */
+turing.Random.prototype.next = function() {
+  this.state_ = this.state_ * turing.RANDOM_MULTIPLIER_ %
+      turing.RANDOM_MODULUS_;
+  return (this.state_ - 1) / (turing.RANDOM_MODULUS_ - 1);
+};
+
+
+/**
+ * @param {number} min The smallest number to draw.
+ * @param {number} max The largest number to draw.
+ * @return {number} The next integer in [min, max].
+ */
+turing.Random.prototype.nextInt = function(min, max) {
+  return min + Math.floor(this.next() * (max - min + 1));
+};
+
+
+/**
+ * Draws a string of symbols, e.g. a tape.
+ * @param {string} alphabet The symbols to draw from.
+ * @param {number} minLength The shortest string to draw.
+ * @param {number} maxLength The longest string to draw.
+ * @return {string} The next string.
+ */
+turing.Random.prototype.nextString = function(alphabet, minLength, maxLength) {
+  var length = this.nextInt(minLength, maxLength);
+  var str = '';
+  for (var i = 0; i < length; i++) {
+    str += alphabet.charAt(this.nextInt(0, alphabet.length - 1));
+  }
+  return str;
+};
+
+
+/**
+ * Draws a property level's inputs and works out their goals.
+ * @param {turing.PropertyDef} property The level's property.
+ * @return {Array.<turing.LevelCase>} The level's cases, in the order they are
+ *     checked.
+ */
+turing.property.generateCases = function(property) {
+  var random = new turing.Random(
+      property.seed === undefined ? 1 : property.seed);
+  var numCases = property.numCases || turing.property.DEFAULT_NUM_CASES;
+  var cases = [];
+  for (var i = 0; i < numCases; i++) {
+    var tape = property.generateTape(random);
+    cases.push({tape: tape, goal: property.reference(tape)});
+  }
+  return cases;
+};
@@ -19,9 +19,14 @@
 
 goog.provide('turing.Simulator');
 
+goog.require('turing.Machine');
 goog.require('turing.Program');
+goog.require('turing.TableMachine');
+goog.require('turing.TableView');
 goog.require('turing.Tape');
+goog.require('turing.TraceReplay');
 goog.require('turing.anim');
+goog.require('turing.trace');
 
 
 /**
@@ -89,6 +94,54 @@ turing.SPEED_CONFIG = {
 };
 
 
+/**
+ * Why a program stopped running.
+ * @enum {string}
+ */
+turing.StopReason = {
+  // The program counter moved past either end of its track.
+  RAN_OFF_TRACK: 'ranOffTrack',
+  // The program branched up or down to a track which doesn't exist.
+  BRANCHED_OFF_PROGRAM: 'branchedOffProgram',
+  // The program ran a halt, accept or reject op.
+  HALTED: 'halted',
+  // The program was found to be in a loop which would never halt.
+  LOOPED: 'looped',
+  // The program ran for more steps than the step limit.
+  STEP_LIMIT: 'stepLimit',
+  // The program was stopped before it finished.
+  STOPPED: 'stopped'
+};
+
+
+/**
+ * @param {turing.StopReason} reason Why a program stopped.
+ * @return {boolean} True iff the program halted by itself.
+ */
+turing.isHaltReason = function(reason) {
+  return reason == turing.StopReason.RAN_OFF_TRACK ||
+      reason == turing.StopReason.BRANCHED_OFF_PROGRAM ||
+      reason == turing.StopReason.HALTED;
+};
+
+
+/**
+ * How a program run ended.
+ * - reason: Why it stopped.
+ * - steps: How many steps it ran.
+ * - finalTrack, finalPos: The program counter when it stopped. If it halted,
+ *   this is the op which took it off the program; otherwise it is the next op
+ *   it would have run.
+ * - headPos: The head position of tape 0 when it stopped, relative to the
+ *   first non-blank symbol on that tape when it started, as in turing.Trace.
+ * - verdict: The verdict of the accept or reject op it halted on, or null if
+ *   it didn't halt on one.
+ * @typedef {{reason: turing.StopReason, steps: number, finalTrack: number,
+ *            finalPos: number, headPos: number, verdict: ?turing.Verdict}}
+ */
+turing.RunResult;
+
+
 /**
  * How many times an operation can be repeated before it gets somewhat boring.
  * @type {number}
@@ -105,25 +158,46 @@ turing.SOMEWHAT_BORING_REPEAT_COUNT = 4;
 turing.VERY_BORING_REPEAT_COUNT = 6;
 
 
+/**
+ * How many steps of history the simulator keeps for stepping back. Programs
+ * with a step limit never get close; this only bounds memory for programs
+ * which run forever.
+ * @type {number}
+ * @const
+ */
+turing.MAX_HISTORY_LENGTH = 1000;
+
+
 
 /**
- * Simulates programs.
+ * Simulates programs. The program's semantics live in a turing.Machine (or a
+ * turing.TableMachine); this steps it on a timer and shows each step on a
+ * Program (or TableView) and its Tapes.
  * @constructor
  */
 turing.Simulator = function() {
   /**
-   * The currently running program.
-   * @type {turing.Program}
+   * The machine state of the currently running program, or the trace being
+   * replayed in its place.
+   * @type {turing.Machine|turing.TableMachine|turing.TraceReplay}
+   * @private
+   */
+  this.machine_ = null;
+
+  /**
+   * The currently running program, or the view of the currently running
+   * table.
+   * @type {turing.Program|turing.TableView}
    * @private
    */
   this.program_ = null;
 
   /**
-   * The currently simulating tape.
-   * @type {turing.Tape}
+   * The currently simulating tapes, by tape number.
+   * @type {Array.<turing.Tape>}
    * @private
    */
-  this.tape_ = null;
+  this.tapes_ = null;
 
   /**
    * The id of the timeout which will step the program forward one step.
@@ -134,7 +208,7 @@ turing.Simulator = function() {
 
   /**
    * Function to call when the program is done.
-   * @type {?function()}
+   * @type {?function(turing.RunResult)}
    * @private
    */
   this.doneCallback_ = null;
@@ -174,6 +248,77 @@ turing.Simulator = function() {
    * @private
    */
   this.paused_ = false;
+
+  /**
+   * Steps run so far in the current or last program, oldest first, so that
+   * they can be undone by stepBack. Kept after the program stops so that a
+   * finished run can be rewound, until the next run starts.
+   * @type {Array.<turing.MachineStep>}
+   * @private
+   */
+  this.history_ = [];
+
+  /**
+   * The speeds in effect before each step in history_ ran, so that stepBack
+   * can undo any boring loop speed up the step caused.
+   * @type {Array.<turing.Speeds>}
+   * @private
+   */
+  this.historySpeeds_ = [];
+
+  /**
+   * The id of the timeout which ends the animation of a step made while paused
+   * by stepOnce or stepBack, or -1 if there is none.
+   * @type {number}
+   * @private
+   */
+  this.manualStepTimerId_ = -1;
+
+  /**
+   * True iff simulation should resume once the current stepOnce or stepBack
+   * animation is done.
+   * @type {boolean}
+   * @private
+   */
+  this.resumeAfterManualStep_ = false;
+
+  /**
+   * True iff the simulator has paused at a breakpoint on the next op, so that
+   * resuming should run that op instead of pausing there again.
+   * @type {boolean}
+   * @private
+   */
+  this.atBreakpoint_ = false;
+
+  /**
+   * Function to call when the simulator pauses at a breakpoint.
+   * @type {?function()}
+   * @private
+   */
+  this.breakpointCallback_ = null;
+
+  /**
+   * Spots when the current program will never halt, or null if it may run
+   * forever on purpose.
+   * @type {turing.LoopDetector}
+   * @private
+   */
+  this.loopDetector_ = null;
+
+  /**
+   * The trace of the current or most recent program run.
+   * @type {?turing.Trace}
+   * @private
+   */
+  this.trace_ = null;
+
+  /**
+   * For each tape, the machine's position on it which head positions on that
+   * tape in trace_ are relative to.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.traceOrigins_ = [];
 };
 
 
@@ -195,6 +340,24 @@ turing.Simulator.prototype.setStepLimit = function(limit) {
 };
 
 
+/**
+ * Sets a function to call whenever the simulator pauses at a breakpoint.
+ * @param {?function()} callback The function, or null for none.
+ */
+turing.Simulator.prototype.setBreakpointCallback = function(callback) {
+  this.breakpointCallback_ = callback;
+};
+
+
+/**
+ * Gets the trace of the current program, or of the last one once it is done.
+ * @return {?turing.Trace} The trace, or null if nothing has run yet.
+ */
+turing.Simulator.prototype.getTrace = function() {
+  return this.trace_;
+};
+
+
 /**
  * Used to check if the simulator will run until explicitly stopped, which is
  * the case in demo mode and when showing the bonus program.
@@ -209,45 +372,232 @@ turing.Simulator.prototype.hasStepLimit = function() {
 /**
  * Starts running a program.
  * @param {turing.Program} program Program to run.
+ * @param {turing.Tape|Array.<turing.Tape>} tapes Tape for I/O, or a tape for
+ *     each tape number the program's ops address.
+ * @param {turing.SpeedSetting} speed How fast to run.
+ * @param {function(turing.RunResult)=} opt_doneCallback Function to call
+ *     when program halts, loops, times out or is stopped, with how it ended.
+ */
+turing.Simulator.prototype.run = function(program, tapes, speed,
+    opt_doneCallback) {
+  if (this.isRunning()) {
+    return;
+  }
+  tapes = Array.isArray(tapes) ? tapes : [tapes];
+  this.runMachine_(new turing.Machine(program.getTrackOps(),
+      turing.numOpsPerTrack_, tapes.length), program, tapes, speed,
+      opt_doneCallback);
+};
+
+
+/**
+ * Starts running a table. The view should already show the table.
+ * @param {turing.Table} table Table to run.
+ * @param {turing.TableView} view View to highlight the active row on.
  * @param {turing.Tape} tape Tape for I/O.
  * @param {turing.SpeedSetting} speed How fast to run.
- * @param {function()=} opt_doneCallback Function to call when program halts or
- *     times out.
+ * @param {function(turing.RunResult)=} opt_doneCallback Function to call
+ *     when the table halts, loops, times out or is stopped, with how it ended.
+ */
+turing.Simulator.prototype.runTable = function(table, view, tape, speed,
+    opt_doneCallback) {
+  if (this.isRunning()) {
+    return;
+  }
+  this.runMachine_(new turing.TableMachine(table), view, [tape], speed,
+      opt_doneCallback);
+};
+
+
+/**
+ * Starts running a new machine on whatever is on the tapes.
+ * @param {turing.Machine|turing.TableMachine} machine The machine, before
+ *     its first step.
+ * @param {turing.Program|turing.TableView} program Program or view to light
+ *     up.
+ * @param {Array.<turing.Tape>} tapes Tapes for I/O, by tape number.
+ * @param {turing.SpeedSetting} speed How fast to run.
+ * @param {function(turing.RunResult)=} opt_doneCallback Function to call
+ *     when the machine halts, loops, times out or is stopped.
+ * @private
+ */
+turing.Simulator.prototype.runMachine_ = function(machine, program, tapes,
+    speed, opt_doneCallback) {
+  this.traceOrigins_ = [];
+  for (var i = 0; i < tapes.length; i++) {
+    machine.setTape(tapes[i].getContents(), tapes[i].getHeadPos(), i);
+    tapes[i].setMachine(machine, i);
+    this.traceOrigins_[i] = machine.getTapeStart(i);
+  }
+  this.trace_ = turing.trace.create(machine);
+  // Only look for loops when there is a step limit: without one, programs are
+  // meant to run until stopped.
+  this.loopDetector_ = this.stepLimit_ > 0 ? new turing.LoopDetector() : null;
+  this.start_(machine, program, tapes, speed, opt_doneCallback);
+};
+
+
+/**
+ * Shows a recorded run step by step, as if its program were running, without
+ * executing the program. The program and tapes should already show the
+ * trace's program and tapes.
+ * @param {turing.Trace} trace The run to show.
+ * @param {turing.Program} program Program to light up.
+ * @param {turing.Tape|Array.<turing.Tape>} tapes Tape to animate, or a tape
+ *     for each of the trace's tapes.
+ * @param {turing.SpeedSetting} speed How fast to run.
+ * @param {function(turing.RunResult)=} opt_doneCallback Function to call
+ *     when the trace ends.
  */
-turing.Simulator.prototype.run = function(program, tape, speed,
+turing.Simulator.prototype.replay = function(trace, program, tapes, speed,
     opt_doneCallback) {
   if (this.isRunning()) {
     return;
   }
-  // Start at the first instruction.
-  program.setNextPos(0, 0);
+  tapes = Array.isArray(tapes) ? tapes : [tapes];
+  this.trace_ = {
+    version: trace.version,
+    program: trace.program,
+    tape: trace.tape,
+    headPos: trace.headPos,
+    steps: [],
+    truncated: false
+  };
+  if (trace.extraTapes) {
+    this.trace_.extraTapes = trace.extraTapes;
+  }
+  // Replayed head positions are already relative to the start of each tape.
+  this.traceOrigins_ = [];
+  // The replay writes each step on a machine holding what the tapes show.
+  var tapeMachine = new turing.Machine([], 0, tapes.length);
+  for (var i = 0; i < tapes.length; i++) {
+    this.traceOrigins_[i] = 0;
+    tapeMachine.setTape(tapes[i].getContents(), tapes[i].getHeadPos(), i);
+    tapes[i].setMachine(tapeMachine, i);
+  }
+  this.loopDetector_ = null;
+  this.start_(new turing.TraceReplay(trace, tapeMachine), program, tapes,
+      speed, opt_doneCallback);
+};
+
+
+/**
+ * Starts stepping a machine.
+ * @param {turing.Machine|turing.TableMachine|turing.TraceReplay} machine The
+ *     machine to step.
+ * @param {turing.Program|turing.TableView} program Program or view to light
+ *     up.
+ * @param {Array.<turing.Tape>} tapes Tapes to animate, by tape number.
+ * @param {turing.SpeedSetting} speed How fast to run.
+ * @param {function(turing.RunResult)=} opt_doneCallback Function to call
+ *     when the machine halts, loops or times out.
+ * @private
+ */
+turing.Simulator.prototype.start_ = function(machine, program, tapes, speed,
+    opt_doneCallback) {
+  this.machine_ = machine;
   this.speeds_ = turing.SPEED_CONFIG[speed];
   this.stepCount_ = 0;
   this.runCount_ = {};
+  this.history_ = [];
+  this.historySpeeds_ = [];
+  this.paused_ = false;
+  this.atBreakpoint_ = false;
   this.stepTimerId_ = turing.anim.delay(goog.bind(this.step, this), 0);
   this.program_ = program;
-  this.tape_ = tape;
+  this.tapes_ = tapes;
   this.doneCallback_ = opt_doneCallback || null;
 };
 
 
 /**
- * Immediately stops running the current program, if running.
+ * Immediately stops running the current program, if running. Its steps can
+ * still be undone by stepBack until the next program starts.
+ * @param {turing.StopReason=} opt_reason Why the program stopped, for the done
+ *     callback. Defaults to STOPPED.
  */
-turing.Simulator.prototype.stop = function() {
+turing.Simulator.prototype.stop = function(opt_reason) {
+  var result = this.machine_ ?
+      this.getResult_(opt_reason || turing.StopReason.STOPPED) : null;
   if (this.stepTimerId_ != -1) {
     turing.anim.cancel(this.stepTimerId_);
   }
   this.stepTimerId_ = -1;
-  this.program_ = null;
-  this.tape_ = null;
+  if (this.manualStepTimerId_ != -1) {
+    turing.anim.cancel(this.manualStepTimerId_);
+  }
+  this.manualStepTimerId_ = -1;
+  this.resumeAfterManualStep_ = false;
+  this.paused_ = false;
   if (this.doneCallback_) {
-    this.doneCallback_();
+    // Clear the callback first in case it starts another run.
+    var doneCallback = this.doneCallback_;
     this.doneCallback_ = null;
+    doneCallback(/** @type {turing.RunResult} */(result));
   }
 };
 
 
+/**
+ * Describes how the current program run ended.
+ * @param {turing.StopReason} reason Why it stopped.
+ * @return {turing.RunResult} The result.
+ * @private
+ */
+turing.Simulator.prototype.getResult_ = function(reason) {
+  return {
+    reason: reason,
+    steps: this.stepCount_,
+    finalTrack: this.machine_.getTrack(),
+    finalPos: this.machine_.getTrackPos(),
+    headPos: this.machine_.getHeadPos() - this.traceOrigins_[0],
+    verdict: this.machine_.getVerdict()
+  };
+};
+
+
+/**
+ * Works out why the current program halted.
+ * @return {turing.StopReason} RAN_OFF_TRACK, BRANCHED_OFF_PROGRAM or HALTED.
+ * @private
+ */
+turing.Simulator.prototype.getHaltReason_ = function() {
+  var last = this.history_[this.history_.length - 1];
+  // /^H[AR]?$/ matches a halt, accept or reject op.
+  if (last && /^H[AR]?$/.test(turing.splitTapeOp(last.op).op)) {
+    return turing.StopReason.HALTED;
+  }
+  return last && last.nextTrack != last.track ?
+      turing.StopReason.BRANCHED_OFF_PROGRAM : turing.StopReason.RAN_OFF_TRACK;
+};
+
+
+/**
+ * Stops running the current program without calling its done callback.
+ */
+turing.Simulator.prototype.abort = function() {
+  this.doneCallback_ = null;
+  this.stop();
+};
+
+
+/**
+ * Changes how fast the current program runs from its next step on.
+ * @param {turing.SpeedSetting} speed The new speed.
+ */
+turing.Simulator.prototype.setSpeed = function(speed) {
+  this.speeds_ = turing.SPEED_CONFIG[speed];
+};
+
+
+/**
+ * @return {boolean} True iff a program is loaded but paused.
+ */
+turing.Simulator.prototype.isPaused = function() {
+  return this.paused_ && !!this.machine_;
+};
+
+
 /**
  * Pauses simulation: cancels the next step call, but does not reset any state.
  */
@@ -264,96 +614,248 @@ turing.Simulator.prototype.pause = function() {
  * Resumes simulation at the next step.
  */
 turing.Simulator.prototype.resumeIfPaused = function() {
-  if (this.paused_) {
+  if (this.paused_ && this.manualStepTimerId_ != -1) {
+    // Let the last manual step finish animating before stepping again.
+    this.resumeAfterManualStep_ = true;
+  } else if (this.paused_) {
     this.stepTimerId_ = turing.anim.delay(goog.bind(this.step, this), 0);
   }
   this.paused_ = false;
 };
 
 
+/**
+ * Runs exactly one step of a paused program. The program stays paused.
+ * @return {boolean} True iff a step was run.
+ */
+turing.Simulator.prototype.stepOnce = function() {
+  if (!this.isPaused() || this.manualStepTimerId_ != -1) {
+    return false;
+  }
+  var stepTime = this.advance_();
+  if (stepTime >= 0) {
+    this.manualStepTimerId_ = turing.anim.delay(
+        goog.bind(this.finishManualStep_, this), stepTime);
+  }
+  return true;
+};
+
+
+/**
+ * @return {boolean} True iff there is a step which stepBack can undo.
+ */
+turing.Simulator.prototype.canStepBack = function() {
+  return !!this.machine_ && this.history_.length > 0;
+};
+
+
+/**
+ * Undoes the last step of the current or last program, pausing it first if it
+ * is running, and animates the tape and program back to how they were before
+ * it. The undone step no longer counts towards the step limit, and the program
+ * runs at the speed it had before the step. A program which had stopped is left
+ * paused, so it can be resumed from there.
+ * @return {boolean} True iff a step was undone.
+ */
+turing.Simulator.prototype.stepBack = function() {
+  if (!this.canStepBack() || this.manualStepTimerId_ != -1) {
+    return false;
+  }
+  this.pause();
+  var record = this.history_.pop();
+  var speeds = this.historySpeeds_.pop();
+  this.machine_.unstep(record);
+  // Running forward again should stop at any breakpoint on the undone op.
+  this.atBreakpoint_ = false;
+  this.stepCount_--;
+  turing.trace.truncateTo(/** @type {turing.Trace} */(this.trace_),
+      this.stepCount_);
+  if (this.loopDetector_) {
+    // The detector has seen configurations which come after this one, so
+    // running forward again would look like a loop.
+    this.loopDetector_.reset();
+  }
+  var pc = record.track + ',' + record.trackPos;
+  if (this.runCount_[pc]) {
+    this.runCount_[pc]--;
+  }
+  // Undo the tape op the same way it was done: wait, then animate.
+  this.animateTape_(record, true);
+  // Light the op that ran before the undone one, as if it had just run.
+  var previous = this.history_[this.history_.length - 1];
+  if (previous) {
+    this.program_.goToPos(previous.track, previous.trackPos);
+  } else {
+    this.program_.dimCurOp();
+  }
+  this.manualStepTimerId_ = turing.anim.delay(
+      goog.bind(this.finishManualStep_, this), this.getStepTime_(record));
+  this.speeds_ = speeds;
+  return true;
+};
+
+
+/**
+ * Called when a step made while paused is done animating.
+ * @private
+ */
+turing.Simulator.prototype.finishManualStep_ = function() {
+  this.manualStepTimerId_ = -1;
+  if (this.resumeAfterManualStep_) {
+    this.resumeAfterManualStep_ = false;
+    this.stepTimerId_ = turing.anim.delay(goog.bind(this.step, this), 0);
+  }
+};
+
+
 /**
  * Advances program simulation by one step.
  */
 turing.Simulator.prototype.step = function() {
-  if (!this.tape_ || !this.program_ || this.stepTimerId_ == -1) {
+  if (!this.tapes_ || !this.program_ || this.stepTimerId_ == -1) {
     return;
   }
   this.stepTimerId_ = -1;
-  // Dim the current instruction and highlight the next (if not at end). Note
-  // that this only changes the value of the current pos, not the next pos;
-  // the next pos here is set by setNextPos from the previous call.
-  this.program_.goToNextPos();
-  if (this.program_.isNextPosEnd() ||
+  if (!this.atBreakpoint_ && !this.machine_.isHalted() &&
+      this.program_.isBreakpoint(this.machine_.getTrack(),
+                                 this.machine_.getTrackPos())) {
+    // Pause before running the op. When resumed, it runs.
+    this.atBreakpoint_ = true;
+    this.paused_ = true;
+    this.program_.showBreakpointHit(this.machine_.getTrack(),
+                                    this.machine_.getTrackPos());
+    if (this.breakpointCallback_) {
+      this.breakpointCallback_();
+    }
+    return;
+  }
+  var stepTime = this.advance_();
+  if (stepTime >= 0) {
+    this.stepTimerId_ = turing.anim.delay(goog.bind(this.step, this),
+        stepTime);
+  }
+};
+
+
+/**
+ * Runs the next operation and shows it, or stops the program if it is done.
+ * @return {number} How long in ms to show this step before the next one, or
+ *     -1 if the program stopped.
+ * @private
+ */
+turing.Simulator.prototype.advance_ = function() {
+  if (this.machine_.isHalted() ||
       (this.stepLimit_ > 0 && this.stepCount_ > this.stepLimit_)) {
     // Simulation stops when we try to move to an invalid position or run for
     // more than a maximum number of steps.
-    // We must explicitly dim the current lit up op in case we exceeded the step
-    // count (the Program object doesn't know this, so it will still be lit
-    // after the goToNextPos call above.)
+    // We must explicitly dim the current lit up op, since nothing else will
+    // be lit after it.
     this.program_.dimCurOp();
-    this.stop();
-    return;
+    this.stop(this.machine_.isHalted() ? this.getHaltReason_() :
+        turing.StopReason.STEP_LIMIT);
+    return -1;
+  }
+  if (this.loopDetector_ &&
+      this.loopDetector_.check(/** @type {turing.Machine} */(this.machine_))) {
+    // Show where the program would go round again.
+    this.program_.showLoop(this.machine_.getTrack(),
+                           this.machine_.getTrackPos());
+    this.stop(turing.StopReason.LOOPED);
+    return -1;
   }
+  // Dim the previous instruction and highlight the one about to run.
+  this.program_.goToPos(this.machine_.getTrack(), this.machine_.getTrackPos());
+  this.historySpeeds_.push(this.speeds_);
   if (this.stepLimit_ > 0) {
     // Only accelerate boring loops when they might be unintentional infinite
     // loops (i.e., when a step limit is set).
     this.speedUpBoringLoops_();
   }
   this.stepCount_++;
-  var op = this.program_.getCurOp();
-  if (op && op.charAt(0) == '*') {
-    op = op.substr(1);
+  this.atBreakpoint_ = false;
+  var record = this.machine_.step();
+  this.history_.push(record);
+  if (this.history_.length > turing.MAX_HISTORY_LENGTH) {
+    this.history_.shift();
+    this.historySpeeds_.shift();
   }
-  var implicitStep = true;  // Most ops implicitly step one position.
+  this.animateTape_(record, false);
+  var stepTime = this.getStepTime_(record);
+  turing.trace.addStep(/** @type {turing.Trace} */(this.trace_), record,
+      this.traceOrigins_[record.tape || 0], stepTime);
+  return stepTime;
+};
+
+
+/**
+ * Shows a step, or undoing it, on its tape.
+ * @param {turing.MachineStep} record The step.
+ * @param {boolean} undo Iff true, show the step being undone.
+ * @private
+ */
+turing.Simulator.prototype.animateTape_ = function(record, undo) {
   // Tape ops update tape state immediately, but take speeds_.tapeTime ms
   // to animate. Spend half the total animation time setting up (erasing before
   // printing or delaying before moving) and the other half animating, so that
   // there's a delay between when the op is lit and when it seems to happen.
+  var tape = this.tapes_[record.tape || 0];
   var tapeWaitTime = this.speeds_.tapeTime / 2;
   var tapeExecuteTime = this.speeds_.tapeTime / 2;
-  if (op == '0' || op == '1' || op == '_') {
-    this.tape_.print(op, tapeWaitTime, tapeExecuteTime);
-  } else if (op == 'L') {
-    this.tape_.scanLeft(tapeWaitTime, tapeExecuteTime);
-  } else if (op == 'R') {
-    this.tape_.scanRight(tapeWaitTime, tapeExecuteTime);
-  } else if (/B[2-9]/.test(op)) {
-    // Regexp matches a B followed by a digit from 2 to 9, which are allowable
-    // branch offsets. Normal game programs only use B2-4, but our bonus program
-    // needs longer branch offsets.
-    this.program_.setNextPos(this.program_.getCurTrack(),
-        this.program_.getCurTrackPos() - parseInt(op.charAt(1), 10));
-    implicitStep = false;
-  } else if (/^D/.test(op)) {
-    // 'Dx' jumps down one track if the current symbol is 'x'. 'D' by itself
-    // jumps down unconditionally.
-    if (op.length == 1 || this.tape_.getCurSymbol() == op.charAt(1)) {
-      this.program_.setNextPos(this.program_.getCurTrack() + 1,
-          this.program_.getCurTrackPos());
-      implicitStep = false;
-    }
-  } else if (/^U/.test(op)) {
-    // 'Ux' jumps up one track if the current symbol is 'x'. 'U' by itself jumps
-    // up unconditionally.
-    if (op.length == 1 || this.tape_.getCurSymbol() == op.charAt(1)) {
-      this.program_.setNextPos(this.program_.getCurTrack() - 1,
-          this.program_.getCurTrackPos());
-      implicitStep = false;
+  var move = undo ? -record.move : record.move;
+  // Table rows may both print and move. The move comes after the print, or
+  // when undoing, before it. Either way the tape prints on the square the
+  // head is over when print is called, so undoing moves first.
+  var printWaitTime = tapeWaitTime;
+  var moveWaitTime = tapeWaitTime;
+  if (record.written != null && move) {
+    if (undo) {
+      printWaitTime += this.speeds_.tapeTime;
+    } else {
+      moveWaitTime += this.speeds_.tapeTime;
     }
   }
-  if (implicitStep) {
-    this.program_.setNextPos(this.program_.getCurTrack(),
-        this.program_.getCurTrackPos() + 1);
+  if (record.written != null && !undo) {
+    tape.print(record.written, /** @type {string} */(record.overwritten),
+        printWaitTime, tapeExecuteTime);
   }
-  var stepTime = this.speeds_.stepTime;
-  if (!op) {
-    stepTime = this.speeds_.emptyStepTime;
-  } else if (/^[UDB]/.test(op)) {
-    // /^[UDB]/ matches a U, D or B at the start of op, which are branch
-    // operations.
-    stepTime = this.speeds_.branchTime;
+  if (move == -1) {
+    tape.scanLeft(moveWaitTime, tapeExecuteTime);
+  } else if (move == 1) {
+    tape.scanRight(moveWaitTime, tapeExecuteTime);
+  } else if (move) {
+    // Seek ops move any number of squares in one step.
+    tape.scanBy(move, moveWaitTime, tapeExecuteTime);
+  }
+  if (record.written != null && undo) {
+    tape.print(/** @type {string} */(record.overwritten), record.written,
+        printWaitTime, tapeExecuteTime);
+  }
+};
+
+
+/**
+ * Gets how long to show a step before moving on from it.
+ * @param {turing.MachineStep} record The step.
+ * @return {number} Duration in ms at the current speed.
+ * @private
+ */
+turing.Simulator.prototype.getStepTime_ = function(record) {
+  var op = turing.splitTapeOp(record.op).op;
+  if (record.written != null && record.move) {
+    // A table row which prints and then moves.
+    return this.speeds_.stepTime + this.speeds_.tapeTime;
+  } else if (!op) {
+    return this.speeds_.emptyStepTime;
+  } else if (/^[UDBFH]/.test(op)) {
+    // /^[UDBFH]/ matches a U, D, B, F or H at the start of op, which are
+    // branch, jump and halt operations.
+    return this.speeds_.branchTime;
+  } else if (Math.abs(record.move) > 1) {
+    // A seek scans each square for half the tape time.
+    return this.speeds_.stepTime +
+        (Math.abs(record.move) - 1) * this.speeds_.tapeTime / 2;
   }
-  this.stepTimerId_ = turing.anim.delay(goog.bind(this.step, this), stepTime);
+  return this.speeds_.stepTime;
 };
 
 
@@ -368,14 +870,19 @@ turing.Simulator.prototype.step = function() {
  * @private
  */
 turing.Simulator.prototype.speedUpBoringLoops_ = function() {
-  var pc = this.program_.getCurTrack() + ',' + this.program_.getCurTrackPos();
+  var pc = this.machine_.getTrack() + ',' + this.machine_.getTrackPos();
   var count = this.runCount_[pc] || 0;
   this.runCount_[pc] = count + 1;
+  var speeds = null;
   if (count > turing.VERY_BORING_REPEAT_COUNT) {
     // We have to go straight to ludicrous speed.
-    this.speeds_ = turing.SPEED_CONFIG[turing.SpeedSetting.LUDICROUS];
+    speeds = turing.SPEED_CONFIG[turing.SpeedSetting.LUDICROUS];
   } else if (count > turing.SOMEWHAT_BORING_REPEAT_COUNT) {
     // This is getting boring, speed it up.
-    this.speeds_ = turing.SPEED_CONFIG[turing.SpeedSetting.FAST];
+    speeds = turing.SPEED_CONFIG[turing.SpeedSetting.FAST];
+  }
+  if (speeds && speeds.stepTime < this.speeds_.stepTime) {
+    // Never slow down, e.g. if the user has already fast-forwarded.
+    this.speeds_ = speeds;
   }
 };
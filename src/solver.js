@@ -0,0 +1,193 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Solves puzzles by trying every setting of a level's clickable
+ * ops, each op being set to every op in its cycle (see
+ * turing.notation.getCycleGroup), and keeping the settings which solve every
+ * case within the step limit. A well made puzzle has exactly one.
+ *
+ * Searches can be slow, so src/solver_worker.js runs them off the page's main
+ * thread: post it a request from turing.solver.createRequest, and it posts
+ * back the turing.solver.Result.
+ */
+
+goog.provide('turing.solver');
+
+goog.require('turing.Machine');
+goog.require('turing.level');
+goog.require('turing.notation');
+
+
+/**
+ * The most settings a search tries, so that a level with many clickable ops
+ * can't search for hours. Levels have at most a few thousand.
+ * @type {number}
+ * @const
+ */
+turing.solver.MAX_SETTINGS = 100000;
+
+
+/**
+ * A search to run, as plain data which can be posted to a worker.
+ * - program: The level, without its property, which can't be posted.
+ * - cases: The level's cases.
+ * - numOpsPerTrack: The number of op positions on each track.
+ * - alphabet: The level's symbols besides blank.
+ * @typedef {{program: turing.ProgramDef, cases: Array.<turing.LevelCase>,
+ *            numOpsPerTrack: number, alphabet: Array.<string>}}
+ */
+turing.solver.Request;
+
+
+/**
+ * What a search found.
+ * - solutions: The ops of each setting which solves the level, without '*'
+ *   markers, in the order they were tried.
+ * - numSettings: How many settings there are.
+ * - truncated: True iff there were more than turing.solver.MAX_SETTINGS, so
+ *   only that many were tried.
+ * @typedef {{solutions: Array.<Array.<Array.<string>>>, numSettings: number,
+ *            truncated: boolean}}
+ */
+turing.solver.Result;
+
+
+/**
+ * Describes a search for a level's solutions.
+ * @param {turing.ProgramDef} program The level.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ * @param {Array.<string>} alphabet The level's symbols besides blank.
+ * @return {turing.solver.Request} The search.
+ */
+turing.solver.createRequest = function(program, numOpsPerTrack, alphabet) {
+  return {
+    // Only what turing.level.verifyOps reads.
+    program: {
+      tape: program.tape,
+      goal: program.goal,
+      ops: program.ops,
+      stepLimit: program.stepLimit,
+      outputTape: program.outputTape,
+      compare: program.compare,
+      head: program.head
+    },
+    cases: turing.level.getCases(program),
+    numOpsPerTrack: numOpsPerTrack,
+    alphabet: alphabet
+  };
+};
+
+
+/**
+ * Finds every setting of a level's clickable ops which solves it. The
+ * settings are tried starting from the ops in the level's incorrect program.
+ * @param {turing.solver.Request} request The search.
+ * @return {turing.solver.Result} What the search found.
+ */
+turing.solver.solve = function(request) {
+  var incorrect = request.program.ops.incorrect;
+  var trackOps = [];
+  // Where each clickable op is, and its cycle.
+  var slots = [];
+  var numSettings = 1;
+  for (var i = 0; i < incorrect.length; i++) {
+    trackOps.push([]);
+    for (var j = 0; j < incorrect[i].length; j++) {
+      var op = incorrect[i][j];
+      var clickable = op.charAt(0) == '*';
+      op = clickable ? op.substr(1) : op;
+      trackOps[i].push(op);
+      var split = turing.splitTapeOp(op);
+      var group = clickable ?
+          turing.notation.getCycleGroup(split.op, request.alphabet) : null;
+      if (group) {
+        // Ops keep addressing the same tape as they cycle.
+        slots.push({track: i, pos: j, group: group,
+                    prefix: op.substr(0, op.length - split.op.length),
+                    start: group.indexOf(split.op)});
+        numSettings *= group.length;
+      }
+    }
+  }
+  var result = {
+    solutions: [],
+    numSettings: numSettings,
+    truncated: numSettings > turing.solver.MAX_SETTINGS
+  };
+  // Count through the settings like an odometer, each slot a digit.
+  var choices = [];
+  for (var k = 0; k < slots.length; k++) {
+    choices.push(0);
+  }
+  for (var n = 0; n < Math.min(numSettings, turing.solver.MAX_SETTINGS); n++) {
+    for (var k = 0; k < slots.length; k++) {
+      var slot = slots[k];
+      trackOps[slot.track][slot.pos] = slot.prefix +
+          slot.group[(slot.start + choices[k]) % slot.group.length];
+    }
+    if (turing.level.verifyOps(trackOps, request.numOpsPerTrack,
+        request.program, request.cases).solves) {
+      result.solutions.push(turing.solver.copyOps_(trackOps));
+    }
+    for (var k = 0; k < slots.length; k++) {
+      choices[k] = (choices[k] + 1) % slots[k].group.length;
+      if (choices[k]) {
+        break;
+      }
+    }
+  }
+  return result;
+};
+
+
+/**
+ * @param {Array.<Array.<string>>} trackOps Ops for each track.
+ * @return {Array.<Array.<string>>} A copy.
+ * @private
+ */
+turing.solver.copyOps_ = function(trackOps) {
+  var copy = [];
+  for (var i = 0; i < trackOps.length; i++) {
+    copy.push(trackOps[i].slice(0));
+  }
+  return copy;
+};
+
+
+/**
+ * @param {turing.solver.Result} result What a search found.
+ * @return {Array.<string>} A line saying how many solutions there are, then a
+ *     line for each, with its tracks in turing.assemble_'s notation separated
+ *     by ' | ', e.g. 'L 1 R R R 1 . . | . . . . . . . .'.
+ */
+turing.solver.formatResult = function(result) {
+  var count = result.solutions.length;
+  var lines = [count + (count == 1 ? ' solution' : ' solutions') + ' in ' +
+      (result.truncated ? 'the first ' + turing.solver.MAX_SETTINGS + ' of ' :
+      '') + result.numSettings +
+      (result.numSettings == 1 ? ' setting' : ' settings')];
+  for (var i = 0; i < count; i++) {
+    var tracks = [];
+    for (var j = 0; j < result.solutions[i].length; j++) {
+      var ops = [];
+      for (var k = 0; k < result.solutions[i][j].length; k++) {
+        ops.push(result.solutions[i][j][k] || '.');
+      }
+      tracks.push(ops.join(' '));
+    }
+    lines.push(tracks.join(' | '));
+  }
+  return lines;
+};
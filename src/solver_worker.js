@@ -0,0 +1,44 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A web worker which searches for a level's solutions, so that
+ * the page stays responsive meanwhile. Post it a turing.solver.Request and it
+ * posts back the turing.solver.Result.
+ *
+ * The sources are plain scripts which expect the goog and turing namespaces to
+ * already exist (index.html sets these up in the page), so they are stubbed
+ * here first.
+ */
+
+var goog = {
+  // Create namespaces as they are provided, like Closure does.
+  provide: function(name) {
+    var parts = name.split('.');
+    var obj = self;
+    for (var i = 0; i < parts.length; i++) {
+      obj = obj[parts[i]] = obj[parts[i]] || {};
+    }
+  },
+  require: function() {},
+  exportSymbol: function() {}
+};
+var turing = {};
+
+importScripts('machine.js', 'trace.js', 'property.js', 'notation.js',
+    'level.js', 'solver.js');
+
+self.onmessage = function(event) {
+  self.postMessage(turing.solver.solve(event.data));
+};
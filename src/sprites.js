@@ -39,6 +39,16 @@ turing.sprites.PATH = 'images/sprite.png';
 turing.sprites.DEFERRED_SPRITE_PATH = 'images/deferred_sprite.png';
 
 
+/**
+ * @param {string} name A sprite name.
+ * @return {boolean} True iff there is a sprite with that name.
+ */
+turing.sprites.exists = function(name) {
+  return !!(turing.sprites.offsets.RECTS[name] ||
+      turing.deferredsprites.offsets.RECTS[name]);
+};
+
+
 /**
  * Gets the width and height of the named sprite.
  * @param {string} name A sprite name.
@@ -54,9 +64,12 @@ turing.sprites.getSize = function(name) {
 /**
  * Gets a string with background: CSS to select a sprite.
  * @param {string} name The name of the desired sprite.
+ * @param {number=} opt_left Where to start within the sprite, for showing
+ *     only part of it. Defaults to 0.
+ * @param {number=} opt_top Where to start within the sprite. Defaults to 0.
  * @return {string} background: CSS.
  */
-turing.sprites.getBackground = function(name) {
+turing.sprites.getBackground = function(name, opt_left, opt_top) {
   var rect = turing.sprites.offsets.RECTS[name] ||
       turing.deferredsprites.offsets.RECTS[name];
   if (!rect) {
@@ -68,8 +81,8 @@ turing.sprites.getBackground = function(name) {
   var path =
       deferred ? turing.sprites.DEFERRED_SPRITE_PATH : turing.sprites.PATH;
   return 'url(' + path + ') ' +
-      -rect.x + 'px ' +
-      -rect.y + 'px no-repeat';
+      -(rect.x + (opt_left || 0)) + 'px ' +
+      -(rect.y + (opt_top || 0)) + 'px no-repeat';
 };
 
 
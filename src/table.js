@@ -0,0 +1,701 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Turing machines written the textbook way, as a table of
+ * transitions (state, read -> write, move, next state), and conversion between
+ * tables and the doodle's track programs.
+ */
+
+goog.provide('turing.TableMachine');
+goog.provide('turing.table');
+
+goog.require('turing.Machine');
+
+
+/**
+ * The state a compiled table goes to when its program halts. Tables have no
+ * rows for it; like any state, a machine halts when it has no row for the
+ * state and the symbol under the head.
+ * @type {string}
+ * @const
+ */
+turing.HALT_STATE = 'halt';
+
+
+/**
+ * The ops which halt with each verdict. Tables halt with a verdict by going to
+ * a state named after it, i.e. 'accept' or 'reject', which has no rows.
+ * @type {Object.<turing.Verdict, string>}
+ * @const
+ * @private
+ */
+turing.VERDICT_OPS_ = {'accept': 'HA', 'reject': 'HR'};
+
+
+/**
+ * One transition of a table.
+ * - state: The state the row applies in.
+ * - read: The symbol under the head the row applies to, '_' for blank.
+ * - write: The symbol to print in its place, '_' to erase.
+ * - move: 'L' or 'R' to then move the head left or right, or 'N' to not move.
+ * - next: The state to go to.
+ * @typedef {{state: string, read: string, write: string, move: string,
+ *            next: string}}
+ */
+turing.TableRow;
+
+
+/**
+ * A machine as a table of transitions.
+ * - start: The initial state.
+ * - rows: The transitions. At most one row should apply to each state and
+ *   symbol.
+ * @typedef {{start: string, rows: Array.<turing.TableRow>}}
+ */
+turing.Table;
+
+
+/**
+ * How far each move in a table row moves the head.
+ * @type {Object.<string, number>}
+ * @const
+ * @private
+ */
+turing.TABLE_MOVES_ = {'L': -1, 'N': 0, 'R': 1};
+
+
+/**
+ * Reads a table written one row per line as 'state read write move next',
+ * e.g. 'q0 1 0 R q1'. Anything after a '#' is a comment. The first row's state
+ * is the start state.
+ * @param {string} text The table.
+ * @return {?turing.Table} The table, or null if text isn't one.
+ */
+turing.table.parse = function(text) {
+  var rows = [];
+  var lines = text.split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    // /#.*$/ matches a comment to the end of the line; /^\s+|\s+$/g matches
+    // leading and trailing whitespace.
+    var line = lines[i].replace(/#.*$/, '').replace(/^\s+|\s+$/g, '');
+    if (!line) {
+      continue;
+    }
+    var fields = line.split(/\s+/);
+    if (fields.length != 5 || !turing.isValidSymbol(fields[1]) ||
+        !turing.isValidSymbol(fields[2]) ||
+        !turing.TABLE_MOVES_.hasOwnProperty(fields[3])) {
+      return null;
+    }
+    rows.push({state: fields[0], read: fields[1], write: fields[2],
+               move: fields[3], next: fields[4]});
+  }
+  return rows.length ? {start: rows[0].state, rows: rows} : null;
+};
+
+
+/**
+ * @param {turing.TableRow} row A table row.
+ * @return {string} The row as written for turing.table.parse.
+ */
+turing.table.rowToText = function(row) {
+  return [row.state, row.read, row.write, row.move, row.next].join(' ');
+};
+
+
+/**
+ * Writes a table the way turing.table.parse reads it.
+ * @param {turing.Table} table The table.
+ * @return {string} The table, one row per line, start state first.
+ */
+turing.table.toText = function(table) {
+  var lines = [];
+  for (var i = 0; i < table.rows.length; i++) {
+    if (table.rows[i].state == table.start) {
+      lines.push(turing.table.rowToText(table.rows[i]));
+    }
+  }
+  for (var i = 0; i < table.rows.length; i++) {
+    if (table.rows[i].state != table.start) {
+      lines.push(turing.table.rowToText(table.rows[i]));
+    }
+  }
+  return lines.join('\n');
+};
+
+
+/**
+ * Finds the row which applies to a state and symbol.
+ * @param {turing.Table} table The table.
+ * @param {string} state The state.
+ * @param {string} symbol The symbol under the head.
+ * @return {number} The row's index, or -1 if there isn't one.
+ */
+turing.table.findRow = function(table, state, symbol) {
+  for (var i = 0; i < table.rows.length; i++) {
+    var row = table.rows[i];
+    if (row.state == state && (row.read == symbol ||
+        (turing.isBlank(row.read) && turing.isBlank(symbol)))) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+
+/**
+ * Compiles a track program into a table with the same behavior: one state per
+ * reachable op, each running in a single step, so the table halts after the
+ * same number of steps with the same tape. Seeks are the exception, taking a
+ * step for each square they move. The states are named q0, q1, ... by op
+ * position, and the table goes to turing.HALT_STATE when the program halts,
+ * or to 'accept' or 'reject' when it halts with a verdict. The table only has
+ * rows for the alphabet's symbols and blank, so behaves the same on tapes of
+ * those symbols.
+ * @param {Array.<Array.<string>>} trackOps The ops on each track, as for
+ *     turing.Machine.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ * @param {Array.<string>} alphabet The symbols besides blank which may be
+ *     read.
+ * @return {?turing.Table} The table, or null if the program uses more than
+ *     one tape.
+ */
+turing.table.compile = function(trackOps, numOpsPerTrack, alphabet) {
+  var machine = new turing.Machine(trackOps, numOpsPerTrack);
+  for (var track = 0; track < machine.getNumTracks(); track++) {
+    for (var pos = 0; pos < numOpsPerTrack; pos++) {
+      if (turing.splitTapeOp(machine.getOp(track, pos)).tape) {
+        return null;
+      }
+    }
+  }
+  var getState = function(track, pos) {
+    return 'q' + (track * numOpsPerTrack + pos);
+  };
+  var symbols = alphabet.concat(['_']);
+  var table = {start: getState(0, 0), rows: []};
+  if (machine.isHalted()) {
+    // There are no ops at all.
+    table.start = turing.HALT_STATE;
+    return table;
+  }
+  // Work out what each op does with each symbol by running it, from the first
+  // op on to every op it can reach.
+  var queue = [{track: 0, pos: 0}];
+  var seen = {};
+  seen[getState(0, 0)] = true;
+  while (queue.length) {
+    var pc = queue.shift();
+    for (var i = 0; i < symbols.length; i++) {
+      machine.setPos(pc.track, pc.pos);
+      machine.setTape(turing.isBlank(symbols[i]) ? {} : {0: symbols[i]}, 0);
+      var record = machine.step();
+      var next = turing.HALT_STATE;
+      var move = record.move;
+      if (move && /^S[LR]$/.test(record.op)) {
+        // A seek moves one square at a time, staying in the same state until
+        // it reaches a blank.
+        next = getState(pc.track, pc.pos);
+      } else if (record.halted && turing.getOpVerdict(record.op)) {
+        next = /** @type {string} */(turing.getOpVerdict(record.op));
+      } else if (!record.halted) {
+        next = getState(record.nextTrack, record.nextTrackPos);
+        if (!seen[next]) {
+          seen[next] = true;
+          queue.push({track: record.nextTrack, pos: record.nextTrackPos});
+        }
+      }
+      table.rows.push({
+        state: getState(pc.track, pc.pos),
+        read: symbols[i],
+        write: record.written != null ? record.written : symbols[i],
+        move: move < 0 ? 'L' : move > 0 ? 'R' : 'N',
+        next: next
+      });
+    }
+  }
+  return table;
+};
+
+
+/**
+ * Gets the symbols a table reads.
+ * @param {turing.Table} table The table.
+ * @return {Array.<string>} The symbols, always including blank as '_'.
+ * @private
+ */
+turing.table.getSymbols_ = function(table) {
+  var symbols = ['_'];
+  for (var i = 0; i < table.rows.length; i++) {
+    var read = table.rows[i].read;
+    if (!turing.isBlank(read) && symbols.indexOf(read) == -1) {
+      symbols.push(read);
+    }
+  }
+  return symbols;
+};
+
+
+/**
+ * Works out which single op could do what a state of a table does.
+ * @param {turing.Table} table The table.
+ * @param {string} state The state.
+ * @param {Array.<string>} symbols The symbols the table reads.
+ * @return {?{kind: string, op: string, next: string,
+ *            branches: Array.<{symbol: string, target: string,
+ *                              fallthrough: string}>}}
+ *     What kind of op ('op' for one which steps forward, 'jump' for one which
+ *     may go anywhere, 'branch' for a conditional branch, or 'halt' for an
+ *     accept or reject op), the op if known
+ *     and the state after it, or for branches, each way the branch could go;
+ *     or null if no single op does the same.
+ * @private
+ */
+turing.table.getBehavior_ = function(table, state, symbols) {
+  if (turing.VERDICT_OPS_[state]) {
+    return {kind: 'halt', op: turing.VERDICT_OPS_[state],
+            next: turing.HALT_STATE};
+  }
+  var rows = [];
+  var isIdentity = true;
+  var targets = {};
+  var numTargets = 0;
+  for (var i = 0; i < symbols.length; i++) {
+    var index = turing.table.findRow(table, state, symbols[i]);
+    // A missing row halts without touching the tape.
+    var row = index == -1 ?
+        {write: symbols[i], move: 'N', next: turing.HALT_STATE} :
+        table.rows[index];
+    rows.push(row);
+    if (row.write != symbols[i] &&
+        !(turing.isBlank(row.write) && turing.isBlank(symbols[i]))) {
+      isIdentity = false;
+    }
+    if (!targets[row.next]) {
+      targets[row.next] = [];
+      numTargets++;
+    }
+    targets[row.next].push(symbols[i]);
+  }
+  // symbols[0] is blank. A state which moves the same way over every other
+  // symbol, staying in the same state, and moves on when it reads a blank is a
+  // seek.
+  var isSeek = isIdentity && rows.length > 1 && rows[0].move == 'N' &&
+      rows[0].next != state;
+  // A state which prints each symbol's flip over it is a flip.
+  var isFlip = numTargets == 1;
+  for (var i = 0; i < rows.length; i++) {
+    isSeek = isSeek && (i == 0 || (rows[i].move == rows[1].move &&
+        rows[i].move != 'N' && rows[i].next == state));
+    isFlip = isFlip && rows[i].move == 'N' &&
+        rows[i].write == (turing.FLIPPED_SYMBOLS[symbols[i]] || symbols[i]);
+  }
+  if (isSeek) {
+    return {kind: 'op', op: 'S' + rows[1].move, next: rows[0].next};
+  } else if (isFlip && !isIdentity) {
+    return {kind: 'op', op: 'X', next: rows[0].next};
+  }
+  for (var i = 1; i < rows.length; i++) {
+    if (rows[i].move != rows[0].move ||
+        (!isIdentity && rows[i].write != rows[0].write)) {
+      return null;
+    }
+  }
+  var move = rows[0].move;
+  if (numTargets == 1 && isIdentity) {
+    return move == 'N' ? {kind: 'jump', op: '', next: rows[0].next} :
+        {kind: 'op', op: move, next: rows[0].next};
+  } else if (numTargets == 1 && move == 'N') {
+    return {kind: 'op', op: rows[0].write, next: rows[0].next};
+  } else if (numTargets == 2 && isIdentity && move == 'N') {
+    // A branch on one symbol goes one way, and every other symbol the other.
+    var branches = [];
+    for (var target in targets) {
+      for (var other in targets) {
+        if (other != target && targets[target].length == 1) {
+          branches.push({symbol: targets[target][0], target: target,
+                         fallthrough: other});
+        }
+      }
+    }
+    return branches.length ? {kind: 'branch', op: '', next: '',
+                              branches: branches} : null;
+  }
+  return null;
+};
+
+
+/**
+ * The most placements turing.table.decompile tries before giving up.
+ * @type {number}
+ * @const
+ */
+turing.MAX_DECOMPILE_TRIES = 10000;
+
+
+/**
+ * Lists the ops which could do what a state of a table does.
+ * @param {{kind: string, op: string, next: string,
+ *          branches: Array.<{symbol: string, target: string,
+ *                            fallthrough: string}>}} behavior What the state
+ *     does, from getBehavior_.
+ * @param {{track: number, pos: number}} at Where the state's op would be.
+ * @return {Array.<{op: string, targets: Array.<string>,
+ *                  at: Array.<{track: number, pos: number}>}>} For each op,
+ *     the states it goes to and where they would have to be.
+ * @private
+ */
+turing.table.getPlacements_ = function(behavior, at) {
+  var placements = [];
+  var ahead = {track: at.track, pos: at.pos + 1};
+  var down = {track: at.track + 1, pos: at.pos};
+  var up = {track: at.track - 1, pos: at.pos};
+  if (behavior.kind == 'halt') {
+    placements.push({op: behavior.op, targets: [], at: []});
+  } else if (behavior.kind == 'op') {
+    placements.push({op: behavior.op, targets: [behavior.next], at: [ahead]});
+  } else if (behavior.kind == 'jump') {
+    if (turing.VERDICT_OPS_[behavior.next]) {
+      // Halting with the verdict at once takes one step, like the state.
+      placements.push({op: turing.VERDICT_OPS_[behavior.next], targets: [],
+                       at: []});
+    }
+    placements.push({op: '', targets: [behavior.next], at: [ahead]});
+    placements.push({op: 'D', targets: [behavior.next], at: [down]});
+    placements.push({op: 'U', targets: [behavior.next], at: [up]});
+    for (var i = 2; i <= 9; i++) {
+      placements.push({op: 'B' + i, targets: [behavior.next],
+                       at: [{track: at.track, pos: at.pos - i}]});
+    }
+    for (var i = 2; i <= 9; i++) {
+      placements.push({op: 'F' + i, targets: [behavior.next],
+                       at: [{track: at.track, pos: at.pos + i}]});
+    }
+    if (behavior.next == turing.HALT_STATE) {
+      placements.push({op: 'H', targets: [], at: []});
+    }
+  } else {
+    for (var i = 0; i < behavior.branches.length; i++) {
+      var branch = behavior.branches[i];
+      var targets = [branch.fallthrough, branch.target];
+      placements.push({op: 'D' + branch.symbol, targets: targets,
+                       at: [ahead, down]});
+      placements.push({op: 'U' + branch.symbol, targets: targets,
+                       at: [ahead, up]});
+    }
+  }
+  return placements;
+};
+
+
+/**
+ * Rewrites a table as a track program, if it fits. Only tables where each
+ * state does what a single op does can be rewritten: print a symbol, move,
+ * flip, seek, branch on one symbol, halt, or go to another state, which must
+ * lie where the op would go. The first state goes at the start of the first
+ * track, and the rest are placed from there by trying each op which fits, up to
+ * turing.MAX_DECOMPILE_TRIES placements.
+ * @param {turing.Table} table The table.
+ * @param {number} numTracks The number of program tracks.
+ * @param {number} numOpsPerTrack The number of op positions on each track.
+ * @return {?Array.<Array.<string>>} The ops on each track, or null if the
+ *     table doesn't fit.
+ */
+turing.table.decompile = function(table, numTracks, numOpsPerTrack) {
+  var symbols = turing.table.getSymbols_(table);
+  var ops = [];
+  for (var track = 0; track < numTracks; track++) {
+    ops[track] = [];
+    for (var pos = 0; pos < numOpsPerTrack; pos++) {
+      ops[track][pos] = '';
+    }
+  }
+  if (table.start == turing.HALT_STATE) {
+    return ops;
+  }
+  // Where each state has been put, and which state is at each op position.
+  var placed = {};
+  var grid = {};
+  var isOnProgram = function(where) {
+    return where.track >= 0 && where.track < numTracks && where.pos >= 0 &&
+        where.pos < numOpsPerTrack;
+  };
+  var fits = function(target, where) {
+    if (target == turing.HALT_STATE) {
+      return !isOnProgram(where);
+    } else if (placed[target]) {
+      return placed[target].track == where.track &&
+          placed[target].pos == where.pos;
+    }
+    return isOnProgram(where) && !grid[where.track + ',' + where.pos];
+  };
+  var place = function(state, where) {
+    placed[state] = where;
+    grid[where.track + ',' + where.pos] = state;
+  };
+  var unplace = function(state) {
+    var where = placed[state];
+    delete grid[where.track + ',' + where.pos];
+    delete placed[state];
+  };
+  var triesLeft = turing.MAX_DECOMPILE_TRIES;
+  // Finds ops for the states in queue, which are placed but have no op yet,
+  // and every state they lead to. Undoes its placements if it fails.
+  var search = function(queue) {
+    if (!queue.length) {
+      return true;
+    }
+    var state = queue[0];
+    var at = placed[state];
+    var behavior = turing.table.getBehavior_(table, state, symbols);
+    var placements = behavior ? turing.table.getPlacements_(behavior, at) : [];
+    for (var i = 0; i < placements.length && triesLeft > 0; i++) {
+      var placement = placements[i];
+      var newStates = [];
+      for (var j = 0; j < placement.targets.length; j++) {
+        var target = placement.targets[j];
+        if (!fits(target, placement.at[j])) {
+          break;
+        }
+        if (target != turing.HALT_STATE && !placed[target]) {
+          place(target, placement.at[j]);
+          newStates.push(target);
+        }
+      }
+      triesLeft--;
+      if (j == placement.targets.length &&
+          search(queue.slice(1).concat(newStates))) {
+        ops[at.track][at.pos] = placement.op;
+        return true;
+      }
+      for (var j = 0; j < newStates.length; j++) {
+        unplace(newStates[j]);
+      }
+    }
+    return false;
+  };
+  place(table.start, {track: 0, pos: 0});
+  return search([table.start]) ? ops : null;
+};
+
+
+
+/**
+ * A single-tape Turing machine run from a table. It has the same interface as
+ * turing.Machine, so the Simulator can step it, and looks like a program with
+ * one track whose op positions are the table's rows: the program counter is
+ * the row which applies next, and each step runs one row.
+ * @param {turing.Table} table The table.
+ * @constructor
+ */
+turing.TableMachine = function(table) {
+  /**
+   * The table.
+   * @type {turing.Table}
+   * @private
+   */
+  this.table_ = table;
+
+  /**
+   * The current state.
+   * @type {string}
+   * @private
+   */
+  this.state_ = table.start;
+
+  /**
+   * The row run by the last step, which the program counter stays on once
+   * the machine halts.
+   * @type {number}
+   * @private
+   */
+  this.lastRow_ = 0;
+
+  /**
+   * The symbols on the tape, by position, kept like turing.Machine's.
+   * @type {Array.<Object.<number, string>>}
+   * @private
+   */
+  this.tapes_ = [{}];
+
+  /**
+   * The position of the read/write head, kept like turing.Machine's.
+   * @type {Array.<number>}
+   * @private
+   */
+  this.headPositions_ = [0];
+};
+
+
+// The tape is kept the same way as a turing.Machine's, so share its tape
+// methods.
+turing.TableMachine.prototype.setTape = turing.Machine.prototype.setTape;
+turing.TableMachine.prototype.setTapeString =
+    turing.Machine.prototype.setTapeString;
+turing.TableMachine.prototype.setSymbol = turing.Machine.prototype.setSymbol;
+turing.TableMachine.prototype.setHeadPos = turing.Machine.prototype.setHeadPos;
+turing.TableMachine.prototype.getNumTapes =
+    turing.Machine.prototype.getNumTapes;
+turing.TableMachine.prototype.getHeadPos = turing.Machine.prototype.getHeadPos;
+turing.TableMachine.prototype.getSymbol = turing.Machine.prototype.getSymbol;
+turing.TableMachine.prototype.getCurSymbol =
+    turing.Machine.prototype.getCurSymbol;
+turing.TableMachine.prototype.getTapeContents =
+    turing.Machine.prototype.getTapeContents;
+turing.TableMachine.prototype.getTapeBounds_ =
+    turing.Machine.prototype.getTapeBounds_;
+turing.TableMachine.prototype.getTapeStart =
+    turing.Machine.prototype.getTapeStart;
+turing.TableMachine.prototype.getTapeString =
+    turing.Machine.prototype.getTapeString;
+turing.TableMachine.prototype.run = turing.Machine.prototype.run;
+
+
+/**
+ * @return {string} The current state.
+ */
+turing.TableMachine.prototype.getState = function() {
+  return this.state_;
+};
+
+
+/**
+ * @return {?turing.Verdict} The verdict the machine halted with, or null if
+ *     it hasn't halted or halted in a state not named after a verdict.
+ */
+turing.TableMachine.prototype.getVerdict = function() {
+  return this.isHalted() && turing.VERDICT_OPS_[this.state_] ?
+      /** @type {turing.Verdict} */(this.state_) : null;
+};
+
+
+/**
+ * @return {number} The index of the row which applies next, or -1 if none
+ *     does.
+ * @private
+ */
+turing.TableMachine.prototype.getCurRow_ = function() {
+  return turing.table.findRow(this.table_, this.state_, this.getCurSymbol());
+};
+
+
+/**
+ * @return {boolean} True iff no row applies to the state and symbol under the
+ *     head.
+ */
+turing.TableMachine.prototype.isHalted = function() {
+  return this.getCurRow_() == -1;
+};
+
+
+/**
+ * @return {number} Always 0: the table is one track.
+ */
+turing.TableMachine.prototype.getTrack = function() {
+  return 0;
+};
+
+
+/**
+ * @return {number} The row which applies next, or the last row run if halted.
+ */
+turing.TableMachine.prototype.getTrackPos = function() {
+  var row = this.getCurRow_();
+  return row == -1 ? this.lastRow_ : row;
+};
+
+
+/**
+ * @return {number} Always 1: the table is one track.
+ */
+turing.TableMachine.prototype.getNumTracks = function() {
+  return 1;
+};
+
+
+/**
+ * @return {number} The number of rows.
+ */
+turing.TableMachine.prototype.getNumOpsPerTrack = function() {
+  return this.table_.rows.length;
+};
+
+
+/**
+ * @param {number} track Ignored; the table is one track.
+ * @param {number} pos A row.
+ * @return {string} The row as text.
+ */
+turing.TableMachine.prototype.getOp = function(track, pos) {
+  var row = this.table_.rows[pos];
+  return row ? turing.table.rowToText(row) : '';
+};
+
+
+/**
+ * Runs the row which applies to the state and symbol under the head. Unlike
+ * the ops of a turing.Machine, one step may both print and move.
+ * @return {?turing.MachineStep} What happened, or null if already halted.
+ */
+turing.TableMachine.prototype.step = function() {
+  var index = this.getCurRow_();
+  if (index == -1) {
+    return null;
+  }
+  var row = this.table_.rows[index];
+  var tape = this.tapes_[0];
+  var headPos = this.headPositions_[0];
+  var read = this.getCurSymbol();
+  var record = {
+    op: turing.table.rowToText(row),
+    track: 0,
+    trackPos: index,
+    nextTrack: 0,
+    nextTrackPos: -1,
+    halted: false,
+    tape: 0,
+    headPos: headPos,
+    read: read,
+    written: null,
+    overwritten: null,
+    move: turing.TABLE_MOVES_[row.move]
+  };
+  if (row.write != read &&
+      !(turing.isBlank(row.write) && turing.isBlank(read))) {
+    record.overwritten = tape[headPos] || '';
+    tape[headPos] = row.write;
+    record.written = row.write;
+  }
+  this.headPositions_[0] += record.move;
+  this.state_ = row.next;
+  this.lastRow_ = index;
+  record.nextTrackPos = this.getCurRow_();
+  record.halted = record.nextTrackPos == -1;
+  return record;
+};
+
+
+/**
+ * Undoes a step. Steps must be undone in the reverse of the order they were
+ * run.
+ * @param {turing.MachineStep} record The step to undo, as returned by step().
+ */
+turing.TableMachine.prototype.unstep = function(record) {
+  this.state_ = this.table_.rows[record.trackPos].state;
+  this.headPositions_[0] = record.headPos;
+  if (record.written != null) {
+    this.tapes_[0][record.headPos] = record.overwritten;
+  }
+};
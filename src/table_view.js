@@ -0,0 +1,255 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Shows a table machine's rows in place of the program, with
+ * the active row highlighted while it runs.
+ */
+
+goog.provide('turing.TableView');
+
+goog.require('turing.sprites');
+goog.require('turing.table');
+goog.require('turing.util');
+
+
+/**
+ * Left offset of the table panel, in line with the program tracks.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.TABLE_VIEW_LEFT_ = 74;
+
+
+/**
+ * Top offset of the table panel, where the program tracks start.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.TABLE_VIEW_TOP_ = 124;
+
+
+/**
+ * Width of the table panel.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.TABLE_VIEW_WIDTH_ = 400;
+
+
+/**
+ * Height of the table panel. Taller tables scroll.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.TABLE_VIEW_HEIGHT_ = 100;
+
+
+/**
+ * Height of each row of the table panel.
+ * @type {number}
+ * @const
+ * @private
+ */
+turing.TABLE_ROW_HEIGHT_ = 14;
+
+
+/**
+ * Background of the row which applies next.
+ * @type {string}
+ * @const
+ * @private
+ */
+turing.TABLE_ROW_HIGHLIGHT_COLOR_ = '#fbd75b';
+
+
+/**
+ * Background of the row where a looping table would go round again.
+ * @type {string}
+ * @const
+ * @private
+ */
+turing.TABLE_ROW_LOOP_COLOR_ = '#f4a29c';
+
+
+
+/**
+ * A panel listing the rows of a table. It lights up rows the way a Program
+ * lights up ops, so the Simulator can show a running table on it: a table
+ * machine is one track whose op positions are its rows.
+ * @constructor
+ */
+turing.TableView = function() {
+  /**
+   * The panel.
+   * @type {Element}
+   * @private
+   */
+  this.panel_ = null;
+
+  /**
+   * A div for each row of the table.
+   * @type {Array.<Element>}
+   * @private
+   */
+  this.rowDivs_ = [];
+
+  /**
+   * The index of the highlighted row, or -1 if none.
+   * @type {number}
+   * @private
+   */
+  this.litRow_ = -1;
+};
+
+
+/**
+ * Creates the panel.
+ */
+turing.TableView.prototype.create = function() {
+  this.panel_ = turing.sprites.getEmptyDiv();
+  var style = this.panel_.style;
+  style.left = turing.TABLE_VIEW_LEFT_ + 'px';
+  style.top = turing.TABLE_VIEW_TOP_ + 'px';
+  style.width = turing.TABLE_VIEW_WIDTH_ + 'px';
+  style.height = turing.TABLE_VIEW_HEIGHT_ + 'px';
+  style.overflow = 'auto';
+  style.background = '#fff';
+  style.border = '1px solid #ccc';
+  style.font = '11px monospace';
+  style.color = '#555';
+  // Above the program, below the controls.
+  style.zIndex = 450;
+};
+
+
+/**
+ * Attaches the panel.
+ * @param {Element} elem Where to attach.
+ */
+turing.TableView.prototype.attachTo = function(elem) {
+  elem.appendChild(this.panel_);
+};
+
+
+/**
+ * Removes the panel.
+ */
+turing.TableView.prototype.destroy = function() {
+  this.rowDivs_.splice(0);
+  turing.util.removeNode(this.panel_);
+  this.panel_ = null;
+  this.litRow_ = -1;
+};
+
+
+/**
+ * Lists a table's rows, in the table's order so that row indices match a
+ * turing.TableMachine's program positions.
+ * @param {turing.Table} table The table.
+ */
+turing.TableView.prototype.setTable = function(table) {
+  this.panel_.innerHTML = '';
+  this.rowDivs_.splice(0);
+  this.litRow_ = -1;
+  for (var i = 0; i < table.rows.length; i++) {
+    var rowDiv = document.createElement('div');
+    rowDiv.style.height = turing.TABLE_ROW_HEIGHT_ + 'px';
+    rowDiv.style.lineHeight = turing.TABLE_ROW_HEIGHT_ + 'px';
+    rowDiv.style.padding = '0 4px';
+    rowDiv.style.whiteSpace = 'pre';
+    rowDiv.appendChild(document.createTextNode(
+        turing.table.rowToText(table.rows[i])));
+    this.rowDivs_.push(rowDiv);
+    this.panel_.appendChild(rowDiv);
+  }
+};
+
+
+/**
+ * Highlights a row and scrolls it into view.
+ * @param {number} index The row, or -1 for none.
+ * @param {string} color The background for it.
+ * @private
+ */
+turing.TableView.prototype.lightRow_ = function(index, color) {
+  if (this.rowDivs_[this.litRow_]) {
+    this.rowDivs_[this.litRow_].style.background = '';
+  }
+  this.litRow_ = index;
+  var rowDiv = this.rowDivs_[index];
+  if (!rowDiv) {
+    return;
+  }
+  rowDiv.style.background = color;
+  var top = index * turing.TABLE_ROW_HEIGHT_;
+  if (top < this.panel_.scrollTop || top + turing.TABLE_ROW_HEIGHT_ >
+      this.panel_.scrollTop + turing.TABLE_VIEW_HEIGHT_) {
+    this.panel_.scrollTop = Math.max(0,
+        top - (turing.TABLE_VIEW_HEIGHT_ - turing.TABLE_ROW_HEIGHT_) / 2);
+  }
+};
+
+
+/**
+ * Highlights the row about to run.
+ * @param {number} track Ignored; a table is one track.
+ * @param {number} pos The row.
+ */
+turing.TableView.prototype.goToPos = function(track, pos) {
+  this.lightRow_(pos, turing.TABLE_ROW_HIGHLIGHT_COLOR_);
+};
+
+
+/**
+ * Removes the highlight.
+ */
+turing.TableView.prototype.dimCurOp = function() {
+  this.lightRow_(-1, '');
+};
+
+
+/**
+ * Tables don't have breakpoints.
+ * @param {number} track Ignored.
+ * @param {number} pos Ignored.
+ * @return {boolean} Always false.
+ */
+turing.TableView.prototype.isBreakpoint = function(track, pos) {
+  return false;
+};
+
+
+/**
+ * Highlights a row, as it would be at a breakpoint.
+ * @param {number} track Ignored; a table is one track.
+ * @param {number} pos The row.
+ */
+turing.TableView.prototype.showBreakpointHit = function(track, pos) {
+  this.lightRow_(pos, turing.TABLE_ROW_HIGHLIGHT_COLOR_);
+};
+
+
+/**
+ * Highlights the row where a table which will never halt goes round again.
+ * @param {number} track Ignored; a table is one track.
+ * @param {number} pos The row.
+ */
+turing.TableView.prototype.showLoop = function(track, pos) {
+  this.lightRow_(pos, turing.TABLE_ROW_LOOP_COLOR_);
+};
@@ -17,6 +17,7 @@
  * @author jered@google.com (Jered Wierzbicki)
  */
 
+goog.require('turing.Machine');
 goog.require('turing.anim');
 goog.require('turing.sprites');
 goog.require('turing.util');
@@ -34,105 +35,103 @@ turing.NUM_VISIBLE_SQUARES = 9;
 
 
 /**
- * How many squares of the tape are left of the read/write head.
+ * Number of extra squares to draw left and right of the fully visible tape
+ * squares. This must be at least two, since we show part of the left neighbor
+ * of the leftmost square while scanning right.
  * @type {number}
  * @const
  */
-turing.NUM_VISIBLE_LEFT_SQUARES = (turing.NUM_VISIBLE_SQUARES - 1) / 2;
+turing.NUM_MARGIN_SQUARES = 2;
 
 
 /**
- * How many squares of the tape are right of the read/write head and may
- * scroll into view.  Note that this is the number currently visible plus
- * up to target.length (5) extra squares.  This is because when we check for
- * equality, we start at the beginning of the string and scrollRight until we've
- * reached the end of the string, possibly revealing an extra 5 squares.
+ * How many squares right of the read/write head may scroll into view besides
+ * those currently visible. This is because when we check for equality, we
+ * start at the beginning of the string and scrollRight until we've reached the
+ * end of the string, possibly revealing blank squares past it. Written squares
+ * are always kept, however long the string.
  * @type {number}
  * @const
  */
-turing.NUM_VISIBLE_RIGHT_SQUARES = (turing.NUM_VISIBLE_SQUARES - 1) / 2 + 5;
+turing.NUM_SCROLL_IN_SQUARES = 5;
 
 
 /**
- * Number of extra squares to draw left and right of the fully visible tape
- * squares. This must be at least two, since we show part of the left neighbor
- * of the leftmost square while scanning right.
+ * Z-index of the tape squares.
  * @type {number}
  * @const
  */
-turing.NUM_MARGIN_SQUARES = 2;
+turing.SQUARE_ZINDEX = 400;
 
 
 /**
- * How many total squares are on screen, visible or in the margins?
+ * Left offset for the tape.
  * @type {number}
  * @const
  */
-turing.NUM_SQUARES = turing.NUM_VISIBLE_SQUARES + 2 * turing.NUM_MARGIN_SQUARES;
+turing.TAPE_LEFT = 63;
 
 
 /**
- * The index of the tape square div under the read/write head when the tape is
- * stationary. When the tape moves, this div slides left or right, then pops
- * back into its original position showing a new symbol.
+ * Top offset for the tape.
  * @type {number}
  * @const
  */
-turing.HEAD_SQUARE = turing.NUM_MARGIN_SQUARES +
-    turing.NUM_VISIBLE_LEFT_SQUARES;
+turing.TAPE_TOP = 74;
 
 
 /**
- * Z-index of the tape squares.
+ * Vertical distance between the tops of stacked tapes.
  * @type {number}
  * @const
  */
-turing.SQUARE_ZINDEX = 400;
+turing.TAPE_SPACING = 47;
 
 
 /**
- * Left offset for the tape.
+ * How many pixels of the tape to either side of the visible portion are
+ * partially visible through the slot.
  * @type {number}
  * @const
  */
-turing.TAPE_LEFT = 63;
+turing.VISIBLE_FEED_WIDTH = 7;
 
 
 /**
- * Top offset for the tape.
+ * Height of the shadow at the bottom of the tape.
  * @type {number}
  * @const
  */
-turing.TAPE_TOP = 74;
+turing.TAPE_SHADOW_HEIGHT = 4;
 
 
 /**
- * How many pixels of the tape to either side of the visible portion are
- * partially visible through the slot.
+ * Duration in ms of scan animation when tape is seeking.
  * @type {number}
  * @const
  */
-turing.VISIBLE_FEED_WIDTH = 7;
+turing.SEEK_MS = 50;
 
 
 /**
- * Height of the shadow at the bottom of the tape.
+ * How many times a square fades when it is pointed out.
  * @type {number}
  * @const
  */
-turing.TAPE_SHADOW_HEIGHT = 4;
+turing.SQUARE_NUM_FLASHES = 4;
 
 
 /**
- * Duration in ms of scan animation when tape is seeking.
+ * Time in ms a square stays faded, and then shown, in each flash.
  * @type {number}
  * @const
  */
-turing.SEEK_MS = 50;
+turing.SQUARE_FLASH_DELAY = 200;
 
 
 /**
- * Map from tape symbol to its sprite name.
+ * Map from tape symbol to its sprite name. Other symbols are written on a
+ * blank square.
  * @type {Object.<string, string>}
  * @const
  */
@@ -167,15 +166,65 @@ turing.ERASE_ANIMATIONS = {
 
 /**
  * A Turing machine tape.
+ * @param {number=} opt_numVisibleSquares How many squares are visible. Should
+ *     be odd so that the read/write head is centered. Defaults to
+ *     turing.NUM_VISIBLE_SQUARES.
+ * @param {number=} opt_top Top offset for the tape. Defaults to
+ *     turing.TAPE_TOP.
  * @constructor
  */
-turing.Tape = function() {
+turing.Tape = function(opt_numVisibleSquares, opt_top) {
+  /**
+   * How many squares of the tape are visible.
+   * @type {number}
+   * @private
+   */
+  this.numVisibleSquares_ = opt_numVisibleSquares || turing.NUM_VISIBLE_SQUARES;
+
+  /**
+   * How many squares of the tape are left of the read/write head.
+   * @type {number}
+   * @private
+   */
+  this.numVisibleLeftSquares_ = (this.numVisibleSquares_ - 1) / 2;
+
+  /**
+   * How many total squares are on screen, visible or in the margins?
+   * @type {number}
+   * @private
+   */
+  this.numSquares_ = this.numVisibleSquares_ + 2 * turing.NUM_MARGIN_SQUARES;
+
+  /**
+   * The index of the tape square div under the read/write head when the tape
+   * is stationary. When the tape moves, this div slides left or right, then
+   * pops back into its original position showing a new symbol.
+   * @type {number}
+   * @private
+   */
+  this.headSquare_ = turing.NUM_MARGIN_SQUARES + this.numVisibleLeftSquares_;
+
+  /**
+   * Top offset for the tape.
+   * @type {number}
+   * @private
+   */
+  this.top_ = opt_top != null ? opt_top : turing.TAPE_TOP;
+
+  /**
+   * The machine whose tape is shown. Until a machine runs on the tape, this
+   * one only holds what is written on it.
+   * @type {turing.Machine}
+   * @private
+   */
+  this.machine_ = new turing.Machine([], 0);
+
   /**
-   * The symbols currently on the tape.
-   * @type {Object.<number, string>}
+   * Which of the machine's tapes is shown.
+   * @type {number}
    * @private
    */
-  this.contents_ = {};
+  this.machineTape_ = 0;
 
   /**
    * The position of the read/write head.
@@ -191,6 +240,13 @@ turing.Tape = function() {
    */
   this.maxWrittenPosition_ = 0;
 
+  /**
+   * The minimum tape position written since the tape's string was last set.
+   * @type {number}
+   * @private
+   */
+  this.minWrittenPosition_ = 0;
+
   /**
    * The location on the tape that the current program started from.
    * @type {number}
@@ -296,7 +352,7 @@ turing.Tape.prototype.attachTo = function(elem) {
  */
 turing.Tape.prototype.create = function() {
   var squareSize = turing.sprites.getSize('tape_');
-  var paneWidth = turing.NUM_VISIBLE_SQUARES * squareSize.width +
+  var paneWidth = this.numVisibleSquares_ * squareSize.width +
       2 * turing.VISIBLE_FEED_WIDTH + 2;
   this.pane_ = turing.sprites.getEmptyDiv();
   this.pane_.style.width = paneWidth + 'px';
@@ -305,17 +361,23 @@ turing.Tape.prototype.create = function() {
   this.pane_.style.left = '0';
   this.pane_.style.top = '0';
   this.pane_.style.zIndex = turing.SQUARE_ZINDEX;
-  var holderWidth = turing.NUM_SQUARES * squareSize.width;
+  var holderWidth = this.numSquares_ * squareSize.width;
   this.squareHolder_ = turing.sprites.getEmptyDiv();
   this.squareHolder_.style.width = holderWidth + 'px';
   this.squareHolder_.style.left =
       -turing.NUM_MARGIN_SQUARES * squareSize.width +
       turing.VISIBLE_FEED_WIDTH + 'px';
   // Create visible squares plus extra squares for padding when scrolling.
-  for (var i = 0; i < turing.NUM_SQUARES; i++) {
+  for (var i = 0; i < this.numSquares_; i++) {
     this.squares_[i] = turing.sprites.getDiv('tape_');
     this.squares_[i].style.display = 'inline-block';
     this.squares_[i].style.position = '';
+    // Line up squares by their tops, whether or not they have text in them.
+    this.squares_[i].style.verticalAlign = 'top';
+    this.squares_[i].style.textAlign = 'center';
+    this.squares_[i].style.lineHeight = squareSize.height + 'px';
+    this.squares_[i].style.font = 'bold 16px arial,sans-serif';
+    this.squares_[i].style.color = '#555';
     this.squareHolder_.appendChild(this.squares_[i]);
   }
   this.pane_.appendChild(this.squareHolder_);
@@ -325,11 +387,11 @@ turing.Tape.prototype.create = function() {
   this.readWriteHead_ = turing.sprites.getDiv('head');
   this.readWriteHead_.style.top = (-extraHeadHeight / 2 - 2) + 'px';
   this.readWriteHead_.style.left = turing.VISIBLE_FEED_WIDTH +
-      (turing.NUM_VISIBLE_LEFT_SQUARES * squareSize.width) -
+      (this.numVisibleLeftSquares_ * squareSize.width) -
       extraHeadWidth / 2 + 1 + 'px';
   this.readWriteHead_.style.zIndex = turing.SQUARE_ZINDEX + 1;
   this.tapeDiv_ = turing.sprites.getEmptyDiv();
-  this.tapeDiv_.style.top = turing.TAPE_TOP + 'px';
+  this.tapeDiv_.style.top = this.top_ + 'px';
   this.tapeDiv_.style.left = turing.TAPE_LEFT + 'px';
   this.tapeDiv_.appendChild(this.pane_);
   this.tapeDiv_.appendChild(this.readWriteHead_);
@@ -365,7 +427,7 @@ turing.Tape.prototype.createSlot_ = function(spriteName, leftEdge,
   // On Windows, browsers seem to round 57.5 up to the next pixel right,
   // which looks wrong, so floor here to match cross platform.
   slot.style.left = Math.floor(leftEdge - leftBump - size.width / 2) + 'px';
-  slot.style.top = (turing.TAPE_TOP - turing.TAPE_SHADOW_HEIGHT / 2 +
+  slot.style.top = (this.top_ - turing.TAPE_SHADOW_HEIGHT / 2 +
       squareHeight / 2 - size.height / 2) + 'px';
   return slot;
 };
@@ -383,7 +445,7 @@ turing.Tape.prototype.createShadow_ = function(spriteName, leftEdge) {
   var slot = turing.sprites.getDiv(spriteName);
   slot.style.zIndex = turing.SQUARE_ZINDEX + 1;  // Above tape.
   slot.style.left = leftEdge + 'px';
-  slot.style.top = turing.TAPE_TOP + 'px';
+  slot.style.top = this.top_ + 'px';
   return slot;
 };
 
@@ -451,6 +513,24 @@ turing.Tape.prototype.scanRight = function(waitTime, scanTime) {
 };
 
 
+/**
+ * Scrolls the tape several squares, one square at a time.
+ * @param {number} squares How far to scroll: negative to scan left, positive
+ *     to scan right.
+ * @param {number} waitTime Delay before scanning starts in ms.
+ * @param {number} scanTime Duration for scanning each square in ms.
+ */
+turing.Tape.prototype.scanBy = function(squares, waitTime, scanTime) {
+  var scan = squares < 0 ? this.scanLeft : this.scanRight;
+  for (var i = 0; i < Math.abs(squares); i++) {
+    // Each square is scanned as the last one finishes, so that the tape is
+    // redrawn at each square in between.
+    turing.anim.delay(goog.bind(scan, this, 0, scanTime),
+        waitTime + i * scanTime);
+  }
+};
+
+
 /**
  * Scans the tape until it reaches a particular position. This is done by
  * calling scanLeft/scanRight repeatedly.
@@ -466,11 +546,14 @@ turing.Tape.prototype.seek_ = function() {
     this.scanLeft(0, turing.SEEK_MS);
   } else {
     // We've arrived at the seek position. Nuke everything except the currently
-    // visible portion of the tape.
+    // visible portion of the tape and what has been written since the string
+    // was set, which may be longer than the tape is wide.
     this.seekPos_ = null;
     this.clearOutsideRange_(
-        this.pos_ - turing.NUM_VISIBLE_LEFT_SQUARES,
-        this.pos_ + turing.NUM_VISIBLE_RIGHT_SQUARES);
+        Math.min(this.pos_ - this.numVisibleLeftSquares_,
+                 this.minWrittenPosition_),
+        Math.max(this.pos_ + this.numVisibleLeftSquares_ +
+                 turing.NUM_SCROLL_IN_SQUARES, this.maxWrittenPosition_));
   }
 };
 
@@ -482,25 +565,27 @@ turing.Tape.prototype.seek_ = function() {
  * @private
  */
 turing.Tape.prototype.clearOutsideRange_ = function(start, end) {
-  for (var i in this.contents_) {
-    i = /** @type {number} */(i);  // Reassure the compiler.
-    if (i < start || i > end) {
-      this.contents_[i] = '';
+  for (var i in this.machine_.getTapeContents(this.machineTape_)) {
+    var pos = parseInt(i, 10);
+    if (pos < start || pos > end) {
+      this.machine_.setSymbol(pos, '', this.machineTape_);
     }
   }
 };
 
 
 /**
- * Prints a symbol at the read/write head position.
- * @param {string} symbol Symbol to print.
+ * Shows a symbol being printed at the read/write head position. The machine
+ * whose tape is shown has already printed it.
+ * @param {string} symbol Symbol printed.
+ * @param {string} oldSymbol Symbol printed over, or '' if none.
  * @param {number} eraseTime Duration in ms for erasing old symbol.
  * @param {number} printTime Duration in ms for printing new symbol.
  */
-turing.Tape.prototype.print = function(symbol, eraseTime, printTime) {
-  var oldSymbol = this.contents_[this.pos_];
-  this.contents_[this.pos_] = symbol;
+turing.Tape.prototype.print = function(symbol, oldSymbol, eraseTime,
+    printTime) {
   this.maxWrittenPosition_ = Math.max(this.pos_, this.maxWrittenPosition_);
+  this.minWrittenPosition_ = Math.min(this.pos_, this.minWrittenPosition_);
   // Always erase the old symbol and then print a new symbol, instead of
   // animating changing a 0 directly to a 1 or vice versa.
   this.showErase_(oldSymbol, eraseTime,
@@ -516,10 +601,12 @@ turing.Tape.prototype.print = function(symbol, eraseTime, printTime) {
  * @private
  */
 turing.Tape.prototype.showErase_ = function(symbol, time, onDone) {
-  if (symbol == '0' || symbol == '1') {
-    turing.anim.animateFromSprites(this.squares_[turing.HEAD_SQUARE],
+  if (turing.ERASE_ANIMATIONS[symbol]) {
+    turing.anim.animateFromSprites(this.squares_[this.headSquare_],
         turing.ERASE_ANIMATIONS[symbol], time, onDone);
   } else {
+    // Symbols without sprites are just text, which vanishes at once.
+    this.setSquareText_(this.squares_[this.headSquare_], '');
     // Square is already blank. Delay before calling onDone anyway so that
     // there is a pause between when a print operation circle is lit and when we
     // show a symbol being printed.
@@ -535,10 +622,14 @@ turing.Tape.prototype.showErase_ = function(symbol, time, onDone) {
  * @private
  */
 turing.Tape.prototype.showPrint_ = function(symbol, time) {
-  if (symbol == '0' || symbol == '1') {
-    turing.anim.animateFromSprites(this.squares_[turing.HEAD_SQUARE],
+  if (turing.PRINT_ANIMATIONS[symbol]) {
+    turing.anim.animateFromSprites(this.squares_[this.headSquare_],
         turing.PRINT_ANIMATIONS[symbol], time,
-        goog.bind(this.redrawSquare_, this, turing.HEAD_SQUARE));
+        goog.bind(this.redrawSquare_, this, this.headSquare_));
+  } else if (!turing.TAPE_SYMBOLS[symbol]) {
+    // Symbols without sprites appear once the print would have finished.
+    turing.anim.delay(
+        goog.bind(this.redrawSquare_, this, this.headSquare_), time);
   }
   // Otherwise, assume square has already been erased by showErase_.
 };
@@ -549,7 +640,36 @@ turing.Tape.prototype.showPrint_ = function(symbol, time) {
  * @return {string} The symbol, or '_' if none.
  */
 turing.Tape.prototype.getCurSymbol = function() {
-  return this.contents_[this.pos_] || '_';
+  return this.machine_.getSymbol(this.pos_, this.machineTape_);
+};
+
+
+/**
+ * @return {number} The position of the read/write head.
+ */
+turing.Tape.prototype.getHeadPos = function() {
+  return this.pos_;
+};
+
+
+/**
+ * Gets the symbols on the tape, e.g. to load into a turing.Machine.
+ * @return {Object.<number, string>} A copy of the tape contents by position.
+ */
+turing.Tape.prototype.getContents = function() {
+  return this.machine_.getTapeContents(this.machineTape_);
+};
+
+
+/**
+ * Shows a machine's tape from now on, e.g. while it runs. The machine's tape
+ * should already hold what this tape shows, e.g. from getContents.
+ * @param {turing.Machine} machine The machine.
+ * @param {number=} opt_tape Which of its tapes to show. Defaults to 0.
+ */
+turing.Tape.prototype.setMachine = function(machine, opt_tape) {
+  this.machine_ = machine;
+  this.machineTape_ = opt_tape || 0;
 };
 
 
@@ -558,17 +678,20 @@ turing.Tape.prototype.getCurSymbol = function() {
  * the tape and scans to there. Used to set up initial tape for a program after
  * another program has been running for a while.
  * @param {string} str The desired initial contents of the tape.
+ * @param {number=} opt_headPos Where to put the head, relative to the start of
+ *     str. Defaults to the middle of str.
  */
-turing.Tape.prototype.setString = function(str) {
-  this.maxWrittenPosition_ += turing.NUM_SQUARES;
+turing.Tape.prototype.setString = function(str, opt_headPos) {
+  this.maxWrittenPosition_ += this.numSquares_;
   var start = this.maxWrittenPosition_;
   // Save this start position so we can reset to the same string if this next
   // program run is not correct.
   this.lastStartPos_ = start;
+  this.minWrittenPosition_ = start;
   this.writeString_(str, start);
   // We wrote str.length more characters.
-  this.maxWrittenPosition += str.length;
-  this.reinitializePositionOnTape_(str, start);
+  this.maxWrittenPosition_ += str.length;
+  this.reinitializePositionOnTape_(str, start, opt_headPos);
 };
 
 
@@ -578,6 +701,7 @@ turing.Tape.prototype.setString = function(str) {
  */
 turing.Tape.prototype.resetString = function(str) {
   var start = this.lastStartPos_;
+  this.minWrittenPosition_ = start;
   this.writeString_(str, start);
   // Clear everything to the left or right of the string.
   this.clearOutsideRange_(start, start + str.length - 1);
@@ -594,7 +718,7 @@ turing.Tape.prototype.resetString = function(str) {
 turing.Tape.prototype.writeString_ = function(str, start) {
   // Reset the symbols on the tape.
   for (var i = 0; i < str.length; i++) {
-    this.contents_[start + i] = str.charAt(i);
+    this.machine_.setSymbol(start + i, str.charAt(i), this.machineTape_);
   }
 };
 
@@ -603,10 +727,13 @@ turing.Tape.prototype.writeString_ = function(str, start) {
  * Move to the middle of the current string on the tape.
  * @param {string} str The current string on the tape.
  * @param {number} start The start position of the current string on the tape.
+ * @param {number=} opt_headPos Where to move instead, relative to start.
  * @private
  */
-turing.Tape.prototype.reinitializePositionOnTape_ = function(str, start) {
-  this.seekPos_ = start + Math.floor(str.length / 2);
+turing.Tape.prototype.reinitializePositionOnTape_ = function(str, start,
+    opt_headPos) {
+  this.seekPos_ = start + (opt_headPos != null ? opt_headPos :
+      Math.floor(str.length / 2));
   if (!this.scanning_) {
     // If the tape is already scanning, redrawTape will get called when that
     // animation finishes, and will call seek_ to scan.
@@ -620,21 +747,32 @@ turing.Tape.prototype.reinitializePositionOnTape_ = function(str, start) {
  * @private
  */
 turing.Tape.prototype.getIndexOfFirstSymbol_ = function() {
-  var minValidPos = null;
-  for (var i in this.contents_) {
-    i = /** @type {number} */(i);  // Reassure the compiler.
-    if (this.contents_[i] && this.contents_[i] != '_' &&
-        this.contents_[i] != ' ') {
-      if (minValidPos == null) {
-        minValidPos = i;
-      }
-      minValidPos = Math.min(minValidPos, i);
-    }
-  }
-  if (minValidPos == null) {
-    return -1;
-  }
-  return minValidPos;
+  return this.machine_.getTapeString(this.machineTape_) ?
+      this.machine_.getTapeStart(this.machineTape_) : -1;
+};
+
+
+/**
+ * @param {boolean=} opt_fromStringStart Iff true, use the start of the string
+ *     the tape was last set to, rather than the first symbol on the tape.
+ * @return {number} The position which offsets along the tape count from.
+ * @private
+ */
+turing.Tape.prototype.getOrigin_ = function(opt_fromStringStart) {
+  return opt_fromStringStart ? this.lastStartPos_ :
+      this.getIndexOfFirstSymbol_();
+};
+
+
+/**
+ * @param {boolean=} opt_fromStringStart Iff true, count from the start of the
+ *     string the tape was last set to, rather than the first symbol on the
+ *     tape.
+ * @return {number} How many spaces the head is from the beginning of the
+ *     string.
+ */
+turing.Tape.prototype.getHeadOffset = function(opt_fromStringStart) {
+  return this.pos_ - this.getOrigin_(opt_fromStringStart);
 };
 
 
@@ -642,16 +780,46 @@ turing.Tape.prototype.getIndexOfFirstSymbol_ = function() {
  * Trigger a scan to the square that's offset spaces from the beginning of the
  * string on the tape and return the contents of that square.
  * @param {number} offset The number of spaces from the beginning of the string.
- * @return {string} The contents of the square or the empty string.
- */
-turing.Tape.prototype.scanToAndGetSymbol = function(offset) {
-  var index = this.getIndexOfFirstSymbol_() + offset;
+ * @param {boolean=} opt_fromStringStart Iff true, count from the start of the
+ *     string the tape was last set to, rather than the first symbol on the
+ *     tape.
+ * @return {string} The contents of the square, '_' if it is blank, or the
+ *     empty string if it is past the last symbol on the tape.
+ */
+turing.Tape.prototype.scanToAndGetSymbol = function(offset,
+    opt_fromStringStart) {
+  var index = this.getOrigin_(opt_fromStringStart) + offset;
   if (index == -1) {
     return '';
   }
   this.seekPos_ = index;
   this.seek_();
-  return this.contents_[index];
+  var str = this.machine_.getTapeString(this.machineTape_);
+  if (!str ||
+      index >= this.machine_.getTapeStart(this.machineTape_) + str.length) {
+    return '';
+  }
+  return this.machine_.getSymbol(index, this.machineTape_);
+};
+
+
+/**
+ * Scans to a square and fades it in and out a few times to point it out, e.g.
+ * where a program went wrong.
+ * @param {number} offset The number of spaces from the start of the string the
+ *     tape was last set to.
+ */
+turing.Tape.prototype.flashSquare = function(offset) {
+  var index = this.lastStartPos_ + offset;
+  // Wait for the tape to seek there. The square under the head is always the
+  // same div, so it shows the square once the tape arrives.
+  var seekTime = Math.abs(index - this.pos_) * turing.SEEK_MS;
+  this.scanToAndGetSymbol(offset, true);
+  var square = this.squares_[this.headSquare_];
+  for (var i = 0; i < 2 * turing.SQUARE_NUM_FLASHES; i++) {
+    turing.anim.delay(goog.partial(turing.util.setOpacity, square,
+        i % 2 == 0 ? 0.3 : ''), seekTime + i * turing.SQUARE_FLASH_DELAY);
+  }
 };
 
 
@@ -663,7 +831,7 @@ turing.Tape.prototype.redrawTape_ = function() {
   this.scanning_ = false;
   var squareSize = turing.sprites.getSize('tape_');
   // Also set up the invisible squares just off the edges of the tape.
-  for (var i = 0; i < turing.NUM_SQUARES; i++) {
+  for (var i = 0; i < this.numSquares_; i++) {
     this.redrawSquare_(i);
   }
   this.squareHolder_.style.left =
@@ -679,11 +847,24 @@ turing.Tape.prototype.redrawTape_ = function() {
  * @private
  */
 turing.Tape.prototype.redrawSquare_ = function(i) {
-  var offs = (i + this.pos_) - turing.HEAD_SQUARE;
-  var symbol = this.contents_[offs] || '';
+  var offs = (i + this.pos_) - this.headSquare_;
+  var symbol = this.machine_.getSymbol(offs, this.machineTape_);
   var spriteName = turing.TAPE_SYMBOLS[symbol];
   this.squares_[i].style.background =
-      turing.sprites.getBackground(spriteName);
+      turing.sprites.getBackground(spriteName || 'tape_');
+  this.setSquareText_(this.squares_[i], spriteName ? '' : symbol);
+};
+
+
+/**
+ * Writes text on a tape square, for symbols which don't have a sprite.
+ * @param {Element} square The square's div.
+ * @param {string} text The text, or '' for none.
+ * @private
+ */
+turing.Tape.prototype.setSquareText_ = function(square, text) {
+  square.innerHTML = '';
+  square.appendChild(document.createTextNode(text));
 };
 
 
@@ -19,6 +19,7 @@
 
 goog.provide('turing.Target');
 
+goog.require('turing.NumberPlateRenderer');
 goog.require('turing.anim');
 goog.require('turing.sprites');
 goog.require('turing.sprites.numberplate');
@@ -81,6 +82,53 @@ turing.EQUAL_INDICATOR_LEFT = '411px';
 turing.EQUAL_BLINK_DURATION = 400;
 
 
+/**
+ * How many digits fit on the number plate. Longer goals are shown a page of
+ * this many digits at a time.
+ * @type {number}
+ * @const
+ */
+turing.NUMBER_PLATE_NUM_DIGITS = 5;
+
+
+/**
+ * Symbols drawn over the dimmed equal indicator for runs which ended without
+ * the tape being checked, since the sprite sheet only has = and its negation.
+ * @type {Object.<string, string>}
+ * @const
+ * @private
+ */
+turing.EQUAL_INDICATOR_LABELS_ = {
+  // Infinity: the program loops forever.
+  'loop': '\u221e',
+  // Ellipsis: the program ran too long without halting.
+  'limit': '\u2026',
+  // The same square as the stop button.
+  'stopped': '\u25a0',
+  // Check mark: the program accepted the tape.
+  'accept': '\u2713',
+  // Ballot X: the program rejected the tape.
+  'reject': '\u2717',
+  // The program halted without accepting or rejecting the tape.
+  'noVerdict': '?',
+  // Up-pointing triangle, like the head: checking where the head finished.
+  'head': '\u25b2'
+};
+
+
+/**
+ * What the number plate says on levels which ask for a verdict instead of a
+ * tape.
+ * @type {Object.<turing.Verdict, string>}
+ * @const
+ * @private
+ */
+turing.VERDICT_PLATE_LABELS_ = {
+  'accept': 'ACCEPT \u2713',
+  'reject': 'REJECT \u2717'
+};
+
+
 
 /**
  * A plate showing the desired state of the tape.
@@ -101,6 +149,27 @@ turing.Target = function() {
    */
   this.curValue_ = '';
 
+  /**
+   * Draws values which don't have number plate sprites of their own.
+   * @type {turing.NumberPlateRenderer}
+   * @private
+   */
+  this.renderer_ = new turing.NumberPlateRenderer();
+
+  /**
+   * The goal which the number plate shows a page of.
+   * @type {string}
+   * @private
+   */
+  this.goal_ = '';
+
+  /**
+   * Which page of the goal the number plate shows, counting from 0.
+   * @type {number}
+   * @private
+   */
+  this.page_ = 0;
+
   /**
    * A track segment leading from the tape to the target number plate.
    * @type {Element}
@@ -116,6 +185,36 @@ turing.Target = function() {
    */
   this.equalIndicator_;
 
+  /**
+   * Text drawn over the equivalence indicator for states without a sprite.
+   * @type {Element}
+   * @private
+   */
+  this.equalLabel_;
+
+  /**
+   * Text drawn over the number plate showing the verdict a level asks for.
+   * @type {Element}
+   * @private
+   */
+  this.verdictLabel_;
+
+  /**
+   * Text drawn in the corner of the number plate showing which of a level's
+   * cases is being checked.
+   * @type {Element}
+   * @private
+   */
+  this.caseLabel_;
+
+  /**
+   * Text drawn in the corner of the number plate showing which page of a long
+   * goal is up.
+   * @type {Element}
+   * @private
+   */
+  this.pageLabel_;
+
   /**
    * A click event listener bound on the equals indicator.
    * @type {Function}
@@ -140,6 +239,31 @@ turing.Target.prototype.create = function() {
   this.numberPlate_.style.top = turing.NUMBER_PLATE_TOP;
   this.numberPlate_.style.zIndex = 400;
   this.numberPlate_.style.left = turing.NUMBER_PLATE_LEFT;
+  this.renderer_.create();
+  this.renderer_.attachTo(this.numberPlate_);
+  var plateSize = turing.sprites.getSize('target-blank');
+  this.verdictLabel_ = turing.sprites.getEmptyDiv();
+  this.verdictLabel_.style.width = plateSize.width + 'px';
+  this.verdictLabel_.style.lineHeight = plateSize.height + 'px';
+  this.verdictLabel_.style.textAlign = 'center';
+  this.verdictLabel_.style.font = 'bold 15px arial,sans-serif';
+  this.verdictLabel_.style.color = '#555';
+  this.verdictLabel_.style.pointerEvents = 'none';
+  this.numberPlate_.appendChild(this.verdictLabel_);
+  this.caseLabel_ = turing.sprites.getEmptyDiv();
+  this.caseLabel_.style.top = '3px';
+  this.caseLabel_.style.right = '6px';
+  this.caseLabel_.style.font = 'bold 10px arial,sans-serif';
+  this.caseLabel_.style.color = '#999';
+  this.caseLabel_.style.pointerEvents = 'none';
+  this.numberPlate_.appendChild(this.caseLabel_);
+  this.pageLabel_ = turing.sprites.getEmptyDiv();
+  this.pageLabel_.style.bottom = '3px';
+  this.pageLabel_.style.right = '6px';
+  this.pageLabel_.style.font = 'bold 10px arial,sans-serif';
+  this.pageLabel_.style.color = '#999';
+  this.pageLabel_.style.pointerEvents = 'none';
+  this.numberPlate_.appendChild(this.pageLabel_);
   this.trackToNumberPlate_ = turing.sprites.getDiv('track');
   var trackToNumberPlateStyle = this.trackToNumberPlate_.style;
   trackToNumberPlateStyle.top = turing.TRACK_TO_NUMBER_PLATE_TOP;
@@ -152,6 +276,15 @@ turing.Target.prototype.create = function() {
   this.equalIndicator_.style.top = turing.EQUAL_INDICATOR_TOP;
   this.equalIndicator_.style.left = turing.EQUAL_INDICATOR_LEFT;
   this.equalIndicator_.style.zIndex = 399;  // Above trackToNumberPlate.
+  var size = turing.sprites.getSize('eq-dim');
+  this.equalLabel_ = turing.sprites.getEmptyDiv();
+  this.equalLabel_.style.width = size.width + 'px';
+  this.equalLabel_.style.lineHeight = size.height + 'px';
+  this.equalLabel_.style.textAlign = 'center';
+  this.equalLabel_.style.font = 'bold 13px arial,sans-serif';
+  this.equalLabel_.style.color = '#555';
+  this.equalLabel_.style.pointerEvents = 'none';
+  this.equalIndicator_.appendChild(this.equalLabel_);
   this.equalClickListener_ = goog.bind(this.onClickEqual_, this);
   turing.util.listen(this.equalIndicator_, 'click', this.equalClickListener_);
 };
@@ -161,15 +294,22 @@ turing.Target.prototype.create = function() {
  * Cleans up dom nodes.
  */
 turing.Target.prototype.destroy = function() {
+  this.renderer_.destroy();
   turing.util.removeNode(this.numberPlate_);
   this.numberPlate_ = null;
+  this.verdictLabel_ = null;
+  this.caseLabel_ = null;
+  this.pageLabel_ = null;
   turing.util.removeNode(this.trackToNumberPlate_);
   this.trackToNumberPlate_ = null;
   turing.util.unlisten(this.equalIndicator_, 'click', this.equalClickListener_);
   this.equalClickListener_ = null;
   turing.util.removeNode(this.equalIndicator_);
   this.equalIndicator_ = null;
+  this.equalLabel_ = null;
   this.curValue_ = '';
+  this.goal_ = '';
+  this.page_ = 0;
 };
 
 
@@ -185,12 +325,57 @@ turing.Target.prototype.attachTo = function(elem) {
 
 
 /**
- * Sets the value on the target number plate.
+ * Sets the value on the target number plate. Goals too long for the plate
+ * start on their first page.
  * @param {string} str The desired bit string, or the empty string for a blank
  *     target.
  * @param {number} duration The amount of time to animate for.
  */
 turing.Target.prototype.setValue = function(str, duration) {
+  this.goal_ = str;
+  this.showPage_(0, duration);
+};
+
+
+/**
+ * @param {string} str A goal.
+ * @return {number} How many pages the goal takes up on the number plate.
+ * @private
+ */
+turing.Target.prototype.getNumPages_ = function(str) {
+  return Math.max(1, Math.ceil(str.length / turing.NUMBER_PLATE_NUM_DIGITS));
+};
+
+
+/**
+ * Shows a page of the goal on the number plate.
+ * @param {number} page The page, counting from 0.
+ * @param {number} duration The amount of time to animate for.
+ * @private
+ */
+turing.Target.prototype.showPage_ = function(page, duration) {
+  this.page_ = page;
+  var numPages = this.getNumPages_(this.goal_);
+  this.pageLabel_.innerHTML = '';
+  if (numPages > 1) {
+    // Triangles point to the pages to either side.
+    this.pageLabel_.appendChild(document.createTextNode(
+        (page > 0 ? '\u25c2' : '') + (page + 1) + '/' + numPages +
+        (page < numPages - 1 ? '\u25b8' : '')));
+  }
+  this.showDigits_(this.goal_.substr(page * turing.NUMBER_PLATE_NUM_DIGITS,
+      turing.NUMBER_PLATE_NUM_DIGITS), duration);
+};
+
+
+/**
+ * Sets the digits on the number plate.
+ * @param {string} str Up to turing.NUMBER_PLATE_NUM_DIGITS digits, or the empty
+ *     string for a blank target.
+ * @param {number} duration The amount of time to animate for.
+ * @private
+ */
+turing.Target.prototype.showDigits_ = function(str, duration) {
   if (!str && !this.curValue_) {
     // Don't switch sheets!  It causes flashing!  So just pick the first
     // blank target in the deferred sheet.
@@ -198,6 +383,18 @@ turing.Target.prototype.setValue = function(str, duration) {
         'scroll-01011-18');
     return;
   }
+  if (!turing.sprites.numberplate.hasSprites(str || this.curValue_)) {
+    // Draw the digits one by one on a blank plate instead.
+    this.numberPlate_.style.background = turing.sprites.getBackground(
+        'scroll-01011-18');
+    if (str) {
+      this.renderer_.setTarget(str);
+    }
+    this.renderer_.scroll(!!str, duration);
+    this.curValue_ = str;
+    return;
+  }
+  this.renderer_.setTarget('');
   var backgrounds;
   if (!str) {
     // We're switching to blank so animate the current value scrolling away.
@@ -218,14 +415,48 @@ turing.Target.prototype.setValue = function(str, duration) {
 };
 
 
+/**
+ * Shows the verdict a level asks for on the number plate, which should be
+ * blank.
+ * @param {?turing.Verdict} verdict The verdict, or null to show nothing.
+ */
+turing.Target.prototype.setVerdict = function(verdict) {
+  this.verdictLabel_.innerHTML = '';
+  this.verdictLabel_.appendChild(document.createTextNode(
+      (verdict && turing.VERDICT_PLATE_LABELS_[verdict]) || ''));
+};
+
+
+/**
+ * Shows which of a level's cases is being checked, e.g. '2/3'. Nothing is
+ * shown for levels with a single case.
+ * @param {number} index The case, counting from 0.
+ * @param {number} numCases How many cases the level has.
+ */
+turing.Target.prototype.setCase = function(index, numCases) {
+  this.caseLabel_.innerHTML = '';
+  this.caseLabel_.appendChild(document.createTextNode(
+      numCases > 1 ? (index + 1) + '/' + numCases : ''));
+};
+
+
 /**
  * Sets the equal indicator.
- * @param {string} str One of 'dim', 'eq', or 'neq'.
+ * @param {string} str One of 'dim', 'eq', or 'neq', or one of 'loop', 'limit'
+ *     or 'stopped' for a run whose tape wasn't checked, or one of 'accept',
+ *     'reject' or 'noVerdict' for the verdict a run halted with, or 'head'
+ *     while checking where the head finished.
  * @param {number=} opt_blinkDelay If specified, the amount of time to blink
- *     the equal display.
+ *     the equal display. Ignored for runs whose tape wasn't checked.
  */
 turing.Target.prototype.setEqual = function(str, opt_blinkDelay) {
-  if (!opt_blinkDelay || opt_blinkDelay < turing.EQUAL_BLINK_DURATION) {
+  var label = turing.EQUAL_INDICATOR_LABELS_[str] || '';
+  this.equalLabel_.innerHTML = '';
+  this.equalLabel_.appendChild(document.createTextNode(label));
+  if (label) {
+    this.equalIndicator_.style.background = turing.sprites.getBackground(
+        'eq-dim');
+  } else if (!opt_blinkDelay || opt_blinkDelay < turing.EQUAL_BLINK_DURATION) {
     this.equalIndicator_.style.background = turing.sprites.getBackground(
         'eq-' + str);
   } else {
@@ -244,16 +475,29 @@ turing.Target.prototype.setEqual = function(str, opt_blinkDelay) {
 
 
 /**
- * Highlights the given space on the number plate.
+ * Highlights the given space on the number plate, first turning to its page if
+ * the goal is too long for the plate.
  * @param {string} str The desired bit string.
- * @param {number} index The index of the number to highlight, or 5 which is
- *     the length of the target, to highlight the entire number plate.
+ * @param {number} index The index of the number to highlight, or the length
+ *     of the target, to highlight the entire number plate.
  * @param {number} duration The amount of time to highlight for.
  */
 turing.Target.prototype.highlightAt = function(str, index, duration) {
   if (index > str.length) {
     return;
   }
+  var page = Math.min(Math.floor(index / turing.NUMBER_PLATE_NUM_DIGITS),
+      this.getNumPages_(str) - 1);
+  if (page != this.page_) {
+    this.showPage_(page, 0);
+  }
+  str = str.substr(page * turing.NUMBER_PLATE_NUM_DIGITS,
+      turing.NUMBER_PLATE_NUM_DIGITS);
+  index -= page * turing.NUMBER_PLATE_NUM_DIGITS;
+  if (!turing.sprites.numberplate.hasSprites(str)) {
+    this.renderer_.highlightAt(index, duration);
+    return;
+  }
   var lowlit = turing.sprites.numberplate.getLitTargetForDigit(
       str, index, false);
   var lit = turing.sprites.numberplate.getLitTargetForDigit(
@@ -0,0 +1,525 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Execution traces: a record of every step a program ran, which
+ * can be saved as JSON and later replayed by the Simulator without running the
+ * program again.
+ */
+
+goog.provide('turing.TraceReplay');
+goog.provide('turing.trace');
+
+goog.require('turing.Machine');
+goog.require('turing.notation');
+
+
+/**
+ * The version of the trace format written by this code.
+ * @type {number}
+ * @const
+ */
+turing.TRACE_VERSION = 1;
+
+
+/**
+ * The most steps a trace records. Programs which run forever (the demo and the
+ * bonus program) would otherwise grow their trace without bound.
+ * @type {number}
+ * @const
+ */
+turing.MAX_TRACE_LENGTH = 10000;
+
+
+/**
+ * One step of a trace: a turing.MachineStep with its head position relative
+ * to the start of its tape in the trace, plus how long in ms it was shown for.
+ * @typedef {{op: string, track: number, trackPos: number, nextTrack: number,
+ *            nextTrackPos: number, halted: boolean, tape: number,
+ *            headPos: number, read: string, written: ?string,
+ *            overwritten: ?string, move: number, stepTime: number}}
+ */
+turing.TraceStep;
+
+
+/**
+ * The initial state of a tape in a trace.
+ * - tape: The tape from its first to last non-blank symbol before the run.
+ * - headPos: The initial head position, relative to the start of tape.
+ * @typedef {{tape: string, headPos: number}}
+ */
+turing.TraceTape;
+
+
+/**
+ * A trace of one program run.
+ * - version: turing.TRACE_VERSION when the trace was written.
+ * - program: The ops on each track.
+ * - tape: Tape 0 from its first to last non-blank symbol before the run.
+ * - headPos: The initial head position, relative to the start of tape.
+ * - extraTapes: Tapes 1 and up of a machine with several tapes, if any.
+ * - steps: The steps run, oldest first.
+ * - truncated: True iff more steps ran than turing.MAX_TRACE_LENGTH.
+ * @typedef {{version: number, program: Array.<Array.<string>>, tape: string,
+ *            headPos: number, extraTapes: (Array.<turing.TraceTape>|undefined),
+ *            steps: Array.<turing.TraceStep>, truncated: boolean}}
+ */
+turing.Trace;
+
+
+/**
+ * Starts an empty trace of a machine which is about to run.
+ * @param {turing.Machine} machine The machine, before its first step.
+ * @return {turing.Trace} The trace.
+ */
+turing.trace.create = function(machine) {
+  var program = [];
+  for (var i = 0; i < machine.getNumTracks(); i++) {
+    program[i] = [];
+    for (var j = 0; j < machine.getNumOpsPerTrack(); j++) {
+      program[i][j] = machine.getOp(i, j);
+    }
+  }
+  var trace = {
+    version: turing.TRACE_VERSION,
+    program: program,
+    tape: machine.getTapeString(),
+    headPos: machine.getHeadPos() - machine.getTapeStart(),
+    steps: [],
+    truncated: false
+  };
+  if (machine.getNumTapes() > 1) {
+    trace.extraTapes = [];
+    for (var i = 1; i < machine.getNumTapes(); i++) {
+      trace.extraTapes.push({
+        tape: machine.getTapeString(i),
+        headPos: machine.getHeadPos(i) - machine.getTapeStart(i)
+      });
+    }
+  }
+  return trace;
+};
+
+
+/**
+ * @param {turing.Trace} trace A trace.
+ * @return {number} The number of tapes the traced machine had.
+ */
+turing.trace.getNumTapes = function(trace) {
+  return 1 + (trace.extraTapes ? trace.extraTapes.length : 0);
+};
+
+
+/**
+ * Gets the initial state of one of the traced machine's tapes.
+ * @param {turing.Trace} trace A trace.
+ * @param {number} tape The tape.
+ * @return {turing.TraceTape} The tape before the run.
+ */
+turing.trace.getTape = function(trace, tape) {
+  return tape ? trace.extraTapes[tape - 1] :
+      {tape: trace.tape, headPos: trace.headPos};
+};
+
+
+/**
+ * Adds a step to a trace, unless the trace is full.
+ * @param {turing.Trace} trace The trace.
+ * @param {turing.MachineStep} record The step.
+ * @param {number} origin The position on the step's tape which the trace's
+ *     head positions on that tape are relative to.
+ * @param {number} stepTime How long in ms the step was shown for.
+ */
+turing.trace.addStep = function(trace, record, origin, stepTime) {
+  if (trace.steps.length >= turing.MAX_TRACE_LENGTH) {
+    trace.truncated = true;
+    return;
+  }
+  var step = {};
+  for (var key in record) {
+    step[key] = record[key];
+  }
+  step.headPos = record.headPos - origin;
+  step.stepTime = stepTime;
+  trace.steps.push(/** @type {turing.TraceStep} */(step));
+};
+
+
+/**
+ * Runs a machine and traces it without showing the run. Like turing.Simulator,
+ * the run stops once the machine halts, runs one step past the step limit, or
+ * is about to go round a loop it will never leave.
+ * @param {turing.Machine} machine The machine, before its first step.
+ * @param {number} stepLimit The most steps the program is allowed.
+ * @return {turing.Trace} The trace.
+ */
+turing.trace.record = function(machine, stepLimit) {
+  var trace = turing.trace.create(machine);
+  var origins = [];
+  for (var i = 0; i < machine.getNumTapes(); i++) {
+    origins[i] = machine.getTapeStart(i);
+  }
+  var loopDetector = new turing.LoopDetector();
+  for (var steps = 0; !machine.isHalted() && steps <= stepLimit &&
+      !loopDetector.check(machine); steps++) {
+    var record = machine.step();
+    turing.trace.addStep(trace, record, origins[record.tape || 0], 0);
+  }
+  return trace;
+};
+
+
+/**
+ * How a step of one run differs from the same step of another.
+ * @enum {string}
+ */
+turing.DivergenceKind = {
+  // The runs went on to different ops, or only one of them halted.
+  BRANCH: 'branch',
+  // Different symbols were written, or only one run wrote a symbol.
+  WRITE: 'write',
+  // The head was on, or moved to, a different square.
+  HEAD: 'head',
+  // Both runs halted, with different verdicts.
+  VERDICT: 'verdict'
+};
+
+
+/**
+ * The first step where one run went differently from another.
+ * - step: The index of the step in the trace.
+ * - kind: How the step differs.
+ * - track, trackPos: The op the run ran at that step.
+ * - tape: The tape affected.
+ * - headPos: The square affected, relative to the start of that tape in the
+ *   trace: where the head moved to for HEAD, otherwise where it read.
+ * @typedef {{step: number, kind: turing.DivergenceKind, track: number,
+ *            trackPos: number, tape: number, headPos: number}}
+ */
+turing.trace.Divergence;
+
+
+/**
+ * Finds where a run first went differently from the expected one, e.g. where
+ * the player's program and the level's solution part ways on the same tape.
+ * Steps are compared by what they did rather than which ops ran them, so
+ * different programs which do the same thing don't diverge. Both traces must
+ * start from the same tapes.
+ * @param {turing.Trace} trace The run.
+ * @param {turing.Trace} expected The run it should have matched.
+ * @return {?turing.trace.Divergence} The first step which differs, or null if
+ *     every step the traces share matches.
+ */
+turing.trace.findDivergence = function(trace, expected) {
+  var numSteps = Math.min(trace.steps.length, expected.steps.length);
+  for (var i = 0; i < numSteps; i++) {
+    var step = trace.steps[i];
+    var expectedStep = expected.steps[i];
+    var tape = step.tape || 0;
+    var kind = null;
+    var headPos = step.headPos;
+    if (tape != (expectedStep.tape || 0) ||
+        step.headPos != expectedStep.headPos) {
+      kind = turing.DivergenceKind.HEAD;
+    } else if (step.written != expectedStep.written) {
+      kind = turing.DivergenceKind.WRITE;
+    } else if (step.move != expectedStep.move) {
+      kind = turing.DivergenceKind.HEAD;
+      headPos += step.move;
+    } else if (step.halted != expectedStep.halted || (!step.halted &&
+        (step.nextTrack != expectedStep.nextTrack ||
+         step.nextTrackPos != expectedStep.nextTrackPos))) {
+      kind = turing.DivergenceKind.BRANCH;
+    } else if (step.halted &&
+        turing.getOpVerdict(step.op) != turing.getOpVerdict(expectedStep.op)) {
+      kind = turing.DivergenceKind.VERDICT;
+    }
+    if (kind) {
+      return {step: i, kind: kind, track: step.track,
+              trackPos: step.trackPos, tape: tape, headPos: headPos};
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Forgets any steps after the first few, e.g. when they are undone.
+ * @param {turing.Trace} trace The trace.
+ * @param {number} numSteps How many steps the program has now run.
+ */
+turing.trace.truncateTo = function(trace, numSteps) {
+  trace.steps.splice(numSteps);
+  trace.truncated = trace.steps.length < numSteps;
+};
+
+
+/**
+ * @param {turing.Trace} trace A trace.
+ * @return {string} The trace as JSON.
+ */
+turing.trace.toJson = function(trace) {
+  return JSON.stringify(trace);
+};
+
+
+/**
+ * Reads a trace saved by toJson.
+ * @param {string} json The JSON.
+ * @return {?turing.Trace} The trace, or null if json is not a trace this code
+ *     can replay.
+ */
+turing.trace.fromJson = function(json) {
+  var trace;
+  try {
+    trace = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+  if (!trace || trace.version != turing.TRACE_VERSION ||
+      !Array.isArray(trace.program) || typeof trace.tape != 'string' ||
+      typeof trace.headPos != 'number' || !Array.isArray(trace.steps)) {
+    return null;
+  }
+  if (trace.extraTapes != null) {
+    if (!Array.isArray(trace.extraTapes)) {
+      return null;
+    }
+    for (var i = 0; i < trace.extraTapes.length; i++) {
+      var tape = trace.extraTapes[i];
+      if (!tape || typeof tape.tape != 'string' ||
+          typeof tape.headPos != 'number') {
+        return null;
+      }
+    }
+  }
+  var numTapes = turing.trace.getNumTapes(trace);
+  for (var i = 0; i < trace.program.length; i++) {
+    var track = trace.program[i];
+    if (!Array.isArray(track)) {
+      return null;
+    }
+    // Traces may come from any level, so ops may use any symbol.
+    var limits = {numTracks: trace.program.length,
+                  numOpsPerTrack: track.length, numTapes: numTapes};
+    for (var j = 0; j < track.length; j++) {
+      if (typeof track[j] != 'string' ||
+          turing.notation.checkOp(track[j], j, limits)) {
+        return null;
+      }
+    }
+  }
+  for (var i = 0; i < trace.steps.length; i++) {
+    if (!turing.trace.isValidStep_(trace.steps[i], numTapes)) {
+      return null;
+    }
+  }
+  trace.truncated = !!trace.truncated;
+  return /** @type {turing.Trace} */(trace);
+};
+
+
+/**
+ * Checks that a step read from JSON has every field of a turing.TraceStep, with
+ * the right types, so that replaying it can't fail part way through.
+ * @param {*} step The step.
+ * @param {number} numTapes How many tapes the traced machine had.
+ * @return {boolean} True iff step is a valid step.
+ * @private
+ */
+turing.trace.isValidStep_ = function(step, numTapes) {
+  if (!step || typeof step.op != 'string' || typeof step.halted != 'boolean' ||
+      typeof step.read != 'string') {
+    return false;
+  }
+  if (step.tape != null &&
+      (typeof step.tape != 'number' || step.tape >= numTapes)) {
+    return false;
+  }
+  var numbers = ['track', 'trackPos', 'nextTrack', 'nextTrackPos', 'headPos',
+      'move', 'stepTime'];
+  for (var i = 0; i < numbers.length; i++) {
+    if (typeof step[numbers[i]] != 'number') {
+      return false;
+    }
+  }
+  // A step which printed records both what it printed and what it printed
+  // over; any other step records neither.
+  if (step.written == null) {
+    return step.overwritten == null;
+  }
+  return typeof step.written == 'string' &&
+      typeof step.overwritten == 'string';
+};
+
+
+/**
+ * Offers a trace to the player as a JSON file download.
+ * @param {turing.Trace} trace The trace.
+ * @param {string=} opt_filename The file name to suggest.
+ */
+turing.trace.download = function(trace, opt_filename) {
+  var blob = new Blob([turing.trace.toJson(trace)],
+      {type: 'application/json'});
+  var url = URL.createObjectURL(blob);
+  var link = document.createElement('a');
+  link.href = url;
+  link.download = opt_filename || 'turing-trace.json';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+
+
+/**
+ * Plays back the steps of a trace in place of a turing.Machine, so that the
+ * Simulator can show a recorded run without executing its program.
+ * @param {turing.Trace} trace The trace to play back.
+ * @param {turing.Machine=} opt_tapeMachine A machine whose tapes hold the
+ *     trace's tapes, with its heads where the trace's start. Each step played
+ *     is written on its tapes, and each step undone is erased.
+ * @constructor
+ */
+turing.TraceReplay = function(trace, opt_tapeMachine) {
+  /**
+   * The trace being played back.
+   * @type {turing.Trace}
+   * @private
+   */
+  this.trace_ = trace;
+
+  /**
+   * The machine holding the tapes, or null if none.
+   * @type {?turing.Machine}
+   * @private
+   */
+  this.tapeMachine_ = opt_tapeMachine || null;
+
+  /**
+   * The index in the trace of the next step to play.
+   * @type {number}
+   * @private
+   */
+  this.index_ = 0;
+};
+
+
+/**
+ * @return {boolean} True iff every step in the trace has been played.
+ */
+turing.TraceReplay.prototype.isHalted = function() {
+  return this.index_ >= this.trace_.steps.length;
+};
+
+
+/**
+ * @return {?turing.Verdict} The verdict of the accept or reject op the trace
+ *     ended on, or null if it hasn't ended or ended some other way.
+ */
+turing.TraceReplay.prototype.getVerdict = function() {
+  var step = this.getStep_();
+  return this.isHalted() && step && step.halted ?
+      turing.getOpVerdict(step.op) : null;
+};
+
+
+/**
+ * @return {number} The track of the next step, or of the last step if halted.
+ */
+turing.TraceReplay.prototype.getTrack = function() {
+  var step = this.getStep_();
+  return step ? step.track : 0;
+};
+
+
+/**
+ * @return {number} The track position of the next step, or of the last step
+ *     if halted.
+ */
+turing.TraceReplay.prototype.getTrackPos = function() {
+  var step = this.getStep_();
+  return step ? step.trackPos : 0;
+};
+
+
+/**
+ * @param {number=} opt_tape The tape. Defaults to 0.
+ * @return {number} The tape's head position after the steps played so far,
+ *     relative to the start of that tape in the trace.
+ */
+turing.TraceReplay.prototype.getHeadPos = function(opt_tape) {
+  var tape = opt_tape || 0;
+  for (var i = this.index_ - 1; i >= 0; i--) {
+    var step = this.trace_.steps[i];
+    if ((step.tape || 0) == tape) {
+      return step.headPos + step.move;
+    }
+  }
+  return turing.trace.getTape(this.trace_, tape).headPos;
+};
+
+
+/**
+ * @return {?turing.TraceStep} The next step, or the last one if halted.
+ * @private
+ */
+turing.TraceReplay.prototype.getStep_ = function() {
+  var steps = this.trace_.steps;
+  return steps[Math.min(this.index_, steps.length - 1)] || null;
+};
+
+
+/**
+ * Plays the next step.
+ * @return {?turing.MachineStep} The step, or null if already halted.
+ */
+turing.TraceReplay.prototype.step = function() {
+  if (this.isHalted()) {
+    return null;
+  }
+  var step = this.trace_.steps[this.index_++];
+  var machine = this.tapeMachine_;
+  if (machine) {
+    var tape = step.tape || 0;
+    var headPos = machine.getHeadPos(tape);
+    if (step.written != null) {
+      machine.setSymbol(headPos, step.written, tape);
+    }
+    machine.setHeadPos(headPos + step.move, tape);
+  }
+  return step;
+};
+
+
+/**
+ * Goes back to before the last step played.
+ * @param {turing.MachineStep} record The step to undo.
+ */
+turing.TraceReplay.prototype.unstep = function(record) {
+  if (this.index_ > 0) {
+    this.index_--;
+  }
+  var machine = this.tapeMachine_;
+  if (machine) {
+    var tape = record.tape || 0;
+    var headPos = machine.getHeadPos(tape) - record.move;
+    machine.setHeadPos(headPos, tape);
+    if (record.written != null) {
+      machine.setSymbol(headPos, /** @type {string} */(record.overwritten),
+          tape);
+    }
+  }
+};
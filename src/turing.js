@@ -22,12 +22,20 @@ goog.provide('turing');
 goog.require('turing.Controls');
 goog.require('turing.GameState');
 goog.require('turing.Logo');
+goog.require('turing.OpPalette');
 goog.require('turing.Program');
 goog.require('turing.Simulator');
 goog.require('turing.Tape');
+goog.require('turing.TableView');
 goog.require('turing.Target');
 goog.require('turing.anim');
+goog.require('turing.level');
+goog.require('turing.levelpack');
+goog.require('turing.notation');
+goog.require('turing.solver');
 goog.require('turing.sprites');
+goog.require('turing.table');
+goog.require('turing.trace');
 goog.require('turing.util');
 
 
@@ -40,14 +48,11 @@ turing.LOGO_CONTAINER_ID = 'logo';
 
 
 /**
- * The maximum number of steps a game program can run. This should be just high
- * enough so that all halting programs can run fully, and all cyclic programs do
- * something that checks wrong before we kill them; but low enough so that users
- * don't get bored if they make a trivial infinite loop.
- * @type {number}
+ * The web worker which searches for solutions, relative to the page.
+ * @type {string}
  * @const
  */
-turing.GAME_PROGRAM_STEP_LIMIT = 40;
+turing.SOLVER_WORKER_URL = 'src/solver_worker.js';
 
 
 /**
@@ -59,71 +64,103 @@ turing.FAILURES_BEFORE_SLOWING = 2;
 
 
 /**
- * Assembles a program from strings.
+ * How many failed attempts at the current puzzle before each hint is given
+ * (see turing.Hint). Hints escalate: the wrong ops pulse after every failure
+ * from the first count on, one of them is set right at the second, and the
+ * solution is offered from the third on. A count of 0 turns its hint off.
+ * @type {Object.<turing.Hint, number>}
+ */
+turing.HINT_FAILURES = {
+  'wrongOps': 3,
+  'revealOp': 5,
+  'solution': 7
+};
+
+
+/**
+ * Assembles a program from strings. Each string holds a track's ops separated
+ * by spaces, written as turing.Machine.prototype.step describes, e.g. 'L 1 F2
+ * SR X H', with '.' for no-op. An op followed by another in parentheses, e.g.
+ * 'F2(F3)', starts out as the first and must be changed to the second to solve
+ * the puzzle; ops marked with a leading '*' are clickable but not part of the
+ * solution. The program must fit in normal mode and use the default alphabet.
  * @param {...string} var_args One string for each program track.
  * @return {Object.<string, Array.<Array.<string>>>} An object with correct and
  *    incorrect array of op arrays for each track.
  * @private
  */
 turing.assemble_ = function(var_args) {
-  var ops = {};
-  for (var pass = 0; pass <= 1; pass++) {
-    // Make two passes through each program to save incorrect and correct
-    // copies. We need correct copies to animate stepping through solved puzzles
-    // when the game is over.
-    var tracks = [];
-    for (var i = 0; i < arguments.length; i++) {
-      // Split on whitespace and copy the resulting array (/ +/ matches one or
-      // more spaces.)
-      var trackOps = arguments[i].split(/ +/).slice(0);
-      for (var j = 0; j < trackOps.length; j++) {
-        if (trackOps[j] == '.') {
-          // No-ops are represented internally with the empty string.
-          trackOps[j] = '';
-        } else if (/\(.*\)/.test(trackOps[j])) {
-          // /\(.*\)/ matches a parenthesized expression inside the op
-          // description. These are corrections for ops initially set to a wrong
-          // value for the game.
-          if (pass == 0) {
-            // Keep only the correction. (The re below matches the whole op
-            // string, but captures only the part in parentheses.)
-            trackOps[j] = trackOps[j].replace(/.*\((.*)\).*/, '$1');
-          } else {
-            // Eliminate the correction.
-            trackOps[j] = '*' + trackOps[j].replace(/\(.*\)/, '');
-          }
-        } else if (pass == 0 && trackOps[j] && trackOps[j][0] == '*') {
-          // Some buttons are clickable but do not have explicit corrections
-          // since they are not needed to solve the program. These are just
-          // marked with a *. Remove it if present so they are not clickable
-          // when playing through the solved program on game over.
-          trackOps[j] = trackOps[j].substr(1);
-        }
-      }
-      tracks.push(trackOps);
-    }
-    if (pass == 0) {
-      ops.correct = tracks;
-    } else {
-      ops.incorrect = tracks;
+  return turing.assembleWithLimits_(Array.prototype.slice.call(arguments), {
+    numTracks: turing.NUM_PROGRAM_TRACKS.normalMode,
+    numOpsPerTrack: turing.NUM_OPS_PER_TRACK.normalMode,
+    alphabet: turing.DEFAULT_ALPHABET
+  });
+};
+
+
+/**
+ * Assembles a program from strings, as turing.assemble_ does.
+ * @param {Array.<string>} tracks One string for each program track.
+ * @param {turing.notation.Limits} limits What the program must fit into.
+ * @return {Object.<string, Array.<Array.<string>>>} An object with correct and
+ *    incorrect array of op arrays for each track.
+ * @throws {Error} If the program has mistakes, listing each of them.
+ * @private
+ */
+turing.assembleWithLimits_ = function(tracks, limits) {
+  var result = turing.notation.parse(tracks, limits);
+  if (result.errors.length) {
+    var messages = [];
+    for (var i = 0; i < result.errors.length; i++) {
+      messages.push(turing.notation.formatError(result.errors[i]));
     }
+    throw new Error('Bad program ' + JSON.stringify(tracks) + ':\n  ' +
+        messages.join('\n  '));
   }
-  return ops;
+  return result.ops;
 };
 
 
 /**
- * One of the doodle's programs.
+ * One of the doodle's programs. Programs may also have:
+ * - alphabet: The symbols besides blank which the tape, goal and ops use, if
+ *   not turing.DEFAULT_ALPHABET. Symbols must pass turing.isValidSymbol.
+ * - extraTapes: The initial contents of tapes 1 and up, for programs whose ops
+ *   address more than one tape (see turing.splitTapeOp). tape is tape 0. Extra
+ *   tapes are stacked above tape 0, over the logo, and there is only room for
+ *   one.
+ * - outputTape: The tape which is checked against goal, if not tape 0.
+ * - verdict: For levels which ask whether the tape belongs to a language, e.g.
+ *   has an even number of 1s, whether the program must accept it
+ *   (turing.Verdict.ACCEPT) or reject it (REJECT) by halting on an accept
+ *   (HA) or reject (HR) op. The tape isn't checked, and goal should be ''.
+ * - cases: Further turing.LevelCases which the same program must also pass.
+ *   The program's own tape, goal, extraTapes and verdict are case 1, and the
+ *   level is only won once every case has passed in a row.
+ * - property: Generates the level's cases from random inputs and a reference
+ *   function instead (see turing.PropertyDef). tape and goal are ignored.
+ * - compare: How the goal lines up against the tape (turing.CompareMode), if
+ *   not TRIM.
+ * - head: Where the head must finish: a turing.HeadGoal, or a number of
+ *   squares from the start of the goal. This is checked after the tape.
  * @typedef {{tape: string, goal: string, ops: Object.<string, Array>}}
  */
 turing.ProgramDef;
 
 
+/**
+ * One tape/goal pair of a level with several. Like a turing.ProgramDef, a case
+ * may also have extraTapes and a verdict.
+ * @typedef {{tape: string, goal: string}}
+ */
+turing.LevelCase;
+
+
 /**
  * The set of programs which the user must complete in order to relight the
  * Google logo, along with an initial demo/demos to show off the machine.
+ * Replaced by turing.loadLevelPack.
  * @type {Array.<turing.ProgramDef>}
- * @const
  */
 turing.PROGRAMS = [
   // Demo program shown when the doodle loads.
@@ -292,14 +329,92 @@ turing.PROGRAMS = [
  * after winning the game. This program prints the rabbit sequence, which is a
  * bitstring with many beautiful relationships to Fibonacci numbers and the
  * golden ratio. More immediately, it implements the substitution system with
- * rules 1 -> 10, 0 -> 1.
+ * rules 1 -> 10, 0 -> 1. Level packs may replace it.
  * @type {Array.<Array.<string>>}
- * @const
  */
-turing.BONUS_PROGRAM = turing.assemble_(
+turing.BONUS_PROGRAM = turing.assembleWithLimits_([
     '1 . D1 . .  .  . _  R  D_ B2',
     'R U _  R D_ B2 . 1  B8 1  D_ L  B2',
-    'U . B2 . 1  R  0 U_ L  B2 0  B9').correct;
+    'U . B2 . 1  R  0 U_ L  B2 0  B9'], {
+      numTracks: turing.NUM_PROGRAM_TRACKS.bonusMode,
+      numOpsPerTrack: turing.NUM_OPS_PER_TRACK.bonusMode,
+      alphabet: turing.DEFAULT_ALPHABET
+    }).correct;
+
+
+/**
+ * Replaces the built-in programs with a level pack's (see
+ * src/level_pack.js). Nothing is replaced if the pack has any errors.
+ * @param {*} pack The pack, parsed from JSON.
+ * @return {Array.<string>} A message for each error in the pack.
+ */
+turing.loadLevelPack = function(pack) {
+  var limits = turing.levelpack.GAME_LIMITS;
+  var errors = turing.levelpack.validate(pack, limits);
+  if (errors.length) {
+    return errors;
+  }
+  // Keep the built-in demo unless the pack has its own.
+  var demo = pack['demo'] ?
+      turing.levelpack.toProgram(pack['demo'], limits) : turing.PROGRAMS[0];
+  var levels = pack['levels'];
+  turing.PROGRAMS = [demo];
+  for (var i = 0; i < levels.length; i++) {
+    turing.PROGRAMS.push(turing.levelpack.toProgram(levels[i], limits));
+  }
+  if (pack['bonus']) {
+    turing.BONUS_PROGRAM = turing.assembleWithLimits_(pack['bonus'],
+        turing.levelpack.getBonusNotationLimits(limits)).correct;
+  }
+  turing.state_.setMaxValidProgram(turing.PROGRAMS.length - 1);
+  return errors;
+};
+
+
+/**
+ * Reports the errors in a level pack which couldn't be loaded.
+ * @param {Array.<string>} errors The errors.
+ * @param {string=} opt_url Where the pack came from, if it was fetched.
+ * @private
+ */
+turing.reportLevelPackErrors_ = function(errors, opt_url) {
+  if (window.console && window.console.error) {
+    window.console.error('Could not load level pack' +
+        (opt_url ? ' ' + opt_url : '') + ':\n  ' + errors.join('\n  '));
+  }
+};
+
+
+/**
+ * Fetches a level pack and calls back with it.
+ * @param {string} url The pack's URL.
+ * @param {function(*)} callback Called with the parsed pack, or null if it
+ *     couldn't be fetched or parsed.
+ * @private
+ */
+turing.fetchLevelPack_ = function(url, callback) {
+  var request = new XMLHttpRequest();
+  request.onreadystatechange = function() {
+    if (request.readyState != 4) {
+      return;
+    }
+    var pack = null;
+    if (request.status == 200 || (request.status == 0 &&
+        request.responseText)) {
+      try {
+        pack = JSON.parse(request.responseText);
+      } catch (e) {
+        turing.reportLevelPackErrors_(['pack: is not valid JSON'], url);
+      }
+    } else {
+      turing.reportLevelPackErrors_(
+          ['pack: could not be fetched (status ' + request.status + ')'], url);
+    }
+    callback(pack);
+  };
+  request.open('GET', url, true);
+  request.send(null);
+};
 
 
 /**
@@ -334,6 +449,30 @@ turing.numFailures_ = 0;
 turing.startProgramTime_ = 0;
 
 
+/**
+ * The current program's cases, in the order they are checked.
+ * @type {Array.<turing.LevelCase>}
+ * @private
+ */
+turing.cases_ = [];
+
+
+/**
+ * Which of the current program's cases is on the tape, counting from 0.
+ * @type {number}
+ * @private
+ */
+turing.curCase_ = 0;
+
+
+/**
+ * How many cases the player's program has passed in a row on this attempt.
+ * @type {number}
+ * @private
+ */
+turing.numCasesPassed_ = 0;
+
+
 /**
  * The tape.
  * @type {turing.Tape}
@@ -342,6 +481,23 @@ turing.startProgramTime_ = 0;
 turing.tape_;
 
 
+/**
+ * Tapes 1 and up, for programs with more than one tape.
+ * @type {Array.<turing.Tape>}
+ * @private
+ */
+turing.extraTapes_ = [];
+
+
+/**
+ * How many squares of extra tapes are visible. Fewer than on tape 0, so that
+ * they fit left of the number plate.
+ * @type {number}
+ * @const
+ */
+turing.EXTRA_TAPE_NUM_VISIBLE_SQUARES = 5;
+
+
 /**
  * The letters of the Google logo.
  * @type {turing.Logo}
@@ -382,6 +538,22 @@ turing.simulator_ = new turing.Simulator();
 turing.controls_ = new turing.Controls();
 
 
+/**
+ * Shows a transition table while it runs in place of the program.
+ * @type {turing.TableView}
+ * @private
+ */
+turing.tableView_ = new turing.TableView();
+
+
+/**
+ * Offers every op while the program is being edited (see turing.setEditing).
+ * @type {turing.OpPalette}
+ * @private
+ */
+turing.opPalette_ = new turing.OpPalette();
+
+
 /**
  * A board to display the desired target for the current game program.
  * @type {turing.Target}
@@ -407,6 +579,88 @@ turing.inTutorial_ = function() {
 };
 
 
+/**
+ * @return {Array.<turing.Tape>} All the tapes, by tape number.
+ * @private
+ */
+turing.getTapes_ = function() {
+  return [turing.tape_].concat(turing.extraTapes_);
+};
+
+
+/**
+ * @return {turing.LevelCase} The case which is on the tape.
+ * @private
+ */
+turing.getCurCase_ = function() {
+  return turing.cases_[turing.curCase_];
+};
+
+
+/**
+ * @return {turing.Tape} The tape which is checked against the current
+ *     program's goal.
+ * @private
+ */
+turing.getOutputTape_ = function() {
+  var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  return turing.getTapes_()[program.outputTape || 0] || turing.tape_;
+};
+
+
+/**
+ * Shows tapes 1 and up, creating or destroying extra tapes as needed.
+ * @param {Array.<string>} strs The initial contents of each extra tape.
+ * @param {Array.<number>=} opt_headPositions Where to put each extra tape's
+ *     head, relative to the start of its string. Defaults to the middle.
+ * @private
+ */
+turing.setExtraTapes_ = function(strs, opt_headPositions) {
+  while (turing.extraTapes_.length > strs.length) {
+    turing.extraTapes_.pop().destroy();
+  }
+  while (turing.extraTapes_.length < strs.length) {
+    var tape = new turing.Tape(turing.EXTRA_TAPE_NUM_VISIBLE_SQUARES,
+        turing.TAPE_TOP -
+        (turing.extraTapes_.length + 1) * turing.TAPE_SPACING);
+    tape.create();
+    tape.attachTo(turing.logoContainer_);
+    turing.extraTapes_.push(tape);
+  }
+  for (var i = 0; i < strs.length; i++) {
+    turing.extraTapes_[i].setString(strs[i],
+        opt_headPositions && opt_headPositions[i]);
+  }
+};
+
+
+/**
+ * Puts every tape back to the way it was at the start of the current program.
+ * @private
+ */
+turing.resetTapes_ = function() {
+  var levelCase = turing.getCurCase_();
+  turing.tape_.resetString(levelCase.tape);
+  for (var i = 0; i < turing.extraTapes_.length; i++) {
+    turing.extraTapes_[i].resetString(levelCase.extraTapes[i]);
+  }
+};
+
+
+/**
+ * Puts the current case's tapes, goal and verdict up.
+ * @private
+ */
+turing.showCurCase_ = function() {
+  var levelCase = turing.getCurCase_();
+  turing.tape_.setString(levelCase.tape);
+  turing.setExtraTapes_(levelCase.extraTapes || []);
+  turing.target_.setValue(levelCase.goal, 800);
+  turing.target_.setVerdict(levelCase.verdict || null);
+  turing.target_.setCase(turing.curCase_, turing.cases_.length);
+};
+
+
 /**
  * @param {Element} img An img element.
  * @return {boolean} True iff an image is already loaded.
@@ -452,6 +706,8 @@ turing.startGame_ = function() {
     // Only dim the logo if the user hasn't solved any programs yet, i.e., they
     // are on the 'G' program; otherwise we'll pick up where they left off.
     turing.logo_.dim(500);
+    // Likewise, hints from the last game don't count against this one.
+    turing.state_.clearHints();
   }
   if (turing.isImageReady_(deferredSprite)) {
     // If the deferred sprite was cached or loaded very fast, go right to the
@@ -488,19 +744,28 @@ turing.startGame_ = function() {
 turing.setupProgram_ = function(index) {
   var program = turing.PROGRAMS[index];
   turing.startProgramTime_ = new Date().getTime();
-  if (program.stepLimit) {
-    turing.simulator_.setStepLimit(program.stepLimit);
-  }
+  turing.cases_ = turing.level.getCases(program);
+  turing.curCase_ = 0;
+  var firstCase = turing.cases_[0];
+  turing.numCasesPassed_ = 0;
+  turing.simulator_.setStepLimit(
+      program.stepLimit || turing.GAME_PROGRAM_STEP_LIMIT);
+  turing.program_.setAlphabet(program.alphabet || turing.DEFAULT_ALPHABET);
   // Make the program vanish and the target scroll away.
   turing.program_.change([[], []]);
   turing.target_.setValue('', 800);
+  turing.target_.setVerdict(null);
+  turing.target_.setCase(0, 0);
   turing.target_.setEqual('dim');
   turing.anim.delay(turing.callIfNotInBonusMode_(function() {
-    turing.tape_.setString(program.tape);
+    turing.tape_.setString(firstCase.tape);
+    turing.setExtraTapes_(firstCase.extraTapes || []);
   }), 800);
 
   turing.anim.delay(turing.callIfNotInBonusMode_(function() {
-    turing.target_.setValue(program.goal, 800);
+    turing.target_.setValue(firstCase.goal, 800);
+    turing.target_.setVerdict(firstCase.verdict || null);
+    turing.target_.setCase(0, turing.cases_.length);
   }), 2200);
   turing.anim.delay(turing.callIfNotInBonusMode_(function() {
     if (!turing.gameOver_) {
@@ -512,7 +777,7 @@ turing.setupProgram_ = function(index) {
       turing.target_.showBonusBunny(turing.enterBonusMode_,
                                     program.highlight);
       turing.setOpHighlightColor(program.highlight);
-      turing.simulator_.run(turing.program_, turing.tape_,
+      turing.simulator_.run(turing.program_, turing.getTapes_(),
           turing.SpeedSetting.FAST,
           turing.callIfNotInBonusMode_(function() {
             turing.winLevel_(index);
@@ -532,26 +797,16 @@ turing.makeInteractive_ = function(popOutPlayDelay, lightOpsDelay) {
   turing.target_.setEqual('dim');
   turing.anim.delay(function() {
     turing.controls_.popOutPlayButton(function() {
-      turing.program_.setInteractive(false);
-      turing.controls_.pushInPlayButton();
-      // Pause between lighting the play button and lighting the first
-      // operation to make it clear these are two separate things happening.
-      turing.anim.delay(function() {
-        // Speed picks up a little after the initial programs, but slows back
-        // down if the user has trouble.
-        var speed = turing.inTutorial_() ? turing.SpeedSetting.TUTORIAL :
-            turing.SpeedSetting.NORMAL;
-        if (turing.numFailures_ >= turing.FAILURES_BEFORE_SLOWING) {
-          // Having a hard time.
-          speed = turing.inTutorial_() ? turing.SpeedSetting.SLOW :
-              turing.SpeedSetting.TUTORIAL;
-        }
-        // Note: I tried dropping back down to SLOW if there are twice as many
-        // failures, but this is just too slow for looping programs.
-        turing.simulator_.run(turing.program_, turing.tape_, speed,
-            turing.finishProgramRun_);
-      }, 600);
+      turing.startProgramRun_(false);
     });
+    // Single-stepping can also start the program, paused after its first op.
+    turing.controls_.enableTransportButton(turing.TransportButton.STEP,
+        function() {
+          turing.startProgramRun_(true);
+        });
+    if (turing.isHintDue_(turing.Hint.SOLUTION)) {
+      turing.controls_.offerSolution(turing.showSolution_);
+    }
     // Light up clickable ops a little after the play button pops out so that
     // people will first notice the play button, then things to click.
     turing.anim.delay(function() {
@@ -561,6 +816,226 @@ turing.makeInteractive_ = function(popOutPlayDelay, lightOpsDelay) {
 };
 
 
+/**
+ * @param {turing.Hint} hint A hint.
+ * @return {boolean} True iff the user has failed the current program often
+ *     enough to be given the hint.
+ * @private
+ */
+turing.isHintDue_ = function(hint) {
+  var numFailures = turing.HINT_FAILURES[hint];
+  return !turing.isInBonusMode() && !!numFailures &&
+      turing.numFailures_ >= numFailures;
+};
+
+
+/**
+ * @return {Array.<{track: number, pos: number}>} Where the user's ops differ
+ *     from the current program's solution.
+ * @private
+ */
+turing.getWrongOps_ = function() {
+  var correctOps = turing.PROGRAMS[turing.state_.getCurProgram()].ops.correct;
+  var trackOps = turing.program_.getTrackOps();
+  var wrongOps = [];
+  for (var i = 0; i < trackOps.length; i++) {
+    for (var j = 0; j < trackOps[i].length; j++) {
+      // /^\*/ matches the clickable marker.
+      // The program may have been edited to use more tracks than the
+      // solution.
+      if ((trackOps[i][j] || '').replace(/^\*/, '') !=
+          ((correctOps[i] || [])[j] || '')) {
+        wrongOps.push({track: i, pos: j});
+      }
+    }
+  }
+  return wrongOps;
+};
+
+
+/**
+ * Gives the user the hints they are due after failing the current program
+ * again: sets one wrong op right, once, and pulses the rest. The solution is
+ * offered by makeInteractive_.
+ * @private
+ */
+turing.giveHints_ = function() {
+  var index = turing.state_.getCurProgram();
+  var wrongOps = turing.getWrongOps_();
+  if (wrongOps.length && turing.isHintDue_(turing.Hint.REVEAL_OP) &&
+      turing.numFailures_ == turing.HINT_FAILURES[turing.Hint.REVEAL_OP]) {
+    var op = wrongOps.shift();
+    // Without the clickable marker, so that it stays right.
+    turing.program_.setOp(op.track, op.pos,
+        turing.PROGRAMS[index].ops.correct[op.track][op.pos]);
+    turing.state_.recordHint(index, turing.Hint.REVEAL_OP);
+  }
+  if (wrongOps.length && turing.isHintDue_(turing.Hint.WRONG_OPS)) {
+    turing.program_.pulseOps(wrongOps);
+    turing.state_.recordHint(index, turing.Hint.WRONG_OPS);
+  }
+};
+
+
+/**
+ * Runs the current program's solution for the user, as the last hint. The
+ * level is won as if they had solved it, but the hint is recorded.
+ * @private
+ */
+turing.showSolution_ = function() {
+  var index = turing.state_.getCurProgram();
+  turing.state_.recordHint(index, turing.Hint.SOLUTION);
+  // Changing the ops clears breakpoints; keep the player's where they were.
+  var breakpoints = turing.program_.getBreakpoints();
+  turing.program_.change(turing.PROGRAMS[index].ops.correct);
+  turing.program_.setBreakpoints(breakpoints);
+  turing.startProgramRun_(false);
+};
+
+
+/**
+ * True iff the user has fast-forwarded the current program run.
+ * @type {boolean}
+ * @private
+ */
+turing.fastForwarding_ = false;
+
+
+/**
+ * @return {turing.SpeedSetting} How fast to run the current program.
+ * @private
+ */
+turing.getRunSpeed_ = function() {
+  // Speed picks up a little after the initial programs, but slows back down if
+  // the user has trouble.
+  var speed = turing.inTutorial_() ? turing.SpeedSetting.TUTORIAL :
+      turing.SpeedSetting.NORMAL;
+  if (turing.numFailures_ >= turing.FAILURES_BEFORE_SLOWING) {
+    // Having a hard time.
+    speed = turing.inTutorial_() ? turing.SpeedSetting.SLOW :
+        turing.SpeedSetting.TUTORIAL;
+  }
+  // Note: I tried dropping back down to SLOW if there are twice as many
+  // failures, but this is just too slow for looping programs.
+  return speed;
+};
+
+
+/**
+ * Starts running the player's program.
+ * @param {boolean} paused Iff true, run only the first op and then pause.
+ * @private
+ */
+turing.startProgramRun_ = function(paused) {
+  turing.program_.setInteractive(false);
+  turing.controls_.pushInPlayButton();
+  turing.controls_.dimTransportButtons();
+  turing.controls_.hideSolutionButton();
+  turing.fastForwarding_ = false;
+  if (paused) {
+    turing.simulator_.run(turing.program_, turing.getTapes_(),
+        turing.getRunSpeed_(), turing.finishProgramRun_);
+    turing.simulator_.pause();
+    turing.simulator_.stepOnce();
+    turing.updateTransportButtons_();
+    return;
+  }
+  // Pause between lighting the play button and lighting the first operation
+  // to make it clear these are two separate things happening.
+  turing.anim.delay(function() {
+    turing.simulator_.run(turing.program_, turing.getTapes_(),
+        turing.getRunSpeed_(), turing.finishProgramRun_);
+    turing.updateTransportButtons_();
+  }, 600);
+};
+
+
+/**
+ * Shows which transport buttons can be used on the current program run.
+ * @private
+ */
+turing.updateTransportButtons_ = function() {
+  var paused = turing.simulator_.isPaused();
+  turing.controls_.setPauseButtonPaused(paused);
+  turing.controls_.enableTransportButton(turing.TransportButton.PAUSE,
+      function() {
+        if (turing.simulator_.isPaused()) {
+          turing.simulator_.resumeIfPaused();
+        } else {
+          turing.simulator_.pause();
+        }
+        turing.updateTransportButtons_();
+      });
+  if (paused) {
+    turing.controls_.enableTransportButton(turing.TransportButton.STEP,
+        function() {
+          turing.simulator_.stepOnce();
+        });
+  } else {
+    turing.controls_.dimTransportButton(turing.TransportButton.STEP);
+  }
+  turing.controls_.enableTransportButton(turing.TransportButton.STOP,
+      turing.stopProgramRun_);
+  if (turing.fastForwarding_) {
+    turing.controls_.pushInTransportButton(
+        turing.TransportButton.FAST_FORWARD);
+  } else {
+    turing.controls_.enableTransportButton(turing.TransportButton.FAST_FORWARD,
+        function() {
+          turing.fastForwarding_ = true;
+          turing.simulator_.setSpeed(turing.SpeedSetting.LUDICROUS);
+          turing.updateTransportButtons_();
+        });
+  }
+};
+
+
+/**
+ * Called when the simulator pauses at a breakpoint the user set on an op.
+ * @private
+ */
+turing.onBreakpoint_ = function() {
+  if (!turing.isInBonusMode()) {
+    // The transport buttons can resume or step from here.
+    turing.updateTransportButtons_();
+    return;
+  }
+  // Bonus mode has no controls, so resume on the next click anywhere.
+  var resume = function() {
+    turing.util.unlisten(turing.logoContainer_, 'click', resume);
+    turing.simulator_.resumeIfPaused();
+  };
+  turing.util.listen(turing.logoContainer_, 'click', resume);
+};
+
+
+/**
+ * Abandons the current program run without checking the tape. The simulator
+ * reports the run as stopped to finishProgramRun_.
+ * @private
+ */
+turing.stopProgramRun_ = function() {
+  turing.simulator_.stop();
+};
+
+
+/**
+ * Shows that the user stopped the program, and puts the tape back so they can
+ * try again. This doesn't count as a failure.
+ * @private
+ */
+turing.showStoppedRun_ = function() {
+  turing.numCasesPassed_ = 0;
+  turing.controls_.dimPlayButton();
+  turing.target_.setEqual('stopped');
+  turing.program_.reset();
+  turing.resetTapes_();
+  turing.anim.delay(function() {
+    turing.makeInteractive_(0, 100);
+  }, 1000);
+};
+
+
 /**
  * Ends the game after the user has won.
  * This method is called twice:
@@ -571,6 +1046,7 @@ turing.makeInteractive_ = function(popOutPlayDelay, lightOpsDelay) {
  */
 turing.endGame_ = function() {
   turing.tape_.setString('');
+  turing.setExtraTapes_([]);
   turing.program_.change([[], []]);
   turing.program_.reset();
   turing.target_.setValue('', 800);
@@ -602,11 +1078,16 @@ turing.replaySolutionsInSequence_ = function() {
   // Because gameOver is now set, setupProgram_ will just step through programs
   // until the last.
   // We have already set up the new value of curProgram for the next game. Count
-  // back six programs, wrapping, to figure out which program began this game,
-  // so we can replay from the correct place.
+  // back, wrapping, to the program which lit the first letter in this game, so
+  // we can replay from the correct place. Program 0 is the demo, so stop at 1
+  // even if no program lit the first letter.
   var firstProgramInNextGame = turing.state_.getCurProgram();
   var firstProgramInThisGame = firstProgramInNextGame == 1 ?
-      turing.PROGRAMS.length - 6 : firstProgramInNextGame - 6;
+      turing.PROGRAMS.length - 1 : firstProgramInNextGame - 1;
+  while (firstProgramInThisGame > 1 &&
+      turing.PROGRAMS[firstProgramInThisGame].logoLetterIndex != 0) {
+    firstProgramInThisGame--;
+  }
   turing.setupProgram_(firstProgramInThisGame);
 };
 
@@ -620,7 +1101,9 @@ turing.enterBonusMode_ = function() {
   turing.logo_.destroy();
   turing.controls_.destroy();
   turing.target_.destroy();
+  turing.setEditing(false);
   turing.program_.destroy();
+  turing.setExtraTapes_([]);
   turing.switchProgramsToBonusMode();
   turing.setOpHighlightColor('y');
   turing.startSleepTimer_();
@@ -659,29 +1142,126 @@ turing.callIfNotInBonusMode_ = function(func) {
 
 /**
  * Called when a program is finished running.
+ * @param {turing.RunResult} result How the program run ended.
  * @private
  */
-turing.finishProgramRun_ = function() {
+turing.finishProgramRun_ = function(result) {
+  // Nothing more to pause, step or stop.
+  turing.controls_.dimTransportButtons();
+  if (result.reason == turing.StopReason.STOPPED) {
+    turing.showStoppedRun_();
+    return;
+  }
+  if (!turing.isHaltReason(result.reason)) {
+    // There's no point checking the tape of a program which never finished.
+    turing.controls_.dimPlayButton();
+    turing.failLevel_(result.reason == turing.StopReason.LOOPED ?
+        turing.FailReason.LOOPS_FOREVER : turing.FailReason.TOO_MANY_STEPS);
+    return;
+  }
   // Let the last operation light remain off for a while to make it clear the
   // program is done.
   turing.anim.delay(function() {
     // First dim, but do not pop out the play button.
     turing.controls_.dimPlayButton();
     // Give the user just long enough to notice the play button before starting
-    // to check the tape.
-    turing.anim.delay(turing.checkTape_, 1000);
+    // to check the tape, or the verdict on levels which ask for one.
+    turing.anim.delay(turing.getCurCase_().verdict ?
+        goog.partial(turing.checkVerdict_, result.verdict) :
+        turing.checkTape_, 1000);
   }, 700);
 };
 
 
+/**
+ * Shows the verdict the program halted with, then whether it was the one the
+ * level asks for.
+ * @param {?turing.Verdict} verdict The verdict, or null if the program halted
+ *     without one.
+ * @private
+ */
+turing.checkVerdict_ = function(verdict) {
+  turing.target_.setEqual(verdict || 'noVerdict');
+  turing.anim.delay(function() {
+    if (verdict == turing.getCurCase_().verdict) {
+      turing.target_.setEqual('eq', 1600);
+      turing.anim.delay(turing.passCase_, 2000);
+    } else {
+      turing.target_.setEqual('neq', 1600);
+      turing.anim.delay(goog.partial(turing.failLevel_,
+          turing.FailReason.WRONG_VERDICT), 2000);
+    }
+  }, turing.inTutorial_() ? 1000 : 600);
+};
+
+
 /**
  * Checks to see whether the tape is correct
  * @private
  */
 turing.checkTape_ = function() {
+  var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  var successCallback = turing.passCase_;
+  if (program.head != null) {
+    // Checking the tape moves the head, so note where it finished first.
+    successCallback = goog.partial(turing.checkHead_,
+        turing.getOutputTape_().getHeadOffset(
+            program.compare == turing.CompareMode.EXACT));
+  }
   // -1 seeks one position left of the first square to attract attention to
   // checking before it starts.
-  turing.checkNextSquare_(-1, turing.winLevel_, turing.failLevel_);
+  turing.checkNextSquare_(-1, successCallback, turing.failLevel_);
+};
+
+
+/**
+ * Once the tape has checked out, shows where the head finished, then whether
+ * that was where the level asks for.
+ * @param {number} headOffset How many squares from the start of the goal the
+ *     head finished.
+ * @private
+ */
+turing.checkHead_ = function(headOffset) {
+  var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  var goal = turing.getCurCase_().goal;
+  var goalOffset = turing.level.getHeadGoalOffset(program.head, goal);
+  turing.target_.setEqual('head');
+  turing.getOutputTape_().scanToAndGetSymbol(headOffset,
+      program.compare == turing.CompareMode.EXACT);
+  turing.anim.delay(function() {
+    turing.target_.highlightAt(goal, goalOffset, 1600);
+    if (headOffset == goalOffset) {
+      turing.target_.setEqual('eq', 1600);
+      turing.anim.delay(turing.passCase_, 2000);
+    } else {
+      turing.target_.setEqual('neq', 1600);
+      turing.anim.delay(goog.partial(turing.failLevel_,
+          turing.FailReason.WRONG_HEAD_POS), 2000);
+    }
+  }, turing.inTutorial_() ? 1000 : 600);
+};
+
+
+/**
+ * Called when the player's program passes the case on the tape. The level is
+ * won once every case has passed; until then the next case is put up and run.
+ * @private
+ */
+turing.passCase_ = function() {
+  var numCases = turing.cases_.length;
+  turing.numCasesPassed_++;
+  if (turing.numCasesPassed_ >= numCases) {
+    turing.numCasesPassed_ = 0;
+    turing.winLevel_();
+    return;
+  }
+  turing.curCase_ = (turing.curCase_ + 1) % numCases;
+  turing.target_.setEqual('dim');
+  turing.program_.reset();
+  turing.showCurCase_();
+  turing.anim.delay(turing.callIfNotInBonusMode_(function() {
+    turing.startProgramRun_(false);
+  }), 1200);
 };
 
 
@@ -697,7 +1277,8 @@ turing.winLevel_ = function(opt_index) {
   var letterIndex = turing.PROGRAMS[index].logoLetterIndex;
   // Change the current letter to be lit up.
   turing.logo_.lightLetterAtPosition(letterIndex, 500);
-  if (!turing.isInBonusMode() && letterIndex == 5  /* 'e'. */) {
+  if (!turing.isInBonusMode() &&
+      letterIndex == turing.LOGO_LETTERS.length - 1  /* 'e'. */) {
     // End the game when the 'e' program is solved.
     turing.anim.delay(turing.endGame_, 500);
   } else if (opt_index) {
@@ -716,20 +1297,71 @@ turing.winLevel_ = function(opt_index) {
 
 
 /**
- * Called when the user fails the level (tape doesn't check.)
+ * Called when the user fails the level.
+ * @param {turing.FailReason=} opt_reason Why, if not that the tape didn't
+ *     check.
  * @private
  */
-turing.failLevel_ = function() {
-  // Reset the tape and try again.
+turing.failLevel_ = function(opt_reason) {
+  // Reset the tape and try again, starting from the case which failed.
   turing.numFailures_++;
-  var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  turing.numCasesPassed_ = 0;
+  var resetDelay = 300;
+  if (opt_reason && opt_reason != turing.FailReason.WRONG_TAPE &&
+      opt_reason != turing.FailReason.WRONG_VERDICT &&
+      opt_reason != turing.FailReason.WRONG_HEAD_POS) {
+    // The tape wasn't checked, so show why not instead, and leave the op
+    // where a looping program went round again lit for a while.
+    turing.target_.setEqual(
+        opt_reason == turing.FailReason.LOOPS_FOREVER ? 'loop' : 'limit');
+    resetDelay = 2000;
+  } else if (turing.showDivergence_()) {
+    resetDelay = 2000;
+  }
   turing.anim.delay(function() {
-    turing.tape_.resetString(program.tape);
+    turing.resetTapes_();
     turing.anim.delay(function() {
       turing.makeInteractive_(0, 100);
       turing.program_.reset();
+      // Once the ops are clickable again.
+      turing.anim.delay(turing.giveHints_, 200);
     }, 400);
-  }, 300);
+  }, resetDelay);
+};
+
+
+/**
+ * Shows why the user's program failed the current case: lights the op where
+ * its run first went differently from the level's solution on the same tapes,
+ * and flashes the tape square the two runs read, wrote or moved to
+ * differently.
+ * @return {boolean} True iff the runs went differently, so there was
+ *     something to show.
+ * @private
+ */
+turing.showDivergence_ = function() {
+  var trace = turing.simulator_.getTrace();
+  if (!trace || turing.isInBonusMode()) {
+    return false;
+  }
+  var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  var levelCase = turing.getCurCase_();
+  var divergence = turing.trace.findDivergence(trace,
+      turing.level.traceCase(program.ops.correct,
+          turing.NUM_OPS_PER_TRACK.normalMode, program, levelCase));
+  if (!divergence) {
+    return false;
+  }
+  var tape = divergence.tape;
+  var str = tape ? levelCase.extraTapes[tape - 1] : levelCase.tape;
+  // The trace counts from the tape's first symbol before the run, and the
+  // tape from the start of its string, which the head started in the middle
+  // of.
+  var offset = divergence.headPos - turing.trace.getTape(trace, tape).headPos +
+      Math.floor(str.length / 2);
+  turing.program_.showDivergence(divergence.track, divergence.trackPos);
+  turing.getTapes_()[tape].flashSquare(offset);
+  return true;
 };
 
 
@@ -747,8 +1379,11 @@ turing.failLevel_ = function() {
  */
 turing.checkNextSquare_ =
     function(index, successCallback, failureCallback) {
-  var symbol = turing.tape_.scanToAndGetSymbol(index);
   var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  var symbol = turing.getOutputTape_().scanToAndGetSymbol(index,
+      program.compare == turing.CompareMode.EXACT);
+  var goal = turing.getCurCase_().goal;
+  var goalSymbol = goal.charAt(index);
   if (index == -1) {
     // First scan one square to the left of the solution to get people to
     // look up to the tape.
@@ -757,20 +1392,23 @@ turing.checkNextSquare_ =
                      successCallback, failureCallback), 600);
     return;
   }
-  if (!symbol && !program.goal[index]) {
-    turing.target_.highlightAt(program.goal, index, 1600);
+  if (!symbol && !goalSymbol) {
+    turing.target_.highlightAt(goal, index, 1600);
     turing.target_.setEqual('eq', 1600);
     // Success.  We've gone off the end of both strings.
     turing.anim.delay(successCallback, 2000);
-  } else if (symbol != program.goal[index]) {
-    turing.target_.highlightAt(program.goal, index, 1600);
+  } else if (symbol != goalSymbol &&
+      !(turing.isBlank(symbol) && turing.isBlank(goalSymbol))) {
+    // Any symbol in the level's alphabet must match exactly, but a blank
+    // square matches a blank in the goal however either is written.
+    turing.target_.highlightAt(goal, index, 1600);
     turing.target_.setEqual('neq', 1600);
     // Fail!
     turing.anim.delay(failureCallback, 2000);
   } else {
     // Speed up checking after we've passed the intro programs.
     var duration = turing.inTutorial_() ? 1000 : 500;
-    turing.target_.highlightAt(program.goal, index, duration);
+    turing.target_.highlightAt(goal, index, duration);
     turing.target_.setEqual('eq', duration - 200);
     turing.anim.delay(
         goog.partial(turing.checkNextSquare_, index + 1,
@@ -881,15 +1519,272 @@ turing.destroySleepTimer_ = function() {
 };
 
 
+/**
+ * Offers the trace of the last program run as a JSON file download, e.g. to
+ * attach to a bug report.
+ * @return {boolean} True iff there was a trace to download.
+ */
+turing.downloadTrace = function() {
+  var trace = turing.simulator_.getTrace();
+  if (!trace) {
+    return false;
+  }
+  turing.trace.download(trace);
+  return true;
+};
+
+
+/**
+ * Shows a trace saved by downloadTrace in place of the current level, then
+ * puts the level back the way the user left it. Traces can only be shown
+ * during a game while the play button is clickable.
+ * @param {string} json The trace as JSON.
+ * @return {boolean} True iff the trace is being shown.
+ */
+turing.replayTrace = function(json) {
+  var trace = turing.trace.fromJson(json);
+  if (!trace || turing.isInBonusMode() ||
+      !turing.controls_.isPlayButtonEnabled()) {
+    return false;
+  }
+  var userOps = turing.program_.getTrackOps();
+  var userBreakpoints = turing.program_.getBreakpoints();
+  turing.program_.setInteractive(false);
+  turing.controls_.pushInPlayButton();
+  turing.controls_.dimTransportButtons();
+  turing.program_.change(trace.program);
+  turing.tape_.setString(trace.tape, trace.headPos);
+  var extraTapes = [];
+  var extraHeadPositions = [];
+  for (var i = 1; i < turing.trace.getNumTapes(trace); i++) {
+    var tape = turing.trace.getTape(trace, i);
+    extraTapes.push(tape.tape);
+    extraHeadPositions.push(tape.headPos);
+  }
+  turing.setExtraTapes_(extraTapes, extraHeadPositions);
+  turing.anim.delay(function() {
+    turing.simulator_.replay(trace, turing.program_, turing.getTapes_(),
+        turing.getRunSpeed_(), turing.callIfNotInBonusMode_(function() {
+          // Leave the end of the trace up for a moment before restoring.
+          turing.anim.delay(function() {
+            var levelCase = turing.getCurCase_();
+            turing.controls_.dimPlayButton();
+            turing.program_.change(userOps);
+            turing.program_.setBreakpoints(userBreakpoints);
+            turing.tape_.setString(levelCase.tape);
+            turing.setExtraTapes_(levelCase.extraTapes || []);
+            turing.makeInteractive_(1000, 500);
+          }, 1000);
+        }));
+  }, 1500);
+  return true;
+};
+
+
+/**
+ * @return {?string} The player's program for the current level as a
+ *     transition table in turing.table.parse's format, or null if it can't be
+ *     written as one.
+ */
+turing.getProgramTable = function() {
+  if (!turing.program_ || turing.isInBonusMode()) {
+    return null;
+  }
+  var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  var table = turing.table.compile(turing.program_.getTrackOps(),
+      turing.NUM_OPS_PER_TRACK.normalMode,
+      program.alphabet || turing.DEFAULT_ALPHABET);
+  return table ? turing.table.toText(table) : null;
+};
+
+
+/**
+ * Replaces the player's program with one which behaves like a transition
+ * table, if the table fits on the program tracks. Only possible during a game
+ * while the play button is clickable.
+ * @param {string} text The table, in turing.table.parse's format.
+ * @return {boolean} True iff the program was replaced.
+ */
+turing.setProgramTable = function(text) {
+  var table = turing.table.parse(text);
+  if (!table || turing.isInBonusMode() ||
+      !turing.controls_.isPlayButtonEnabled()) {
+    return false;
+  }
+  var ops = turing.table.decompile(table, turing.NUM_PROGRAM_TRACKS.normalMode,
+      turing.NUM_OPS_PER_TRACK.normalMode);
+  if (!ops) {
+    return false;
+  }
+  // Changing the ops clears breakpoints; keep the player's where they were.
+  var breakpoints = turing.program_.getBreakpoints();
+  turing.program_.change(ops);
+  turing.program_.setBreakpoints(breakpoints);
+  return true;
+};
+
+
+/**
+ * Runs a transition table on the current level's tape, showing the table in
+ * place of the program, then puts the level back the way the user left it.
+ * Only possible during a game while the play button is clickable.
+ * @param {string} text The table, in turing.table.parse's format.
+ * @return {boolean} True iff the table is running.
+ */
+turing.runTable = function(text) {
+  var table = turing.table.parse(text);
+  if (!table || turing.isInBonusMode() ||
+      !turing.controls_.isPlayButtonEnabled()) {
+    return false;
+  }
+  turing.program_.setInteractive(false);
+  turing.controls_.pushInPlayButton();
+  turing.controls_.dimTransportButtons();
+  turing.tableView_.create();
+  turing.tableView_.setTable(table);
+  turing.tableView_.attachTo(turing.logoContainer_);
+  turing.anim.delay(function() {
+    turing.simulator_.runTable(table, turing.tableView_, turing.tape_,
+        turing.getRunSpeed_(), turing.callIfNotInBonusMode_(function() {
+          // Leave the end of the run up for a moment before restoring.
+          turing.anim.delay(function() {
+            turing.controls_.dimPlayButton();
+            turing.tableView_.destroy();
+            turing.tape_.setString(turing.getCurCase_().tape);
+            turing.makeInteractive_(1000, 500);
+          }, 1000);
+        }));
+  }, 1000);
+  return true;
+};
+
+
+/**
+ * Starts or stops editing the program freely, e.g. to play in a sandbox or to
+ * write a level. While editing, a palette of every op is shown below the logo.
+ * Choosing an op there, by clicking it or starting to drag it, and then
+ * clicking an op position on either track or dropping it there puts the op
+ * in that position. The blank op clears it. Ops can only be placed while the
+ * play button is clickable, and not in bonus mode.
+ * @param {boolean} editing True to start editing, false to stop.
+ * @return {boolean} True iff the program is now being edited as asked.
+ */
+turing.setEditing = function(editing) {
+  if (editing == turing.opPalette_.isCreated()) {
+    return true;
+  }
+  if (!editing) {
+    turing.program_.setEditHandler(null);
+    turing.opPalette_.destroy();
+    return true;
+  }
+  if (!turing.program_ || turing.isInBonusMode()) {
+    return false;
+  }
+  var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  turing.opPalette_.create(program.alphabet || turing.DEFAULT_ALPHABET);
+  turing.opPalette_.attachTo(turing.logoContainer_);
+  turing.program_.setEditHandler(turing.editOp_);
+  return true;
+};
+
+
+/**
+ * Puts the op chosen on the palette in a position of the program, if one is
+ * chosen and the program isn't running.
+ * @param {number} track The track of the position.
+ * @param {number} pos The position on its track.
+ * @private
+ */
+turing.editOp_ = function(track, pos) {
+  var op = turing.opPalette_.getChosenOp();
+  if (op != null && turing.controls_.isPlayButtonEnabled()) {
+    turing.program_.setOp(track, pos, op);
+  }
+};
+
+
+/**
+ * Checks that each level's solution solves it and its starting program
+ * doesn't, without showing anything (see turing.level.verify), and logs a
+ * report line per level to the console.
+ * @return {boolean} True iff every level is ok.
+ */
+turing.verifyLevels = function() {
+  var ok = true;
+  var lines = [];
+  // Skip the demo, which has no goal.
+  for (var i = 1; i < turing.PROGRAMS.length; i++) {
+    var report = turing.level.verify(turing.PROGRAMS[i],
+        turing.NUM_OPS_PER_TRACK.normalMode);
+    ok = ok && report.ok;
+    lines.push(turing.level.formatReport(report, 'level ' + i));
+  }
+  if (window.console && window.console.log) {
+    window.console.log(lines.join('\n'));
+  }
+  return ok;
+};
+
+
+/**
+ * Searches for every setting of the current level's clickable ops which
+ * solves it (see turing.solver.solve), in a web worker if the browser has
+ * them, and logs what it found to the console.
+ * @param {function(turing.solver.Result)=} opt_callback Called with what the
+ *     search found.
+ */
+turing.solveLevel = function(opt_callback) {
+  var program = turing.PROGRAMS[turing.state_.getCurProgram()];
+  var request = turing.solver.createRequest(program,
+      turing.NUM_OPS_PER_TRACK.normalMode,
+      program.alphabet || turing.DEFAULT_ALPHABET);
+  var done = function(result) {
+    if (window.console && window.console.log) {
+      window.console.log(turing.solver.formatResult(result).join('\n'));
+    }
+    if (opt_callback) {
+      opt_callback(result);
+    }
+  };
+  if (!window.Worker) {
+    done(turing.solver.solve(request));
+    return;
+  }
+  var worker = new Worker(turing.SOLVER_WORKER_URL);
+  worker.onmessage = function(event) {
+    worker.terminate();
+    done(event.data);
+  };
+  worker.postMessage(request);
+};
+
+
 /**
  * Preloads sprite, creates dom elements and binds event listeners.
+ * @param {(string|Object)=} opt_levelPack A level pack to play instead of the
+ *     built-in programs, or the URL of one. If it can't be loaded, the errors
+ *     are logged to the console and the built-in programs are played.
  */
-turing.init = function() {
+turing.init = function(opt_levelPack) {
   turing.logoContainer_ = document.getElementById(turing.LOGO_CONTAINER_ID);
   if (!turing.logoContainer_) {
     // Do not show if the logo container is missing.
     return;
   }
+  if (typeof opt_levelPack == 'string') {
+    var url = opt_levelPack;
+    turing.fetchLevelPack_(url, function(pack) {
+      turing.init(pack || undefined);
+    });
+    return;
+  }
+  if (opt_levelPack) {
+    var errors = turing.loadLevelPack(opt_levelPack);
+    if (errors.length) {
+      turing.reportLevelPackErrors_(errors);
+    }
+  }
   var mainSprite = turing.sprites.preload(turing.sprites.PATH);
   turing.state_.restore();
   turing.anim.reset();
@@ -900,12 +1795,14 @@ turing.init = function() {
   turing.program_ = new turing.Program();
   turing.gameOver_ = false;
   turing.numFailures_ = 0;
+  turing.simulator_.setBreakpointCallback(turing.onBreakpoint_);
   turing.overlay_.create(turing.logoContainer_);
   // If the user has not solved the 'G' program, light the entire logo
   // initially, else light as many letters as they have solved.
   var curProgram = turing.state_.getCurProgram();
   var letterIndex = turing.PROGRAMS[curProgram].logoLetterIndex;
-  turing.logo_.create(letterIndex == 0 ? 6 : letterIndex);
+  turing.logo_.create(
+      letterIndex == 0 ? turing.LOGO_LETTERS.length : letterIndex);
   turing.tape_ = new turing.Tape();
   turing.tape_.create();
   turing.program_.create();
@@ -931,6 +1828,8 @@ turing.destroy = function() {
   turing.destroySleepTimer_();
   turing.anim.reset();
   turing.simulator_.stop();
+  turing.tableView_.destroy();
+  turing.opPalette_.destroy();
   turing.target_.destroy();
   turing.overlay_.destroy();
   if (turing.program_) {
@@ -941,6 +1840,10 @@ turing.destroy = function() {
     turing.tape_.destroy();
     turing.tape_ = null;
   }
+  for (var i = 0; i < turing.extraTapes_.length; i++) {
+    turing.extraTapes_[i].destroy();
+  }
+  turing.extraTapes_ = [];
   turing.logo_.destroy();
   turing.controls_.destroy();
 };
@@ -0,0 +1,84 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.GameState, run with node --test test/.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var vm = require('vm');
+
+
+/**
+ * Loads the game state with a localStorage of its own.
+ * @return {{turing: Object, storage: Object.<string, string>}} The turing
+ *     namespace, and what has been saved so far.
+ */
+function load() {
+  var storage = {
+    setItem: function(key, value) {
+      storage[key] = String(value);
+    }
+  };
+  var context = {
+    goog: {provide: function() {}},
+    turing: {},
+    window: {localStorage: storage}
+  };
+  var filename = path.join(__dirname, '..', 'src', 'game_state.js');
+  vm.runInNewContext(fs.readFileSync(filename, 'utf8'), context,
+      {filename: filename});
+  return {turing: context.turing, storage: storage};
+}
+
+
+test('records each hint once per program', function() {
+  var env = load();
+  var state = new env.turing.GameState();
+  state.recordHint(3, env.turing.Hint.WRONG_OPS);
+  state.recordHint(3, env.turing.Hint.REVEAL_OP);
+  state.recordHint(3, env.turing.Hint.WRONG_OPS);
+  state.recordHint(5, env.turing.Hint.WRONG_OPS);
+  assert.strictEqual(state.getHints(3).join(), 'wrongOps,revealOp');
+  assert.strictEqual(state.getHints(4).join(), '');
+  assert.strictEqual(state.getNumHints(), 3);
+  // The hints returned are a copy.
+  state.getHints(3).push(env.turing.Hint.SOLUTION);
+  assert.strictEqual(state.getNumHints(), 3);
+  state.clearHints();
+  assert.strictEqual(state.getNumHints(), 0);
+});
+
+
+test('saves and restores hints with the current program', function() {
+  var env = load();
+  var state = new env.turing.GameState();
+  state.setCurProgram(2);
+  state.recordHint(2, env.turing.Hint.SOLUTION);
+  var restored = new env.turing.GameState();
+  restored.restore();
+  assert.strictEqual(restored.getCurProgram(), 2);
+  assert.strictEqual(restored.getHints(2).join(), 'solution');
+  // Hints which can't be read are forgotten.
+  env.storage['doodle-turing-h'] = '{"2": "solution", "4": ["wrongOps"]}';
+  restored.restore();
+  assert.strictEqual(restored.getHints(2).join(), '');
+  assert.strictEqual(restored.getHints(4).join(), 'wrongOps');
+  env.storage['doodle-turing-h'] = '{';
+  restored.restore();
+  assert.strictEqual(restored.getNumHints(), 0);
+});
@@ -0,0 +1,108 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.generator, run with node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+
+
+/**
+ * Each difficulty.
+ * @type {Array.<turing.generator.Difficulty>}
+ * @const
+ */
+var DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+
+/**
+ * The seeds to make levels from.
+ * @type {Array.<number>}
+ * @const
+ */
+var SEEDS = [1, 2, 3, 42];
+
+
+test('makes the same level from the same seed', function() {
+  for (var i = 0; i < DIFFICULTIES.length; i++) {
+    var levels = {};
+    for (var j = 0; j < SEEDS.length; j++) {
+      var level = JSON.stringify(
+          turing.generator.generate(SEEDS[j], DIFFICULTIES[i]));
+      assert.strictEqual(JSON.stringify(
+          turing.generator.generate(SEEDS[j], DIFFICULTIES[i])), level);
+      levels[level] = true;
+    }
+    assert.strictEqual(Object.keys(levels).length, SEEDS.length,
+        DIFFICULTIES[i] + ' levels from different seeds');
+  }
+  assert.strictEqual(JSON.stringify(turing.generator.generate(1, 'easy')),
+      '{"program":{"tape":"11_00","goal":"10000","ops":{"correct":[["0","L",' +
+      '"1","R","L","0"]],"incorrect":[["0","*R","1","R","L","0"]]},' +
+      '"highlight":"y"},"tracks":["0 R(L) 1 R L 0"],"seed":1,' +
+      '"difficulty":"easy"}');
+});
+
+
+test('makes levels with exactly one solution', function() {
+  for (var i = 0; i < DIFFICULTIES.length; i++) {
+    for (var j = 0; j < SEEDS.length; j++) {
+      var name = DIFFICULTIES[i] + ' ' + SEEDS[j];
+      var program = turing.generator.generate(SEEDS[j],
+          DIFFICULTIES[i]).program;
+      assert.ok(turing.level.verify(program, 8).ok, name);
+      var result = turing.solver.solve(
+          turing.solver.createRequest(program, 8, ['0', '1']));
+      assert.strictEqual(result.solutions.length, 1, name);
+      assert.strictEqual(JSON.stringify(result.solutions[0]),
+          JSON.stringify(program.ops.correct), name);
+    }
+  }
+});
+
+
+test('makes levels which level packs can hold', function() {
+  var pack = {version: 1, levels: []};
+  for (var i = 0; i < 6; i++) {
+    var level = turing.generator.generate(i, DIFFICULTIES[i % 3]);
+    pack.levels.push({tape: level.program.tape, goal: level.program.goal,
+                      ops: level.tracks, logoLetterIndex: i});
+  }
+  assert.strictEqual(
+      turing.levelpack.validate(pack, turing.levelpack.GAME_LIMITS).length, 0);
+});
+
+
+test('makes levels which run within the game\'s step limit', function() {
+  for (var i = 0; i < DIFFICULTIES.length; i++) {
+    for (var j = 0; j < SEEDS.length; j++) {
+      var program = turing.generator.generate(SEEDS[j],
+          DIFFICULTIES[i]).program;
+      assert.strictEqual(program.stepLimit, undefined);
+      var steps = turing.level.verify(program, 8).correct.steps;
+      assert.ok(steps[0] <= turing.GAME_PROGRAM_STEP_LIMIT,
+          DIFFICULTIES[i] + ' ' + SEEDS[j] + ' takes ' + steps[0] + ' steps');
+    }
+  }
+});
+
+
+test('rejects unknown difficulties', function() {
+  assert.throws(function() {
+    turing.generator.generate(1, 'impossible');
+  }, /Unknown difficulty "impossible"/);
+});
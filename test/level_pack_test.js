@@ -0,0 +1,221 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.levelpack, run with node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+
+
+/**
+ * What the game's levels must fit into.
+ * @type {turing.levelpack.Limits}
+ * @const
+ */
+var LIMITS = turing.levelpack.GAME_LIMITS;
+
+
+/**
+ * Validates a pack.
+ * @param {*} pack The pack.
+ * @return {Array.<string>} The errors, in an array of this context, so that
+ *     assert.deepStrictEqual can compare it with others.
+ */
+function getErrors(pack) {
+  var errors = turing.levelpack.validate(pack, LIMITS);
+  var copy = [];
+  for (var i = 0; i < errors.length; i++) {
+    copy.push(errors[i]);
+  }
+  return copy;
+}
+
+
+/**
+ * Makes a pack with one game of levels which is valid, then changes it.
+ * @param {function(Object)=} opt_change Changes the pack.
+ * @return {Array.<string>} The errors validating the changed pack.
+ */
+function validate(opt_change) {
+  var pack = {version: 1, levels: []};
+  for (var i = 0; i < LIMITS.numLetters; i++) {
+    pack.levels.push({tape: '00', goal: '01', ops: ['R 0(1)'],
+                      logoLetterIndex: i});
+  }
+  if (opt_change) {
+    opt_change(pack);
+  }
+  return getErrors(pack);
+}
+
+
+/**
+ * Changes the first level of a pack, then validates it.
+ * @param {Object} fields The fields to set, or to delete if undefined.
+ * @return {Array.<string>} The errors validating the changed pack.
+ */
+function validateLevel(fields) {
+  return validate(function(pack) {
+    for (var name in fields) {
+      if (fields[name] === undefined) {
+        delete pack.levels[0][name];
+      } else {
+        pack.levels[0][name] = fields[name];
+      }
+    }
+  });
+}
+
+
+test('accepts a valid pack', function() {
+  assert.deepStrictEqual(validate(), []);
+  assert.deepStrictEqual(validate(function(pack) {
+    pack.name = 'Mine';
+    pack.demo = {tape: '', goal: '', ops: ['D0 D_ 0 L B4', '. 1 R U_ B2']};
+    pack.bonus = ['1 . D1', 'R U _', 'U . B2'];
+    pack.levels[1].alphabet = ['a', 'b'];
+    pack.levels[1].tape = 'ab';
+    pack.levels[1].goal = 'ba';
+    pack.levels[1].ops = ['a(b) R b(a)'];
+    pack.levels[2].goal = '';
+    pack.levels[2].verdict = 'accept';
+    pack.levels[2].ops = ['HR(HA)'];
+    pack.levels[3].cases = [{tape: '0', goal: '1', extraTapes: ['1']}];
+    pack.levels[3].extraTapes = ['0'];
+    pack.levels[3].outputTape = 1;
+    pack.levels[4].compare = 'exact';
+    pack.levels[4].head = 'last';
+    pack.levels[5].stepLimit = 80;
+    pack.levels[5].highlight = 'g';
+    pack.levels[5].tutorial = true;
+  }), []);
+});
+
+
+test('rejects packs which are not packs', function() {
+  assert.deepStrictEqual(getErrors(null), ['pack: must be an object']);
+  assert.deepStrictEqual(getErrors([]), ['pack: must be an object']);
+  assert.deepStrictEqual(validate(function(pack) {
+    pack.version = 2;
+    pack.extra = true;
+    pack.levels = [];
+  }), ['version: must be 1', 'extra: is not a field packs can have',
+       'levels: must be a non-empty array']);
+});
+
+
+test('says which field of which level is wrong', function() {
+  assert.deepStrictEqual(validateLevel({goal: 1}),
+      ['levels[0].goal: must be a string']);
+  assert.deepStrictEqual(validateLevel({tape: '02'}),
+      ['levels[0].tape: has "2", which is not in the level\'s alphabet']);
+  assert.deepStrictEqual(validateLevel({ops: undefined, color: 'b'}),
+      ['levels[0]: is missing ops',
+       'levels[0].color: is not a field levels can have']);
+  assert.deepStrictEqual(validateLevel({stepLimit: 0, highlight: 'x'}),
+      ['levels[0].stepLimit: must be a positive whole number',
+       'levels[0].highlight: must be one of "b", "r", "y" or "g"']);
+  assert.deepStrictEqual(validateLevel({alphabet: ['0', '1', 'L']}),
+      ['levels[0].alphabet: "L" is not a valid symbol']);
+  assert.deepStrictEqual(validateLevel({outputTape: 1}),
+      ['levels[0].outputTape: must be the number of one of the level\'s ' +
+       'tapes']);
+  assert.deepStrictEqual(validateLevel({compare: 'loose', head: -1}),
+      ['levels[0].compare: must be "trim" or "exact"',
+       'levels[0].head: must be "first" or "last", or a whole number']);
+});
+
+
+test('reports mistakes in ops by line and column', function() {
+  assert.deepStrictEqual(validateLevel({ops: ['R 0(1)', 'L B1']}),
+      ['levels[0].ops: line 2, column 3: unknown op "B1"']);
+});
+
+
+test('rejects verdict levels with a goal', function() {
+  assert.deepStrictEqual(validateLevel({verdict: 'accept'}),
+      ['levels[0].verdict: needs an empty goal']);
+  assert.deepStrictEqual(validateLevel({verdict: 'maybe', goal: ''}),
+      ['levels[0].verdict: must be "accept" or "reject"']);
+});
+
+
+test('checks each case of a level', function() {
+  assert.deepStrictEqual(validateLevel({cases: {}}),
+      ['levels[0].cases: must be an array of cases']);
+  assert.deepStrictEqual(validateLevel({cases: [{tape: '0', goal: '2'}]}),
+      ['levels[0].cases: case 0 tape or goal has "2", which is not in the ' +
+       'level\'s alphabet']);
+  assert.deepStrictEqual(validateLevel({cases: [{tape: '0', goal: '1',
+                                                 head: 0}]}),
+      ['levels[0].cases: case 0 has unknown field "head"']);
+  assert.deepStrictEqual(validateLevel({cases: [{tape: '0', goal: '1',
+                                                 verdict: 'accept'}]}),
+      ['levels[0].cases: case 0 verdict needs an empty goal']);
+  assert.deepStrictEqual(validateLevel({cases: [{tape: '0', goal: '1',
+                                                 extraTapes: ['2']}]}),
+      ['levels[0].cases: case 0 extraTapes tape 1 has "2", which is not in ' +
+       'the level\'s alphabet']);
+});
+
+
+test('makes each game light the logo letters in order', function() {
+  assert.deepStrictEqual(validate(function(pack) {
+    pack.levels[2].logoLetterIndex = 3;
+  }), ['levels[2].logoLetterIndex: must be 2, so that each game lights the ' +
+       'letters in order',
+       'levels[3].logoLetterIndex: must be 4, so that each game lights the ' +
+       'letters in order']);
+  assert.deepStrictEqual(validate(function(pack) {
+    pack.levels.pop();
+  }), ['levels: the last game must end by lighting letter 5']);
+  assert.deepStrictEqual(validateLevel({logoLetterIndex: 6}),
+      ['levels[0].logoLetterIndex: must be a whole number below 6']);
+});
+
+
+test('checks the demo and bonus programs', function() {
+  assert.deepStrictEqual(validate(function(pack) {
+    pack.demo = {tape: '', ops: ['H']};
+    pack.bonus = ['R B9'];
+  }), ['demo: is missing goal',
+       'bonus: line 1, column 3: "B9" at op 2 loops back past the start of ' +
+       'the track']);
+});
+
+
+test('rejects head goals on goals without symbols', function() {
+  assert.deepStrictEqual(validateLevel({goal: '__', head: 'first'}),
+      ['levels[0].head: needs a symbol to finish on in the goal']);
+  assert.deepStrictEqual(validateLevel({head: 'last', cases: [
+    {tape: '0', goal: '1'}, {tape: '1', goal: ''}]}),
+      ['levels[0].head: needs a symbol to finish on in case 1\'s goal']);
+  // A number of squares from the start of the goal works for any goal.
+  assert.deepStrictEqual(validateLevel({goal: '', head: 0}), []);
+});
+
+
+
+test('converts levels into programs', function() {
+  var program = turing.levelpack.toProgram({tape: '00', goal: '01',
+      ops: ['R 0(1)'], logoLetterIndex: 0, stepLimit: 80}, LIMITS);
+  assert.strictEqual(JSON.stringify(program.ops),
+      '{"correct":[["R","1"]],"incorrect":[["R","*0"]]}');
+  assert.strictEqual(program.highlight, 'y');
+  assert.strictEqual(program.tutorial, false);
+  assert.strictEqual(program.stepLimit, 80);
+});
@@ -0,0 +1,148 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.level, run with node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+var builtInLevels = require('../tools/builtin_levels.js');
+
+
+/**
+ * Verifies a level on one track, which is checked for corrections op by op.
+ * @param {Object} fields The level's fields besides its ops.
+ * @param {Array.<string>} correct The correct ops.
+ * @param {Array.<string>} incorrect The ops the player starts with.
+ * @return {turing.level.Report} How each version of the ops did.
+ */
+function verify(fields, correct, incorrect) {
+  var program = {ops: {correct: [correct], incorrect: [incorrect]}};
+  for (var name in fields) {
+    program[name] = fields[name];
+  }
+  return turing.level.verify(program, 8);
+}
+
+
+test('checks the level itself first, then each of its cases', function() {
+  var program = {
+    tape: '1',
+    goal: '0',
+    cases: [{tape: '11', goal: '00'}, {tape: '', goal: '', verdict: 'reject'}],
+    ops: {}
+  };
+  var cases = turing.level.getCases(program);
+  assert.strictEqual(cases.length, 3);
+  assert.strictEqual(cases[0], program);
+  assert.strictEqual(cases[1], program.cases[0]);
+  assert.strictEqual(cases[2].verdict, 'reject');
+});
+
+
+test('gives levels without cases a single case', function() {
+  var program = {tape: '1', goal: '0', ops: {}};
+  var cases = turing.level.getCases(program);
+  assert.strictEqual(cases.length, 1);
+  assert.strictEqual(cases[0], program);
+});
+
+
+test('generates the cases of property levels', function() {
+  var program = {
+    tape: '',
+    goal: '',
+    property: {
+      numCases: 4,
+      generateTape: function(random) {
+        return random.nextString('01', 1, 4);
+      },
+      reference: function(tape) {
+        return tape.replace(/0/g, '_');
+      }
+    },
+    ops: {}
+  };
+  var cases = turing.level.getCases(program);
+  assert.strictEqual(cases.length, 4);
+  assert.strictEqual(JSON.stringify(cases),
+      JSON.stringify(turing.property.generateCases(program.property)));
+});
+
+
+test('finds where the head must finish', function() {
+  assert.strictEqual(turing.level.getHeadGoalOffset(2, '0110'), 2);
+  assert.strictEqual(turing.level.getHeadGoalOffset(-1, '0110'), -1);
+  assert.strictEqual(turing.level.getHeadGoalOffset('first', '__011_'), 2);
+  assert.strictEqual(turing.level.getHeadGoalOffset('last', '__011_'), 4);
+  assert.strictEqual(turing.level.getHeadGoalOffset('last', '1'), 0);
+  // All-blank goals have no first or last symbol to finish on.
+  assert.strictEqual(turing.level.getHeadGoalOffset('first', '___'), 0);
+  assert.strictEqual(turing.level.getHeadGoalOffset('last', ''), 0);
+});
+
+
+test('wants correct ops to solve levels and incorrect ops not to', function() {
+  var report = verify({tape: '00', goal: '001'}, ['R', '1'], ['R', '*0']);
+  assert.ok(report.ok);
+  assert.ok(report.hasCorrections);
+  assert.strictEqual(turing.level.formatReport(report, 'level 1'),
+      'level 1: ok, correct ops solve it in 8 steps, incorrect ops fail case ' +
+      '1 (wrongTape) after 8 steps');
+  report = verify({tape: '00', goal: '001'}, ['R', '1', ''],
+      ['R', '1', '*L']);
+  assert.ok(!report.ok);
+  assert.strictEqual(turing.level.formatReport(report, 'level 1'),
+      'level 1: BROKEN, correct ops solve it in 8 steps, incorrect ops solve ' +
+      'it in 8 steps');
+  // Levels with nothing to correct are meant to start out solved.
+  report = verify({tape: '0', goal: '1'}, ['1'], ['1']);
+  assert.ok(report.ok);
+  assert.strictEqual(turing.level.formatReport(report, 'level 2'),
+      'level 2: ok, correct ops solve it in 8 steps, nothing to correct');
+});
+
+
+test('says why and on which case ops fail a level', function() {
+  var getFailure = function(fields, incorrect) {
+    var report = verify(fields, ['1', '', ''], incorrect).incorrect;
+    return report.failedCase + ' ' + report.reason + ' ' + report.steps;
+  };
+  assert.strictEqual(getFailure({tape: '0', goal: '1'}, ['*0']),
+      '0 wrongTape 8');
+  assert.strictEqual(getFailure({tape: '0', goal: '1', head: 'last'},
+      ['1', 'R', '*H']), '0 wrongHeadPos 3');
+  assert.strictEqual(getFailure({tape: '0', goal: '1'}, ['R', 'L', '*B2']),
+      '0 loopsForever 3');
+  assert.strictEqual(getFailure({tape: '0', goal: '1', stepLimit: 3},
+      ['1', '*R']), '0 tooManySteps 4');
+  assert.strictEqual(getFailure({tape: '0', goal: '1',
+      cases: [{tape: '1', goal: '1'}, {tape: '_', goal: '1'}]}, ['*X']),
+      '1 wrongTape 8,8');
+  assert.strictEqual(getFailure({tape: '0', goal: '', verdict: 'accept'},
+      ['*HR']), '0 wrongVerdict 1');
+});
+
+
+test('finds every built-in level ok', function() {
+  var programs = builtInLevels.PROGRAMS;
+  // Skip the demo, which has no goal.
+  for (var i = 1; i < programs.length; i++) {
+    var report = turing.level.verify(programs[i],
+        turing.levelpack.GAME_LIMITS.numOpsPerTrack);
+    assert.ok(report.ok, turing.level.formatReport(report, 'level ' + i));
+  }
+});
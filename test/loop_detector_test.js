@@ -0,0 +1,148 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.LoopDetector, run with node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+
+
+/**
+ * Creates a machine with a tape string on each of its tapes.
+ * @param {Array.<Array.<string>>} trackOps The ops on each track.
+ * @param {string|Array.<string>} tapes The initial tape, or one per tape.
+ * @return {turing.Machine} The machine.
+ */
+function createMachine(trackOps, tapes) {
+  tapes = typeof tapes == 'string' ? [tapes] : tapes;
+  var machine = new turing.Machine(trackOps, 8, tapes.length);
+  tapes.forEach(function(tape, i) {
+    machine.setTapeString(tape, i);
+  });
+  return machine;
+}
+
+
+/**
+ * Runs a machine, checking it for loops before each step, as the game does.
+ * @param {Array.<Array.<string>>} trackOps The ops on each track.
+ * @param {string|Array.<string>} tape The initial tape, or one per tape.
+ * @param {number} limit The most steps to run.
+ * @return {number} The number of steps run before a loop was found, or -1 if
+ *     none was found.
+ */
+function findLoop(trackOps, tape, limit) {
+  var machine = createMachine(trackOps, tape);
+  var loopDetector = new turing.LoopDetector();
+  for (var steps = 0; steps < limit && !machine.isHalted(); steps++) {
+    if (loopDetector.check(machine)) {
+      return steps;
+    }
+    machine.step();
+  }
+  return -1;
+}
+
+
+test('finds a machine back in the same configuration', function() {
+  assert.notStrictEqual(findLoop([['R', 'L', 'B2']], '0', 20), -1);
+  assert.notStrictEqual(findLoop([['D0', 'B2'], ['U0']], '0', 20), -1);
+});
+
+
+test('finds heads running off into blank tape', function() {
+  assert.notStrictEqual(findLoop([['R', '', 'B2']], '01', 20), -1);
+  assert.notStrictEqual(findLoop([['L', 'D_', 'B2'], ['L', 'U_']], '1', 20),
+      -1);
+});
+
+
+test('finds heads writing further and further out', function() {
+  assert.notStrictEqual(findLoop([['R', '1', 'B2']], '0', 20), -1);
+  assert.notStrictEqual(findLoop([['L', '0', 'B2']], '1', 20), -1);
+  assert.notStrictEqual(findLoop([['R', '1', 'R', '0', 'B4']], '0', 40), -1);
+});
+
+
+test('lets machines which halt run to the end', function() {
+  // Fills the tape with 1s up to its last 1.
+  assert.strictEqual(findLoop([['1', 'R', 'D1', 'B3']], '00001', 100), -1);
+  // Goes out past the tape and back, writing on the way.
+  assert.strictEqual(findLoop([['R', '1', 'R', '1', 'L', 'D1', 'B2'],
+                               ['', '', '', '', '', 'U_', '0']], '0', 100),
+      -1);
+  // Runs right past the tape, then back left past its other end.
+  var there = [['R', 'D_', 'B2'], ['', 'L', 'D_', 'B2']];
+  assert.strictEqual(findLoop(there, '111', 100), -1);
+  var machine = createMachine(there, '111');
+  machine.run(100);
+  assert.ok(machine.isHalted());
+  assert.strictEqual(machine.getHeadPos(), -1);
+});
+
+
+test('finds loops on any of several tapes', function() {
+  // Tape 1's head runs off into blank tape while tape 0 stays put.
+  assert.notStrictEqual(findLoop([['1:R', '', 'B2']], ['1', '0'], 20), -1);
+  // Tape 1's head writes further and further out.
+  assert.notStrictEqual(findLoop([['1:R', '1:1', 'B2']], ['01', ''], 20), -1);
+  // Copies tape 0's 1s onto tape 1, then halts on tape 0's blank.
+  assert.strictEqual(
+      findLoop([['1:1', 'R', '1:R', 'D_', 'B4']], ['111', ''], 100), -1);
+});
+
+
+/**
+ * Runs random programs, checking that none found to loop would halt.
+ * @param {Array.<string>} ops The ops to draw from.
+ * @param {number} numTapes How many tapes the machines have.
+ */
+function checkRandomPrograms(ops, numTapes) {
+  // A fixed sequence of pseudo-random numbers, so failures can be repeated.
+  var seed = 7;
+  var nextInt = function(n) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return Math.floor(seed / 65536) % n;
+  };
+  for (var i = 0; i < 500; i++) {
+    var trackOps = [[], []];
+    for (var j = 0; j < 16; j++) {
+      trackOps[j % 2].push(ops[nextInt(ops.length)]);
+    }
+    var tapes = [];
+    for (var j = 0; j < numTapes; j++) {
+      tapes[j] = '';
+      for (var length = nextInt(6); tapes[j].length < length;) {
+        tapes[j] += '01_'.charAt(nextInt(3));
+      }
+    }
+    if (findLoop(trackOps, tapes, 1000) != -1) {
+      var machine = createMachine(trackOps, tapes);
+      machine.run(5000);
+      assert.ok(!machine.isHalted(),
+          JSON.stringify(trackOps) + ' on ' + JSON.stringify(tapes));
+    }
+  }
+}
+
+
+test('never calls a machine which halts a loop', function() {
+  checkRandomPrograms(['L', 'R', '0', '1', '_', 'D0', 'D1', 'D_', 'U0', 'U1',
+                       'U_', 'B2', 'B3', 'B4', ''], 1);
+  checkRandomPrograms(['L', 'R', '0', '1', 'D0', 'D_', '1:L', '1:R', '1:1',
+                       '1:_', '1:D1', '1:U_', 'B2', 'B3', ''], 2);
+});
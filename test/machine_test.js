@@ -0,0 +1,236 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.Machine, run with node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+
+
+/**
+ * Runs a program on a tape until it halts.
+ * @param {Array.<string>} tracks Each track's ops, separated by spaces, with
+ *     '.' for no-op.
+ * @param {string} tape The initial tape, with the head over its middle.
+ * @return {turing.Machine} The halted machine.
+ */
+function run(tracks, tape) {
+  var trackOps = tracks.map(function(track) {
+    return track.split(' ').map(function(op) {
+      return op == '.' ? '' : op;
+    });
+  });
+  var machine = new turing.Machine(trackOps, 8);
+  machine.setTapeString(tape);
+  machine.run(100);
+  assert.ok(machine.isHalted());
+  return machine;
+}
+
+
+test('prints and moves', function() {
+  var machine = run(['L 1 R R 0'], '000');
+  assert.strictEqual(machine.getTapeString(), '100');
+  assert.strictEqual(machine.getHeadPos(), 2);
+});
+
+
+test('erases with _ and trims blanks from the tape string', function() {
+  assert.strictEqual(run(['L _ R R _'], '101').getTapeString(), '0');
+  assert.strictEqual(run(['_'], '1').getTapeString(), '');
+});
+
+
+test('branches down and up on the symbol under the head', function() {
+  assert.strictEqual(run(['D1 . . R', '_ U_'], '1').getTapeString(), '');
+  assert.strictEqual(run(['D1 . . R', '_ U_'], '0').getTapeString(), '0');
+  assert.strictEqual(run(['D . . 0', '. U'], '1').getTapeString(), '0');
+});
+
+
+test('loops back', function() {
+  // Writes 1s rightwards until it finds the 1 at the end of the tape.
+  assert.strictEqual(run(['1 R D1 B3'], '00001').getTapeString(), '00111');
+});
+
+
+test('prints and branches on symbols other than 0 and 1', function() {
+  assert.strictEqual(run(['a R x'], 'bb').getTapeString(), 'bax');
+  assert.strictEqual(run(['Da . . R', '_ Ua'], 'a').getTapeString(), '');
+  assert.strictEqual(run(['Da . . R', '_ Ua'], 'c').getTapeString(), 'c');
+});
+
+
+test('reserves op letters and multi-character strings', function() {
+  ['L', 'R', 'D', 'U', 'B', '*', 'ab', ''].forEach(function(symbol) {
+    assert.ok(!turing.isValidSymbol(symbol), symbol);
+    assert.ok(!turing.isPrintOp(symbol), symbol);
+  });
+  ['0', '1', '_', 'a', 'x', '#'].forEach(function(symbol) {
+    assert.ok(turing.isValidSymbol(symbol), symbol);
+  });
+});
+
+
+test('treats every way of writing a blank as blank', function() {
+  ['', '_', ' ', undefined, null].forEach(function(symbol) {
+    assert.ok(turing.isBlank(symbol), String(symbol));
+  });
+  assert.ok(!turing.isBlank('0'));
+  assert.ok(!turing.isBlank('a'));
+  assert.strictEqual(run(['.'], '_ a_ ').getTapeString(), 'a');
+});
+
+
+test('jumps forward and halts', function() {
+  assert.strictEqual(run(['F3 1 1 0'], '_').getTapeString(), '0');
+  assert.strictEqual(run(['1 H 0'], '_').getTapeString(), '1');
+  var machine = run(['R H'], '');
+  assert.strictEqual(machine.getTrackPos(), 1);
+});
+
+
+test('halts with a verdict on accept and reject ops', function() {
+  assert.strictEqual(run(['HA'], '').getVerdict(), 'accept');
+  assert.strictEqual(run(['1 HR 0'], '').getVerdict(), 'reject');
+  assert.strictEqual(run(['1 HR 0'], '').getTapeString(), '1');
+  assert.strictEqual(run(['1 H'], '').getVerdict(), null);
+  assert.strictEqual(run(['D'], '').getVerdict(), null);
+  var machine = new turing.Machine([['HA']], 8);
+  var record = machine.step();
+  machine.unstep(record);
+  assert.ok(!machine.isHalted());
+  assert.strictEqual(machine.getVerdict(), null);
+});
+
+
+test('flips bits and leaves blanks alone', function() {
+  assert.strictEqual(run(['X R X R X'], '0110').getTapeString(), '0101');
+  assert.strictEqual(run(['L X R X'], 'a1').getTapeString(), 'a0');
+});
+
+
+test('seeks to the next blank either way', function() {
+  var machine = run(['SR'], '0110');
+  assert.strictEqual(machine.getHeadPos(), 4);
+  machine = run(['SL'], '0110');
+  assert.strictEqual(machine.getHeadPos(), -1);
+  // A head already over a blank stays put.
+  machine = run(['SR SL'], '01_1');
+  assert.strictEqual(machine.getHeadPos(), 2);
+  machine = new turing.Machine([['SR']], 8);
+  machine.setTapeString('0110');
+  var record = machine.step();
+  assert.strictEqual(record.move, 2);
+  machine.unstep(record);
+  assert.strictEqual(machine.getHeadPos(), 2);
+});
+
+
+test('runs ops on the tape they address', function() {
+  var machine = new turing.Machine([['1:1', '1:R', '1:0', 'L', '1:D0']], 8,
+      2);
+  machine.setTapeString('0');
+  machine.run(100);
+  assert.ok(machine.isHalted());
+  assert.strictEqual(machine.getNumTapes(), 2);
+  assert.strictEqual(machine.getTapeString(0), '0');
+  assert.strictEqual(machine.getHeadPos(0), -1);
+  assert.strictEqual(machine.getTapeString(1), '10');
+  assert.strictEqual(machine.getHeadPos(1), 1);
+  machine.setSymbol(0, '', 1);
+  machine.setHeadPos(5, 1);
+  assert.strictEqual(machine.getTapeString(1), '0');
+  assert.strictEqual(machine.getCurSymbol(1), '_');
+});
+
+
+test('records what each step did', function() {
+  var machine = new turing.Machine([['1', 'R', 'D1']], 8);
+  machine.setTapeString('0');
+  var print = machine.step();
+  assert.strictEqual(print.op, '1');
+  assert.strictEqual(print.read, '0');
+  assert.strictEqual(print.written, '1');
+  assert.strictEqual(print.move, 0);
+  var move = machine.step();
+  assert.strictEqual(move.written, null);
+  assert.strictEqual(move.move, 1);
+  var branch = machine.step();
+  assert.strictEqual(branch.read, '_');
+  assert.strictEqual(branch.nextTrack, 0);
+  assert.strictEqual(branch.nextTrackPos, 3);
+  assert.strictEqual(branch.halted, false);
+});
+
+
+test('halts when the program counter leaves the program', function() {
+  var machine = new turing.Machine([['D', 'U']], 8);
+  machine.setTapeString('0');
+  var record = machine.step();
+  assert.ok(record.halted);
+  assert.ok(machine.isHalted());
+  assert.strictEqual(machine.step(), null);
+});
+
+
+test('stops running at a step limit', function() {
+  var machine = new turing.Machine([['R', 'L', 'B2']], 8);
+  machine.setTapeString('0');
+  assert.strictEqual(machine.run(10), 10);
+  assert.ok(!machine.isHalted());
+});
+
+
+test('sets up the tape without running ops', function() {
+  var machine = new turing.Machine([], 8);
+  assert.ok(machine.isHalted());
+  machine.setTape({'-1': '1', '2': '0'}, 5);
+  assert.strictEqual(machine.getTapeString(), '1__0');
+  assert.strictEqual(machine.getTapeStart(), -1);
+  machine.setSymbol(-1, '');
+  machine.setHeadPos(3);
+  assert.strictEqual(machine.getTapeString(), '0');
+  assert.strictEqual(machine.getTapeStart(), 2);
+  assert.strictEqual(machine.getCurSymbol(), '_');
+  machine.setSymbol(2, '');
+  assert.strictEqual(machine.getTapeString(), '');
+  assert.strictEqual(machine.getTapeStart(), 3);
+});
+
+
+test('undoes steps back to each earlier configuration', function() {
+  var machine = new turing.Machine(
+      [['D_', '1', 'R', 'B3'], ['L', '_', 'L', '1']], 8);
+  machine.setTapeString('0101');
+  var getConfig = function() {
+    return [machine.getTrack(), machine.getTrackPos(), machine.getHeadPos(),
+        machine.getTapeStart(), machine.getTapeString()].join();
+  };
+  var configs = [];
+  var records = [];
+  while (!machine.isHalted()) {
+    configs.push(getConfig());
+    records.push(machine.step());
+  }
+  assert.strictEqual(machine.getTapeString(), '011');
+  while (records.length) {
+    machine.unstep(records.pop());
+    assert.ok(!machine.isHalted());
+    assert.strictEqual(getConfig(), configs.pop());
+  }
+});
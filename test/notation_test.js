@@ -0,0 +1,159 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.notation, run with node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+
+
+/**
+ * What normal mode programs must fit into.
+ * @type {turing.notation.Limits}
+ * @const
+ */
+var LIMITS = {numTracks: 2, numOpsPerTrack: 8, alphabet: ['0', '1']};
+
+
+/**
+ * Reads a program and lists its mistakes.
+ * @param {Array.<string>} tracks The program, a string per track.
+ * @param {turing.notation.Limits=} opt_limits What the program must fit into,
+ *     if not LIMITS.
+ * @return {Array.<string>} Each mistake, with its line and column.
+ */
+function getErrors(tracks, opt_limits) {
+  var errors = turing.notation.parse(tracks, opt_limits || LIMITS).errors;
+  var messages = [];
+  for (var i = 0; i < errors.length; i++) {
+    messages.push(turing.notation.formatError(errors[i]));
+  }
+  return messages;
+}
+
+
+test('reads correct and incorrect ops', function() {
+  var result = turing.notation.parse(['L 0(1) . *R', 'D1 R  R B3(B2) F2'],
+      LIMITS);
+  assert.strictEqual(result.errors.length, 0);
+  assert.strictEqual(JSON.stringify(result.ops.correct),
+      '[["L","1","","R"],["D1","R","R","B2","F2"]]');
+  assert.strictEqual(JSON.stringify(result.ops.incorrect),
+      '[["L","*0","","*R"],["D1","R","R","*B3","F2"]]');
+});
+
+
+test('reports unknown ops where they are', function() {
+  assert.deepStrictEqual(getErrors(['L 0(1) R R R B1']),
+      ['line 1, column 14: unknown op "B1"']);
+  assert.deepStrictEqual(getErrors(['L', 'R  D2']),
+      ['line 2, column 4: "D2" uses "2", which is not in the alphabet']);
+  assert.deepStrictEqual(getErrors(['L(Q1)']),
+      ['line 1, column 3: unknown op "Q1"']);
+  assert.deepStrictEqual(getErrors(['*Q1']),
+      ['line 1, column 2: unknown op "Q1"']);
+});
+
+
+test('reports loops back past the start of the track', function() {
+  assert.deepStrictEqual(getErrors(['R R B2 B4', 'B4(B2)']),
+      ['line 1, column 8: "B4" at op 4 loops back past the start of the ' +
+       'track',
+       'line 2, column 1: "B4" at op 1 loops back past the start of the ' +
+       'track',
+       'line 2, column 4: "B2" at op 1 loops back past the start of the ' +
+       'track']);
+});
+
+
+test('reports programs which are too big', function() {
+  assert.deepStrictEqual(getErrors(['L', 'R', 'L']),
+      ['line 3, column 1: the program has 3 tracks, but there is only room ' +
+       'for 2']);
+  assert.deepStrictEqual(getErrors(['. . . . . . . . L']),
+      ['line 1, column 17: the track has 9 ops, but there is only room for ' +
+       '8']);
+});
+
+
+test('reports corrections which clicking can never reach', function() {
+  assert.deepStrictEqual(getErrors(['L(0)']),
+      ['line 1, column 1: clicking "L" cycles through L R, so it can never ' +
+       'become "0"']);
+  assert.deepStrictEqual(getErrors(['. . F2(B2)']),
+      ['line 1, column 5: clicking "F2" cycles through F2 F3 F4 F5 F6 F7 F8 ' +
+       'F9, so it can never become "B2"']);
+  assert.deepStrictEqual(getErrors(['D(U)']),
+      ['line 1, column 1: clicking "D" doesn\'t change it, so it can never ' +
+       'become "U"']);
+  assert.deepStrictEqual(getErrors(['H(HA) HR(H)']), []);
+});
+
+
+test('reports badly written corrections', function() {
+  assert.deepStrictEqual(getErrors(['L(R']),
+      ['line 1, column 1: "L(R" should be an op followed by its correction ' +
+       'in parentheses, e.g. "L(R)"']);
+  assert.deepStrictEqual(getErrors(['*L(R)']),
+      ['line 1, column 1: "*L(R)" doesn\'t need a *, since ops with ' +
+       'corrections are always clickable']);
+});
+
+
+test('checks ops against the alphabet and tapes', function() {
+  var limits = {numTracks: 2, numOpsPerTrack: 8, alphabet: ['a', 'b'],
+                numTapes: 2};
+  assert.deepStrictEqual(getErrors(['a(b) 1:Da 1:R', 'Db(D_)'], limits), []);
+  assert.deepStrictEqual(getErrors(['0 2:R 1:B2'], limits),
+      ['line 1, column 1: "0" uses "0", which is not in the alphabet',
+       'line 1, column 3: "2:R" addresses tape 2, but there are only 2 tapes',
+       'line 1, column 7: "B2" doesn\'t use a tape, so can\'t address tape 1']);
+  assert.deepStrictEqual(getErrors(['1:R'], LIMITS), []);
+  assert.deepStrictEqual(getErrors(['1:R(1:L) 1:L(L)'],
+      {numTracks: 2, numOpsPerTrack: 8, alphabet: ['0', '1'], numTapes: 2}),
+      ['line 1, column 10: clicking "1:L" cycles through L R, so it can ' +
+       'never become "L"']);
+});
+
+
+test('cycles ops through their groups', function() {
+  var groups = turing.notation.getCycleGroups(['0', '1']);
+  var ops = [];
+  for (var i = 0; i < groups.length; i++) {
+    ops.push(groups[i].join(' '));
+  }
+  assert.ok(ops.indexOf('H HA HR') != -1, ops.join(', '));
+  assert.ok(ops.indexOf('0 1') != -1, ops.join(', '));
+  assert.strictEqual(turing.notation.getCycleGroup('F5', ['0', '1']).join(),
+      'F2,F3,F4,F5,F6,F7,F8,F9');
+  assert.strictEqual(turing.notation.getCycleGroup('HR', ['0', '1']).join(),
+      'H,HA,HR');
+  assert.strictEqual(turing.notation.getCycleGroup('Q', ['0', '1']), null);
+});
+
+
+test('checks single ops, with any symbol if there is no alphabet', function() {
+  var limits = {numTracks: 1, numOpsPerTrack: 8};
+  assert.strictEqual(turing.notation.checkOp('a', 0, limits), '');
+  assert.strictEqual(turing.notation.checkOp('Dx', 0, limits), '');
+  assert.strictEqual(turing.notation.checkOp('5:R', 0, limits), '');
+  assert.strictEqual(turing.notation.checkOp('B1', 0, limits),
+      'unknown op "B1"');
+  assert.strictEqual(turing.notation.checkOp('B3', 1, limits),
+      '"B3" at op 2 loops back past the start of the track');
+  assert.deepStrictEqual(getErrors(['a(b) 1'], limits), []);
+});
@@ -0,0 +1,160 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.OpPalette, run with node --test test/.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var vm = require('vm');
+
+
+/**
+ * A stand-in for a DOM element with just what the palette uses.
+ * @constructor
+ */
+function FakeElement() {
+  this.style = {};
+  this.children = [];
+}
+
+FakeElement.prototype.appendChild = function(child) {
+  this.children.push(child);
+};
+
+
+/**
+ * Loads the palette, with the notation it takes its cycles of ops from, and
+ * sprites for a few ops.
+ * @return {Object} The turing namespace.
+ */
+function load() {
+  var context = {
+    goog: {
+      provide: function(name) {
+        var parts = name.split('.');
+        var obj = context;
+        for (var i = 0; i < parts.length; i++) {
+          obj = obj[parts[i]] = obj[parts[i]] || {};
+        }
+      },
+      require: function() {},
+      bind: function(fn, self) {
+        var args = Array.prototype.slice.call(arguments, 2);
+        return function() {
+          return fn.apply(self,
+              args.concat(Array.prototype.slice.call(arguments)));
+        };
+      }
+    },
+    document: {
+      createTextNode: function(text) {
+        return text;
+      }
+    }
+  };
+  vm.createContext(context);
+  ['machine.js', 'notation.js'].forEach(function(source) {
+    var filename = path.join(__dirname, '..', 'src', source);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context,
+        {filename: filename});
+  });
+  var turing = context.turing;
+  turing.OP_SPRITES = {'': 'o-blank', 'L': 'o-l', 'B2': 'o-b2',
+                       'RB2': 'o-rb2', '_': 'o-erase'};
+  turing.getOpSpriteBaseName = function(op) {
+    return turing.OP_SPRITES[op] || 'o-labeled';
+  };
+  turing.getOpLabel = function(op) {
+    return op in turing.OP_SPRITES ? '' : op;
+  };
+  turing.createOpLabelDiv = function() {
+    return new FakeElement();
+  };
+  turing.sprites = {
+    getBackground: function(name) {
+      return name;
+    },
+    getDiv: function() {
+      return new FakeElement();
+    },
+    getEmptyDiv: function() {
+      return new FakeElement();
+    },
+    getSize: function() {
+      return {width: 10, height: 10};
+    }
+  };
+  turing.util = {
+    listen: function(elem, type, handler) {
+      elem[type] = handler;
+    },
+    unlisten: function() {},
+    removeNode: function() {}
+  };
+  var filename = path.join(__dirname, '..', 'src', 'op_palette.js');
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), context,
+      {filename: filename});
+  return turing;
+}
+
+
+test('shows every op clicking can reach, and those only drawn', function() {
+  var turing = load();
+  var palette = new turing.OpPalette();
+  palette.create(['0', '1', 'a']);
+  var ops = palette.ops_.slice(0);
+  assert.strictEqual(ops[0], '');
+  ['a', 'Da', 'Ua', 'F9', 'HR', 'SL', 'X', '_'].forEach(function(op) {
+    assert.strictEqual(ops.filter(function(other) {
+      return other == op;
+    }).length, 1, op);
+  });
+  // Lower track loop branches are drawn differently, but are the same ops.
+  assert.strictEqual(ops.indexOf('RB2'), -1);
+  var divs = palette.opDivs_;
+  assert.strictEqual(divs[ops.indexOf('a')].children[0].children.join(), 'a');
+  assert.strictEqual(divs[ops.indexOf('L')].children[0].children.join(), '');
+  assert.strictEqual(divs[ops.indexOf('L')].title, 'L');
+  assert.strictEqual(divs[0].title, 'blank');
+});
+
+
+test('chooses an op by clicking or dragging it', function() {
+  var turing = load();
+  var palette = new turing.OpPalette();
+  palette.create(['0', '1']);
+  var l = palette.ops_.indexOf('L');
+  assert.strictEqual(palette.getChosenOp(), null);
+  palette.opDivs_[l].click();
+  assert.strictEqual(palette.getChosenOp(), 'L');
+  assert.strictEqual(palette.opDivs_[l].style.background, 'o-l-s-lit-y');
+  // Clicking the chosen op again unchooses it.
+  palette.opDivs_[l].click();
+  assert.strictEqual(palette.getChosenOp(), null);
+  assert.strictEqual(palette.opDivs_[l].style.background, 'o-l-s');
+  var data = {};
+  palette.opDivs_[0].dragstart({dataTransfer: {setData: function(type,
+      value) {
+    data[type] = value;
+  }}});
+  assert.strictEqual(palette.getChosenOp(), '');
+  assert.strictEqual(data.text, 'blank');
+  palette.destroy();
+  assert.ok(!palette.isCreated());
+  assert.strictEqual(palette.getChosenOp(), null);
+});
@@ -0,0 +1,136 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.Random and turing.property, run with
+ * node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+
+
+/**
+ * The modulus of the minimal standard generator, 2^31 - 1.
+ * @type {number}
+ * @const
+ */
+var MODULUS = 2147483647;
+
+
+/**
+ * Draws numbers.
+ * @param {turing.Random} random The generator.
+ * @param {number} count How many to draw.
+ * @return {Array.<number>} The numbers.
+ */
+function draw(random, count) {
+  var numbers = [];
+  for (var i = 0; i < count; i++) {
+    numbers.push(random.next());
+  }
+  return numbers;
+}
+
+
+test('draws the minimal standard sequence', function() {
+  // The constructor draws the first number, 16807, itself.
+  var random = new turing.Random(1);
+  assert.strictEqual(random.next(), (282475249 - 1) / (MODULUS - 1));
+  // Park and Miller's check: the 10000th number from seed 1.
+  draw(random, 9997);
+  assert.strictEqual(random.next(), (1043618065 - 1) / (MODULUS - 1));
+});
+
+
+test('draws the same numbers from the same seed', function() {
+  assert.deepStrictEqual(draw(new turing.Random(42), 20),
+      draw(new turing.Random(42), 20));
+  assert.notDeepStrictEqual(draw(new turing.Random(42), 20),
+      draw(new turing.Random(43), 20));
+});
+
+
+test('brings any finite seed into range', function() {
+  var seeds = [0, -1, -MODULUS, MODULUS - 1, MODULUS, 2.5, 1e300, -1e300];
+  for (var i = 0; i < seeds.length; i++) {
+    var numbers = draw(new turing.Random(seeds[i]), 100);
+    for (var j = 0; j < numbers.length; j++) {
+      assert.ok(numbers[j] >= 0 && numbers[j] < 1, 'seed ' + seeds[i]);
+    }
+    // A generator stuck at 0 would draw the same number every time.
+    assert.notStrictEqual(numbers[0], numbers[1], 'seed ' + seeds[i]);
+  }
+  // Seeds are taken modulo the period.
+  assert.deepStrictEqual(draw(new turing.Random(0), 5),
+      draw(new turing.Random(MODULUS - 1), 5));
+  assert.deepStrictEqual(draw(new turing.Random(2.5), 5),
+      draw(new turing.Random(2), 5));
+});
+
+
+test('rejects seeds which are not finite numbers', function() {
+  var seeds = [NaN, Infinity, -Infinity, '5', undefined, null];
+  for (var i = 0; i < seeds.length; i++) {
+    assert.throws(function() {
+      new turing.Random(seeds[i]);
+    }, /Bad random seed/);
+  }
+});
+
+
+test('draws integers and strings in range', function() {
+  var random = new turing.Random(7);
+  var seen = {};
+  for (var i = 0; i < 200; i++) {
+    var n = random.nextInt(-2, 2);
+    assert.ok(n >= -2 && n <= 2 && n == Math.floor(n));
+    seen[n] = true;
+  }
+  assert.strictEqual(Object.keys(seen).length, 5);
+  for (var i = 0; i < 50; i++) {
+    var str = random.nextString('01_', 2, 4);
+    assert.ok(/^[01_]{2,4}$/.test(str), str);
+  }
+});
+
+
+test('generates cases from a property', function() {
+  var property = {
+    seed: 5,
+    numCases: 8,
+    generateTape: function(random) {
+      return '1' + random.nextString('01', 0, 3);
+    },
+    reference: function(tape) {
+      return (parseInt(tape, 2) + 1).toString(2);
+    }
+  };
+  var cases = turing.property.generateCases(property);
+  assert.strictEqual(cases.length, 8);
+  for (var i = 0; i < cases.length; i++) {
+    assert.strictEqual(parseInt(cases[i].goal, 2),
+        parseInt(cases[i].tape, 2) + 1);
+  }
+  assert.strictEqual(JSON.stringify(turing.property.generateCases(property)),
+      JSON.stringify(cases));
+  delete property.seed;
+  delete property.numCases;
+  var defaults = turing.property.generateCases(property);
+  assert.strictEqual(defaults.length, turing.property.DEFAULT_NUM_CASES);
+  property.seed = 1;
+  assert.strictEqual(JSON.stringify(turing.property.generateCases(property)),
+      JSON.stringify(defaults));
+});
@@ -0,0 +1,444 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.Simulator, run with node --test test/. The
+ * simulator is loaded on top of the headless sources, with fake animation
+ * timers, programs and tapes in place of the DOM.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var vm = require('vm');
+var headless = require('../tools/headless.js');
+
+
+/**
+ * Loads the simulator with animation timers which only fire from flush().
+ * @return {{turing: Object, flush: function(): number}} The turing namespace
+ *     and a function which fires timers, in order, until none are left, and
+ *     returns how many it fired.
+ */
+function load() {
+  var timers = [];
+  var nextTimerId = 1;
+  var turing = Object.create(headless);
+  turing.numOpsPerTrack_ = 8;
+  turing.anim = {
+    delay: function(fn, time) {
+      timers.push({id: nextTimerId, fn: fn});
+      return nextTimerId++;
+    },
+    cancel: function(id) {
+      timers = timers.filter(function(timer) {
+        return timer.id != id;
+      });
+    }
+  };
+  var context = {
+    goog: {
+      provide: function() {},
+      require: function() {},
+      bind: function(fn, self) {
+        return function() {
+          return fn.apply(self, arguments);
+        };
+      }
+    },
+    turing: turing
+  };
+  var filename = path.join(__dirname, '..', 'src', 'simulator.js');
+  vm.runInNewContext(fs.readFileSync(filename, 'utf8'), context,
+      {filename: filename});
+  return {
+    turing: turing,
+    flush: function() {
+      var fired = 0;
+      while (timers.length) {
+        assert.ok(++fired < 1000, 'timers keep firing');
+        timers.shift().fn();
+      }
+      return fired;
+    }
+  };
+}
+
+
+/**
+ * A stand-in for turing.Program which remembers which op is lit, where the
+ * simulator paused for breakpoints and where it found a loop.
+ * @param {Array.<string>} tracks Each track's ops, separated by spaces.
+ * @constructor
+ */
+function FakeProgram(tracks) {
+  this.tracks = tracks.map(function(track) {
+    return track.split(' ');
+  });
+  this.litOp = null;
+  this.breakpoints = {};
+  this.breakpointHits = [];
+  this.loopAt = null;
+}
+
+FakeProgram.prototype.getTrackOps = function() {
+  return this.tracks;
+};
+
+FakeProgram.prototype.goToPos = function(track, pos) {
+  this.litOp = [track, pos];
+};
+
+FakeProgram.prototype.dimCurOp = function() {
+  this.litOp = null;
+};
+
+FakeProgram.prototype.isBreakpoint = function(track, pos) {
+  return !!this.breakpoints[track + ',' + pos];
+};
+
+FakeProgram.prototype.showBreakpointHit = function(track, pos) {
+  this.breakpointHits.push(track + ',' + pos);
+};
+
+FakeProgram.prototype.showLoop = function(track, pos) {
+  this.loopAt = track + ',' + pos;
+};
+
+
+/**
+ * A stand-in for turing.Tape which shows one of a machine's tapes and
+ * remembers how long each tape op was given to animate.
+ * @param {string} str The initial tape, with the head over its middle.
+ * @constructor
+ */
+function FakeTape(str) {
+  this.machine = new headless.Machine([], 0);
+  this.machine.setTapeString(str);
+  this.machineTape = 0;
+  this.waitTimes = [];
+}
+
+FakeTape.prototype.getContents = function() {
+  return this.machine.getTapeContents(this.machineTape);
+};
+
+FakeTape.prototype.getHeadPos = function() {
+  return this.machine.getHeadPos(this.machineTape);
+};
+
+FakeTape.prototype.getString = function() {
+  return this.machine.getTapeString(this.machineTape);
+};
+
+FakeTape.prototype.setMachine = function(machine, opt_tape) {
+  this.machine = machine;
+  this.machineTape = opt_tape || 0;
+};
+
+FakeTape.prototype.print = function(symbol, oldSymbol, waitTime) {
+  this.waitTimes.push(waitTime);
+};
+
+FakeTape.prototype.scanLeft = function(waitTime) {
+  this.waitTimes.push(waitTime);
+};
+
+FakeTape.prototype.scanRight = function(waitTime) {
+  this.waitTimes.push(waitTime);
+};
+
+FakeTape.prototype.scanBy = function(squares, waitTime) {
+  this.waitTimes.push(waitTime);
+};
+
+
+test('rewinds a run after it fails', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var program = new FakeProgram(['1 R L B2']);
+  var tape = new FakeTape('000');
+  var done = 0;
+  simulator.setStepLimit(10);
+  simulator.run(program, tape, sim.turing.SpeedSetting.NORMAL, function() {
+    done++;
+  });
+  sim.flush();
+  assert.strictEqual(done, 1);
+  assert.ok(!simulator.isRunning());
+  assert.strictEqual(tape.machine.getTapeString(), '010');
+  var undone = 0;
+  while (simulator.canStepBack()) {
+    assert.ok(simulator.stepBack());
+    sim.flush();
+    undone++;
+  }
+  assert.strictEqual(program.loopAt, '0,1');
+  assert.strictEqual(undone, 4);
+  assert.strictEqual(tape.machine.getTapeString(), '000');
+  assert.strictEqual(tape.machine.getHeadPos(), 1);
+  assert.strictEqual(program.litOp, null);
+  // The rewound run can carry on from there, without calling back again.
+  simulator.resumeIfPaused();
+  sim.flush();
+  assert.strictEqual(tape.machine.getTapeString(), '010');
+  assert.strictEqual(done, 1);
+});
+
+
+test('forgets the last run when the next one starts', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var tape = new FakeTape('0');
+  simulator.run(new FakeProgram(['1']), tape,
+      sim.turing.SpeedSetting.NORMAL);
+  sim.flush();
+  assert.ok(simulator.canStepBack());
+  simulator.run(new FakeProgram(['R']), tape,
+      sim.turing.SpeedSetting.NORMAL);
+  assert.ok(!simulator.canStepBack());
+});
+
+
+test('steps back to the speed a step ran at', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var tape = new FakeTape('00000000000000001');
+  var slow = sim.turing.SPEED_CONFIG[sim.turing.SpeedSetting.SLOW];
+  simulator.setStepLimit(40);
+  // Going round the loop to the last 1 is boring, so it speeds up.
+  simulator.run(new FakeProgram(['1 R D1 B3']), tape,
+      sim.turing.SpeedSetting.SLOW);
+  sim.flush();
+  assert.ok(tape.waitTimes[tape.waitTimes.length - 1] < slow.tapeTime / 2);
+  while (simulator.canStepBack()) {
+    simulator.stepBack();
+    sim.flush();
+  }
+  tape.waitTimes = [];
+  simulator.resumeIfPaused();
+  sim.flush();
+  assert.strictEqual(tape.waitTimes[0], slow.tapeTime / 2);
+});
+
+
+test('pauses and runs one step at a time', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var program = new FakeProgram(['1 R 1']);
+  var tape = new FakeTape('000');
+  var done = 0;
+  simulator.run(program, tape, sim.turing.SpeedSetting.NORMAL, function() {
+    done++;
+  });
+  simulator.pause();
+  assert.ok(simulator.isPaused());
+  assert.strictEqual(sim.flush(), 0);
+  assert.ok(simulator.stepOnce());
+  // A second step waits until the first is done animating.
+  assert.ok(!simulator.stepOnce());
+  sim.flush();
+  assert.deepStrictEqual(program.litOp, [0, 0]);
+  assert.strictEqual(tape.machine.getTapeString(), '010');
+  assert.ok(simulator.stepOnce());
+  sim.flush();
+  assert.strictEqual(tape.machine.getHeadPos(), 2);
+  assert.ok(simulator.isPaused());
+  simulator.resumeIfPaused();
+  sim.flush();
+  assert.strictEqual(tape.machine.getTapeString(), '011');
+  assert.strictEqual(done, 1);
+  assert.ok(!simulator.isPaused());
+  assert.ok(!simulator.stepOnce());
+});
+
+
+test('changes speed from the next step on', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var tape = new FakeTape('000');
+  var ludicrous = sim.turing.SPEED_CONFIG[sim.turing.SpeedSetting.LUDICROUS];
+  simulator.run(new FakeProgram(['R R']), tape,
+      sim.turing.SpeedSetting.SLOW);
+  simulator.pause();
+  simulator.stepOnce();
+  sim.flush();
+  simulator.setSpeed(sim.turing.SpeedSetting.LUDICROUS);
+  simulator.stepOnce();
+  sim.flush();
+  assert.strictEqual(tape.waitTimes[1], ludicrous.tapeTime / 2);
+  assert.ok(tape.waitTimes[0] > tape.waitTimes[1]);
+});
+
+
+test('aborts without calling back', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var done = 0;
+  simulator.run(new FakeProgram(['R R']), new FakeTape('0'),
+      sim.turing.SpeedSetting.NORMAL, function() {
+        done++;
+      });
+  simulator.abort();
+  sim.flush();
+  assert.ok(!simulator.isRunning());
+  assert.strictEqual(done, 0);
+});
+
+
+test('pauses before running an op with a breakpoint', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var program = new FakeProgram(['1 R 1 R']);
+  var tape = new FakeTape('000');
+  var paused = 0;
+  program.breakpoints['0,2'] = true;
+  simulator.setBreakpointCallback(function() {
+    paused++;
+  });
+  simulator.run(program, tape, sim.turing.SpeedSetting.NORMAL);
+  sim.flush();
+  assert.strictEqual(paused, 1);
+  assert.ok(simulator.isPaused());
+  assert.deepStrictEqual(program.breakpointHits, ['0,2']);
+  assert.strictEqual(tape.machine.getTapeString(), '010');
+  // Resuming runs the op instead of pausing at it again.
+  simulator.resumeIfPaused();
+  sim.flush();
+  assert.strictEqual(paused, 1);
+  assert.strictEqual(tape.machine.getTapeString(), '011');
+  assert.ok(!simulator.isRunning());
+});
+
+
+test('pauses at a breakpoint again after stepping back over it', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var program = new FakeProgram(['1 R 1']);
+  var tape = new FakeTape('000');
+  program.breakpoints['0,1'] = true;
+  simulator.run(program, tape, sim.turing.SpeedSetting.NORMAL);
+  sim.flush();
+  simulator.stepOnce();
+  sim.flush();
+  assert.strictEqual(tape.machine.getHeadPos(), 2);
+  simulator.stepBack();
+  sim.flush();
+  simulator.resumeIfPaused();
+  sim.flush();
+  assert.deepStrictEqual(program.breakpointHits, ['0,1', '0,1']);
+  assert.strictEqual(tape.machine.getHeadPos(), 1);
+});
+
+
+test('replays a trace of a run on the tape', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var tape = new FakeTape('001');
+  simulator.run(new FakeProgram(['1 R R 0 L']), tape,
+      sim.turing.SpeedSetting.NORMAL);
+  sim.flush();
+  var trace = simulator.getTrace();
+  assert.strictEqual(tape.machine.getTapeString(), '0110');
+  var replayTape = new FakeTape('001');
+  var program = new FakeProgram(['1 R R 0 L']);
+  simulator.replay(trace, program, replayTape,
+      sim.turing.SpeedSetting.NORMAL);
+  sim.flush();
+  assert.strictEqual(replayTape.machine.getTapeString(), '0110');
+  assert.strictEqual(replayTape.machine.getHeadPos(), 2);
+  assert.strictEqual(simulator.getTrace().steps.length, trace.steps.length);
+});
+
+
+test('reports how a program run ended', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var results = [];
+  var done = function(result) {
+    results.push(result);
+  };
+  simulator.setStepLimit(5);
+  simulator.run(new FakeProgram(['1 R D1 B3']), new FakeTape('0000001'),
+      sim.turing.SpeedSetting.NORMAL, done);
+  sim.flush();
+  simulator.run(new FakeProgram(['R 1 B2']), new FakeTape('0'),
+      sim.turing.SpeedSetting.NORMAL, done);
+  sim.flush();
+  simulator.run(new FakeProgram(['1 D']), new FakeTape('0'),
+      sim.turing.SpeedSetting.NORMAL, done);
+  sim.flush();
+  simulator.run(new FakeProgram(['L 0']), new FakeTape('11'),
+      sim.turing.SpeedSetting.NORMAL, done);
+  simulator.stop();
+  simulator.run(new FakeProgram(['1 HR']), new FakeTape('0'),
+      sim.turing.SpeedSetting.NORMAL, done);
+  sim.flush();
+  assert.strictEqual(JSON.stringify(results), JSON.stringify([
+    {reason: 'stepLimit', steps: 6, finalTrack: 0, finalPos: 2, headPos: 5,
+     verdict: null},
+    {reason: 'looped', steps: 4, finalTrack: 0, finalPos: 1, headPos: 2,
+     verdict: null},
+    {reason: 'branchedOffProgram', steps: 2, finalTrack: 0, finalPos: 1,
+     headPos: 0, verdict: null},
+    {reason: 'stopped', steps: 0, finalTrack: 0, finalPos: 0, headPos: 1,
+     verdict: null},
+    {reason: 'halted', steps: 2, finalTrack: 0, finalPos: 1, headPos: 0,
+     verdict: 'reject'}
+  ]));
+  assert.ok(sim.turing.isHaltReason(results[2].reason));
+  assert.ok(sim.turing.isHaltReason(results[4].reason));
+  assert.ok(!sim.turing.isHaltReason(results[1].reason));
+});
+
+
+test('runs and rewinds ops on each tape', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var tapes = [new FakeTape('0'), new FakeTape('')];
+  simulator.run(new FakeProgram(['1:1 1:R 1:0 R']), tapes,
+      sim.turing.SpeedSetting.NORMAL);
+  sim.flush();
+  assert.strictEqual(tapes[0].getString(), '0');
+  assert.strictEqual(tapes[1].getString(), '10');
+  assert.strictEqual(tapes[0].waitTimes.length, 1);
+  assert.strictEqual(tapes[1].waitTimes.length, 3);
+  while (simulator.canStepBack()) {
+    simulator.stepBack();
+    sim.flush();
+  }
+  assert.strictEqual(tapes[0].getString(), '0');
+  assert.strictEqual(tapes[0].getHeadPos(), 0);
+  assert.strictEqual(tapes[1].getString(), '');
+  assert.strictEqual(tapes[1].getHeadPos(), 0);
+});
+
+
+test('seeks and steps back over several squares at once', function() {
+  var sim = load();
+  var simulator = new sim.turing.Simulator();
+  var tape = new FakeTape('0110');
+  simulator.run(new FakeProgram(['SR X']), tape,
+      sim.turing.SpeedSetting.NORMAL);
+  sim.flush();
+  assert.strictEqual(tape.getHeadPos(), 4);
+  assert.strictEqual(tape.waitTimes.length, 1);
+  while (simulator.canStepBack()) {
+    simulator.stepBack();
+    sim.flush();
+  }
+  assert.strictEqual(tape.getHeadPos(), 2);
+  assert.strictEqual(tape.waitTimes.length, 2);
+});
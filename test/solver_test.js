@@ -0,0 +1,80 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.solver, run with node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+var builtInLevels = require('../tools/builtin_levels.js');
+
+
+/**
+ * Searches a level for its solutions.
+ * @param {turing.ProgramDef} program The level.
+ * @return {turing.solver.Result} What the search found.
+ */
+function solve(program) {
+  return turing.solver.solve(turing.solver.createRequest(program, 8,
+      program.alphabet || ['0', '1']));
+}
+
+
+test('finds the solutions to the built-in levels', function() {
+  var programs = builtInLevels.PROGRAMS;
+  // Some levels can be solved more than one way. Level 6 branches on a
+  // symbol and prints its opposite, so the level is solved just as well with
+  // the symbols swapped in every clickable op. Level 9 branches at each square
+  // of a tape whose symbols are fixed, so a branch only has to go the right
+  // way on the one symbol it meets there, and branching on either of the
+  // other two symbols does the same. Every other level has one solution.
+  var ambiguous = [6, 9];
+  // Skip the demo, which has no goal.
+  for (var i = 1; i < programs.length; i++) {
+    var result = solve(programs[i]);
+    assert.strictEqual(result.truncated, false, 'level ' + i);
+    if (ambiguous.indexOf(i) == -1) {
+      assert.strictEqual(result.solutions.length, 1, 'level ' + i);
+    } else {
+      assert.ok(result.solutions.length > 1, 'level ' + i);
+    }
+    var cases = turing.level.getCases(programs[i]);
+    var correct = JSON.stringify(programs[i].ops.correct);
+    var found = false;
+    for (var j = 0; j < result.solutions.length; j++) {
+      assert.ok(turing.level.verifyOps(result.solutions[j], 8, programs[i],
+          cases).solves, 'level ' + i + ' solution ' + j);
+      found = found || JSON.stringify(result.solutions[j]) == correct;
+    }
+    // The intended solution is always among them.
+    assert.ok(found, 'level ' + i);
+  }
+});
+
+
+test('tries every setting of the clickable ops', function() {
+  var program = {tape: '00', goal: '10',
+                 ops: turing.notation.parse(['L 0(1) *R H'],
+                     {numTracks: 2, numOpsPerTrack: 8,
+                      alphabet: ['0', '1']}).ops};
+  var result = solve(program);
+  // 0 cycles through 0 1, and R through L R.
+  assert.strictEqual(result.numSettings, 4);
+  assert.strictEqual(JSON.stringify(result.solutions),
+      '[[["L","1","R","H"]],[["L","1","L","H"]]]');
+  assert.strictEqual(turing.solver.formatResult(result).join('\n'),
+      '2 solutions in 4 settings\nL 1 R H\nL 1 L H');
+});
@@ -0,0 +1,183 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.table and turing.TableMachine, run with
+ * node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+
+
+/**
+ * Runs a machine on a tape, with the head over its middle, until it halts.
+ * @param {turing.Machine|turing.TableMachine} machine The machine.
+ * @param {string} tape The initial tape.
+ * @param {boolean=} opt_ignoreSteps Iff true, leave out the number of steps.
+ * @return {string} How many steps it took, the verdict and the final tape and
+ *     head position, or 'runs on' if it didn't halt within 200 steps.
+ */
+function run(machine, tape, opt_ignoreSteps) {
+  machine.setTapeString(tape);
+  var steps = machine.run(200);
+  if (!machine.isHalted()) {
+    return 'runs on';
+  }
+  return [opt_ignoreSteps ? '' : steps, machine.getVerdict(),
+          machine.getTapeString(), machine.getHeadPos()].join();
+}
+
+
+/**
+ * Draws random programs for two tracks of eight ops.
+ * @param {number} seed The seed.
+ * @param {number} count How many programs to draw.
+ * @return {Array.<Array.<Array.<string>>>} The programs.
+ */
+function drawPrograms(seed, count) {
+  var ops = ['L', 'R', '0', '1', '_', 'D0', 'D1', 'D_', 'U0', 'U1', 'U_',
+             'B2', 'B3', 'B4', 'X', 'SL', 'SR', 'F2', 'H', 'HA', 'HR', ''];
+  var nextInt = function(n) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return Math.floor(seed / 65536) % n;
+  };
+  var programs = [];
+  for (var i = 0; i < count; i++) {
+    var trackOps = [[], []];
+    for (var j = 0; j < 16; j++) {
+      trackOps[j % 2].push(ops[nextInt(ops.length)]);
+    }
+    programs.push(trackOps);
+  }
+  return programs;
+}
+
+
+/**
+ * Tapes to compare programs on.
+ * @type {Array.<string>}
+ * @const
+ */
+var TAPES = ['', '0', '1', '0110', '1_01', '11100'];
+
+
+test('parses tables and writes them back', function() {
+  var text = 'q0 0 1 R q0\nq1 1 0 L halt\nq0 _ _ N q1';
+  var table = turing.table.parse(text);
+  assert.strictEqual(table.start, 'q0');
+  assert.strictEqual(table.rows.length, 3);
+  assert.strictEqual(table.rows[1].move, 'L');
+  assert.strictEqual(turing.table.toText(table),
+      'q0 0 1 R q0\nq0 _ _ N q1\nq1 1 0 L halt');
+  assert.strictEqual(turing.table.toText(turing.table.parse(
+      '  # Comment\n\nq0   0 1  R q0  # Another\n')), 'q0 0 1 R q0');
+});
+
+
+test('rejects text which is not a table', function() {
+  assert.strictEqual(turing.table.parse(''), null);
+  assert.strictEqual(turing.table.parse('q0 0 1 R'), null);
+  assert.strictEqual(turing.table.parse('q0 0 1 X q1'), null);
+  assert.strictEqual(turing.table.parse('q0 0 L R q1'), null);
+  assert.strictEqual(turing.table.parse('q0 00 1 R q1'), null);
+});
+
+
+test('runs tables', function() {
+  var table = turing.table.parse('q0 0 1 R q0\nq0 _ _ N halt');
+  var machine = new turing.TableMachine(table);
+  machine.setTape({0: '0', 1: '0', 2: '0'}, 0);
+  assert.strictEqual(machine.run(0), 4);
+  assert.strictEqual(machine.getTapeString(), '111');
+  assert.strictEqual(run(new turing.TableMachine(turing.table.parse(
+      'q0 1 1 N accept\nq0 0 0 N reject')), '0'), '1,reject,0,0');
+  // No row for 1 in q0.
+  assert.strictEqual(run(new turing.TableMachine(table), '1'), '0,,1,0');
+});
+
+
+test('undoes table steps', function() {
+  var table = turing.table.parse('q0 0 1 R q0\nq0 1 _ L q1\nq1 1 0 N halt');
+  var machine = new turing.TableMachine(table);
+  machine.setTapeString('0011');
+  var records = [];
+  while (!machine.isHalted()) {
+    records.push(machine.step());
+  }
+  assert.strictEqual(machine.getTapeString(), '00_1');
+  while (records.length) {
+    machine.unstep(records.pop());
+  }
+  assert.strictEqual(machine.getTapeString(), '0011');
+  assert.strictEqual(machine.getHeadPos(), 2);
+  assert.strictEqual(machine.getState(), 'q0');
+});
+
+
+test('compiles programs into tables which do the same', function() {
+  var programs = drawPrograms(3, 200);
+  for (var i = 0; i < programs.length; i++) {
+    var table = turing.table.compile(programs[i], 8, ['0', '1']);
+    // Seeks take a step for each square in a table.
+    var hasSeek = /S[LR]/.test(programs[i].join());
+    for (var j = 0; j < TAPES.length; j++) {
+      assert.strictEqual(
+          run(new turing.TableMachine(table), TAPES[j], hasSeek),
+          run(new turing.Machine(programs[i], 8), TAPES[j], hasSeek),
+          JSON.stringify(programs[i]) + ' on ' + TAPES[j]);
+    }
+  }
+});
+
+
+test('only compiles programs for one tape', function() {
+  assert.strictEqual(turing.table.compile([['1:R']], 8, ['0', '1']), null);
+  assert.strictEqual(turing.table.compile([], 8, ['0', '1']).start,
+      turing.HALT_STATE);
+});
+
+
+test('decompiles tables back into programs which do the same', function() {
+  var programs = drawPrograms(4, 200);
+  var numDecompiled = 0;
+  for (var i = 0; i < programs.length; i++) {
+    var table = turing.table.compile(programs[i], 8, ['0', '1']);
+    var trackOps = turing.table.decompile(table, 2, 8);
+    if (!trackOps) {
+      continue;
+    }
+    numDecompiled++;
+    for (var j = 0; j < TAPES.length; j++) {
+      assert.strictEqual(run(new turing.Machine(trackOps, 8), TAPES[j]),
+          run(new turing.Machine(programs[i], 8), TAPES[j]),
+          JSON.stringify(programs[i]) + ' on ' + TAPES[j]);
+    }
+  }
+  // Every compiled program fits, unless it took too long to place.
+  assert.ok(numDecompiled > 150, numDecompiled + ' decompiled');
+});
+
+
+test('decompiles textbook tables which fit on the tracks', function() {
+  var table = turing.table.parse('a 0 1 N b\na 1 1 N b\na _ 1 N b\n' +
+      'b 0 0 R c\nb 1 1 R c\nb _ _ R c\nc 0 0 N d\nc 1 1 N d\n' +
+      'c _ _ N accept\nd 0 0 N a\nd 1 1 N a\nd _ _ N a');
+  assert.strictEqual(JSON.stringify(turing.table.decompile(table, 2, 4)),
+      '[["1","R","D_","B3"],["","","HA",""]]');
+  // Rows which print and move don't fit in one op.
+  assert.strictEqual(turing.table.decompile(
+      turing.table.parse('a 0 1 R a\na 1 1 R a\na _ 1 R a'), 2, 8), null);
+});
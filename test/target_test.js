@@ -0,0 +1,248 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.Target, run with node --test test/.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var vm = require('vm');
+
+
+/**
+ * A stand-in for a DOM element with just what the target uses.
+ * @constructor
+ */
+function FakeElement() {
+  this.style = {};
+  this.children = [];
+}
+
+FakeElement.prototype.appendChild = function(child) {
+  this.children.push(child);
+};
+
+Object.defineProperty(FakeElement.prototype, 'innerHTML', {
+  set: function(html) {
+    assert.strictEqual(html, '');
+    this.children = [];
+  }
+});
+
+/**
+ * @return {string} The element's text.
+ */
+FakeElement.prototype.getText = function() {
+  return this.children.join('');
+};
+
+
+/**
+ * Loads the target with sprites which record which digits they were asked to
+ * draw. Only targets of 0s and 1s have sprites, and only 0 and 1 have glyphs
+ * to draw other targets with.
+ * @return {{turing: Object, drawn: Array.<string>}} The turing namespace, and
+ *     the digits drawn on the number plate so far, with the lit digit's index
+ *     after a colon when one was highlighted. Glyphs are listed as the symbol,
+ *     the digit it was drawn at and how lit it was.
+ */
+function load() {
+  var drawn = [];
+  var turing = {
+    anim: {
+      animate: function() {},
+      animateThroughBackgrounds: function() {},
+      delay: function(fn) {
+        fn();
+      }
+    },
+    sprites: {
+      getDiv: function() {
+        return new FakeElement();
+      },
+      getEmptyDiv: function() {
+        return new FakeElement();
+      },
+      getSize: function() {
+        return {width: 10, height: 10};
+      },
+      getBackground: function() {
+        return '';
+      },
+      numberplate: {
+        getScrollingTarget: function(str) {
+          drawn.push(str);
+          return [str];
+        },
+        getLitTargetForDigit: function(str, index) {
+          drawn.push(str + ':' + index);
+          return str;
+        },
+        getUnlitNumberPlate: function(str) {
+          return str;
+        },
+        hasSprites: function(str) {
+          return /^[01]+$/.test(str);
+        },
+        getWindowRect: function() {
+          return {left: 20, top: 9, width: 84, height: 32};
+        },
+        getDigitRect: function(digit) {
+          return {left: 20 + 17 * digit, top: 12, width: 17, height: 27};
+        },
+        getGlyph: function(symbol, digit, light) {
+          if (symbol != '0' && symbol != '1') {
+            return null;
+          }
+          drawn.push(symbol + digit + light);
+          return 'glyph-' + symbol;
+        }
+      }
+    },
+    util: {
+      listen: function() {},
+      unlisten: function() {},
+      removeNode: function() {}
+    }
+  };
+  var context = {
+    goog: {
+      provide: function() {},
+      require: function() {},
+      bind: function(fn, self) {
+        var args = Array.prototype.slice.call(arguments, 2);
+        return function() {
+          return fn.apply(self,
+              args.concat(Array.prototype.slice.call(arguments)));
+        };
+      }
+    },
+    document: {
+      createTextNode: function(text) {
+        return text;
+      }
+    },
+    turing: turing
+  };
+  context.turing.isBlank = function(symbol) {
+    return !symbol || symbol == '_';
+  };
+  vm.createContext(context);
+  ['number_plate.js', 'target.js'].forEach(function(source) {
+    var filename = path.join(__dirname, '..', 'src', source);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context,
+        {filename: filename});
+  });
+  return {turing: turing, drawn: drawn};
+}
+
+
+test('shows short goals on one page', function() {
+  var env = load();
+  var target = new env.turing.Target();
+  target.create();
+  target.setValue('0110', 0);
+  assert.strictEqual(env.drawn.join(), '0110');
+  assert.strictEqual(target.pageLabel_.getText(), '');
+  target.highlightAt('0110', 4, 0);
+  assert.strictEqual(env.drawn.join(), '0110,0110:4,0110:4');
+});
+
+
+test('turns the pages of long goals as they are checked', function() {
+  var env = load();
+  var target = new env.turing.Target();
+  target.create();
+  target.setValue('010110111', 0);
+  assert.strictEqual(env.drawn.pop(), '01011');
+  assert.strictEqual(target.pageLabel_.getText(), '1/2\u25b8');
+  target.highlightAt('010110111', 2, 0);
+  assert.strictEqual(env.drawn.pop(), '01011:2');
+  target.highlightAt('010110111', 7, 0);
+  assert.strictEqual(env.drawn.pop(), '0111:2');
+  assert.strictEqual(env.drawn.pop(), '0111:2');
+  assert.strictEqual(env.drawn.pop(), '0111');
+  assert.strictEqual(target.pageLabel_.getText(), '\u25c22/2');
+  // Highlighting past the last digit lights the whole last page.
+  target.highlightAt('010110111', 9, 0);
+  assert.strictEqual(env.drawn.pop(), '0111:4');
+  target.setValue('010110111', 0);
+  assert.strictEqual(env.drawn.pop(), '01011');
+  assert.strictEqual(target.pageLabel_.getText(), '1/2\u25b8');
+});
+
+
+test('draws goals without sprites a digit at a time', function() {
+  var env = load();
+  var target = new env.turing.Target();
+  target.create();
+  target.setValue('a1_b', 0);
+  assert.strictEqual(env.drawn.join(), '110');
+  var digits = target.renderer_.digitDivs_.map(function(div) {
+    return div.getText() + '/' + (div.style.background || '');
+  });
+  assert.strictEqual(digits.join(), 'a/,/glyph-1,/,b/');
+  env.drawn.splice(0);
+  target.highlightAt('a1_b', 1, 800);
+  assert.strictEqual(env.drawn.join(), '110,111,112,112,112,112,111,110');
+  env.drawn.splice(0);
+  // Lighting the whole plate lights every digit.
+  target.highlightAt('a1_b', 4, 800);
+  assert.strictEqual(env.drawn.filter(function(glyph) {
+    return glyph == '112';
+  }).length, 4);
+  assert.strictEqual(target.renderer_.digitDivs_[0].style.textShadow, '');
+  target.setValue('01011', 0);
+  assert.strictEqual(target.renderer_.digitDivs_.length, 0);
+  assert.strictEqual(env.drawn.pop(), '01011');
+});
+
+
+test('cuts glyphs for digits from the sprites of other goals', function() {
+  var turing = {
+    deferredsprites: {offsets: {}},
+    sprites: {
+      numberplate: {},
+      exists: function(name) {
+        return name == 'light-01011-0';
+      },
+      getBackground: function(name, left, top) {
+        return name + '@' + left + ',' + top;
+      }
+    }
+  };
+  var context = {
+    goog: {provide: function() {}, require: function() {}},
+    turing: turing
+  };
+  var filename = path.join(__dirname, '..', 'src',
+      'number_plate_sprite_offsets.js');
+  vm.runInNewContext(fs.readFileSync(filename, 'utf8'), context,
+      {filename: filename});
+  var numberplate = turing.sprites.numberplate;
+  assert.ok(numberplate.hasSprites('01011'));
+  assert.ok(!numberplate.hasSprites('a1'));
+  assert.strictEqual(JSON.stringify(numberplate.getWindowRect()),
+      '{"left":20,"top":9,"width":84,"height":32}');
+  assert.strictEqual(JSON.stringify(numberplate.getDigitRect(2)),
+      '{"left":54,"top":12,"width":16,"height":27}');
+  assert.strictEqual(numberplate.getGlyph('a', 0, 0), null);
+  assert.strictEqual(numberplate.getGlyph('0', 1, 0), 'light-00011-0@37,12');
+  // Lit glyphs come from the frames which light the digit they are cut from.
+  assert.strictEqual(numberplate.getGlyph('1', 2, 2), 'light-01011-8@70,12');
+  assert.strictEqual(numberplate.getGlyph('0', 4, 1), 'light-10000-9@87,12');
+});
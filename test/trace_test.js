@@ -0,0 +1,239 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests for turing.trace and turing.TraceReplay, run with
+ * node --test test/.
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+var turing = require('../tools/headless.js');
+
+
+/**
+ * The most steps the programs under test run.
+ * @type {number}
+ * @const
+ */
+var STEP_LIMIT = 100;
+
+
+/**
+ * Runs a program on a tape and traces it.
+ * @param {Array.<Array.<string>>} trackOps The ops on each track.
+ * @param {string} tape The initial tape, with the head over its middle.
+ * @return {turing.Trace} The trace.
+ */
+function record(trackOps, tape) {
+  var machine = new turing.Machine(trackOps, 8);
+  machine.setTapeString(tape);
+  return turing.trace.record(machine, STEP_LIMIT);
+}
+
+
+test('records each step relative to the start of the tape', function() {
+  var trace = record([['L', '1', 'R', 'R', 'R', '0']], '_01');
+  assert.strictEqual(trace.tape, '01');
+  assert.strictEqual(trace.headPos, 0);
+  assert.strictEqual(trace.steps.length, 8);
+  var print = trace.steps[1];
+  assert.strictEqual(print.op, '1');
+  assert.strictEqual(print.headPos, -1);
+  assert.strictEqual(print.read, '_');
+  assert.strictEqual(print.written, '1');
+  assert.strictEqual(trace.steps[7].halted, true);
+});
+
+
+test('forgets undone steps', function() {
+  var trace = record([['1', 'R', '0']], '0');
+  turing.trace.truncateTo(trace, 1);
+  assert.strictEqual(trace.steps.length, 1);
+  assert.strictEqual(trace.truncated, false);
+});
+
+
+test('round trips through JSON', function() {
+  var trace = record([['D1', '0', 'R', 'B3'], ['1']], '0001');
+  var json = turing.trace.toJson(trace);
+  var read = turing.trace.fromJson(json);
+  assert.ok(read);
+  assert.strictEqual(turing.trace.toJson(read), json);
+  assert.strictEqual(read.truncated, false);
+});
+
+
+test('rejects JSON which is not a trace', function() {
+  var json = turing.trace.toJson(record([['1', 'R']], '0'));
+  var edit = function(change) {
+    var trace = JSON.parse(json);
+    change(trace);
+    return JSON.stringify(trace);
+  };
+  assert.strictEqual(turing.trace.fromJson('{'), null);
+  assert.strictEqual(turing.trace.fromJson('null'), null);
+  var edits = [
+    function(trace) { trace.version = 2; },
+    function(trace) { trace.program = ['1']; },
+    function(trace) { trace.program[0][0] = 1; },
+    function(trace) { trace.program[0][0] = 'B1'; },
+    function(trace) { trace.program[0][0] = 'B2'; },
+    function(trace) { trace.program[0][0] = '1:1'; },
+    function(trace) { trace.steps = {}; },
+    function(trace) { trace.steps[0] = null; },
+    function(trace) { delete trace.steps[0].move; },
+    function(trace) { trace.steps[0].nextTrackPos = '1'; },
+    function(trace) { trace.steps[0].halted = 0; },
+    function(trace) { trace.steps[0].read = null; },
+    function(trace) { delete trace.steps[0].stepTime; },
+    function(trace) { trace.steps[0].written = 1; },
+    function(trace) { trace.steps[0].overwritten = null; },
+    function(trace) { trace.steps[1].overwritten = '0'; },
+    function(trace) { trace.steps[0].tape = 1; },
+    function(trace) { trace.steps[0].tape = '0'; },
+    function(trace) { trace.extraTapes = {}; },
+    function(trace) { trace.extraTapes = [{tape: 0, headPos: 0}]; }
+  ];
+  for (var i = 0; i < edits.length; i++) {
+    assert.strictEqual(turing.trace.fromJson(edit(edits[i])), null,
+        edits[i].toString());
+  }
+});
+
+
+test('replays a trace onto a machine and back', function() {
+  var trackOps = [['D1', '0', 'R', 'B3'], ['L', '1']];
+  var machine = new turing.Machine(trackOps, 8);
+  machine.setTapeString('0001');
+  var trace = turing.trace.record(machine, STEP_LIMIT);
+  var tapeMachine = new turing.Machine([], 0);
+  tapeMachine.setTapeString('0001');
+  var replay = new turing.TraceReplay(trace, tapeMachine);
+  var records = [];
+  while (!replay.isHalted()) {
+    records.push(replay.step());
+  }
+  assert.strictEqual(replay.step(), null);
+  assert.strictEqual(replay.getVerdict(), null);
+  assert.strictEqual(tapeMachine.getTapeString(), machine.getTapeString());
+  assert.strictEqual(tapeMachine.getHeadPos(), machine.getHeadPos());
+  assert.strictEqual(replay.getTrack(), machine.getTrack());
+  assert.strictEqual(replay.getTrackPos(), machine.getTrackPos());
+  // The tape starts at 0, so trace head positions are machine ones.
+  assert.strictEqual(replay.getHeadPos(), machine.getHeadPos());
+  while (records.length) {
+    replay.unstep(records.pop());
+  }
+  assert.strictEqual(tapeMachine.getTapeString(), '0001');
+  assert.strictEqual(tapeMachine.getHeadPos(), 2);
+  assert.strictEqual(replay.getTrackPos(), 0);
+  assert.strictEqual(replay.getHeadPos(), 2);
+});
+
+
+test('records and replays each tape of a multi-tape machine', function() {
+  var trackOps = [['1:1', 'R', '1:L', '1:0', 'D_', 'B5']];
+  var machine = new turing.Machine(trackOps, 8, 2);
+  machine.setTapeString('11');
+  machine.setTapeString('_1', 1);
+  var trace = turing.trace.record(machine, STEP_LIMIT);
+  assert.strictEqual(turing.trace.getNumTapes(trace), 2);
+  assert.strictEqual(turing.trace.getTape(trace, 1).tape, '1');
+  assert.strictEqual(turing.trace.getTape(trace, 1).headPos, 0);
+  assert.strictEqual(trace.steps[0].tape, 1);
+  var read = turing.trace.fromJson(turing.trace.toJson(trace));
+  assert.ok(read);
+  var tapeMachine = new turing.Machine([], 0, 2);
+  tapeMachine.setTapeString('11');
+  tapeMachine.setTapeString('_1', 1);
+  var replay = new turing.TraceReplay(read, tapeMachine);
+  var records = [];
+  while (!replay.isHalted()) {
+    records.push(replay.step());
+  }
+  for (var i = 0; i < 2; i++) {
+    assert.strictEqual(tapeMachine.getTapeString(i), machine.getTapeString(i));
+    assert.strictEqual(tapeMachine.getHeadPos(i), machine.getHeadPos(i));
+  }
+  while (records.length) {
+    replay.unstep(records.pop());
+  }
+  assert.strictEqual(tapeMachine.getTapeString(0), '11');
+  assert.strictEqual(tapeMachine.getTapeString(1), '1');
+  assert.strictEqual(tapeMachine.getHeadPos(1), 1);
+});
+
+
+test('replays the verdict a trace ended with', function() {
+  var trace = record([['1', 'D1', 'HR'], ['', 'HA']], '0');
+  var replay = new turing.TraceReplay(trace);
+  replay.step();
+  assert.strictEqual(replay.getVerdict(), null);
+  var records = [replay.step(), replay.step()];
+  assert.ok(replay.isHalted());
+  assert.strictEqual(replay.getVerdict(), 'accept');
+  replay.unstep(records.pop());
+  assert.strictEqual(replay.getVerdict(), null);
+});
+
+
+test('stops recording at the step limit or a loop', function() {
+  var machine = new turing.Machine([['1', 'R', 'B2']], 8);
+  var trace = turing.trace.record(machine, 2);
+  // Like the simulator, one step past the limit is run.
+  assert.strictEqual(trace.steps.length, 3);
+  assert.ok(!machine.isHalted());
+  machine = new turing.Machine([['R', 'L', 'B2']], 8);
+  trace = turing.trace.record(machine, STEP_LIMIT);
+  assert.ok(trace.steps.length < STEP_LIMIT);
+  assert.ok(!machine.isHalted());
+});
+
+
+test('finds where a run first went differently from another', function() {
+  var getDivergence = function(trackOps, expectedOps, tape) {
+    var divergence = turing.trace.findDivergence(record(trackOps, tape),
+        record(expectedOps, tape));
+    return divergence && [divergence.step, divergence.kind, divergence.track,
+        divergence.trackPos, divergence.headPos].join();
+  };
+  assert.strictEqual(getDivergence([['R', '1']], [['R', '0']], '0'),
+      '1,write,0,1,1');
+  assert.strictEqual(getDivergence([['R', 'L']], [['R', 'R']], '0'),
+      '1,head,0,1,0');
+  assert.strictEqual(getDivergence([['D1', '1'], ['', '0']],
+      [['D0', '1'], ['', '0']], '1'), '0,branch,0,0,0');
+  assert.strictEqual(getDivergence([['1', 'HA']], [['1', 'HR']], ''),
+      '1,verdict,0,1,0');
+  assert.strictEqual(getDivergence([['R', 'H']], [['R']], '0'),
+      '1,branch,0,1,1');
+  assert.strictEqual(getDivergence([['1', 'H']], [['1', 'R', 'H']], ''),
+      '1,head,0,1,0');
+  // Ops which do the same thing don't diverge, and nor do runs which only
+  // differ after one of them ends.
+  assert.strictEqual(getDivergence([['D_', '1']], [['D0', '1']], '1'), null);
+  assert.strictEqual(getDivergence([['1', 'H']], [['1', 'H', 'R']], ''),
+      null);
+});
+
+
+test('traces a level\'s case as the game would run it', function() {
+  var program = {tape: '0', goal: '1', stepLimit: 3, ops: {}};
+  var trace = turing.level.traceCase([['1', 'R', 'B2']], 8, program,
+      {tape: '0', goal: '1', extraTapes: ['11']});
+  assert.strictEqual(trace.tape, '0');
+  assert.strictEqual(turing.trace.getNumTapes(trace), 2);
+  assert.strictEqual(trace.steps.length, 4);
+});
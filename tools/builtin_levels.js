@@ -0,0 +1,65 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Reads the built-in levels out of src/turing.js, which can't be
+ * loaded into Node whole since the rest of it builds the page:
+ *
+ *   var levels = require('./tools/builtin_levels.js');
+ *   levels.PROGRAMS[1].goal;  // '01011'
+ *   levels.BONUS_PROGRAM.length;  // 3
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var turing = require('./headless.js');
+
+
+/**
+ * Runs the part of src/turing.js which assembles the built-in levels, on top
+ * of the headless sources.
+ * @return {{PROGRAMS: Array.<turing.ProgramDef>,
+ *           BONUS_PROGRAM: Array.<Array.<string>>}} The levels, demo first,
+ *     and the bonus program's ops.
+ */
+function load() {
+  var filename = path.join(__dirname, '..', 'src', 'turing.js');
+  var source = fs.readFileSync(filename, 'utf8');
+  var start = source.indexOf('turing.assemble_ = function');
+  var end = source.indexOf(
+      '/**\n * Replaces the built-in programs with a level pack\'s');
+  if (start == -1 || end < start) {
+    throw Error('Can\'t find the built-in levels in ' + filename);
+  }
+  // The levels are assembled with src/program.js's constants, which is
+  // browser-only, but takes them from the game's limits.
+  var limits = turing.levelpack.GAME_LIMITS;
+  var scope = Object.create(turing);
+  scope.NUM_PROGRAM_TRACKS = {
+    normalMode: limits.numTracks,
+    bonusMode: limits.numBonusTracks
+  };
+  scope.NUM_OPS_PER_TRACK = {
+    normalMode: limits.numOpsPerTrack,
+    bonusMode: limits.numBonusOpsPerTrack
+  };
+  scope.DEFAULT_ALPHABET = limits.defaultAlphabet;
+  vm.runInContext(source.slice(start, end),
+      vm.createContext({turing: scope}), {filename: filename});
+  return {PROGRAMS: scope.PROGRAMS, BONUS_PROGRAM: scope.BONUS_PROGRAM};
+}
+
+
+module.exports = load();
@@ -0,0 +1,108 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Makes up a level (see turing.generator.generate) and prints
+ * it as a turing.PROGRAMS entry, or with --json as a level pack level:
+ *
+ *   node tools/generate_level.js medium 42
+ *   node tools/generate_level.js --json hard
+ *
+ * Without a seed, a random one is used. Either way the seed is printed, so
+ * the level can be made again.
+ */
+
+var turing = require('./headless.js');
+
+
+/**
+ * Lines a level's tracks up in columns, as turing.PROGRAMS does.
+ * @param {Array.<string>} tracks The level's ops in turing.assemble_'s
+ *     notation.
+ * @return {Array.<string>} The tracks, with their ops padded.
+ */
+function alignTracks(tracks) {
+  var rows = tracks.map(function(track) {
+    return track.split(' ');
+  });
+  var widths = [];
+  rows.forEach(function(row) {
+    row.forEach(function(token, i) {
+      widths[i] = Math.max(widths[i] || 0, token.length);
+    });
+  });
+  return rows.map(function(row) {
+    return row.map(function(token, i) {
+      return i == row.length - 1 ? token :
+          token + new Array(widths[i] - token.length + 1).join(' ');
+    }).join(' ');
+  });
+}
+
+
+/**
+ * @param {turing.generator.Level} level A made up level.
+ * @param {string} command How to make the level again.
+ * @return {string} The level as a turing.PROGRAMS entry.
+ */
+function formatProgramEntry(level, command) {
+  var indent = '    ops: turing.assemble_(';
+  var tracks = alignTracks(level.tracks).map(function(track) {
+    return '\'' + track + '\'';
+  });
+  return [
+    '  {',
+    '    tape: \'' + level.program.tape + '\',',
+    '    goal: \'' + level.program.goal + '\',',
+    '    // Generated with ' + command + '.',
+    indent + tracks.join(',\n' + new Array(indent.length + 1).join(' ')) +
+        '),',
+    '    highlight: \'' + level.program.highlight + '\'',
+    '  },'
+  ].join('\n');
+}
+
+
+var args = process.argv.slice(2);
+var json = args[0] == '--json';
+if (json) {
+  args.shift();
+}
+var difficulty = args[0];
+var seed = args.length > 1 ? parseInt(args[1], 10) :
+    Math.floor(Math.random() * 2147483646) + 1;
+if (args.length < 1 || args.length > 2 || isNaN(seed)) {
+  console.log('Usage: node tools/generate_level.js [--json] ' +
+      '<easy|medium|hard> [seed]');
+  process.exit(2);
+}
+var level;
+try {
+  level = turing.generator.generate(seed, difficulty);
+} catch (e) {
+  console.log(e.message);
+  process.exit(1);
+}
+var command = 'node tools/generate_level.js ' + difficulty + ' ' + seed;
+if (json) {
+  console.log(JSON.stringify({
+    tape: level.program.tape,
+    goal: level.program.goal,
+    ops: level.tracks,
+    highlight: level.program.highlight
+  }));
+  console.error('Generated with ' + command);
+} else {
+  console.log(formatProgramEntry(level, command));
+}
@@ -0,0 +1,83 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Loads the parts of the doodle which don't need a browser into
+ * Node, so that programs can be evaluated from scripts:
+ *
+ *   var turing = require('./tools/headless.js');
+ *   var machine = new turing.Machine([['L', '1']], 8);
+ *   machine.setTapeString('000');
+ *   machine.run(0);
+ *   machine.getTapeString();  // '100'
+ *
+ * The sources are plain scripts which expect the goog and turing namespaces to
+ * already exist (index.html sets these up in the browser), so they are run in
+ * a context which provides them.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+
+/**
+ * Sources which don't touch the DOM, in dependency order.
+ * @type {Array.<string>}
+ * @const
+ */
+var HEADLESS_SOURCES = [
+  'machine.js',
+  'notation.js',
+  'trace.js',
+  'table.js',
+  'property.js',
+  'level.js',
+  'level_pack.js',
+  'solver.js',
+  'generator.js'
+];
+
+
+/**
+ * Creates a context with the stubs from index.html and runs the headless
+ * sources in it.
+ * @return {Object} The turing namespace.
+ */
+function load() {
+  var context = {
+    goog: {
+      // Create namespaces as they are provided, like Closure does.
+      provide: function(name) {
+        var parts = name.split('.');
+        var obj = context;
+        for (var i = 0; i < parts.length; i++) {
+          obj = obj[parts[i]] = obj[parts[i]] || {};
+        }
+      },
+      require: function() {},
+      exportSymbol: function() {}
+    }
+  };
+  vm.createContext(context);
+  for (var i = 0; i < HEADLESS_SOURCES.length; i++) {
+    var filename = path.join(__dirname, '..', 'src', HEADLESS_SOURCES[i]);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context,
+        {filename: filename});
+  }
+  return context.turing;
+}
+
+
+module.exports = load();
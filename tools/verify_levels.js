@@ -0,0 +1,119 @@
+// Copyright 2012 Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Checks a level pack, or the built-in levels if no pack is
+ * given: that the pack loads, and that each level's solution solves it and its
+ * starting program doesn't. Prints a line per level with step counts, and
+ * exits with status 1 if anything is wrong:
+ *
+ *   node tools/verify_levels.js my_levels.json
+ *   node tools/verify_levels.js
+ *
+ * With --solve, also searches each level for every setting of its clickable
+ * ops which solves it (see turing.solver.solve), prints them, and counts a
+ * level with none, or with more than one (an accidental alternate solution),
+ * as wrong:
+ *
+ *   node tools/verify_levels.js --solve my_levels.json
+ *   node tools/verify_levels.js --solve
+ *
+ * The levels being played can be checked from the browser console instead,
+ * with turing.verifyLevels().
+ */
+
+var fs = require('fs');
+var turing = require('./headless.js');
+
+
+/**
+ * Verifies a level, and prints how it did.
+ * @param {turing.ProgramDef} program The level.
+ * @param {string} name What to call the level.
+ * @param {boolean} solve Whether to search for the level's solutions too.
+ * @return {boolean} True iff the level is ok.
+ */
+function verifyLevel(program, name, solve) {
+  var limits = turing.levelpack.GAME_LIMITS;
+  var report = turing.level.verify(program, limits.numOpsPerTrack);
+  var ok = report.ok;
+  console.log(turing.level.formatReport(report, name));
+  if (solve) {
+    var result = turing.solver.solve(turing.solver.createRequest(program,
+        limits.numOpsPerTrack, program.alphabet || limits.defaultAlphabet));
+    // A level with nothing to correct has just the one setting.
+    ok = ok && result.solutions.length == 1 && !result.truncated;
+    console.log('  ' + turing.solver.formatResult(result).join('\n    '));
+  }
+  return ok;
+}
+
+
+/**
+ * Verifies the built-in levels.
+ * @param {boolean} solve Whether to search for each level's solutions too.
+ * @return {boolean} True iff every level is ok.
+ */
+function verifyBuiltInLevels(solve) {
+  var programs = require('./builtin_levels.js').PROGRAMS;
+  var ok = true;
+  // Skip the demo, which has no goal.
+  for (var i = 1; i < programs.length; i++) {
+    ok = verifyLevel(programs[i], 'level ' + i, solve) && ok;
+  }
+  return ok;
+}
+
+
+/**
+ * Verifies a level pack.
+ * @param {string} filename The pack's JSON file.
+ * @param {boolean} solve Whether to search for each level's solutions too.
+ * @return {boolean} True iff the pack loads and every level is ok.
+ */
+function verifyPack(filename, solve) {
+  var pack;
+  try {
+    pack = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (e) {
+    console.log(filename + ': ' + e.message);
+    return false;
+  }
+  var limits = turing.levelpack.GAME_LIMITS;
+  var errors = turing.levelpack.validate(pack, limits);
+  if (errors.length) {
+    console.log(filename + ':\n  ' + errors.join('\n  '));
+    return false;
+  }
+  var ok = true;
+  var levels = pack['levels'];
+  for (var i = 0; i < levels.length; i++) {
+    var program = turing.levelpack.toProgram(levels[i], limits);
+    ok = verifyLevel(program, 'levels[' + i + ']', solve) && ok;
+  }
+  return ok;
+}
+
+
+var args = process.argv.slice(2);
+var solve = args[0] == '--solve';
+if (solve) {
+  args.shift();
+}
+if (args.length > 1) {
+  console.log('Usage: node tools/verify_levels.js [--solve] [<level pack>]');
+  process.exit(2);
+}
+process.exit((args.length ? verifyPack(args[0], solve) :
+    verifyBuiltInLevels(solve)) ? 0 : 1);